@@ -0,0 +1,18 @@
+// /api/_lib/activity.js
+// Write entries to activity_log from the API (the browser writes its own
+// entries through row level security).
+
+import { supabase } from './supabase.js'
+
+export async function logActivity({ actionType, repId, accountId = null, details = {} }) {
+  const { error } = await supabase
+    .from('activity_log')
+    .insert({
+      action_type: actionType,
+      rep_id: repId,
+      account_id: accountId,
+      details
+    })
+
+  if (error) throw error
+}
@@ -0,0 +1,11 @@
+// /api/_lib/client.js
+// Who is calling: user agent and IP address as seen through Vercel's proxy.
+
+export function getClientInfo(req) {
+  const forwardedFor = req.headers['x-forwarded-for'] || ''
+
+  return {
+    userAgent: (req.headers['user-agent'] || '').slice(0, 500) || null,
+    ipAddress: forwardedFor.split(',')[0].trim() || req.socket?.remoteAddress || null
+  }
+}
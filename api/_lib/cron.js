@@ -0,0 +1,29 @@
+// /api/_lib/cron.js
+// Vercel Cron calls /api/cron/* with "Authorization: Bearer <CRON_SECRET>".
+// Those routes have no rep behind them, so the shared secret is their auth.
+
+import crypto from 'crypto'
+import { getBearerToken } from './session.js'
+
+// Answers 401 itself (or 500 when CRON_SECRET isn't configured) and
+// resolves to false; handlers return early:
+//   if (!requireCronSecret(req, res)) return
+export function requireCronSecret(req, res) {
+  const secret = process.env.CRON_SECRET
+
+  if (!secret) {
+    console.error('CRON_SECRET is not set; refusing cron request')
+    res.status(500).json({ error: 'Cron is not configured' })
+    return false
+  }
+
+  const expected = Buffer.from(secret)
+  const provided = Buffer.from(getBearerToken(req) || '')
+
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    res.status(401).json({ error: 'Unauthorized' })
+    return false
+  }
+
+  return true
+}
@@ -0,0 +1,65 @@
+// /api/_lib/dashboard.js
+// Everything the dashboard shows, in one read of the account_progress view
+// (see supabase/migrations/*_account_progress.sql) plus the active quarter.
+// Shared by /api/dashboard and the weekly summary cron so both report the
+// same numbers.
+
+import { supabase } from './supabase.js'
+import { getSettings } from './settings.js'
+import { assignmentMetrics, quarterTiming, summarizeMetrics } from '../../src/metrics.js'
+
+// Working days, holidays, pace curve and time zone for quarterTiming()
+export async function loadPaceCalendar(quarter) {
+  const settings = await getSettings()
+  let holidays = []
+
+  if (quarter) {
+    const { data, error } = await supabase
+      .from('holidays')
+      .select('holiday_date')
+      .gte('holiday_date', quarter.start_date)
+      .lte('holiday_date', quarter.end_date)
+
+    if (error) throw error
+    holidays = data.map(h => h.holiday_date)
+  }
+
+  return {
+    workingDays: settings.working_days,
+    holidays,
+    paceCurve: settings.pace_curve,
+    timeZone: settings.timezone
+  }
+}
+
+// Resolves to { quarter, timing, accounts, totalAccounts, summary }.
+// accounts has one row per assignment (an account on two promos appears
+// twice), each with units_sold, rep_units, latest_note and `metrics` from
+// src/metrics.js.
+export async function loadDashboard() {
+  const [quarterResult, progressResult, countResult] = await Promise.all([
+    supabase.from('quarters').select('*').eq('is_active', true).maybeSingle(),
+    supabase.from('account_progress').select('*').order('account_name').order('assigned_date'),
+    supabase.from('accounts').select('id', { count: 'exact', head: true })
+  ])
+
+  if (quarterResult.error) throw quarterResult.error
+  if (progressResult.error) throw progressResult.error
+  if (countResult.error) throw countResult.error
+
+  const quarter = quarterResult.data
+  const timing = quarterTiming(quarter, new Date(), await loadPaceCalendar(quarter))
+
+  const accounts = (progressResult.data || []).map(row => ({
+    ...row,
+    metrics: assignmentMetrics(row, row.units_sold, timing)
+  }))
+
+  return {
+    quarter,
+    timing,
+    accounts,
+    totalAccounts: countResult.count || 0,
+    summary: summarizeMetrics(accounts.map(a => a.metrics), timing)
+  }
+}
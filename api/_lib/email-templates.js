@@ -0,0 +1,80 @@
+// /api/_lib/email-templates.js
+// Notification emails the API is allowed to send. Routes build the content
+// here from database rows instead of accepting HTML from the browser.
+
+import { APP_URL } from './email.js'
+import { termsLabel } from '../../src/paymentTerms.js'
+
+export const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+
+const layout = ({ icon, title, body }) => `
+  <div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 600px; margin: 0 auto; background: #f8fafc;">
+    <div style="background: linear-gradient(135deg, #1e40af, #3b82f6); padding: 32px 24px; border-radius: 12px 12px 0 0; text-align: center;">
+      <div style="font-size: 48px; margin-bottom: 8px;">${icon}</div>
+      <h1 style="color: white; margin: 0; font-size: 24px; font-weight: 600;">${title}</h1>
+    </div>
+    <div style="background: white; padding: 32px 24px; border: 1px solid #e2e8f0; border-top: none;">
+      ${body}
+      <a href="${APP_URL}" style="display: inline-block; background: linear-gradient(135deg, #1e40af, #3b82f6); color: white; padding: 14px 28px; border-radius: 8px; text-decoration: none; font-weight: 600; font-size: 14px;">View in PromoSync</a>
+    </div>
+    <div style="background: #1e293b; padding: 20px 24px; border-radius: 0 0 12px 12px; text-align: center;">
+      <p style="color: #94a3b8; margin: 0; font-size: 13px;">PromoSync • Sales Promo Tracking</p>
+    </div>
+  </div>
+`
+
+const paragraph = (text) =>
+  `<p style="color: #334155; font-size: 16px; margin: 0 0 24px 0;">${text}</p>`
+
+const detailRow = (label, value, bold = false) => `
+  <tr>
+    <td style="padding: 8px 0; color: #64748b; font-size: 14px; width: 100px;">${label}</td>
+    <td style="padding: 8px 0; color: #1e293b; font-size: 14px;${bold ? ' font-weight: 600;' : ''}">${escapeHtml(value)}</td>
+  </tr>
+`
+
+// A new account in one of the rep's territories was put on a promo
+export function promoAssignedEmail(rep, { accountName, territory, promoName, targetUnits, terms, assignedBy }) {
+  return {
+    subject: `🎯 New Promo: ${accountName} assigned to ${promoName}`,
+    html: layout({
+      icon: '🎯',
+      title: 'New Promo Assignment',
+      body: `
+        ${paragraph(`Hi ${escapeHtml(rep.name)},`)}
+        ${paragraph('A new account in your territory has been assigned to a promo:')}
+        <div style="background: #f8fafc; border-radius: 12px; padding: 20px; margin: 0 0 24px 0; border-left: 4px solid #3b82f6;">
+          <table style="width: 100%; border-collapse: collapse;">
+            ${detailRow('Account', accountName, true)}
+            ${detailRow('Territory', territory)}
+            ${detailRow('Promo', promoName, true)}
+            ${detailRow('Target', `${targetUnits} units`)}
+            ${terms ? detailRow('Terms', termsLabel(terms)) : ''}
+            ${assignedBy ? detailRow('Assigned by', assignedBy) : ''}
+          </table>
+        </div>
+      `
+    })
+  }
+}
+
+// Lets an admin confirm a rep's address actually receives PromoSync email
+export function testEmail(rep, { sentBy }) {
+  return {
+    subject: '✉️ PromoSync test email',
+    html: layout({
+      icon: '✉️',
+      title: 'Test Email',
+      body: `
+        ${paragraph(`Hi ${escapeHtml(rep.name)},`)}
+        ${paragraph(`${escapeHtml(sentBy)} sent this to check that PromoSync notifications reach you. No action is needed.`)}
+      `
+    })
+  }
+}
@@ -0,0 +1,26 @@
+// /api/_lib/email.js
+// Shared Resend helper used by every route that sends email.
+
+export const FROM_ADDRESS = 'PromoSync <notifications@promosync.io>'
+
+export const APP_URL = process.env.APP_URL || 'https://promosync.io'
+
+// Resolves to { ok, status, data } with Resend's parsed JSON response
+export async function sendEmail({ to, subject, html }) {
+  const response = await fetch('https://api.resend.com/emails', {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${process.env.RESEND_API_KEY}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      from: FROM_ADDRESS,
+      to: to,
+      subject: subject,
+      html: html,
+    }),
+  })
+
+  const data = await response.json()
+  return { ok: response.ok, status: response.status, data }
+}
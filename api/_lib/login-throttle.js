@@ -0,0 +1,92 @@
+// /api/_lib/login-throttle.js
+// Login attempt tracking, built on the login_events table.
+//
+// Consecutive failures for an email (since its last successful sign-in or
+// admin unlock) add a growing delay before the next attempt is checked. After
+// MAX_FAILURES the email is locked for LOCKOUT_MINUTES. Unknown emails are
+// throttled the same way so lockouts don't reveal which accounts exist.
+//
+// Password reset requests are recorded here too: after MAX_RESET_REQUESTS in
+// LOCKOUT_MINUTES, no more reset emails go to that address for a while.
+
+import { supabase } from './supabase.js'
+import { getClientInfo } from './client.js'
+
+export const MAX_FAILURES = 5
+export const LOCKOUT_MINUTES = 15
+export const MAX_RESET_REQUESTS = 3
+
+const BASE_DELAY_MS = 500
+const MAX_DELAY_MS = 4000
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+// Counts the failures that still count against the email, given its events
+// from the last LOCKOUT_MINUTES (newest first)
+export function summarizeAttempts(events) {
+  const failures = []
+  for (const event of events) {
+    if (event.event === 'success' || event.event === 'unlocked') break
+    if (event.event === 'failure') failures.push(event)
+  }
+
+  let lockedUntil = null
+  if (failures.length >= MAX_FAILURES) {
+    // Locked until the oldest of the last MAX_FAILURES failures ages out
+    const lockStart = new Date(failures[MAX_FAILURES - 1].created_at)
+    lockedUntil = new Date(lockStart.getTime() + LOCKOUT_MINUTES * 60 * 1000).toISOString()
+  }
+
+  return { failures: failures.length, lockedUntil }
+}
+
+// Recent events for one or more emails, newest first
+export async function fetchRecentAttempts(emails) {
+  const since = new Date(Date.now() - LOCKOUT_MINUTES * 60 * 1000).toISOString()
+
+  const { data, error } = await supabase
+    .from('login_events')
+    .select('email, event, created_at')
+    .in('email', emails)
+    .gte('created_at', since)
+    .order('created_at', { ascending: false })
+
+  if (error) throw error
+  return data || []
+}
+
+export async function getLoginThrottle(email) {
+  return summarizeAttempts(await fetchRecentAttempts([email]))
+}
+
+// False once the email has had MAX_RESET_REQUESTS reset requests recently
+export async function canRequestReset(email) {
+  const events = await fetchRecentAttempts([email])
+  return events.filter(e => e.event === 'reset_requested').length < MAX_RESET_REQUESTS
+}
+
+// 0.5s, 1s, 2s, then 4s per attempt after 1, 2, 3, 4+ consecutive failures
+export async function delayForFailures(failures) {
+  if (failures <= 0) return
+  await sleep(Math.min(BASE_DELAY_MS * 2 ** (failures - 1), MAX_DELAY_MS))
+}
+
+// Audit logging must never block a sign-in, so errors are only logged.
+// Resolves to false if the event could not be saved.
+export async function recordLoginEvent(req, { email, repId = null, event, reason = null }) {
+  const { userAgent, ipAddress } = getClientInfo(req)
+
+  const { error } = await supabase
+    .from('login_events')
+    .insert({
+      rep_id: repId,
+      email,
+      event,
+      reason,
+      user_agent: userAgent,
+      ip_address: ipAddress
+    })
+
+  if (error) console.error('Failed to record login event:', error)
+  return !error
+}
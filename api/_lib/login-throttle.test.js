@@ -0,0 +1,112 @@
+/**
+ * @jest-environment node
+ */
+import { supabase } from './supabase.js'
+import {
+  LOCKOUT_MINUTES,
+  MAX_FAILURES,
+  MAX_RESET_REQUESTS,
+  canRequestReset,
+  delayForFailures,
+  summarizeAttempts
+} from './login-throttle.js'
+
+// The service-role client needs credentials; queries are stubbed per test
+jest.mock('./supabase.js', () => ({ supabase: { from: jest.fn() } }))
+
+const MINUTE = 60 * 1000
+const start = Date.parse('2026-10-19T17:00:00Z')
+
+// Newest first, like fetchRecentAttempts()
+const events = (...list) =>
+  list
+    .map(([event, minutes]) => ({ event, created_at: new Date(start + minutes * MINUTE).toISOString() }))
+    .reverse()
+
+describe('summarizeAttempts', () => {
+  it('counts consecutive failures', () => {
+    expect(summarizeAttempts(events(['failure', 0], ['failure', 1]))).toEqual({ failures: 2, lockedUntil: null })
+  })
+
+  it('starts over after a successful sign-in or an unlock', () => {
+    expect(summarizeAttempts(events(['failure', 0], ['failure', 1], ['success', 2], ['failure', 3])).failures).toBe(1)
+    expect(summarizeAttempts(events(['failure', 0], ['unlocked', 1])).failures).toBe(0)
+  })
+
+  it('ignores blocked attempts and reset requests', () => {
+    expect(summarizeAttempts(events(['failure', 0], ['locked', 1], ['reset_requested', 2])).failures).toBe(1)
+  })
+
+  it(`locks after ${MAX_FAILURES} failures until the oldest ages out`, () => {
+    const list = Array.from({ length: MAX_FAILURES }, (_, i) => ['failure', i])
+    const { failures, lockedUntil } = summarizeAttempts(events(...list))
+
+    expect(failures).toBe(MAX_FAILURES)
+    expect(lockedUntil).toBe(new Date(start + LOCKOUT_MINUTES * MINUTE).toISOString())
+  })
+
+  it(`doesn't lock after ${MAX_FAILURES - 1}`, () => {
+    const list = Array.from({ length: MAX_FAILURES - 1 }, (_, i) => ['failure', i])
+    expect(summarizeAttempts(events(...list)).lockedUntil).toBeNull()
+  })
+})
+
+describe('canRequestReset', () => {
+  // login_events query that resolves to the given events
+  const stubEvents = (list) => {
+    const query = {
+      select: () => query,
+      in: () => query,
+      gte: () => query,
+      order: () => Promise.resolve({ data: list, error: null })
+    }
+    supabase.from.mockReturnValue(query)
+  }
+
+  it(`allows ${MAX_RESET_REQUESTS} requests per ${LOCKOUT_MINUTES} minutes`, async () => {
+    const requests = Array.from({ length: MAX_RESET_REQUESTS - 1 }, (_, i) => ['reset_requested', i])
+    stubEvents(events(...requests))
+    await expect(canRequestReset('rep@example.com')).resolves.toBe(true)
+
+    stubEvents(events(...requests, ['reset_requested', MAX_RESET_REQUESTS]))
+    await expect(canRequestReset('rep@example.com')).resolves.toBe(false)
+  })
+
+  it('only counts reset requests', async () => {
+    stubEvents(events(['failure', 0], ['failure', 1], ['failure', 2], ['locked', 3]))
+    await expect(canRequestReset('rep@example.com')).resolves.toBe(true)
+  })
+})
+
+describe('delayForFailures', () => {
+  beforeEach(() => {
+    jest.useFakeTimers()
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  it.each([
+    [1, 500],
+    [2, 1000],
+    [3, 2000],
+    [4, 4000],
+    [9, 4000]
+  ])('waits after %i failures for %i ms', async (failures, ms) => {
+    let done = false
+    const delay = delayForFailures(failures).then(() => { done = true })
+
+    jest.advanceTimersByTime(ms - 1)
+    await Promise.resolve()
+    expect(done).toBe(false)
+
+    jest.advanceTimersByTime(1)
+    await delay
+    expect(done).toBe(true)
+  })
+
+  it("doesn't wait without failures", async () => {
+    await expect(delayForFailures(0)).resolves.toBeUndefined()
+  })
+})
@@ -0,0 +1,95 @@
+// /api/_lib/password-reset.js
+// Issue single-use "choose a password" links for resets, invites and
+// admin-forced resets. Links open /?reset=<token> and are consumed by
+// /api/auth/reset-password.
+
+import { supabase } from './supabase.js'
+import { APP_URL, sendEmail } from './email.js'
+import { generateToken, hashToken } from './tokens.js'
+import { escapeHtml } from './email-templates.js'
+
+const LINK_TYPES = {
+  reset: {
+    ttlMinutes: 60,
+    icon: '🔐',
+    title: 'Reset Your Password',
+    subject: '🔐 Reset your PromoSync password',
+    intro: 'Someone asked to reset your PromoSync password.',
+    button: 'Choose a New Password',
+    footer: "If you didn't ask for this, you can ignore this email. Your password won't change."
+  },
+  forced: {
+    ttlMinutes: 60 * 24,
+    icon: '🔐',
+    title: 'Password Reset Required',
+    subject: '🔐 Please choose a new PromoSync password',
+    intro: 'An admin has reset your PromoSync password. You have been signed out everywhere.',
+    button: 'Choose a New Password',
+    footer: 'Questions? Reply to your PromoSync admin.'
+  },
+  invite: {
+    ttlMinutes: 60 * 24 * 7,
+    icon: '👋',
+    title: 'Welcome to PromoSync',
+    subject: "👋 You've been invited to PromoSync",
+    intro: "You've been added to your team's PromoSync workspace.",
+    button: 'Set Your Password',
+    footer: 'PromoSync tracks promo progress for your accounts and territories.'
+  }
+}
+
+const formatTtl = (minutes) =>
+  minutes >= 60 * 24 ? `${minutes / (60 * 24)} day(s)` : `${minutes} minutes`
+
+// Invalidates the rep's older links, stores a new one and emails it.
+// Resolves to true if Resend accepted the email.
+export async function issuePasswordLink(rep, type = 'reset') {
+  const config = LINK_TYPES[type]
+
+  // Only the newest link should work
+  const { error: expireError } = await supabase
+    .from('password_resets')
+    .update({ used_at: new Date().toISOString() })
+    .eq('rep_id', rep.id)
+    .is('used_at', null)
+
+  if (expireError) throw expireError
+
+  const token = generateToken()
+  const expiresAt = new Date(Date.now() + config.ttlMinutes * 60 * 1000)
+
+  const { error: insertError } = await supabase
+    .from('password_resets')
+    .insert({
+      rep_id: rep.id,
+      token_hash: hashToken(token),
+      expires_at: expiresAt.toISOString()
+    })
+
+  if (insertError) throw insertError
+
+  const link = `${APP_URL}/?reset=${encodeURIComponent(token)}`
+
+  const html = `
+    <div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 600px; margin: 0 auto; background: #f8fafc;">
+      <div style="background: linear-gradient(135deg, #1e40af, #3b82f6); padding: 32px 24px; border-radius: 12px 12px 0 0; text-align: center;">
+        <div style="font-size: 48px; margin-bottom: 8px;">${config.icon}</div>
+        <h1 style="color: white; margin: 0; font-size: 24px; font-weight: 600;">${config.title}</h1>
+      </div>
+      <div style="background: white; padding: 32px 24px; border: 1px solid #e2e8f0; border-top: none;">
+        <p style="color: #334155; font-size: 16px; margin: 0 0 24px 0;">Hi ${escapeHtml(rep.name)},</p>
+        <p style="color: #334155; font-size: 16px; margin: 0 0 24px 0;">${config.intro} This link works once and expires in ${formatTtl(config.ttlMinutes)}.</p>
+        <a href="${link}" style="display: inline-block; background: linear-gradient(135deg, #1e40af, #3b82f6); color: white; padding: 14px 28px; border-radius: 8px; text-decoration: none; font-weight: 600; font-size: 14px;">${config.button}</a>
+        <p style="color: #64748b; font-size: 13px; margin: 24px 0 0 0;">${config.footer}</p>
+      </div>
+      <div style="background: #1e293b; padding: 20px 24px; border-radius: 0 0 12px 12px; text-align: center;">
+        <p style="color: #94a3b8; margin: 0; font-size: 13px;">PromoSync • Sales Promo Tracking</p>
+      </div>
+    </div>
+  `
+
+  const { ok, data } = await sendEmail({ to: rep.email, subject: config.subject, html })
+
+  if (!ok) console.error('Resend error:', data)
+  return ok
+}
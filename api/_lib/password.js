@@ -0,0 +1,56 @@
+// /api/_lib/password.js
+// Password hashing with scrypt (Node's built-in slow hash).
+// Stored format: scrypt$<N>$<r>$<p>$<salt>$<hash> (salt and hash are base64)
+
+import crypto from 'crypto'
+
+const PREFIX = 'scrypt'
+const KEY_LENGTH = 64
+const COST = { N: 16384, r: 8, p: 1 }
+
+export const MIN_PASSWORD_LENGTH = 8
+
+const scrypt = (password, salt, keyLength, options) =>
+  new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, keyLength, options, (err, key) => {
+      if (err) reject(err)
+      else resolve(key)
+    })
+  })
+
+// Rows created before hashing was added still hold the plaintext password
+export const isHashed = (stored) =>
+  typeof stored === 'string' && stored.startsWith(`${PREFIX}$`)
+
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16)
+  const key = await scrypt(password, salt, KEY_LENGTH, COST)
+  return [PREFIX, COST.N, COST.r, COST.p, salt.toString('base64'), key.toString('base64')].join('$')
+}
+
+export async function verifyPassword(password, stored) {
+  if (!password || !stored) return false
+
+  if (!isHashed(stored)) {
+    // Legacy plaintext row: compare digests so the check is constant-time
+    const a = crypto.createHash('sha256').update(password).digest()
+    const b = crypto.createHash('sha256').update(stored).digest()
+    return crypto.timingSafeEqual(a, b)
+  }
+
+  const [, N, r, p, salt, hash] = stored.split('$')
+  const expected = Buffer.from(hash, 'base64')
+  const key = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p)
+  })
+  return crypto.timingSafeEqual(key, expected)
+}
+
+export function validateNewPassword(password) {
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+  }
+  return null
+}
@@ -0,0 +1,54 @@
+// /api/_lib/promo-notifications.js
+// "New account on promo" emails to reps who opted in to alerts for the
+// account's territory. Used by /api/assignments (after the assignment has
+// committed) and /api/notify-promo-assigned.
+
+import { supabase } from './supabase.js'
+import { sendEmail } from './email.js'
+import { promoAssignedEmail } from './email-templates.js'
+
+// assignment is an account_promos row with its accounts and promos embedded.
+// Resolves to { sent, found } - emails delivered and reps eligible.
+export async function notifyPromoAssigned(assignment, assignedBy) {
+  // An account can be in several territories
+  const { data: links, error: linksError } = await supabase
+    .from('account_territories')
+    .select('territories ( name )')
+    .eq('account_id', assignment.account_id)
+
+  if (linksError) throw linksError
+
+  const territories = links.map(l => l.territories?.name).filter(Boolean)
+  if (territories.length === 0) return { sent: 0, found: 0 }
+
+  const { data: reps, error } = await supabase
+    .from('reps')
+    .select('id, name, email, territories')
+    .eq('notify_territory_promos', true)
+    .eq('is_active', true)
+    .not('email', 'is', null)
+
+  if (error) throw error
+
+  const repsToNotify = (reps || []).filter(rep =>
+    rep.territories?.some(t => territories.includes(t))
+  )
+
+  const details = {
+    accountName: assignment.accounts?.account_name,
+    territory: territories.join(', '),
+    promoName: assignment.promos?.promo_name,
+    targetUnits: assignment.target_units,
+    terms: assignment.terms,
+    assignedBy
+  }
+
+  const results = await Promise.all(repsToNotify.map(async (rep) => {
+    const { subject, html } = promoAssignedEmail(rep, details)
+    const { ok, data } = await sendEmail({ to: rep.email, subject, html })
+    if (!ok) console.error('Resend error:', data)
+    return ok
+  }))
+
+  return { sent: results.filter(Boolean).length, found: repsToNotify.length }
+}
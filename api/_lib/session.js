@@ -0,0 +1,222 @@
+// /api/_lib/session.js
+// Signed, expiring session tokens.
+//
+// Tokens are HS256 JWTs signed with the Supabase JWT secret, so the same token
+// the /api routes accept is also accepted by Supabase itself (role
+// "authenticated", sub = rep id) and can be used by row level security.
+// Every token points at a row in the sessions table; revoking that row signs
+// the device out even though the token has not expired yet.
+
+import crypto from 'crypto'
+import { supabase, REP_PUBLIC_FIELDS } from './supabase.js'
+import { needsTwoFactorSetup } from './two-factor.js'
+import { getClientInfo } from './client.js'
+import { can } from '../../src/permissions.js'
+
+export const SESSION_TTL_SECONDS = 60 * 60 * 24 * 7 // 7 days
+const TWO_FACTOR_CHALLENGE_SECONDS = 60 * 5
+const LAST_SEEN_RESOLUTION_MS = 1000 * 60 * 5 // refresh last_seen_at at most this often
+const TWO_FACTOR_AUDIENCE = 'promosync-2fa'
+
+const getSecret = () => {
+  const secret = process.env.SUPABASE_JWT_SECRET
+  if (!secret) throw new Error('SUPABASE_JWT_SECRET is not configured')
+  return secret
+}
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url')
+
+const signature = (unsigned) =>
+  crypto.createHmac('sha256', getSecret()).update(unsigned).digest('base64url')
+
+export function signToken(claims) {
+  const unsigned = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}`
+  return `${unsigned}.${signature(unsigned)}`
+}
+
+// Returns the token's claims, or null if it is malformed, tampered with or expired
+export function verifyToken(token) {
+  if (typeof token !== 'string') return null
+  const parts = token.split('.')
+  if (parts.length !== 3) return null
+
+  const [header, payload, sig] = parts
+  const expected = Buffer.from(signature(`${header}.${payload}`))
+  const actual = Buffer.from(sig)
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null
+  }
+
+  try {
+    const { alg } = JSON.parse(Buffer.from(header, 'base64url').toString())
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString())
+    if (alg !== 'HS256') return null
+    if (!claims.exp || claims.exp * 1000 <= Date.now()) return null
+    return claims
+  } catch (e) {
+    return null
+  }
+}
+
+export function getBearerToken(req) {
+  const header = req.headers.authorization || ''
+  const [scheme, token] = header.split(' ')
+  return scheme === 'Bearer' && token ? token : null
+}
+
+// Create a sessions row for the rep (noting the device from req) and sign a
+// token for it. impersonatorId makes it a read-only "view as" session.
+export async function createSession(repId, req, { impersonatorId = null, ttlSeconds = SESSION_TTL_SECONDS } = {}) {
+  const expiresAt = new Date(Date.now() + ttlSeconds * 1000)
+  const { userAgent, ipAddress } = getClientInfo(req)
+
+  const { data: session, error } = await supabase
+    .from('sessions')
+    .insert({
+      rep_id: repId,
+      impersonator_id: impersonatorId,
+      expires_at: expiresAt.toISOString(),
+      user_agent: userAgent,
+      ip_address: ipAddress
+    })
+    .select('id')
+    .single()
+
+  if (error) throw error
+
+  const token = signToken({
+    sub: repId,
+    sid: session.id,
+    role: 'authenticated',
+    aud: 'authenticated',
+    iat: Math.floor(Date.now() / 1000),
+    exp: Math.floor(expiresAt.getTime() / 1000)
+  })
+
+  return { token, sessionId: session.id, expiresAt: expiresAt.toISOString() }
+}
+
+// Short-lived proof that the password step passed, exchanged for a session
+// at /api/auth/verify-2fa. It has no sid and the anon role, so neither the
+// /api routes nor the database accept it as a session.
+export function createTwoFactorChallenge(repId) {
+  const now = Math.floor(Date.now() / 1000)
+  return signToken({
+    sub: repId,
+    role: 'anon',
+    aud: TWO_FACTOR_AUDIENCE,
+    iat: now,
+    exp: now + TWO_FACTOR_CHALLENGE_SECONDS
+  })
+}
+
+// Returns the rep id from a valid challenge token, or null
+export function verifyTwoFactorChallenge(token) {
+  const claims = verifyToken(token)
+  if (!claims || claims.aud !== TWO_FACTOR_AUDIENCE || claims.sid) return null
+  return claims.sub
+}
+
+// Resolve the request's bearer token to
+// { sessionId, rep, impersonator, twoFactorSetupRequired }, or null.
+// impersonator is the admin behind a "view as" session, otherwise null.
+export async function getSession(req) {
+  const claims = verifyToken(getBearerToken(req))
+  if (!claims?.sid) return null
+
+  // sessions has two foreign keys to reps, so name the one to embed
+  const { data: session, error } = await supabase
+    .from('sessions')
+    .select(`
+      id, rep_id, expires_at, revoked_at, last_seen_at, impersonator_id,
+      reps!sessions_rep_id_fkey (${REP_PUBLIC_FIELDS}),
+      impersonator:reps!sessions_impersonator_id_fkey (id, name, role, is_active)
+    `)
+    .eq('id', claims.sid)
+    .maybeSingle()
+
+  if (error) throw error
+  if (!session || !session.reps) return null
+  if (session.revoked_at || session.rep_id !== claims.sub) return null
+  if (new Date(session.expires_at) <= new Date()) return null
+  if (session.reps.is_active === false) return null
+
+  // A "view as" session ends as soon as the admin behind it loses access
+  const { impersonator } = session
+  if (session.impersonator_id && (!impersonator?.is_active || impersonator.role !== 'admin')) {
+    return null
+  }
+
+  if (Date.now() - new Date(session.last_seen_at).getTime() > LAST_SEEN_RESOLUTION_MS) {
+    const { error: touchError } = await supabase
+      .from('sessions')
+      .update({ last_seen_at: new Date().toISOString() })
+      .eq('id', session.id)
+
+    if (touchError) console.error('Failed to update session last_seen_at:', touchError)
+  }
+
+  return {
+    sessionId: session.id,
+    rep: session.reps,
+    impersonator: session.impersonator_id ? { id: impersonator.id, name: impersonator.name } : null,
+    // Admins who must enroll in 2FA can only reach the enrollment routes
+    twoFactorSetupRequired: await needsTwoFactorSetup(session.reps)
+  }
+}
+
+const READ_ONLY_ERROR = "You're viewing as another rep. This is read-only."
+
+// Like getSession, but answers 401 itself. Handlers return early on null:
+//   const auth = await requireSession(req, res)
+//   if (!auth) return
+// Routes that change the rep's own account pass { writable: true } so
+// "view as" sessions are turned away with a 403.
+export async function requireSession(req, res, { writable = false } = {}) {
+  const auth = await getSession(req)
+  if (!auth) {
+    res.status(401).json({ error: 'Not signed in' })
+    return null
+  }
+  if (writable && auth.impersonator) {
+    res.status(403).json({ error: READ_ONLY_ERROR })
+    return null
+  }
+  return auth
+}
+
+// requireSession plus a permission from src/permissions.js; answers 403 itself
+export async function requirePermission(req, res, permission) {
+  const auth = await requireSession(req, res, { writable: true })
+  if (!auth) return null
+  if (auth.twoFactorSetupRequired) {
+    res.status(403).json({ error: 'Set up two-factor authentication to continue' })
+    return null
+  }
+  if (!can(auth.rep, permission)) {
+    res.status(403).json({ error: "You don't have permission to do that" })
+    return null
+  }
+  return auth
+}
+
+export async function revokeSession(sessionId) {
+  const { error } = await supabase
+    .from('sessions')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', sessionId)
+    .is('revoked_at', null)
+
+  if (error) throw error
+}
+
+// Sign a rep out of every device
+export async function revokeAllSessions(repId) {
+  const { error } = await supabase
+    .from('sessions')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('rep_id', repId)
+    .is('revoked_at', null)
+
+  if (error) throw error
+}
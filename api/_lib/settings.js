@@ -0,0 +1,55 @@
+// /api/_lib/settings.js
+// App-wide settings stored in the app_settings table (key -> JSON value).
+// DEFAULT_SETTINGS lists every known key; unknown keys are rejected on save.
+
+import { supabase } from './supabase.js'
+import { DEFAULT_TIME_ZONE, DEFAULT_WORKING_DAYS } from '../../src/metrics.js'
+
+export const DEFAULT_SETTINGS = {
+  require_admin_2fa: false,
+  // Pacing (see src/metrics.js): days stores order on, 0 = Sunday
+  working_days: DEFAULT_WORKING_DAYS,
+  pace_curve: 'even',
+  // IANA zone whose midnight ends the team's working day
+  timezone: DEFAULT_TIME_ZONE
+}
+
+export async function getSettings() {
+  const { data, error } = await supabase
+    .from('app_settings')
+    .select('key, value')
+
+  if (error) throw error
+
+  const settings = { ...DEFAULT_SETTINGS }
+  data?.forEach(({ key, value }) => {
+    if (key in DEFAULT_SETTINGS) settings[key] = value
+  })
+  return settings
+}
+
+export async function getSetting(key) {
+  const { data, error } = await supabase
+    .from('app_settings')
+    .select('value')
+    .eq('key', key)
+    .maybeSingle()
+
+  if (error) throw error
+  return data ? data.value : DEFAULT_SETTINGS[key]
+}
+
+export async function saveSettings(updates, repId) {
+  const rows = Object.entries(updates).map(([key, value]) => ({
+    key,
+    value,
+    updated_at: new Date().toISOString(),
+    updated_by: repId
+  }))
+
+  const { error } = await supabase
+    .from('app_settings')
+    .upsert(rows, { onConflict: 'key' })
+
+  if (error) throw error
+}
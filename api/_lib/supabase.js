@@ -0,0 +1,13 @@
+// /api/_lib/supabase.js
+// Service-role Supabase client shared by the serverless functions.
+// Files under /api/_lib are not deployed as routes by Vercel.
+
+import { createClient } from '@supabase/supabase-js'
+
+export const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+)
+
+// Rep columns that are safe to send to the browser (never password_hash)
+export const REP_PUBLIC_FIELDS = 'id, name, email, role, manager_id, is_admin, is_active, territories, notify_weekly_summary, notify_territory_promos, totp_enabled_at'
@@ -0,0 +1,10 @@
+// /api/_lib/tokens.js
+// Random one-time tokens (password reset links etc.).
+// Only the SHA-256 digest is stored, so a database leak can't be replayed.
+
+import crypto from 'crypto'
+
+export const generateToken = () => crypto.randomBytes(32).toString('base64url')
+
+export const hashToken = (token) =>
+  crypto.createHash('sha256').update(String(token)).digest('hex')
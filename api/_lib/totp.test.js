@@ -0,0 +1,74 @@
+/**
+ * @jest-environment node
+ */
+import { base32Decode, base32Encode, currentStep, generateCode, otpauthUrl, verifyCode } from './totp.js'
+
+// The RFC 6238 SHA-1 test key, "12345678901234567890"
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'))
+
+describe('base32', () => {
+  it('round-trips bytes', () => {
+    const bytes = Buffer.from([0, 1, 2, 250, 255, 128, 64])
+    expect(base32Decode(base32Encode(bytes))).toEqual(bytes)
+  })
+
+  it('ignores case, spaces, dashes and padding', () => {
+    expect(base32Decode('mzxw 6ytb-oi======').toString()).toBe('foobar')
+  })
+
+  it('rejects characters outside the alphabet', () => {
+    expect(() => base32Decode('ABC1')).toThrow('Invalid base32 character')
+  })
+})
+
+describe('generateCode', () => {
+  // RFC 6238 appendix B, truncated to 6 digits
+  it.each([
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1111111111, '050471'],
+    [1234567890, '005924'],
+    [2000000000, '279037'],
+    [20000000000, '353130']
+  ])('matches the RFC vector at %i seconds', (seconds, code) => {
+    expect(generateCode(RFC_SECRET, currentStep(seconds * 1000))).toBe(code)
+  })
+})
+
+describe('verifyCode', () => {
+  const NOW = 1234567890 * 1000
+  const step = currentStep(NOW)
+
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(NOW)
+  })
+
+  it('accepts the current code and one step of drift either way', () => {
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step))).toBe(step)
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1))).toBe(step - 1)
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1))).toBe(step + 1)
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2))).toBeNull()
+  })
+
+  it('allows spaces but not other formats', () => {
+    const code = generateCode(RFC_SECRET, step)
+    expect(verifyCode(RFC_SECRET, `${code.slice(0, 3)} ${code.slice(3)}`)).toBe(step)
+    expect(verifyCode(RFC_SECRET, '12345')).toBeNull()
+    expect(verifyCode(RFC_SECRET, 'abcdef')).toBeNull()
+    expect(verifyCode(RFC_SECRET, null)).toBeNull()
+  })
+
+  it('rejects a code that was already used', () => {
+    const code = generateCode(RFC_SECRET, step)
+    expect(verifyCode(RFC_SECRET, code, { lastUsedStep: step })).toBeNull()
+    expect(verifyCode(RFC_SECRET, code, { lastUsedStep: step - 1 })).toBe(step)
+  })
+})
+
+describe('otpauthUrl', () => {
+  it('names the issuer and account', () => {
+    expect(otpauthUrl('ABC', 'rep@example.com')).toBe(
+      'otpauth://totp/PromoSync%3Arep%40example.com?secret=ABC&issuer=PromoSync&algorithm=SHA1&digits=6&period=30'
+    )
+  })
+})
@@ -0,0 +1,104 @@
+// /api/_lib/two-factor.js
+// TOTP enrollment state, recovery codes and the admin 2FA requirement.
+
+import crypto from 'crypto'
+import { supabase } from './supabase.js'
+import { getSetting } from './settings.js'
+import { hashToken } from './tokens.js'
+import { verifyCode } from './totp.js'
+
+const RECOVERY_CODE_COUNT = 10
+const RECOVERY_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789'
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '')
+
+// True when the rep is an admin who must enroll before doing anything else
+export async function needsTwoFactorSetup(rep) {
+  if (!rep || rep.role !== 'admin' || rep.totp_enabled_at) return false
+  return (await getSetting('require_admin_2fa')) === true
+}
+
+// Replaces the rep's recovery codes and returns the new ones in plain text.
+// They are only ever shown once; we keep hashes.
+export async function createRecoveryCodes(repId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const chars = Array.from(crypto.randomBytes(10), byte => RECOVERY_ALPHABET[byte % RECOVERY_ALPHABET.length])
+    return `${chars.slice(0, 5).join('')}-${chars.slice(5).join('')}`
+  })
+
+  const { error: deleteError } = await supabase
+    .from('recovery_codes')
+    .delete()
+    .eq('rep_id', repId)
+
+  if (deleteError) throw deleteError
+
+  const { error } = await supabase
+    .from('recovery_codes')
+    .insert(codes.map(code => ({ rep_id: repId, code_hash: hashToken(normalizeRecoveryCode(code)) })))
+
+  if (error) throw error
+  return codes
+}
+
+// Marks a recovery code used; resolves to true if it was valid and unused
+async function consumeRecoveryCode(repId, code) {
+  const { data, error } = await supabase
+    .from('recovery_codes')
+    .update({ used_at: new Date().toISOString() })
+    .eq('rep_id', repId)
+    .eq('code_hash', hashToken(normalizeRecoveryCode(code)))
+    .is('used_at', null)
+    .select('id')
+
+  if (error) throw error
+  return data.length > 0
+}
+
+// Checks a 6-digit app code (or a recovery code) for a rep with 2FA enabled.
+// rep must include id, totp_secret and totp_last_used_step.
+// Resolves to 'totp', 'recovery_code' or null.
+export async function verifyTwoFactor(rep, { code, recoveryCode }) {
+  if (recoveryCode) {
+    return (await consumeRecoveryCode(rep.id, recoveryCode)) ? 'recovery_code' : null
+  }
+
+  const step = verifyCode(rep.totp_secret, code, { lastUsedStep: rep.totp_last_used_step })
+  if (step === null) return null
+
+  // Only accept the step if nobody else used it first
+  let claim = supabase
+    .from('reps')
+    .update({ totp_last_used_step: step })
+    .eq('id', rep.id)
+
+  claim = rep.totp_last_used_step === null
+    ? claim.is('totp_last_used_step', null)
+    : claim.eq('totp_last_used_step', rep.totp_last_used_step)
+
+  const { data, error } = await claim.select('id')
+
+  if (error) throw error
+  return data.length > 0 ? 'totp' : null
+}
+
+export async function disableTwoFactor(repId) {
+  const { error } = await supabase
+    .from('reps')
+    .update({
+      totp_secret: null,
+      totp_pending_secret: null,
+      totp_enabled_at: null,
+      totp_last_used_step: null
+    })
+    .eq('id', repId)
+
+  if (error) throw error
+
+  const { error: codesError } = await supabase
+    .from('recovery_codes')
+    .delete()
+    .eq('rep_id', repId)
+
+  if (codesError) throw codesError
+}
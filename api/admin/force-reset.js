@@ -0,0 +1,53 @@
+// /api/admin/force-reset.js
+// Admin-forced password reset: clears the rep's password, signs them out
+// everywhere and emails them a link to choose a new one.
+
+import { supabase } from '../_lib/supabase.js'
+import { issuePasswordLink } from '../_lib/password-reset.js'
+import { requirePermission, revokeAllSessions } from '../_lib/session.js'
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  const { repId } = req.body || {}
+
+  if (!repId) {
+    return res.status(400).json({ error: 'Missing required field: repId' })
+  }
+
+  try {
+    const auth = await requirePermission(req, res, 'manage_reps')
+    if (!auth) return
+
+    const { data: rep, error } = await supabase
+      .from('reps')
+      .select('id, name, email, is_active')
+      .eq('id', repId)
+      .maybeSingle()
+
+    if (error) throw error
+    if (!rep) return res.status(404).json({ error: 'Rep not found' })
+
+    if (!rep.is_active) {
+      return res.status(400).json({ error: 'Reactivate this rep before resetting their password' })
+    }
+
+    const { error: clearError } = await supabase
+      .from('reps')
+      .update({ password_hash: null })
+      .eq('id', rep.id)
+
+    if (clearError) throw clearError
+
+    await revokeAllSessions(rep.id)
+
+    const emailed = await issuePasswordLink(rep, 'forced')
+
+    return res.status(200).json({ success: true, emailed })
+  } catch (error) {
+    console.error('Force reset error:', error)
+    return res.status(500).json({ error: 'Failed to reset password' })
+  }
+}
@@ -0,0 +1,59 @@
+// /api/admin/holidays.js
+// Holiday calendar used for quarter pacing (days stores don't order).
+//   GET    - all holidays, oldest first
+//   POST   - { date: 'YYYY-MM-DD', name } adds one
+//   DELETE - { id } removes one
+
+import { supabase } from '../_lib/supabase.js'
+import { requirePermission } from '../_lib/session.js'
+
+const isDate = (value) =>
+  typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value))
+
+export default async function handler(req, res) {
+  if (!['GET', 'POST', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const auth = await requirePermission(req, res, 'manage_settings')
+    if (!auth) return
+
+    if (req.method === 'POST') {
+      const { date, name } = req.body || {}
+
+      if (!isDate(date) || !name?.trim()) {
+        return res.status(400).json({ error: 'A date (YYYY-MM-DD) and name are required' })
+      }
+
+      const { error } = await supabase
+        .from('holidays')
+        .insert({ holiday_date: date, name: name.trim(), created_by: auth.rep.id })
+
+      if (error?.code === '23505') {
+        return res.status(409).json({ error: 'There is already a holiday on that date' })
+      }
+      if (error) throw error
+    }
+
+    if (req.method === 'DELETE') {
+      const { id } = req.body || {}
+      if (!id) return res.status(400).json({ error: 'Missing required field: id' })
+
+      const { error } = await supabase.from('holidays').delete().eq('id', id)
+      if (error) throw error
+    }
+
+    const { data: holidays, error } = await supabase
+      .from('holidays')
+      .select('id, holiday_date, name')
+      .order('holiday_date')
+
+    if (error) throw error
+
+    return res.status(200).json({ holidays })
+  } catch (error) {
+    console.error('Holidays error:', error)
+    return res.status(500).json({ error: 'Failed to update holidays' })
+  }
+}
@@ -0,0 +1,69 @@
+// /api/admin/impersonate.js
+// Start a read-only "view as" session for a rep so an admin can see exactly
+// what the rep's dashboard shows. The admin keeps their own session; the
+// browser swaps back to it when the view ends (POST /api/auth/logout with the
+// impersonation token). Start and end are recorded in activity_log; the end
+// is logged by the database whenever the session is revoked or expires.
+
+import { supabase, REP_PUBLIC_FIELDS } from '../_lib/supabase.js'
+import { createSession, requirePermission } from '../_lib/session.js'
+import { logActivity } from '../_lib/activity.js'
+
+const IMPERSONATION_TTL_SECONDS = 60 * 60 // 1 hour
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  const { repId } = req.body || {}
+
+  if (!repId) {
+    return res.status(400).json({ error: 'Missing required field: repId' })
+  }
+
+  try {
+    const auth = await requirePermission(req, res, 'manage_reps')
+    if (!auth) return
+
+    const { data: rep, error } = await supabase
+      .from('reps')
+      .select(REP_PUBLIC_FIELDS)
+      .eq('id', repId)
+      .maybeSingle()
+
+    if (error) throw error
+    if (!rep) return res.status(404).json({ error: 'Rep not found' })
+
+    if (rep.id === auth.rep.id) {
+      return res.status(400).json({ error: "You can't view as yourself" })
+    }
+    if (rep.role === 'admin') {
+      return res.status(400).json({ error: "Admins can't view as other admins" })
+    }
+    if (!rep.is_active) {
+      return res.status(400).json({ error: 'Reactivate this rep first' })
+    }
+
+    const { token, sessionId, expiresAt } = await createSession(rep.id, req, {
+      impersonatorId: auth.rep.id,
+      ttlSeconds: IMPERSONATION_TTL_SECONDS
+    })
+
+    await logActivity({
+      actionType: 'impersonation_started',
+      repId: auth.rep.id,
+      details: { target_rep_id: rep.id, target_rep_name: rep.name, session_id: sessionId }
+    })
+
+    return res.status(200).json({
+      token,
+      expiresAt,
+      user: rep,
+      impersonator: { id: auth.rep.id, name: auth.rep.name }
+    })
+  } catch (error) {
+    console.error('Impersonation error:', error)
+    return res.status(500).json({ error: 'Failed to view as rep' })
+  }
+}
@@ -0,0 +1,62 @@
+// /api/admin/login-events.js
+// Recent sign-in attempts for one rep, plus whether they are locked out.
+//   GET ?repId=<id>&limit=<n>
+
+import { supabase } from '../_lib/supabase.js'
+import { requirePermission } from '../_lib/session.js'
+import { getLoginThrottle } from '../_lib/login-throttle.js'
+
+const DEFAULT_LIMIT = 20
+const MAX_LIMIT = 100
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  const { repId } = req.query
+  const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT)
+
+  if (!repId) {
+    return res.status(400).json({ error: 'Missing required field: repId' })
+  }
+
+  try {
+    const auth = await requirePermission(req, res, 'manage_reps')
+    if (!auth) return
+
+    const { data: rep, error: repError } = await supabase
+      .from('reps')
+      .select('id, email')
+      .eq('id', repId)
+      .maybeSingle()
+
+    if (repError) throw repError
+    if (!rep) return res.status(404).json({ error: 'Rep not found' })
+
+    // Include attempts against the rep's email that didn't resolve to them
+    // (e.g. made before the account existed)
+    let query = supabase
+      .from('login_events')
+      .select('id, event, reason, user_agent, ip_address, created_at')
+      .order('created_at', { ascending: false })
+      .limit(limit)
+
+    query = rep.email
+      ? query.or(`rep_id.eq.${rep.id},email.eq."${rep.email}"`)
+      : query.eq('rep_id', rep.id)
+
+    const { data: events, error } = await query
+
+    if (error) throw error
+
+    const { failures, lockedUntil } = rep.email
+      ? await getLoginThrottle(rep.email)
+      : { failures: 0, lockedUntil: null }
+
+    return res.status(200).json({ events, failures, lockedUntil })
+  } catch (error) {
+    console.error('Login events error:', error)
+    return res.status(500).json({ error: 'Failed to load sign-in history' })
+  }
+}
@@ -0,0 +1,113 @@
+// /api/admin/promos.js
+// The promo catalog.
+//   GET   - every promo with how many accounts are on it
+//   POST  - { promo_name, promo_code, discount, terms, allowed_terms,
+//             default_target_units, min_target_units, start_date, end_date,
+//             is_active, target_overrides, tiers } creates one (clones too)
+//   PATCH - { id, ...fields } edits one; omitted fields keep their value, so
+//           { id, is_active: false } deactivates it
+//
+// target_overrides ([{ territory_id | account_size, target_units }]) and
+// tiers ([{ min_units, discount }]), when sent, replace the promo's
+// per-territory/per-size targets and discount tiers.
+//
+// The promo, its overrides and its tiers are saved together by save_promo().
+// Edits only check and write the fields they send, so promos entered before
+// a rule existed can still be edited.
+//
+// Promos are never deleted: assignments and transactions keep pointing at
+// them. Validation rules live in src/promos.js so the form shares them.
+
+import { supabase } from '../_lib/supabase.js'
+import { requirePermission } from '../_lib/session.js'
+import { validatePromo, validateTargetOverrides, validateTiers } from '../../src/promos.js'
+
+async function listPromos() {
+  const [promosResult, assignmentsResult] = await Promise.all([
+    supabase
+      .from('promos')
+      .select('*, promo_target_overrides ( territory_id, account_size, target_units ), promo_tiers ( min_units, discount )')
+      .order('start_date', { ascending: false, nullsFirst: false }),
+    supabase.from('account_promos').select('promo_id')
+  ])
+
+  if (promosResult.error) throw promosResult.error
+  if (assignmentsResult.error) throw assignmentsResult.error
+
+  const counts = {}
+  assignmentsResult.data.forEach(({ promo_id }) => {
+    counts[promo_id] = (counts[promo_id] || 0) + 1
+  })
+
+  return promosResult.data.map(promo => ({ ...promo, account_count: counts[promo.id] || 0 }))
+}
+
+export default async function handler(req, res) {
+  if (!['GET', 'POST', 'PATCH'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const auth = await requirePermission(req, res, 'manage_promos')
+    if (!auth) return
+
+    if (req.method === 'GET') {
+      return res.status(200).json({ promos: await listPromos() })
+    }
+
+    const { id, target_overrides: targetOverrides, tiers, ...changes } = req.body || {}
+
+    let current = {}
+    if (req.method === 'PATCH') {
+      if (!id) return res.status(400).json({ error: 'Missing required field: id' })
+
+      const { data, error: loadError } = await supabase
+        .from('promos')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle()
+
+      if (loadError) throw loadError
+      if (!data) return res.status(404).json({ error: 'Promo not found' })
+      current = data
+    }
+
+    const { error: invalid, values } = validatePromo(changes, req.method === 'PATCH' ? current : null)
+    if (invalid) return res.status(400).json({ error: invalid })
+
+    // Leave overrides and tiers alone unless the form sent them
+    let overrides = null
+    if (targetOverrides !== undefined) {
+      const minTarget = values.min_target_units !== undefined ? values.min_target_units : current.min_target_units
+      const checked = validateTargetOverrides(targetOverrides, minTarget)
+      if (checked.error) return res.status(400).json({ error: checked.error })
+      overrides = checked.values
+    }
+
+    let tierValues = null
+    if (tiers !== undefined) {
+      const checked = validateTiers(tiers)
+      if (checked.error) return res.status(400).json({ error: checked.error })
+      tierValues = checked.values
+    }
+
+    const { error } = await supabase.rpc('save_promo', {
+      p_promo_id: req.method === 'PATCH' ? id : null,
+      p_values: values,
+      p_overrides: overrides,
+      p_tiers: tierValues
+    })
+
+    if (error?.code === '23505') {
+      return res.status(409).json({ error: 'There is already a promo with that code' })
+    }
+    if (error?.code === '23514') return res.status(400).json({ error: error.message })
+    if (error?.code === 'P0002') return res.status(404).json({ error: 'Promo not found' })
+    if (error) throw error
+
+    return res.status(200).json({ promos: await listPromos() })
+  } catch (error) {
+    console.error('Promos error:', error)
+    return res.status(500).json({ error: 'Failed to update promos' })
+  }
+}
@@ -0,0 +1,211 @@
+// /api/admin/reps.js
+// Admin rep management.
+//   GET   - list every rep, including deactivated and locked-out ones
+//   POST  - add a rep, either with a temporary password or an emailed invite
+//   PATCH - change a rep's name, role, manager, territories or active state
+//
+// Reps are never deleted: deactivating keeps their history attributed to them
+// but blocks sign-in and ends their sessions.
+
+import { supabase, REP_PUBLIC_FIELDS } from '../_lib/supabase.js'
+import { hashPassword, validateNewPassword } from '../_lib/password.js'
+import { issuePasswordLink } from '../_lib/password-reset.js'
+import { requirePermission, revokeAllSessions } from '../_lib/session.js'
+import { fetchRecentAttempts, summarizeAttempts } from '../_lib/login-throttle.js'
+import { ROLES } from '../../src/permissions.js'
+
+const REP_ADMIN_FIELDS = `${REP_PUBLIC_FIELDS}, deactivated_at`
+
+const isStringList = (value) =>
+  Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim())
+
+// Checks the editable fields that are present; returns an error string or null
+const validateRepFields = ({ name, role, territories }) => {
+  if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+    return 'Name is required'
+  }
+  if (role !== undefined && !ROLES.includes(role)) {
+    return `Role must be one of: ${ROLES.join(', ')}`
+  }
+  if (territories !== undefined && territories !== null && !isStringList(territories)) {
+    return 'Territories must be a list of territory names'
+  }
+  return null
+}
+
+// Territories are picked from the managed list (see /api/admin/territories)
+const findUnknownTerritory = async (territories) => {
+  if (!territories?.length) return null
+
+  const { data, error } = await supabase
+    .from('territories')
+    .select('name')
+    .in('name', territories)
+
+  if (error) throw error
+  return territories.find(t => !data.some(row => row.name === t)) || null
+}
+
+async function listReps(req, res) {
+  const { data: reps, error } = await supabase
+    .from('reps')
+    .select(REP_ADMIN_FIELDS)
+    .order('name')
+
+  if (error) throw error
+
+  // Flag reps who are currently locked out of signing in
+  const emails = reps.map(rep => rep.email).filter(Boolean)
+  const attempts = emails.length > 0 ? await fetchRecentAttempts(emails) : []
+
+  // ...and how many devices each rep is signed in on
+  const { data: sessions, error: sessionsError } = await supabase
+    .from('sessions')
+    .select('rep_id, last_seen_at')
+    .is('revoked_at', null)
+    .is('impersonator_id', null)
+    .gt('expires_at', new Date().toISOString())
+
+  if (sessionsError) throw sessionsError
+
+  const withStatus = reps.map(rep => {
+    const repSessions = sessions.filter(session => session.rep_id === rep.id)
+    return {
+      ...rep,
+      locked_until: rep.email
+        ? summarizeAttempts(attempts.filter(a => a.email === rep.email)).lockedUntil
+        : null,
+      active_sessions: repSessions.length,
+      last_seen_at: repSessions.reduce(
+        (latest, session) => (!latest || session.last_seen_at > latest ? session.last_seen_at : latest),
+        null
+      )
+    }
+  })
+
+  return res.status(200).json({ reps: withStatus })
+}
+
+async function createRep(req, res) {
+  const { name, email, role = 'rep', manager_id = null, territories = [], password } = req.body || {}
+
+  if (!name || !email) {
+    return res.status(400).json({ error: 'Missing required fields: name, email' })
+  }
+
+  const fieldError = validateRepFields({ name, role, territories })
+  if (fieldError) return res.status(400).json({ error: fieldError })
+
+  const unknownTerritory = await findUnknownTerritory(territories)
+  if (unknownTerritory) return res.status(400).json({ error: `Unknown territory: ${unknownTerritory}` })
+
+  if (password) {
+    const passwordError = validateNewPassword(password)
+    if (passwordError) return res.status(400).json({ error: passwordError })
+  }
+
+  const { data: rep, error } = await supabase
+    .from('reps')
+    .insert({
+      name: name.trim(),
+      email: email.trim().toLowerCase(),
+      role,
+      manager_id: manager_id || null,
+      territories,
+      password_hash: password ? await hashPassword(password) : null
+    })
+    .select(REP_ADMIN_FIELDS)
+    .single()
+
+  if (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A rep with that email already exists' })
+    }
+    throw error
+  }
+
+  // Without a temporary password the rep picks their own from the invite
+  const invited = password ? false : await issuePasswordLink(rep, 'invite')
+
+  return res.status(201).json({ rep, invited })
+}
+
+async function updateRep(req, res, auth) {
+  const { id, name, role, manager_id, territories, is_active } = req.body || {}
+
+  if (!id) {
+    return res.status(400).json({ error: 'Missing required field: id' })
+  }
+
+  const fieldError = validateRepFields({ name, role, territories })
+  if (fieldError) return res.status(400).json({ error: fieldError })
+
+  const unknownTerritory = await findUnknownTerritory(territories)
+  if (unknownTerritory) return res.status(400).json({ error: `Unknown territory: ${unknownTerritory}` })
+
+  // Admins can't lock themselves out of this screen
+  if (id === auth.rep.id && (is_active === false || (role && role !== 'admin'))) {
+    return res.status(400).json({ error: "You can't deactivate or demote your own account" })
+  }
+
+  if (manager_id && manager_id === id) {
+    return res.status(400).json({ error: "A rep can't be their own manager" })
+  }
+
+  const updates = {}
+  if (name !== undefined) updates.name = name.trim()
+  if (role !== undefined) updates.role = role
+  if (manager_id !== undefined) updates.manager_id = manager_id || null
+  if (territories !== undefined) updates.territories = territories || []
+  if (is_active !== undefined) {
+    updates.is_active = Boolean(is_active)
+    updates.deactivated_at = is_active ? null : new Date().toISOString()
+  }
+
+  if (Object.keys(updates).length === 0) {
+    return res.status(400).json({ error: 'Nothing to update' })
+  }
+
+  const { data: rep, error } = await supabase
+    .from('reps')
+    .update(updates)
+    .eq('id', id)
+    .select(REP_ADMIN_FIELDS)
+    .maybeSingle()
+
+  if (error) throw error
+  if (!rep) return res.status(404).json({ error: 'Rep not found' })
+
+  if (updates.is_active === false) {
+    await revokeAllSessions(id)
+
+    // Outstanding invite or reset links stop working too
+    const { error: linkError } = await supabase
+      .from('password_resets')
+      .update({ used_at: new Date().toISOString() })
+      .eq('rep_id', id)
+      .is('used_at', null)
+
+    if (linkError) throw linkError
+  }
+
+  return res.status(200).json({ rep })
+}
+
+export default async function handler(req, res) {
+  if (!['GET', 'POST', 'PATCH'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const auth = await requirePermission(req, res, 'manage_reps')
+    if (!auth) return
+
+    if (req.method === 'GET') return await listReps(req, res)
+    if (req.method === 'POST') return await createRep(req, res)
+    return await updateRep(req, res, auth)
+  } catch (error) {
+    console.error('Rep management error:', error)
+    return res.status(500).json({ error: 'Failed to manage reps' })
+  }
+}
@@ -0,0 +1,40 @@
+// /api/admin/revoke-sessions.js
+// Sign a rep out of every device, e.g. when they leave the company or lose
+// a phone. Their password is unchanged, so they can sign back in unless they
+// are also deactivated.
+
+import { supabase } from '../_lib/supabase.js'
+import { requirePermission, revokeAllSessions } from '../_lib/session.js'
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  const { repId } = req.body || {}
+
+  if (!repId) {
+    return res.status(400).json({ error: 'Missing required field: repId' })
+  }
+
+  try {
+    const auth = await requirePermission(req, res, 'manage_reps')
+    if (!auth) return
+
+    const { data: rep, error } = await supabase
+      .from('reps')
+      .select('id')
+      .eq('id', repId)
+      .maybeSingle()
+
+    if (error) throw error
+    if (!rep) return res.status(404).json({ error: 'Rep not found' })
+
+    await revokeAllSessions(rep.id)
+
+    return res.status(200).json({ success: true })
+  } catch (error) {
+    console.error('Revoke sessions error:', error)
+    return res.status(500).json({ error: 'Failed to sign out rep' })
+  }
+}
@@ -0,0 +1,59 @@
+// /api/admin/settings.js
+// App-wide settings (see /api/_lib/settings.js).
+//   GET - current settings
+//   PUT - save the settings present in the body
+
+import { DEFAULT_SETTINGS, getSettings, saveSettings } from '../_lib/settings.js'
+import { requirePermission } from '../_lib/session.js'
+import { PACE_CURVES, isTimeZone } from '../../src/metrics.js'
+
+// Settings that need more than a type check
+const VALIDATORS = {
+  working_days: (value) =>
+    Array.isArray(value) &&
+    value.length > 0 &&
+    value.every(day => Number.isInteger(day) && day >= 0 && day <= 6) &&
+    new Set(value).size === value.length,
+  pace_curve: (value) => Object.hasOwn(PACE_CURVES, value),
+  timezone: isTimeZone
+}
+
+// Expected type of each setting's value
+const validateSettings = (updates) => {
+  for (const [key, value] of Object.entries(updates)) {
+    if (!(key in DEFAULT_SETTINGS)) return `Unknown setting: ${key}`
+    if (typeof value !== typeof DEFAULT_SETTINGS[key]) return `Invalid value for ${key}`
+    if (VALIDATORS[key] && !VALIDATORS[key](value)) return `Invalid value for ${key}`
+  }
+  return null
+}
+
+export default async function handler(req, res) {
+  if (!['GET', 'PUT'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const auth = await requirePermission(req, res, 'manage_settings')
+    if (!auth) return
+
+    if (req.method === 'PUT') {
+      const updates = req.body || {}
+      const invalid = validateSettings(updates)
+      if (invalid) return res.status(400).json({ error: invalid })
+
+      // Turning the requirement on would lock the admin doing it out of
+      // this screen until they enroll, so ask them to enroll first
+      if (updates.require_admin_2fa === true && !auth.rep.totp_enabled_at) {
+        return res.status(400).json({ error: 'Turn on two-factor authentication for your own account first' })
+      }
+
+      await saveSettings(updates, auth.rep.id)
+    }
+
+    return res.status(200).json({ settings: await getSettings() })
+  } catch (error) {
+    console.error('Settings error:', error)
+    return res.status(500).json({ error: 'Failed to save settings' })
+  }
+}
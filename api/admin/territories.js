@@ -0,0 +1,87 @@
+// /api/admin/territories.js
+// The territory list every filter, export and alert reads from.
+//   GET    - all territories with how many accounts and reps use each
+//   POST   - { name } adds one
+//   PATCH  - { id, name } renames one (reps' alert subscriptions follow)
+//   DELETE - { id, mergeInto } merges id into mergeInto: its accounts and
+//            reps move over, then it is removed
+//
+// Renames and merges run as database functions so they apply in one
+// transaction (see supabase/migrations/*_territories.sql).
+
+import { supabase } from '../_lib/supabase.js'
+import { requirePermission } from '../_lib/session.js'
+
+// Returns an error string or null
+const validateName = (name) => {
+  if (typeof name !== 'string' || !name.trim()) return 'Territory name is required'
+  if (name.includes(',')) return 'Territory names cannot contain commas'
+  if (name.trim().length > 50) return 'Territory names must be 50 characters or fewer'
+  return null
+}
+
+async function listTerritories() {
+  const [territoriesResult, linksResult, repsResult] = await Promise.all([
+    supabase.from('territories').select('id, name').order('name'),
+    supabase.from('account_territories').select('territory_id'),
+    supabase.from('reps').select('territories').eq('is_active', true)
+  ])
+
+  if (territoriesResult.error) throw territoriesResult.error
+  if (linksResult.error) throw linksResult.error
+  if (repsResult.error) throw repsResult.error
+
+  return territoriesResult.data.map(territory => ({
+    ...territory,
+    account_count: linksResult.data.filter(l => l.territory_id === territory.id).length,
+    rep_count: repsResult.data.filter(r => r.territories?.includes(territory.name)).length
+  }))
+}
+
+export default async function handler(req, res) {
+  if (!['GET', 'POST', 'PATCH', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const auth = await requirePermission(req, res, 'manage_settings')
+    if (!auth) return
+
+    const { id, name, mergeInto } = req.body || {}
+    let error = null
+
+    if (req.method === 'POST' || req.method === 'PATCH') {
+      const nameError = validateName(name)
+      if (nameError) return res.status(400).json({ error: nameError })
+    }
+    if ((req.method === 'PATCH' || req.method === 'DELETE') && !id) {
+      return res.status(400).json({ error: 'Missing required field: id' })
+    }
+
+    if (req.method === 'POST') {
+      ({ error } = await supabase.from('territories').insert({ name: name.trim() }))
+    }
+
+    if (req.method === 'PATCH') {
+      ({ error } = await supabase.rpc('rename_territory', { p_id: id, p_name: name.trim() }))
+    }
+
+    if (req.method === 'DELETE') {
+      if (!mergeInto || mergeInto === id) {
+        return res.status(400).json({ error: 'Choose a different territory to merge into' })
+      }
+      ({ error } = await supabase.rpc('merge_territories', { p_source: id, p_target: mergeInto }))
+    }
+
+    if (error?.code === '23505') {
+      return res.status(409).json({ error: 'There is already a territory with that name' })
+    }
+    if (error?.code === 'P0002') return res.status(404).json({ error: error.message })
+    if (error) throw error
+
+    return res.status(200).json({ territories: await listTerritories() })
+  } catch (error) {
+    console.error('Territories error:', error)
+    return res.status(500).json({ error: 'Failed to update territories' })
+  }
+}
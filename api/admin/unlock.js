@@ -0,0 +1,48 @@
+// /api/admin/unlock.js
+// Clear a rep's login lockout. Recorded as an "unlocked" login event, which
+// resets the failed-attempt count.
+
+import { supabase } from '../_lib/supabase.js'
+import { requirePermission } from '../_lib/session.js'
+import { recordLoginEvent } from '../_lib/login-throttle.js'
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  const { repId } = req.body || {}
+
+  if (!repId) {
+    return res.status(400).json({ error: 'Missing required field: repId' })
+  }
+
+  try {
+    const auth = await requirePermission(req, res, 'manage_reps')
+    if (!auth) return
+
+    const { data: rep, error } = await supabase
+      .from('reps')
+      .select('id, email')
+      .eq('id', repId)
+      .maybeSingle()
+
+    if (error) throw error
+    if (!rep) return res.status(404).json({ error: 'Rep not found' })
+    if (!rep.email) return res.status(400).json({ error: 'This rep has no email to unlock' })
+
+    const unlocked = await recordLoginEvent(req, {
+      email: rep.email,
+      repId: rep.id,
+      event: 'unlocked',
+      reason: `Unlocked by ${auth.rep.name}`
+    })
+
+    if (!unlocked) throw new Error('Could not record unlock event')
+
+    return res.status(200).json({ success: true })
+  } catch (error) {
+    console.error('Unlock error:', error)
+    return res.status(500).json({ error: 'Failed to unlock account' })
+  }
+}
@@ -0,0 +1,141 @@
+// /api/assignments.js
+// Put an account on a promo, or edit its assignment.
+//   POST  - { accountId | newAccount: { name, accountNumber, accountSize, territoryIds },
+//             promoId, targetUnits, terms, initialUnits }
+//   PATCH - { assignmentId, promoId, targetUnits, terms }; moving to another
+//           promo takes the units already logged with it (update_assignment)
+//
+// Creating the account (if new), the assignment, the initial units and their
+// activity_log entries happen in one database transaction (the
+// create_assignment function), so a failure leaves nothing half-created.
+// Territory alerts go out only once it has committed. A target below the
+// promo's minimum, or terms the promo doesn't allow, are refused by the
+// database (400).
+
+import { supabase } from './_lib/supabase.js'
+import { requirePermission } from './_lib/session.js'
+import { notifyPromoAssigned } from './_lib/promo-notifications.js'
+import { ACCOUNT_SIZES } from '../src/promos.js'
+import { validateTerms } from '../src/paymentTerms.js'
+
+const isWholeNumber = (value, min) => Number.isInteger(value) && value >= min
+
+async function updateAssignment(req, res) {
+  const { assignmentId, promoId, terms, targetUnits } = req.body || {}
+
+  if (!assignmentId) {
+    return res.status(400).json({ error: 'Missing required field: assignmentId' })
+  }
+  if (!promoId || !isWholeNumber(targetUnits, 1)) {
+    return res.status(400).json({ error: 'A promo and a target of at least 1 unit are required' })
+  }
+
+  const { error: termsError, value: checkedTerms } = validateTerms(terms)
+  if (termsError) return res.status(400).json({ error: termsError })
+
+  const auth = await requirePermission(req, res, 'manage_assignments')
+  if (!auth) return
+
+  const { error } = await supabase.rpc('update_assignment', {
+    p_rep_id: auth.rep.id,
+    p_assignment_id: assignmentId,
+    p_promo_id: promoId,
+    p_target_units: targetUnits,
+    p_terms: checkedTerms
+  })
+
+  if (error?.code === 'P0002') return res.status(404).json({ error: error.message })
+  if (error?.code === '23514') return res.status(400).json({ error: error.message })
+  if (error?.code === '23505') {
+    return res.status(409).json({ error: 'This account is already on that promo' })
+  }
+  if (error) throw error
+
+  return res.status(200).json({ success: true })
+}
+
+export default async function handler(req, res) {
+  if (!['POST', 'PATCH'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  if (req.method === 'PATCH') {
+    try {
+      return await updateAssignment(req, res)
+    } catch (error) {
+      console.error('Assignment update error:', error)
+      return res.status(500).json({ error: 'Failed to update assignment' })
+    }
+  }
+
+  const { accountId, newAccount, promoId, terms, targetUnits, initialUnits = 0 } = req.body || {}
+
+  if (!promoId || !isWholeNumber(targetUnits, 1)) {
+    return res.status(400).json({ error: 'A promo and a target of at least 1 unit are required' })
+  }
+  if (!isWholeNumber(initialUnits, 0)) {
+    return res.status(400).json({ error: 'Initial units must be a whole number' })
+  }
+  if (Boolean(accountId) === Boolean(newAccount)) {
+    return res.status(400).json({ error: 'Provide either accountId or newAccount' })
+  }
+  if (newAccount && !newAccount.name?.trim()) {
+    return res.status(400).json({ error: 'Account name is required' })
+  }
+  if (newAccount?.accountSize && !ACCOUNT_SIZES[newAccount.accountSize]) {
+    return res.status(400).json({ error: `Unknown account size: ${newAccount.accountSize}` })
+  }
+
+  const { error: termsError, value: checkedTerms } = validateTerms(terms)
+  if (termsError) return res.status(400).json({ error: termsError })
+
+  try {
+    const auth = await requirePermission(req, res, 'manage_assignments')
+    if (!auth) return
+
+    const { data: assignmentId, error } = await supabase.rpc('create_assignment', {
+      p_rep_id: auth.rep.id,
+      p_account_id: accountId || null,
+      p_new_account: newAccount
+        ? {
+            account_name: newAccount.name.trim(),
+            account_number: newAccount.accountNumber?.trim() || null,
+            account_size: newAccount.accountSize || null,
+            territory_ids: newAccount.territoryIds || []
+          }
+        : null,
+      p_promo_id: promoId,
+      p_target_units: targetUnits,
+      p_terms: checkedTerms,
+      p_initial_units: initialUnits
+    })
+
+    if (error?.code === 'P0002') return res.status(404).json({ error: error.message })
+    if (error?.code === '23514') return res.status(400).json({ error: error.message })
+    if (error?.code === '23505') {
+      return res.status(409).json({ error: 'This account is already on that promo' })
+    }
+    if (error) throw error
+
+    const { data: assignment, error: loadError } = await supabase
+      .from('account_promos')
+      .select('*, accounts (*), promos (*)')
+      .eq('id', assignmentId)
+      .single()
+
+    if (loadError) throw loadError
+
+    // The assignment is saved either way; a failed email shouldn't undo it
+    let notified = 0
+    try {
+      ({ sent: notified } = await notifyPromoAssigned(assignment, auth.rep.name || auth.rep.email))
+    } catch (notifyError) {
+      console.error('Assignment notification error:', notifyError)
+    }
+
+    return res.status(201).json({ assignment, notified })
+  } catch (error) {
+    console.error('Assignment error:', error)
+    return res.status(500).json({ error: 'Failed to add account to promo' })
+  }
+}
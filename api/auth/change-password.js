@@ -0,0 +1,61 @@
+// /api/auth/change-password.js
+// Change the signed-in rep's password. Other sessions are signed out.
+
+import { supabase } from '../_lib/supabase.js'
+import { hashPassword, validateNewPassword, verifyPassword } from '../_lib/password.js'
+import { requireSession } from '../_lib/session.js'
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  const { currentPassword, newPassword } = req.body || {}
+
+  if (!currentPassword || !newPassword) {
+    return res.status(400).json({ error: 'Missing required fields: currentPassword, newPassword' })
+  }
+
+  const invalid = validateNewPassword(newPassword)
+  if (invalid) {
+    return res.status(400).json({ error: invalid })
+  }
+
+  try {
+    const auth = await requireSession(req, res, { writable: true })
+    if (!auth) return
+
+    const { data: rep, error: fetchError } = await supabase
+      .from('reps')
+      .select('password_hash')
+      .eq('id', auth.rep.id)
+      .single()
+
+    if (fetchError) throw fetchError
+
+    if (!(await verifyPassword(currentPassword, rep.password_hash))) {
+      return res.status(400).json({ error: 'Current password is incorrect' })
+    }
+
+    const { error: updateError } = await supabase
+      .from('reps')
+      .update({ password_hash: await hashPassword(newPassword) })
+      .eq('id', auth.rep.id)
+
+    if (updateError) throw updateError
+
+    const { error: revokeError } = await supabase
+      .from('sessions')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('rep_id', auth.rep.id)
+      .neq('id', auth.sessionId)
+      .is('revoked_at', null)
+
+    if (revokeError) throw revokeError
+
+    return res.status(200).json({ success: true })
+  } catch (error) {
+    console.error('Password change error:', error)
+    return res.status(500).json({ error: 'Failed to change password' })
+  }
+}
@@ -0,0 +1,64 @@
+// /api/auth/forgot-password.js
+// Email a single-use password reset link.
+// Always answers the same way so callers can't learn which emails exist:
+// the work (throttle, recording the request, the link and the email) only
+// logs its errors, and the response is held back to at least
+// MIN_RESPONSE_MS, so neither its content nor its timing depends on the
+// email. Everything finishes before the response, since Vercel may freeze
+// the function once it has answered.
+
+import { supabase } from '../_lib/supabase.js'
+import { issuePasswordLink } from '../_lib/password-reset.js'
+import { canRequestReset, recordLoginEvent } from '../_lib/login-throttle.js'
+
+// Comfortably longer than a lookup plus sending the email
+const MIN_RESPONSE_MS = 2500
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+const GENERIC_RESPONSE = {
+  success: true,
+  message: 'If that email belongs to a PromoSync account, a reset link is on its way.'
+}
+
+// Every request is recorded, so unknown emails are throttled the same way
+async function sendResetLink(req, email) {
+  const allowed = await canRequestReset(email)
+
+  const { data: rep, error } = await supabase
+    .from('reps')
+    .select('id, name, email, is_active')
+    .eq('email', email)
+    .maybeSingle()
+
+  if (error) throw error
+
+  const reason = !allowed ? 'throttled' : !rep ? 'unknown_email' : !rep.is_active ? 'deactivated' : null
+  await recordLoginEvent(req, { email, repId: rep?.id || null, event: 'reset_requested', reason })
+
+  // Deactivated reps can't sign back in, so don't send them a link either
+  if (!reason) await issuePasswordLink(rep, 'reset')
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  const { email } = req.body || {}
+
+  if (typeof email !== 'string' || !email.trim()) {
+    return res.status(400).json({ error: 'Missing required field: email' })
+  }
+
+  const started = Date.now()
+
+  try {
+    await sendResetLink(req, email.trim().toLowerCase())
+  } catch (error) {
+    console.error('Forgot password error:', error)
+  }
+
+  await sleep(MIN_RESPONSE_MS - (Date.now() - started))
+  return res.status(200).json(GENERIC_RESPONSE)
+}
@@ -0,0 +1,100 @@
+// /api/auth/login.js
+// Verify a rep's email + password and issue a session token.
+// Reps with two-factor enabled get a short-lived challenge token instead,
+// which /api/auth/verify-2fa exchanges for a session once the code checks out.
+// Every attempt is recorded in login_events, and repeated failures are
+// slowed down and then locked out (see /api/_lib/login-throttle.js).
+
+import { supabase, REP_PUBLIC_FIELDS } from '../_lib/supabase.js'
+import { hashPassword, isHashed, verifyPassword } from '../_lib/password.js'
+import { createSession, createTwoFactorChallenge } from '../_lib/session.js'
+import { needsTwoFactorSetup } from '../_lib/two-factor.js'
+import { delayForFailures, getLoginThrottle, recordLoginEvent } from '../_lib/login-throttle.js'
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  const { email, password } = req.body || {}
+
+  if (typeof email !== 'string' || typeof password !== 'string' || !email.trim() || !password) {
+    return res.status(400).json({ error: 'Email and password are required' })
+  }
+
+  const normalizedEmail = email.trim().toLowerCase()
+
+  try {
+    const { data: rep, error } = await supabase
+      .from('reps')
+      .select(`${REP_PUBLIC_FIELDS}, password_hash`)
+      .eq('email', normalizedEmail)
+      .maybeSingle()
+
+    if (error) throw error
+
+    const repId = rep?.id || null
+    const { failures, lockedUntil } = await getLoginThrottle(normalizedEmail)
+
+    if (lockedUntil) {
+      await recordLoginEvent(req, { email: normalizedEmail, repId, event: 'locked' })
+      const minutes = Math.max(1, Math.ceil((new Date(lockedUntil) - Date.now()) / 60000))
+      return res.status(429).json({
+        error: `Too many failed attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'} or ask an admin to unlock your account.`,
+        lockedUntil
+      })
+    }
+
+    await delayForFailures(failures)
+
+    if (!rep) {
+      // Spend the same time as a real check so unknown emails can't be detected
+      await hashPassword(password)
+      await recordLoginEvent(req, { email: normalizedEmail, event: 'failure', reason: 'unknown_email' })
+      return res.status(401).json({ error: 'Invalid email or password' })
+    }
+
+    if (!(await verifyPassword(password, rep.password_hash))) {
+      await recordLoginEvent(req, { email: normalizedEmail, repId, event: 'failure', reason: 'bad_password' })
+      return res.status(401).json({ error: 'Invalid email or password' })
+    }
+
+    if (!rep.is_active) {
+      await recordLoginEvent(req, { email: normalizedEmail, repId, event: 'failure', reason: 'deactivated' })
+      return res.status(403).json({ error: 'This account has been deactivated. Contact your admin.' })
+    }
+
+    // Upgrade rows that still hold a plaintext password
+    if (!isHashed(rep.password_hash)) {
+      const { error: upgradeError } = await supabase
+        .from('reps')
+        .update({ password_hash: await hashPassword(password) })
+        .eq('id', rep.id)
+
+      if (upgradeError) console.error('Password upgrade failed:', upgradeError)
+    }
+
+    // The sign-in only counts once the second factor is verified too
+    if (rep.totp_enabled_at) {
+      return res.status(200).json({
+        twoFactorRequired: true,
+        challengeToken: createTwoFactorChallenge(rep.id)
+      })
+    }
+
+    const { token, expiresAt } = await createSession(rep.id, req)
+    await recordLoginEvent(req, { email: normalizedEmail, repId, event: 'success' })
+
+    const { password_hash, ...user } = rep
+
+    return res.status(200).json({
+      token,
+      expiresAt,
+      user,
+      twoFactorSetupRequired: await needsTwoFactorSetup(user)
+    })
+  } catch (error) {
+    console.error('Login error:', error)
+    return res.status(500).json({ error: 'Failed to sign in' })
+  }
+}
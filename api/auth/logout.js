@@ -0,0 +1,24 @@
+// /api/auth/logout.js
+// Revoke the session behind the request's token.
+// For a "view as" session this ends the impersonation; the database logs
+// that when the session is revoked.
+
+import { getSession, revokeSession } from '../_lib/session.js'
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const auth = await getSession(req)
+
+    // Signing out an already-invalid session is not an error
+    if (auth) await revokeSession(auth.sessionId)
+
+    return res.status(200).json({ success: true })
+  } catch (error) {
+    console.error('Logout error:', error)
+    return res.status(500).json({ error: 'Failed to sign out' })
+  }
+}
@@ -0,0 +1,71 @@
+// /api/auth/reset-password.js
+// Set a new password using a token from a reset email.
+// The token is consumed on success, all of the rep's sessions are revoked and
+// any login lockout is cleared.
+
+import { supabase } from '../_lib/supabase.js'
+import { hashPassword, validateNewPassword } from '../_lib/password.js'
+import { hashToken } from '../_lib/tokens.js'
+import { revokeAllSessions } from '../_lib/session.js'
+import { recordLoginEvent } from '../_lib/login-throttle.js'
+
+const INVALID_LINK = 'This reset link is invalid or has expired. Please request a new one.'
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  const { token, password } = req.body || {}
+
+  if (!token || !password) {
+    return res.status(400).json({ error: 'Missing required fields: token, password' })
+  }
+
+  const invalid = validateNewPassword(password)
+  if (invalid) {
+    return res.status(400).json({ error: invalid })
+  }
+
+  try {
+    const now = new Date().toISOString()
+
+    // Claim the token atomically so it can only ever be used once
+    const { data: claimed, error: claimError } = await supabase
+      .from('password_resets')
+      .update({ used_at: now })
+      .eq('token_hash', hashToken(token))
+      .is('used_at', null)
+      .gt('expires_at', now)
+      .select('rep_id')
+
+    if (claimError) throw claimError
+
+    if (!claimed || claimed.length === 0) {
+      return res.status(400).json({ error: INVALID_LINK })
+    }
+
+    const repId = claimed[0].rep_id
+
+    const { data: rep, error: updateError } = await supabase
+      .from('reps')
+      .update({ password_hash: await hashPassword(password) })
+      .eq('id', repId)
+      .select('email')
+      .single()
+
+    if (updateError) throw updateError
+
+    await revokeAllSessions(repId)
+
+    // Proving ownership of the email clears any login lockout
+    if (rep.email) {
+      await recordLoginEvent(req, { email: rep.email, repId, event: 'unlocked', reason: 'password_reset' })
+    }
+
+    return res.status(200).json({ success: true })
+  } catch (error) {
+    console.error('Reset password error:', error)
+    return res.status(500).json({ error: 'Failed to reset password' })
+  }
+}
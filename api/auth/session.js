@@ -0,0 +1,24 @@
+// /api/auth/session.js
+// Return the signed-in rep for a valid session token.
+
+import { requireSession } from '../_lib/session.js'
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const auth = await requireSession(req, res)
+    if (!auth) return
+
+    return res.status(200).json({
+      user: auth.rep,
+      impersonator: auth.impersonator,
+      twoFactorSetupRequired: auth.twoFactorSetupRequired
+    })
+  } catch (error) {
+    console.error('Session check error:', error)
+    return res.status(500).json({ error: 'Failed to verify session' })
+  }
+}
@@ -0,0 +1,69 @@
+// /api/auth/sessions.js
+// The signed-in rep's active devices.
+//   GET    - list sessions that are neither revoked nor expired
+//   DELETE - sign out one device ({ sessionId }) or every other device
+//            ({ allOthers: true })
+
+import { supabase } from '../_lib/supabase.js'
+import { requireSession } from '../_lib/session.js'
+
+async function listSessions(req, res, auth) {
+  const { data: sessions, error } = await supabase
+    .from('sessions')
+    .select('id, created_at, last_seen_at, user_agent, ip_address')
+    .eq('rep_id', auth.rep.id)
+    .is('revoked_at', null)
+    .is('impersonator_id', null)
+    .gt('expires_at', new Date().toISOString())
+    .order('last_seen_at', { ascending: false })
+
+  if (error) throw error
+
+  return res.status(200).json({
+    sessions: sessions.map(session => ({ ...session, current: session.id === auth.sessionId }))
+  })
+}
+
+async function revokeSessions(req, res, auth) {
+  const { sessionId, allOthers } = req.body || {}
+
+  if (!sessionId && !allOthers) {
+    return res.status(400).json({ error: 'Missing required field: sessionId' })
+  }
+
+  // Scoped to the rep so nobody can sign out someone else's device
+  let query = supabase
+    .from('sessions')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('rep_id', auth.rep.id)
+    .is('revoked_at', null)
+
+  query = allOthers ? query.neq('id', auth.sessionId) : query.eq('id', sessionId)
+
+  const { data: revoked, error } = await query.select('id')
+
+  if (error) throw error
+
+  if (!allOthers && revoked.length === 0) {
+    return res.status(404).json({ error: 'That device is already signed out' })
+  }
+
+  return res.status(200).json({ success: true, revoked: revoked.length })
+}
+
+export default async function handler(req, res) {
+  if (!['GET', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const auth = await requireSession(req, res, { writable: req.method !== 'GET' })
+    if (!auth) return
+
+    if (req.method === 'GET') return await listSessions(req, res, auth)
+    return await revokeSessions(req, res, auth)
+  } catch (error) {
+    console.error('Sessions error:', error)
+    return res.status(500).json({ error: 'Failed to manage sessions' })
+  }
+}
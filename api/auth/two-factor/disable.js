@@ -0,0 +1,49 @@
+// /api/auth/two-factor/disable.js
+// Turn two-factor authentication off. Requires the rep's password, and is
+// refused for admins while the require_admin_2fa setting is on.
+
+import { supabase } from '../../_lib/supabase.js'
+import { verifyPassword } from '../../_lib/password.js'
+import { getSetting } from '../../_lib/settings.js'
+import { requireSession } from '../../_lib/session.js'
+import { disableTwoFactor } from '../../_lib/two-factor.js'
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  const { password } = req.body || {}
+
+  if (!password) {
+    return res.status(400).json({ error: 'Missing required field: password' })
+  }
+
+  try {
+    const auth = await requireSession(req, res, { writable: true })
+    if (!auth) return
+
+    if (auth.rep.role === 'admin' && (await getSetting('require_admin_2fa')) === true) {
+      return res.status(400).json({ error: 'Two-factor authentication is required for admins' })
+    }
+
+    const { data: rep, error } = await supabase
+      .from('reps')
+      .select('id, password_hash')
+      .eq('id', auth.rep.id)
+      .single()
+
+    if (error) throw error
+
+    if (!(await verifyPassword(password, rep.password_hash))) {
+      return res.status(400).json({ error: 'Password is incorrect' })
+    }
+
+    await disableTwoFactor(rep.id)
+
+    return res.status(200).json({ success: true })
+  } catch (error) {
+    console.error('Two-factor disable error:', error)
+    return res.status(500).json({ error: 'Failed to turn off two-factor authentication' })
+  }
+}
@@ -0,0 +1,64 @@
+// /api/auth/two-factor/enable.js
+// Finish enrolling: confirm a code from the authenticator app against the
+// pending secret, switch 2FA on and return a fresh set of recovery codes.
+
+import { supabase } from '../../_lib/supabase.js'
+import { requireSession } from '../../_lib/session.js'
+import { verifyCode } from '../../_lib/totp.js'
+import { createRecoveryCodes } from '../../_lib/two-factor.js'
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  const { code } = req.body || {}
+
+  if (!code) {
+    return res.status(400).json({ error: 'Missing required field: code' })
+  }
+
+  try {
+    const auth = await requireSession(req, res, { writable: true })
+    if (!auth) return
+
+    const { data: rep, error } = await supabase
+      .from('reps')
+      .select('id, totp_pending_secret, totp_enabled_at')
+      .eq('id', auth.rep.id)
+      .single()
+
+    if (error) throw error
+
+    if (rep.totp_enabled_at) {
+      return res.status(400).json({ error: 'Two-factor authentication is already on' })
+    }
+    if (!rep.totp_pending_secret) {
+      return res.status(400).json({ error: 'Start two-factor setup first' })
+    }
+
+    const step = verifyCode(rep.totp_pending_secret, code)
+    if (step === null) {
+      return res.status(400).json({ error: "That code didn't match. Check your authenticator app and try again." })
+    }
+
+    const { error: enableError } = await supabase
+      .from('reps')
+      .update({
+        totp_secret: rep.totp_pending_secret,
+        totp_pending_secret: null,
+        totp_enabled_at: new Date().toISOString(),
+        totp_last_used_step: step
+      })
+      .eq('id', rep.id)
+
+    if (enableError) throw enableError
+
+    const recoveryCodes = await createRecoveryCodes(rep.id)
+
+    return res.status(200).json({ success: true, recoveryCodes })
+  } catch (error) {
+    console.error('Two-factor enable error:', error)
+    return res.status(500).json({ error: 'Failed to turn on two-factor authentication' })
+  }
+}
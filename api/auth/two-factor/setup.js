@@ -0,0 +1,41 @@
+// /api/auth/two-factor/setup.js
+// Start enrolling in two-factor authentication. Generates a new secret and
+// returns it with a QR code for the authenticator app. Nothing changes until
+// the rep confirms a code at /api/auth/two-factor/enable.
+
+import QRCode from 'qrcode'
+import { supabase } from '../../_lib/supabase.js'
+import { requireSession } from '../../_lib/session.js'
+import { generateSecret, otpauthUrl } from '../../_lib/totp.js'
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const auth = await requireSession(req, res, { writable: true })
+    if (!auth) return
+
+    if (auth.rep.totp_enabled_at) {
+      return res.status(400).json({ error: 'Two-factor authentication is already on' })
+    }
+
+    const secret = generateSecret()
+
+    const { error } = await supabase
+      .from('reps')
+      .update({ totp_pending_secret: secret })
+      .eq('id', auth.rep.id)
+
+    if (error) throw error
+
+    const url = otpauthUrl(secret, auth.rep.email || auth.rep.name)
+    const qrCode = await QRCode.toDataURL(url, { margin: 1, width: 240 })
+
+    return res.status(200).json({ secret, otpauthUrl: url, qrCode })
+  } catch (error) {
+    console.error('Two-factor setup error:', error)
+    return res.status(500).json({ error: 'Failed to start two-factor setup' })
+  }
+}
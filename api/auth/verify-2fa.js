@@ -0,0 +1,78 @@
+// /api/auth/verify-2fa.js
+// Second login step: exchange the challenge token from /api/auth/login plus
+// an authenticator code (or a recovery code) for a session token.
+// Wrong codes count towards the same lockout as wrong passwords.
+
+import { supabase, REP_PUBLIC_FIELDS } from '../_lib/supabase.js'
+import { createSession, verifyTwoFactorChallenge } from '../_lib/session.js'
+import { verifyTwoFactor } from '../_lib/two-factor.js'
+import { delayForFailures, getLoginThrottle, recordLoginEvent } from '../_lib/login-throttle.js'
+
+const EXPIRED_CHALLENGE = 'Your sign-in has expired. Please enter your password again.'
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  const { challengeToken, code, recoveryCode } = req.body || {}
+
+  if (!challengeToken || (!code && !recoveryCode)) {
+    return res.status(400).json({ error: 'Missing required fields: challengeToken, code' })
+  }
+
+  const repId = verifyTwoFactorChallenge(challengeToken)
+  if (!repId) {
+    return res.status(401).json({ error: EXPIRED_CHALLENGE })
+  }
+
+  try {
+    const { data: rep, error } = await supabase
+      .from('reps')
+      .select(`${REP_PUBLIC_FIELDS}, totp_secret, totp_last_used_step`)
+      .eq('id', repId)
+      .maybeSingle()
+
+    if (error) throw error
+
+    if (!rep || !rep.is_active || !rep.totp_enabled_at) {
+      return res.status(401).json({ error: EXPIRED_CHALLENGE })
+    }
+
+    const { failures, lockedUntil } = await getLoginThrottle(rep.email)
+
+    if (lockedUntil) {
+      await recordLoginEvent(req, { email: rep.email, repId, event: 'locked' })
+      return res.status(429).json({
+        error: 'Too many failed attempts. Try again later or ask an admin to unlock your account.',
+        lockedUntil
+      })
+    }
+
+    await delayForFailures(failures)
+
+    const method = await verifyTwoFactor(rep, { code, recoveryCode })
+
+    if (!method) {
+      await recordLoginEvent(req, { email: rep.email, repId, event: 'failure', reason: 'bad_2fa_code' })
+      return res.status(401).json({
+        error: recoveryCode ? 'That recovery code is invalid or already used' : 'Invalid verification code'
+      })
+    }
+
+    const { token, expiresAt } = await createSession(rep.id, req)
+    await recordLoginEvent(req, {
+      email: rep.email,
+      repId,
+      event: 'success',
+      reason: method === 'recovery_code' ? 'recovery_code' : null
+    })
+
+    const { totp_secret, totp_last_used_step, ...user } = rep
+
+    return res.status(200).json({ token, expiresAt, user, twoFactorSetupRequired: false })
+  } catch (error) {
+    console.error('Two-factor verification error:', error)
+    return res.status(500).json({ error: 'Failed to verify code' })
+  }
+}
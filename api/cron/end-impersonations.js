@@ -0,0 +1,23 @@
+// /api/cron/end-impersonations.js
+// Vercel Cron Job - Runs hourly
+// "View as rep" sessions last an hour. Ones that ran out without the admin
+// leaving are revoked here, which logs 'impersonation_ended' for them (see
+// the impersonation_audit migration).
+
+import { supabase } from '../_lib/supabase.js'
+import { requireCronSecret } from '../_lib/cron.js'
+
+export default async function handler(req, res) {
+  if (!requireCronSecret(req, res)) return
+
+  try {
+    const { data: count, error } = await supabase.rpc('end_expired_impersonations')
+
+    if (error) throw error
+
+    return res.status(200).json({ count })
+  } catch (error) {
+    console.error('End impersonations error:', error)
+    return res.status(500).json({ error: 'Failed to end expired impersonations' })
+  }
+}
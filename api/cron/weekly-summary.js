@@ -3,18 +3,14 @@
 // Add to vercel.json: { "crons": [{ "path": "/api/cron/weekly-summary", "schedule": "0 16 * * 1" }] }
 // Note: 16:00 UTC = 8:00 AM PST
 
-import { createClient } from '@supabase/supabase-js'
-
-const supabase = createClient(
-  process.env.NEXT_PUBLIC_SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_KEY
-)
+import { supabase } from '../_lib/supabase.js'
+import { requireCronSecret } from '../_lib/cron.js'
+import { loadDashboard } from '../_lib/dashboard.js'
+import { summarizeMetrics, tierLabel } from '../../src/metrics.js'
 
 export default async function handler(req, res) {
-  // Verify cron secret (optional but recommended)
-  // if (req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
-  //   return res.status(401).json({ error: 'Unauthorized' })
-  // }
+  // Only Vercel Cron (which sends CRON_SECRET) may trigger the emails
+  if (!requireCronSecret(req, res)) return
 
   try {
     // Get reps who want weekly summaries
@@ -22,6 +18,7 @@ export default async function handler(req, res) {
       .from('reps')
       .select('id, name, email, territories')
       .eq('notify_weekly_summary', true)
+      .eq('is_active', true)
       .not('email', 'is', null)
 
     if (repsError) throw repsError
@@ -30,84 +27,35 @@ export default async function handler(req, res) {
       return res.status(200).json({ message: 'No reps opted in', count: 0 })
     }
 
-    // Get active quarter
-    const { data: quarter } = await supabase
-      .from('quarters')
-      .select('*')
-      .eq('is_active', true)
-      .single()
-
-    // Calculate quarter progress
-    let quarterProgress = 50
-    let daysLeft = 0
-    if (quarter) {
-      const start = new Date(quarter.start_date)
-      const end = new Date(quarter.end_date)
-      const now = new Date()
-      const totalDays = (end - start) / (1000 * 60 * 60 * 24)
-      const daysPassed = (now - start) / (1000 * 60 * 60 * 24)
-      quarterProgress = Math.round((daysPassed / totalDays) * 100)
-      daysLeft = Math.max(0, Math.ceil((end - now) / (1000 * 60 * 60 * 24)))
-    }
+    // Same numbers as the dashboard (one read of the account_progress view)
+    const { quarter, timing, accounts } = await loadDashboard()
+    const { progress: quarterProgress, workDaysLeft } = timing
 
-    // Get all account promo data
-    const { data: accountPromos } = await supabase
-      .from('account_promos')
-      .select(`
-        account_id,
-        target_units,
-        accounts (
-          account_name,
-          territory
-        ),
-        promos (
-          promo_name
-        )
-      `)
-
-    // Get all transactions
-    const { data: transactions } = await supabase
-      .from('transactions')
-      .select('account_id, units_sold')
-
-    // Calculate progress for each account
-    const accountStats = accountPromos?.map(ap => {
-      const unitsSold = transactions
-        ?.filter(t => t.account_id === ap.account_id)
-        ?.reduce((sum, t) => sum + t.units_sold, 0) || 0
-      const progress = ap.target_units > 0 ? Math.round((unitsSold / ap.target_units) * 100) : 0
-      const behindPace = progress < 100 && progress < (quarterProgress - 10)
-      
-      return {
-        accountName: ap.accounts?.account_name,
-        territory: ap.accounts?.territory,
-        promoName: ap.promos?.promo_name,
-        target: ap.target_units,
-        unitsSold,
-        progress,
-        behindPace,
-        metTarget: progress >= 100
-      }
-    }) || []
+    const accountStats = accounts.map(a => ({
+      accountName: a.account_name,
+      territory: a.territory,
+      territoryNames: a.territory_names || [],
+      promoName: a.promo_name,
+      ...a.metrics
+    }))
 
     // Send personalized emails to each rep
     const emailPromises = reps.map(async (rep) => {
       // Filter accounts by rep's territories
       const repAccounts = rep.territories?.length > 0
-        ? accountStats.filter(a => rep.territories.includes(a.territory))
+        ? accountStats.filter(a => a.territoryNames.some(t => rep.territories.includes(t)))
         : accountStats
 
-      const behindPaceCount = repAccounts.filter(a => a.behindPace).length
-      const metTargetCount = repAccounts.filter(a => a.metTarget).length
-      const totalAccounts = repAccounts.length
-      const totalUnits = repAccounts.reduce((sum, a) => sum + a.unitsSold, 0)
-      const totalTarget = repAccounts.reduce((sum, a) => sum + a.target, 0)
-      const overallProgress = totalTarget > 0 ? Math.round((totalUnits / totalTarget) * 100) : 0
+      const summary = summarizeMetrics(repAccounts, timing)
+      const behindPaceCount = summary.behindPace
+      const metTargetCount = summary.metTarget
+      const totalAccounts = summary.assignments
+      const overallProgress = summary.attainment
 
       // Build accounts needing attention list
       const behindPaceAccounts = repAccounts
-        .filter(a => a.behindPace)
-        .sort((a, b) => a.progress - b.progress)
+        .filter(a => a.paceStatus === 'behind')
+        .sort((a, b) => a.attainment - b.attainment)
         .slice(0, 5)
 
       const behindPaceHtml = behindPaceAccounts.length > 0
@@ -115,16 +63,34 @@ export default async function handler(req, res) {
             <tr>
               <td style="padding: 8px; border-bottom: 1px solid #e2e8f0;">${a.accountName}</td>
               <td style="padding: 8px; border-bottom: 1px solid #e2e8f0;">${a.territory}</td>
-              <td style="padding: 8px; border-bottom: 1px solid #e2e8f0; color: #ef4444; font-weight: bold;">${a.progress}%</td>
+              <td style="padding: 8px; border-bottom: 1px solid #e2e8f0;">${a.promoName}</td>
+              <td style="padding: 8px; border-bottom: 1px solid #e2e8f0; color: #ef4444; font-weight: bold;">${a.attainment}%</td>
+              <td style="padding: 8px; border-bottom: 1px solid #e2e8f0;">${a.tier.current || a.tier.next ? tierLabel(a.tier.current) : '—'}</td>
             </tr>
           `).join('')
-        : '<tr><td colspan="3" style="padding: 16px; text-align: center; color: #22c55e;">🎉 All accounts on pace!</td></tr>'
+        : '<tr><td colspan="5" style="padding: 16px; text-align: center; color: #22c55e;">🎉 All accounts on pace!</td></tr>'
+
+      // Tiered promos: the tier each account has reached so far
+      const tierAccounts = repAccounts
+        .filter(a => a.tier.current)
+        .sort((a, b) => b.tier.current.level - a.tier.current.level)
+
+      const tiersHtml = tierAccounts.length > 0
+        ? `
+            <h3 style="color: #1e293b; margin: 24px 0 12px 0;">🏆 Tiers Reached</h3>
+            <ul style="color: #334155; font-size: 14px; padding-left: 20px; margin: 0;">
+              ${tierAccounts.map(a => `
+                <li style="margin-bottom: 4px;">${a.accountName} (${a.promoName}): ${tierLabel(a.tier.current)}${a.tier.next ? ` • ${a.tier.unitsToNext} units to ${tierLabel(a.tier.next)}` : ' • top tier'}</li>
+              `).join('')}
+            </ul>
+          `
+        : ''
 
       const html = `
         <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
           <div style="background: linear-gradient(135deg, #1e40af, #3b82f6); padding: 20px; border-radius: 10px 10px 0 0;">
             <h1 style="color: white; margin: 0;">📊 Weekly Summary</h1>
-            <p style="color: #bfdbfe; margin: 8px 0 0 0;">${quarter?.name || 'Current Quarter'} • ${daysLeft} days remaining</p>
+            <p style="color: #bfdbfe; margin: 8px 0 0 0;">${quarter?.name || 'Current Quarter'} • ${workDaysLeft} working days remaining</p>
           </div>
           
           <div style="background: #f8fafc; padding: 20px; border: 1px solid #e2e8f0;">
@@ -151,7 +117,7 @@ export default async function handler(req, res) {
             <div style="background: #e2e8f0; border-radius: 9999px; height: 12px; margin: 16px 0; overflow: hidden;">
               <div style="background: ${overallProgress >= quarterProgress ? '#22c55e' : '#ef4444'}; height: 100%; width: ${Math.min(overallProgress, 100)}%;"></div>
             </div>
-            <p style="color: #64748b; font-size: 12px; margin: 0;">Progress: ${overallProgress}% vs Quarter: ${quarterProgress}%</p>
+            <p style="color: #64748b; font-size: 12px; margin: 0;">Progress: ${overallProgress}% vs Quarter: ${quarterProgress}%${summary.requiredRunRate > 0 ? ` • ${summary.requiredRunRate} units/week needed to hit target` : ''}</p>
 
             <!-- Accounts Needing Attention -->
             <h3 style="color: #1e293b; margin: 24px 0 12px 0;">⚠️ Accounts Needing Attention</h3>
@@ -160,14 +126,17 @@ export default async function handler(req, res) {
                 <tr style="background: #f1f5f9;">
                   <th style="padding: 8px; text-align: left; font-size: 12px; color: #64748b;">Account</th>
                   <th style="padding: 8px; text-align: left; font-size: 12px; color: #64748b;">Territory</th>
+                  <th style="padding: 8px; text-align: left; font-size: 12px; color: #64748b;">Promo</th>
                   <th style="padding: 8px; text-align: left; font-size: 12px; color: #64748b;">Progress</th>
+                  <th style="padding: 8px; text-align: left; font-size: 12px; color: #64748b;">Tier</th>
                 </tr>
               </thead>
               <tbody>
                 ${behindPaceHtml}
               </tbody>
             </table>
-            
+            ${tiersHtml}
+
             <div style="margin-top: 24px;">
               <a href="https://promosync.io" style="display: inline-block; background: #3b82f6; color: white; padding: 12px 24px; border-radius: 6px; text-decoration: none; font-weight: bold;">View Full Dashboard</a>
             </div>
@@ -0,0 +1,22 @@
+// /api/dashboard.js
+// Dashboard data in one round trip: every account on a promo with its units,
+// per-rep units, latest note and pace metrics, plus team totals.
+
+import { loadDashboard } from './_lib/dashboard.js'
+import { requireSession } from './_lib/session.js'
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const auth = await requireSession(req, res)
+    if (!auth) return
+
+    return res.status(200).json(await loadDashboard())
+  } catch (error) {
+    console.error('Dashboard error:', error)
+    return res.status(500).json({ error: 'Failed to load dashboard' })
+  }
+}
@@ -1,5 +1,20 @@
 // /api/send-email.js
-// Vercel Serverless Function for sending emails via Resend
+// Send one of the templates in /api/_lib/email-templates.js to a rep.
+// The recipient must be an active rep and the content comes from the
+// template, so this can't be used to mail arbitrary addresses or HTML.
+
+import { supabase } from './_lib/supabase.js'
+import { sendEmail } from './_lib/email.js'
+import { testEmail } from './_lib/email-templates.js'
+import { requirePermission } from './_lib/session.js'
+
+// template -> permission needed to send it and how to build it
+const TEMPLATES = {
+  test: {
+    permission: 'manage_reps',
+    build: (rep, auth) => testEmail(rep, { sentBy: auth.rep.name || auth.rep.email })
+  }
+}
 
 export default async function handler(req, res) {
   // Only allow POST
@@ -7,32 +22,45 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' })
   }
 
-  const { to, subject, html, type } = req.body
+  const { template, repId } = req.body || {}
+  const config = TEMPLATES[template]
+
+  if (!config) {
+    return res.status(400).json({ error: 'Unknown email template' })
+  }
 
-  if (!to || !subject || !html) {
-    return res.status(400).json({ error: 'Missing required fields: to, subject, html' })
+  if (!repId) {
+    return res.status(400).json({ error: 'Missing required field: repId' })
   }
 
   try {
-    const response = await fetch('https://api.resend.com/emails', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${process.env.RESEND_API_KEY}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        from: 'PromoSync <notifications@promosync.io>',
-        to: to,
-        subject: subject,
-        html: html,
-      }),
-    })
+    const auth = await requirePermission(req, res, config.permission)
+    if (!auth) return
+
+    const { data: rep, error } = await supabase
+      .from('reps')
+      .select('id, name, email, is_active')
+      .eq('id', repId)
+      .maybeSingle()
+
+    if (error) throw error
+    if (!rep || !rep.is_active) return res.status(404).json({ error: 'Rep not found' })
+    if (!rep.email) return res.status(400).json({ error: 'This rep has no email address' })
 
-    const data = await response.json()
+    const { subject, html } = config.build(rep, auth)
+    const { ok, data } = await sendEmail({ to: rep.email, subject, html })
+
+    await supabase.from('notification_log').insert({
+      rep_id: rep.id,
+      notification_type: template,
+      subject,
+      status: ok ? 'sent' : 'failed',
+      details: { sent_by: auth.rep.id }
+    })
 
-    if (!response.ok) {
+    if (!ok) {
       console.error('Resend error:', data)
-      return res.status(response.status).json({ error: data })
+      return res.status(502).json({ error: 'Email provider rejected the message' })
     }
 
     return res.status(200).json({ success: true, id: data.id })
@@ -0,0 +1,73 @@
+// /api/transactions.js
+// Correct a logged transaction.
+//   PATCH  - { id, units_sold, transaction_date, notes, reason } edits it
+//   DELETE - { id, reason } voids it: the row stays, marked void, and stops
+//            counting toward progress
+//
+// The rep who logged it or an admin may do this (canCorrectTransaction).
+// The change, its revision (with the values it replaced) and the
+// activity_log entry are written in one database transaction by
+// correct_transaction. Validation rules live in src/transactions.js; the
+// database re-checks the limits between sales and their returns (23514).
+
+import { supabase } from './_lib/supabase.js'
+import { requirePermission } from './_lib/session.js'
+import { canCorrectTransaction } from '../src/permissions.js'
+import { LINKED_RETURNS_SELECT, validateCorrection, validateVoid } from '../src/transactions.js'
+
+export default async function handler(req, res) {
+  if (!['PATCH', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const auth = await requirePermission(req, res, 'log_units')
+    if (!auth) return
+
+    const { id, reason, ...changes } = req.body || {}
+    if (!id) return res.status(400).json({ error: 'Missing required field: id' })
+
+    const { data: current, error: loadError } = await supabase
+      .from('transactions')
+      .select(`*, ${LINKED_RETURNS_SELECT}`)
+      .eq('id', id)
+      .maybeSingle()
+
+    if (loadError) throw loadError
+    if (!current) return res.status(404).json({ error: 'Transaction not found' })
+    if (!canCorrectTransaction(auth.rep, current)) {
+      return res.status(403).json({ error: 'Only the rep who logged this or an admin can change it' })
+    }
+    if (current.voided_at) {
+      return res.status(409).json({ error: 'This transaction has already been voided' })
+    }
+
+    const voiding = req.method === 'DELETE'
+    const checked = voiding
+      ? validateVoid(current, reason)
+      : validateCorrection(current, { ...changes, reason })
+    if (checked.error) return res.status(400).json({ error: checked.error })
+
+    const values = voiding ? { notes: current.notes, reason: checked.value } : checked.values
+
+    const { error } = await supabase.rpc('correct_transaction', {
+      p_transaction_id: id,
+      p_rep_id: auth.rep.id,
+      p_void: voiding,
+      p_units_sold: values.units_sold ?? null,
+      p_transaction_date: values.transaction_date ?? null,
+      p_notes: values.notes,
+      p_reason: values.reason
+    })
+
+    if (error?.code === 'P0002') return res.status(404).json({ error: error.message })
+    if (error?.code === '55000') return res.status(409).json({ error: error.message })
+    if (error?.code === '23514') return res.status(400).json({ error: error.message })
+    if (error) throw error
+
+    return res.status(200).json({ success: true })
+  } catch (error) {
+    console.error('Transaction correction error:', error)
+    return res.status(500).json({ error: 'Failed to update the transaction' })
+  }
+}
@@ -1,7 +1,10 @@
+import { tierLabel } from './metrics'
+
 function AccountListView({ accounts, accountProgress, accountNotes, onAssignPromo, onQuickLog, onViewNotes, onViewRepBreakdown }) {
+  // One row per assignment: an account on two promos gets two rows
   
 const getProgress = (account) => {
-    const progressData = accountProgress[account.id]
+    const progressData = accountProgress[account.account_promo_id]
     if (!progressData) return 0
     return progressData.progress || 0
   }
@@ -27,6 +30,31 @@ const getProgress = (account) => {
     return 'bg-red-500'
   }
 
+  // Tiered promos: the tier reached and a bar toward the next one
+  const renderTier = (account) => {
+    const tier = account.metrics?.tier
+    if (!tier || (!tier.current && !tier.next)) return null
+
+    return (
+      <div className="mt-1">
+        <div className="flex items-center justify-between text-xs">
+          <span className="text-purple-300">🏆 {tier.current ? tierLabel(tier.current) : 'No tier yet'}</span>
+          <span className="text-gray-400">
+            {tier.next ? `${tier.unitsToNext} to ${tierLabel(tier.next)}` : 'Top tier'}
+          </span>
+        </div>
+        {tier.next && (
+          <div className="w-full bg-gray-700 rounded-full h-1 mt-1">
+            <div
+              className="h-full bg-purple-500 rounded-full transition-all duration-300"
+              style={{ width: `${Math.min(tier.nextProgress, 100)}%` }}
+            />
+          </div>
+        )}
+      </div>
+    )
+  }
+
   // Truncate notes for display
   const truncateNotes = (notes, maxLength = 40) => {
     if (!notes) return ''
@@ -57,13 +85,13 @@ const getProgress = (account) => {
           ) : (
             accounts.map(account => {
               const progress = getProgress(account)
-              const progressData = accountProgress[account.id]
+              const progressData = accountProgress[account.account_promo_id]
               const isNoTarget = progressData?.no_target || false
               const recentNote = accountNotes?.[account.id]
 
               return (
                 <div
-                  key={account.id}
+                  key={account.account_promo_id}
                   className="grid grid-cols-12 gap-4 px-4 py-3 border-b border-gray-700 hover:bg-gray-750 items-center cursor-pointer transition"
                   onClick={() => onViewRepBreakdown && onViewRepBreakdown(account, account.promoData)}
                 >
@@ -106,6 +134,11 @@ const getProgress = (account) => {
                           <span className="text-gray-300">
                             {account.units_sold || 0}
                             {!isNoTarget && ` / ${account.target_units || 0}`}
+                            {account.units_returned > 0 && (
+                              <span className="text-orange-400 text-xs ml-1" title="Net of returns">
+                                ↩️ {account.units_returned}
+                              </span>
+                            )}
                           </span>
                           {!isNoTarget && (
                             <span className={`font-bold ${getStatusColor(progress)}`}>
@@ -124,6 +157,7 @@ const getProgress = (account) => {
                             />
                           </div>
                         )}
+                        {renderTier(account)}
                       </div>
                     ) : (
                       <span className="text-gray-500 text-sm">-</span>
@@ -150,12 +184,14 @@ const getProgress = (account) => {
 
                   {/* Actions */}
                   <div className="col-span-2 flex justify-end space-x-2" onClick={(e) => e.stopPropagation()}>
-                    <button
-                      onClick={() => onQuickLog(account, account.promoData)}
-                      className="px-3 py-1.5 bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium rounded transition"
-                    >
-                      Log
-                    </button>
+                    {onQuickLog && (
+                      <button
+                        onClick={() => onQuickLog(account, account.promoData)}
+                        className="px-3 py-1.5 bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium rounded transition"
+                      >
+                        Log
+                      </button>
+                    )}
                     <button
                       onClick={() => onViewNotes && onViewNotes(account)}
                       className="px-2 py-1.5 bg-gray-600 hover:bg-gray-500 text-white text-sm rounded transition"
@@ -163,12 +199,14 @@ const getProgress = (account) => {
                     >
                       💬
                     </button>
-                    <button
-                      onClick={() => onAssignPromo(account, account.promoData)}
-                      className="px-3 py-1.5 bg-gray-600 hover:bg-gray-500 text-white text-sm font-medium rounded transition"
-                    >
-                      Edit
-                    </button>
+                    {onAssignPromo && (
+                      <button
+                        onClick={() => onAssignPromo(account, account.promoData)}
+                        className="px-3 py-1.5 bg-gray-600 hover:bg-gray-500 text-white text-sm font-medium rounded transition"
+                      >
+                        Edit
+                      </button>
+                    )}
                   </div>
                 </div>
               )
@@ -184,13 +222,13 @@ const getProgress = (account) => {
         ) : (
           accounts.map(account => {
             const progress = getProgress(account)
-            const progressData = accountProgress[account.id]
+            const progressData = accountProgress[account.account_promo_id]
             const isNoTarget = progressData?.no_target || false
             const recentNote = accountNotes?.[account.id]
 
             return (
               <div
-                key={account.id}
+                key={account.account_promo_id}
                 className="bg-gray-800 rounded-lg p-4 cursor-pointer"
                 onClick={() => onViewRepBreakdown && onViewRepBreakdown(account, account.promoData)}
               >
@@ -223,6 +261,9 @@ const getProgress = (account) => {
                     </div>
                     <div className="text-gray-400 text-sm mb-2">
                       {account.units_sold || 0}{!isNoTarget && ` / ${account.target_units || 0}`} units
+                      {account.units_returned > 0 && (
+                        <span className="text-orange-400 text-xs ml-1">(net of {account.units_returned} returned)</span>
+                      )}
                     </div>
                     {!isNoTarget && (
                       <div className="w-full bg-gray-700 rounded-full h-2">
@@ -232,6 +273,7 @@ const getProgress = (account) => {
                         />
                       </div>
                     )}
+                    {renderTier(account)}
                   </div>
                 ) : (
                   <div className="mb-3 text-gray-500 text-sm">⚠️ Not on promo</div>
@@ -253,24 +295,28 @@ const getProgress = (account) => {
 
                 {/* Actions */}
                 <div className="flex space-x-2" onClick={(e) => e.stopPropagation()}>
-                  <button
-                    onClick={() => onQuickLog(account, account.promoData)}
-                    className="flex-1 px-3 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium rounded transition"
-                  >
-                    Log Units
-                  </button>
+                  {onQuickLog && (
+                    <button
+                      onClick={() => onQuickLog(account, account.promoData)}
+                      className="flex-1 px-3 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium rounded transition"
+                    >
+                      Log Units
+                    </button>
+                  )}
                   <button
                     onClick={() => onViewNotes && onViewNotes(account)}
                     className="px-3 py-2 bg-gray-600 hover:bg-gray-500 text-white text-sm rounded transition"
                   >
                     💬
                   </button>
-                  <button
-                    onClick={() => onAssignPromo(account, account.promoData)}
-                    className="px-3 py-2 bg-gray-600 hover:bg-gray-500 text-white text-sm font-medium rounded transition"
-                  >
-                    {account.promo_name ? 'Edit' : 'Assign'}
-                  </button>
+                  {onAssignPromo && (
+                    <button
+                      onClick={() => onAssignPromo(account, account.promoData)}
+                      className="px-3 py-2 bg-gray-600 hover:bg-gray-500 text-white text-sm font-medium rounded transition"
+                    >
+                      {account.promo_name ? 'Edit' : 'Assign'}
+                    </button>
+                  )}
                 </div>
               </div>
             )
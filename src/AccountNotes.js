@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react'
 import { supabase } from './supabaseClient'
 import { useAuth } from './AuthContext'
+import { canDeleteNote } from './permissions'
 
 /**
  * AccountNotes Component
@@ -12,7 +13,7 @@ import { useAuth } from './AuthContext'
  */
 
 const AccountNotes = ({ account, onClose }) => {
-  const { user } = useAuth()
+  const { user, can } = useAuth()
   const [notes, setNotes] = useState([])
   const [newNote, setNewNote] = useState('')
   const [loading, setLoading] = useState(true)
@@ -31,7 +32,8 @@ const AccountNotes = ({ account, onClose }) => {
           id,
           note,
           created_at,
-          reps (name)
+          created_by,
+          reps (name, manager_id)
         `)
         .eq('account_id', account.id)
         .order('created_at', { ascending: false })
@@ -58,7 +60,7 @@ const AccountNotes = ({ account, onClose }) => {
 
   const addNote = async (e) => {
     e.preventDefault()
-    if (!newNote.trim()) return
+    if (!newNote.trim() || !can('add_notes')) return
 
     setSaving(true)
     try {
@@ -106,14 +108,15 @@ const AccountNotes = ({ account, onClose }) => {
     }
   }
 
-  const deleteNote = async (noteId) => {
+  const deleteNote = async (note) => {
+    if (!canDeleteNote(user, note)) return
     if (!window.confirm('Delete this note?')) return
     
     try {
       const { error } = await supabase
         .from('account_notes')
         .delete()
-        .eq('id', noteId)
+        .eq('id', note.id)
 
       if (error) throw error
       await fetchNotes()
@@ -160,24 +163,26 @@ const AccountNotes = ({ account, onClose }) => {
           </div>
 
           {/* Add Note Form */}
-          <form onSubmit={addNote} className="mb-4">
-            <div className="flex space-x-2">
-              <input
-                type="text"
-                value={newNote}
-                onChange={(e) => setNewNote(e.target.value)}
-                placeholder="Add a note..."
-                className="flex-1 px-4 py-3 bg-gray-800 border border-gray-700 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-              />
-              <button
-                type="submit"
-                disabled={!newNote.trim() || saving}
-                className="px-5 py-3 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-700 disabled:cursor-not-allowed text-white font-medium rounded-lg transition"
-              >
-                {saving ? '...' : 'Add'}
-              </button>
-            </div>
-          </form>
+          {can('add_notes') && (
+            <form onSubmit={addNote} className="mb-4">
+              <div className="flex space-x-2">
+                <input
+                  type="text"
+                  value={newNote}
+                  onChange={(e) => setNewNote(e.target.value)}
+                  placeholder="Add a note..."
+                  className="flex-1 px-4 py-3 bg-gray-800 border border-gray-700 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+                <button
+                  type="submit"
+                  disabled={!newNote.trim() || saving}
+                  className="px-5 py-3 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-700 disabled:cursor-not-allowed text-white font-medium rounded-lg transition"
+                >
+                  {saving ? '...' : 'Add'}
+                </button>
+              </div>
+            </form>
+          )}
         </div>
 
         {/* Notes List */}
@@ -201,9 +206,9 @@ const AccountNotes = ({ account, onClose }) => {
                 >
                   <div className="flex justify-between items-start">
                     <p className="text-gray-200 flex-1">{note.note}</p>
-                    {note.id !== 'legacy' && (
+                    {note.id !== 'legacy' && canDeleteNote(user, note) && (
                       <button
-                        onClick={() => deleteNote(note.id)}
+                        onClick={() => deleteNote(note)}
                         className="ml-2 text-gray-500 hover:text-red-400 transition text-sm"
                         title="Delete note"
                       >
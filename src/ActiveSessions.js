@@ -0,0 +1,165 @@
+import React, { useState, useEffect } from 'react'
+import { useAuth } from './AuthContext'
+import { apiFetch } from './api'
+import { describeUserAgent, deviceIcon } from './userAgent'
+
+/**
+ * ActiveSessions Component
+ *
+ * Lists the devices the rep is signed in on, with last-seen times, and signs
+ * out individual devices or every other device.
+ */
+
+const ActiveSessions = ({ onClose }) => {
+  const [sessions, setSessions] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [processingId, setProcessingId] = useState(null)
+  const [error, setError] = useState('')
+  const { signOut } = useAuth()
+
+  useEffect(() => {
+    fetchSessions()
+  }, [])
+
+  const fetchSessions = async () => {
+    try {
+      const { sessions: data } = await apiFetch('/api/auth/sessions')
+      setSessions(data || [])
+    } catch (err) {
+      console.error('Error fetching sessions:', err)
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const revoke = async (body, id) => {
+    setProcessingId(id)
+    setError('')
+    try {
+      await apiFetch('/api/auth/sessions', { method: 'DELETE', body })
+      await fetchSessions()
+    } catch (err) {
+      console.error('Error signing out device:', err)
+      setError(err.message)
+    } finally {
+      setProcessingId(null)
+    }
+  }
+
+  const getTimeAgo = (dateString) => {
+    const seconds = Math.floor((new Date() - new Date(dateString)) / 1000)
+
+    if (seconds < 300) return 'Active now'
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`
+    if (seconds < 604800) return `${Math.floor(seconds / 86400)}d ago`
+    return new Date(dateString).toLocaleDateString()
+  }
+
+  const otherSessions = sessions.filter(session => !session.current)
+
+  return (
+    <div className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4 overflow-y-auto">
+      <div className="bg-gray-900 rounded-xl max-w-lg w-full shadow-2xl border border-gray-700/50">
+        <div className="p-6">
+          {/* Header */}
+          <div className="flex justify-between items-center mb-6">
+            <h2 className="text-2xl font-semibold text-white flex items-center space-x-2">
+              <span>💻</span>
+              <span>Signed-in Devices</span>
+            </h2>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-white transition text-2xl w-10 h-10 flex items-center justify-center rounded-lg hover:bg-gray-800"
+            >
+              ✕
+            </button>
+          </div>
+
+          {error && (
+            <div className="mb-4 p-4 rounded-lg bg-red-500/10 border border-red-500/50 text-red-400">
+              {error}
+            </div>
+          )}
+
+          {loading ? (
+            <div className="text-center py-8">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500 mx-auto"></div>
+              <p className="text-gray-400 mt-4">Loading devices...</p>
+            </div>
+          ) : (
+            <div className="space-y-3">
+              {sessions.map(session => (
+                <div
+                  key={session.id}
+                  className={`p-4 rounded-lg border flex items-center justify-between gap-3 ${
+                    session.current
+                      ? 'bg-blue-500/10 border-blue-500/30'
+                      : 'bg-gray-800/50 border-gray-700/50'
+                  }`}
+                >
+                  <div className="flex items-center space-x-3 min-w-0">
+                    <span className="text-2xl">{deviceIcon(session.user_agent)}</span>
+                    <div className="min-w-0">
+                      <p className="font-medium text-white flex items-center space-x-2">
+                        <span>{describeUserAgent(session.user_agent)}</span>
+                        {session.current && (
+                          <span className="px-2 py-0.5 bg-blue-500/20 text-blue-400 text-xs rounded-full font-medium">
+                            This device
+                          </span>
+                        )}
+                      </p>
+                      <p className="text-sm text-gray-400 truncate">
+                        {session.current ? 'Active now' : getTimeAgo(session.last_seen_at)}
+                        {session.ip_address && ` • ${session.ip_address}`}
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        Signed in {new Date(session.created_at).toLocaleDateString()}
+                      </p>
+                    </div>
+                  </div>
+                  {session.current ? (
+                    <button
+                      onClick={signOut}
+                      className="px-3 py-2 bg-gray-700 hover:bg-gray-600 text-white text-sm rounded-lg transition whitespace-nowrap"
+                    >
+                      Sign Out
+                    </button>
+                  ) : (
+                    <button
+                      onClick={() => revoke({ sessionId: session.id }, session.id)}
+                      disabled={processingId !== null}
+                      className="px-3 py-2 bg-red-600/20 hover:bg-red-600/30 border border-red-600/50 text-red-400 text-sm rounded-lg transition whitespace-nowrap disabled:opacity-50"
+                    >
+                      {processingId === session.id ? 'Signing out...' : 'Sign out this device'}
+                    </button>
+                  )}
+                </div>
+              ))}
+
+              {otherSessions.length > 1 && (
+                <button
+                  onClick={() => revoke({ allOthers: true }, 'others')}
+                  disabled={processingId !== null}
+                  className="w-full py-3 bg-red-600/20 hover:bg-red-600/30 border border-red-600/50 text-red-400 font-medium rounded-lg transition disabled:opacity-50"
+                >
+                  {processingId === 'others' ? 'Signing out...' : `Sign out all ${otherSessions.length} other devices`}
+                </button>
+              )}
+            </div>
+          )}
+
+          {/* Info */}
+          <div className="mt-6 pt-4 border-t border-gray-700/50">
+            <p className="text-gray-500 text-xs text-center">
+              💡 Don't recognise a device? Sign it out and change your password.
+            </p>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ActiveSessions
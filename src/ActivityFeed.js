@@ -1,13 +1,15 @@
 import React, { useState, useEffect } from 'react'
 import { supabase } from './supabaseClient'
+import { RETURN_REASONS } from './transactions'
 
 /**
  * ActivityFeed Component
  * 
  * Shows recent team activity:
- * - Units logged
+ * - Units logged, returned, corrected and voided
  * - Promos assigned
  * - Notes added
+ * - "View as rep" sessions (admins only)
  */
 
 const ActivityFeed = ({ limit = 10, compact = false }) => {
@@ -33,7 +35,8 @@ const ActivityFeed = ({ limit = 10, compact = false }) => {
 
   const fetchActivity = async () => {
     try {
-      // Try to use activity_log table first
+      // Try to use activity_log table first. Row level security leaves out
+      // the "view as" entries for everyone but admins.
       const { data: activityData, error: activityError } = await supabase
         .from('activity_log')
         .select(`
@@ -42,7 +45,7 @@ const ActivityFeed = ({ limit = 10, compact = false }) => {
           details,
           created_at,
           accounts (account_name, territory),
-          reps (name)
+          reps (name, is_active)
         `)
         .order('created_at', { ascending: false })
         .limit(limit)
@@ -59,12 +62,15 @@ const ActivityFeed = ({ limit = 10, compact = false }) => {
         .select(`
           id,
           units_sold,
+          transaction_type,
+          return_reason,
           transaction_date,
           created_at,
           accounts (account_name, territory),
-          reps (name),
+          reps (name, is_active),
           promos (promo_name)
         `)
+        .is('voided_at', null)
         .order('created_at', { ascending: false })
         .limit(limit)
 
@@ -73,10 +79,11 @@ const ActivityFeed = ({ limit = 10, compact = false }) => {
       // Transform transactions into activity format
       const activityFromTransactions = transactions?.map(t => ({
         id: t.id,
-        action_type: 'units_logged',
+        action_type: t.transaction_type === 'return' ? 'units_returned' : 'units_logged',
         details: { 
-          units: t.units_sold,
-          promo_name: t.promos?.promo_name
+          units: Math.abs(t.units_sold),
+          promo_name: t.promos?.promo_name,
+          return_reason: t.return_reason
         },
         created_at: t.created_at,
         accounts: t.accounts,
@@ -106,16 +113,26 @@ const ActivityFeed = ({ limit = 10, compact = false }) => {
   const getActionIcon = (actionType) => {
     switch (actionType) {
       case 'units_logged': return '📝'
+      case 'units_returned': return '↩️'
+      case 'units_corrected': return '✏️'
+      case 'units_voided': return '🚫'
       case 'promo_assigned': return '🎯'
       case 'promo_changed': return '🔄'
+      case 'assignment_updated': return '🎯'
       case 'note_added': return '💬'
       case 'account_created': return '🏢'
+      case 'impersonation_started': return '👁️'
+      case 'impersonation_ended': return '👁️'
+      case 'duplicate_assignment_removed': return '🧹'
       default: return '📌'
     }
   }
 
   const getActionText = (activity) => {
-    const repName = activity.reps?.name || 'Someone'
+    // Deactivated reps keep their name on past activity
+    const repName = activity.reps
+      ? `${activity.reps.name}${activity.reps.is_active === false ? ' (inactive)' : ''}`
+      : 'Someone'
     const accountName = activity.accounts?.account_name || 'an account'
     
     switch (activity.action_type) {
@@ -130,6 +147,40 @@ const ActivityFeed = ({ limit = 10, compact = false }) => {
             )}
           </>
         )
+      case 'units_returned':
+        return (
+          <>
+            <strong className="text-white">{repName}</strong> recorded a return of{' '}
+            <strong className="text-orange-400">{activity.details?.units} units</strong> for{' '}
+            <strong className="text-white">{accountName}</strong>
+            {activity.details?.return_reason && (
+              <span className="text-gray-500"> ({RETURN_REASONS[activity.details.return_reason] || 'Other'})</span>
+            )}
+          </>
+        )
+      // Returns are stored negative; corrections to them are shown as quantities
+      case 'units_corrected':
+        return (
+          <>
+            <strong className="text-white">{repName}</strong> corrected{' '}
+            <strong className="text-white">{accountName}</strong> from {Math.abs(activity.details?.previous_units)} to{' '}
+            <strong className="text-green-400">{Math.abs(activity.details?.units)} units</strong>
+            {activity.details?.reason && (
+              <span className="text-gray-500"> ({activity.details.reason})</span>
+            )}
+          </>
+        )
+      case 'units_voided':
+        return (
+          <>
+            <strong className="text-white">{repName}</strong> voided{' '}
+            <strong className="text-red-400">{Math.abs(activity.details?.previous_units)} units</strong> for{' '}
+            <strong className="text-white">{accountName}</strong>
+            {activity.details?.reason && (
+              <span className="text-gray-500"> ({activity.details.reason})</span>
+            )}
+          </>
+        )
       case 'promo_assigned':
         return (
           <>
@@ -146,6 +197,15 @@ const ActivityFeed = ({ limit = 10, compact = false }) => {
             <strong className="text-blue-400">{activity.details?.new_promo}</strong>
           </>
         )
+      case 'assignment_updated':
+        return (
+          <>
+            <strong className="text-white">{repName}</strong> set{' '}
+            <strong className="text-white">{accountName}</strong>'s{' '}
+            <strong className="text-blue-400">{activity.details?.promo_name}</strong> target to{' '}
+            {activity.details?.target_units} units
+          </>
+        )
       case 'note_added':
         return (
           <>
@@ -153,6 +213,36 @@ const ActivityFeed = ({ limit = 10, compact = false }) => {
             <strong className="text-white">{accountName}</strong>
           </>
         )
+      case 'impersonation_started':
+        return (
+          <>
+            <strong className="text-white">{repName}</strong> started viewing as{' '}
+            <strong className="text-yellow-400">{activity.details?.target_rep_name}</strong>
+          </>
+        )
+      case 'impersonation_ended':
+        return activity.details?.reason === 'expired' ? (
+          <>
+            <strong className="text-white">{repName}</strong>'s view as{' '}
+            <strong className="text-yellow-400">{activity.details?.target_rep_name}</strong> expired
+          </>
+        ) : (
+          <>
+            <strong className="text-white">{repName}</strong> stopped viewing as{' '}
+            <strong className="text-yellow-400">{activity.details?.target_rep_name}</strong>
+          </>
+        )
+      // Written once, by the migration that made assignments unique
+      case 'duplicate_assignment_removed':
+        return (
+          <>
+            A duplicate <strong className="text-blue-400">{activity.details?.promo_name}</strong> assignment
+            {' '}for <strong className="text-white">{accountName}</strong> was removed
+            <span className="text-gray-500">
+              {' '}(target {activity.details?.target_units ?? 'none'}; kept target {activity.details?.kept_target_units ?? 'none'})
+            </span>
+          </>
+        )
       default:
         return (
           <>
@@ -1,19 +1,35 @@
-import { useState } from 'react'
+import { useState, useEffect } from 'react'
 import { supabase } from './supabaseClient'
+import { useAuth } from './AuthContext'
+import { fetchTerritories, setAccountTerritories } from './territories'
+import { ACCOUNT_SIZES } from './promos'
 
 function AddAccountModal({ onClose, onSuccess }) {
   const [accountName, setAccountName] = useState('')
   const [accountNumber, setAccountNumber] = useState('')
-  const [territory, setTerritory] = useState('')
+  const [territory, setTerritory] = useState('') // territory id
+  const [accountSize, setAccountSize] = useState('')
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState('')
+  const { can } = useAuth()
 
-  const territories = ['Vancouver', 'Richmond', 'Kelowna', 'Victoria', 'Other']
+  const [territories, setTerritories] = useState([])
+
+  useEffect(() => {
+    fetchTerritories()
+      .then(setTerritories)
+      .catch(err => console.error('Error fetching territories:', err))
+  }, [])
 
   const handleSubmit = async (e) => {
     e.preventDefault()
     setError('')
 
+    if (!can('manage_accounts')) {
+      setError('Only managers and admins can add accounts')
+      return
+    }
+
     if (!accountName.trim()) {
       setError('Account name is required')
       return
@@ -28,16 +44,22 @@ function AddAccountModal({ onClose, onSuccess }) {
     setLoading(true)
 
     try {
-      const { error: insertError } = await supabase
+      const { data: account, error: insertError } = await supabase
         .from('accounts')
         .insert({
           account_name: accountName.trim(),
-          territory: territory || null,
-          account_number: accountNumber || null
+          account_number: accountNumber || null,
+          account_size: accountSize || null
         })
+        .select('id')
+        .single()
 
       if (insertError) throw insertError
 
+      if (territory) {
+        await setAccountTerritories(account.id, [territory])
+      }
+
       if (onSuccess) onSuccess()
       onClose()
     } catch (err) {
@@ -117,7 +139,25 @@ function AddAccountModal({ onClose, onSuccess }) {
             >
               <option value="">Select territory...</option>
               {territories.map(t => (
-                <option key={t} value={t}>{t}</option>
+                <option key={t.id} value={t.id}>{t.name}</option>
+              ))}
+            </select>
+          </div>
+
+          {/* Account Size */}
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">
+              Account Size
+              <span className="text-gray-500 font-normal ml-1">(optional, for promo targets)</span>
+            </label>
+            <select
+              value={accountSize}
+              onChange={(e) => setAccountSize(e.target.value)}
+              className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded text-white focus:outline-none focus:border-blue-500"
+            >
+              <option value="">Not set</option>
+              {Object.entries(ACCOUNT_SIZES).map(([size, label]) => (
+                <option key={size} value={size}>{label}</option>
               ))}
             </select>
           </div>
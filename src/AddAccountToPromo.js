@@ -1,15 +1,21 @@
 import React, { useState, useEffect } from 'react'
 import { supabase } from './supabaseClient'
 import { useAuth } from './AuthContext'
+import { apiFetch } from './api'
+import { ACCOUNT_SIZES, isAssignable, suggestedTarget } from './promos'
+import { allowedTermsFor, termsLabel } from './paymentTerms'
+import { fetchTerritories } from './territories'
 
 /**
  * AddAccountToPromo Component - Combined Flow v2
  * 
  * Single modal: Search account → Select OR Create New → Assign promo (all in one)
+ * Accounts can run several promos at once; an existing account is offered
+ * only the promos it isn't already on.
  */
 
-const AddAccountToPromo = ({ onClose, onSuccess, onAddNew }) => {
-  const { user } = useAuth()
+const AddAccountToPromo = ({ timeZone, onClose, onSuccess, onAddNew }) => {
+  const { can } = useAuth()
   
   // Step tracking: 1 = search, 2 = assign (existing), 3 = create new + assign
   const [step, setStep] = useState(1)
@@ -17,7 +23,7 @@ const AddAccountToPromo = ({ onClose, onSuccess, onAddNew }) => {
   // Account search
   const [searchTerm, setSearchTerm] = useState('')
   const [allAccounts, setAllAccounts] = useState([])
-  const [accountPromoStatus, setAccountPromoStatus] = useState({})
+  const [accountPromoStatus, setAccountPromoStatus] = useState({}) // account id -> its assignments
   const [loading, setLoading] = useState(true)
   const [filteredAccounts, setFilteredAccounts] = useState([])
   
@@ -27,12 +33,13 @@ const AddAccountToPromo = ({ onClose, onSuccess, onAddNew }) => {
   // New account fields
   const [newAccountName, setNewAccountName] = useState('')
   const [newAccountNumber, setNewAccountNumber] = useState('')
+  const [newAccountSize, setNewAccountSize] = useState('')
   const [selectedTerritories, setSelectedTerritories] = useState([])
-  const [territories, setTerritories] = useState([])
+  const [territories, setTerritories] = useState([]) // [{ id, name }]
   const [showTerritoryDropdown, setShowTerritoryDropdown] = useState(false)
   
   // Promo assignment
-  const [promos, setPromos] = useState([])
+  const [allPromos, setAllPromos] = useState([])
   const [selectedPromo, setSelectedPromo] = useState('')
   const [targetUnits, setTargetUnits] = useState('')
   const [terms, setTerms] = useState('')
@@ -43,7 +50,7 @@ const AddAccountToPromo = ({ onClose, onSuccess, onAddNew }) => {
   useEffect(() => {
     fetchAllAccounts()
     fetchPromos()
-    fetchTerritories()
+    loadTerritories()
   }, [])
 
   useEffect(() => {
@@ -58,15 +65,9 @@ const AddAccountToPromo = ({ onClose, onSuccess, onAddNew }) => {
     }
   }, [searchTerm, allAccounts])
 
-  const fetchTerritories = async () => {
+  const loadTerritories = async () => {
     try {
-      const { data } = await supabase
-        .from('accounts')
-        .select('territory')
-        .not('territory', 'is', null)
-      
-      const uniqueTerritories = [...new Set(data?.map(a => a.territory).filter(Boolean))]
-      setTerritories(uniqueTerritories.sort())
+      setTerritories(await fetchTerritories())
     } catch (err) {
       console.error('Error fetching territories:', err)
     }
@@ -76,7 +77,7 @@ const AddAccountToPromo = ({ onClose, onSuccess, onAddNew }) => {
     try {
       const { data: accountsData, error: accountsError } = await supabase
         .from('accounts')
-        .select('*')
+        .select('*, account_territories ( territory_id )')
         .order('account_name')
 
       if (accountsError) throw accountsError
@@ -85,6 +86,7 @@ const AddAccountToPromo = ({ onClose, onSuccess, onAddNew }) => {
         .from('account_promos')
         .select(`
           account_id,
+          promo_id,
           target_units,
           terms,
           promos (
@@ -97,13 +99,16 @@ const AddAccountToPromo = ({ onClose, onSuccess, onAddNew }) => {
 
       const promoStatusMap = {}
       accountPromos?.forEach(ap => {
-        promoStatusMap[ap.account_id] = {
-          hasPromo: true,
-          promoName: ap.promos?.promo_name,
-          discount: ap.promos?.discount,
-          target: ap.target_units,
-          terms: ap.terms
-        }
+        promoStatusMap[ap.account_id] = [
+          ...(promoStatusMap[ap.account_id] || []),
+          {
+            promoId: ap.promo_id,
+            promoName: ap.promos?.promo_name,
+            discount: ap.promos?.discount,
+            target: ap.target_units,
+            terms: ap.terms
+          }
+        ]
       })
 
       setAllAccounts(accountsData || [])
@@ -120,20 +125,30 @@ const AddAccountToPromo = ({ onClose, onSuccess, onAddNew }) => {
     try {
       const { data, error } = await supabase
         .from('promos')
-        .select('*')
+        .select('*, promo_target_overrides ( territory_id, account_size, target_units, territories ( name ) )')
         .eq('is_active', true)
         .order('promo_name', { ascending: true })
 
       if (error) throw error
-      setPromos(data || [])
+      setAllPromos(data || [])
     } catch (err) {
       console.error('Error fetching promos:', err)
     }
   }
 
+  // Scheduled and ended promos can't take new accounts
+  const promos = allPromos.filter(p => isAssignable(p, new Date(), timeZone))
+
+  // Active promos the account isn't on yet
+  const promosAvailableFor = (account) => {
+    const current = (accountPromoStatus[account.id] || []).map(s => s.promoId)
+    return promos.filter(p => !current.includes(p.id))
+  }
+
+  const isOnEveryPromo = (account) => promos.length > 0 && promosAvailableFor(account).length === 0
+
   const handleSelectAccount = (account) => {
-    const status = accountPromoStatus[account.id]
-    if (status?.hasPromo) {
+    if (isOnEveryPromo(account)) {
       return
     }
     setSelectedAccount(account)
@@ -145,22 +160,54 @@ const AddAccountToPromo = ({ onClose, onSuccess, onAddNew }) => {
     setStep(3)
   }
 
+  // Territories and size the suggested target is based on
+  const targetContext = () => (step === 3
+    ? {
+        territoryIds: territories.filter(t => selectedTerritories.includes(t.name)).map(t => t.id),
+        accountSize: newAccountSize || null
+      }
+    : {
+        territoryIds: (selectedAccount?.account_territories || []).map(at => at.territory_id),
+        accountSize: selectedAccount?.account_size || null
+      })
+
   const handlePromoChange = (e) => {
     const promoId = e.target.value
     setSelectedPromo(promoId)
     
     const selectedPromoData = promos.find(p => p.id === promoId)
     if (selectedPromoData) {
-      const match = selectedPromoData.promo_name.match(/\d+/)
-      if (match && !targetUnits) {
-        setTargetUnits(match[0])
-      }
-      if (selectedPromoData.terms) {
-        setTerms(selectedPromoData.terms)
-      }
+      const { target } = suggestedTarget(selectedPromoData, targetContext())
+      setTargetUnits(target ? String(target) : '')
+      // The promo's default terms, else keep what was picked if it's allowed
+      setTerms(selectedPromoData.terms ||
+        (allowedTermsFor(selectedPromoData).includes(terms) ? terms : ''))
     }
   }
 
+  const promoData = promos.find(p => p.id === selectedPromo)
+  const minTarget = promoData?.min_target_units || 1
+  // The promo's allowed terms, plus whatever the form holds (e.g. terms
+  // entered before they were structured)
+  const termsOptions = [...new Set([...allowedTermsFor(promoData), ...(terms ? [terms] : [])])]
+  const suggestion = suggestedTarget(promoData, targetContext())
+
+  const targetHint = suggestion.target && (
+    <p className="mt-2 text-sm text-gray-400">
+      Suggested: {suggestion.target} ({suggestion.reason})
+      {promoData.min_target_units ? ` • minimum ${promoData.min_target_units}` : ''}
+      {String(suggestion.target) !== String(targetUnits) && (
+        <button
+          type="button"
+          onClick={() => setTargetUnits(String(suggestion.target))}
+          className="ml-2 text-blue-400 hover:text-blue-300"
+        >
+          Use
+        </button>
+      )}
+    </p>
+  )
+
   const handleSubmit = async (e) => {
     e.preventDefault()
     
@@ -169,126 +216,52 @@ const AddAccountToPromo = ({ onClose, onSuccess, onAddNew }) => {
       return
     }
 
+    if (parseInt(targetUnits) < minTarget) {
+      setError(`The target for ${promoData.promo_name} must be at least ${minTarget} units`)
+      return
+    }
+
+    if (!can('manage_assignments')) {
+      setError('Only managers and admins can add accounts to promos.')
+      return
+    }
+
+    if (step === 3 && !newAccountName.trim()) {
+      setError('Account name is required')
+      return
+    }
+
     setSubmitting(true)
     setError('')
 
     try {
-      let accountId = selectedAccount?.id
-      let accountName = selectedAccount?.account_name
-
-      // If step 3, create the new account first
-      if (step === 3) {
-        if (!newAccountName.trim()) {
-          setError('Account name is required')
-          setSubmitting(false)
-          return
-        }
-
-        const { data: newAccount, error: createError } = await supabase
-          .from('accounts')
-          .insert({
-            account_name: newAccountName.trim(),
-            account_number: newAccountNumber || null,
-            territory: selectedTerritories.length > 0 ? selectedTerritories.join(', ') : null
-          })
-          .select()
-          .single()
-
-        if (createError) throw createError
-
-        accountId = newAccount.id
-        accountName = newAccount.account_name
-
-        // Log account creation
-        try {
-          await supabase
-            .from('activity_log')
-            .insert({
-              action_type: 'account_created',
-              account_id: accountId,
-              rep_id: user?.id,
-              details: { account_name: accountName }
-            })
-        } catch (e) {}
-      }
-
-      // Create promo assignment
-      const { error: insertError } = await supabase
-        .from('account_promos')
-        .insert({
-          account_id: accountId,
-          promo_id: selectedPromo,
-          target_units: parseInt(targetUnits),
-          terms: terms,
-          assigned_date: new Date().toISOString()
-        })
-
-      if (insertError) throw insertError
-
-      // Log activity
-      try {
-        await supabase
-          .from('activity_log')
-          .insert({
-            action_type: 'promo_assigned',
-            account_id: accountId,
-            rep_id: user?.id,
-            details: { 
-              promo_name: promos.find(p => p.id === selectedPromo)?.promo_name,
-              target_units: parseInt(targetUnits)
-            }
-          })
-      } catch (e) {}
-
-      // Send email notification
-      try {
-        await fetch('/api/notify-promo-assigned', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            accountId: accountId,
-            accountName: accountName,
-            territory: step === 3 ? selectedTerritories.join(', ') : selectedAccount?.territory,
-            promoName: promos.find(p => p.id === selectedPromo)?.promo_name,
-            targetUnits: parseInt(targetUnits),
-            terms: terms || null,
-            assignedBy: user?.name || user?.email || 'Unknown'
-          })
-        })
-      } catch (e) {}
-
-      // Create initial units transaction if provided
-      if (initialUnits && parseInt(initialUnits) > 0) {
-        try {
-          await supabase
-            .from('transactions')
-            .insert({
-              account_id: accountId,
-              promo_id: selectedPromo,
-              units_sold: parseInt(initialUnits),
-              rep_id: user?.id,
-              notes: 'Initial units on promo assignment'
-            })
-
-          await supabase
-            .from('activity_log')
-            .insert({
-              action_type: 'units_logged',
-              account_id: accountId,
-              rep_id: user?.id,
-              details: { 
-                units: parseInt(initialUnits),
-                note: 'Initial units on promo assignment'
+      // One request: the account (if new), assignment and initial units are
+      // saved together or not at all
+      await apiFetch('/api/assignments', {
+        method: 'POST',
+        body: {
+          ...(step === 3
+            ? {
+                newAccount: {
+                  name: newAccountName.trim(),
+                  accountNumber: newAccountNumber || null,
+                  accountSize: newAccountSize || null,
+                  territoryIds: territories.filter(t => selectedTerritories.includes(t.name)).map(t => t.id)
+                }
               }
-            })
-        } catch (e) {}
-      }
+            : { accountId: selectedAccount.id }),
+          promoId: selectedPromo,
+          targetUnits: parseInt(targetUnits),
+          terms: terms,
+          initialUnits: parseInt(initialUnits) || 0
+        }
+      })
 
       onSuccess && onSuccess()
       onClose()
     } catch (err) {
       console.error('Error:', err)
-      setError('Failed to save. Please try again.')
+      setError(err.message || 'Failed to save. Please try again.')
     } finally {
       setSubmitting(false)
     }
@@ -299,6 +272,7 @@ const AddAccountToPromo = ({ onClose, onSuccess, onAddNew }) => {
     setSelectedAccount(null)
     setNewAccountName('')
     setNewAccountNumber('')
+    setNewAccountSize('')
     setSelectedTerritories([])
     setSelectedPromo('')
     setTargetUnits('')
@@ -374,15 +348,15 @@ const AddAccountToPromo = ({ onClose, onSuccess, onAddNew }) => {
               ) : (
                 <div className="space-y-2">
                   {filteredAccounts.map(account => {
-                    const status = accountPromoStatus[account.id]
-                    const hasPromo = status?.hasPromo
+                    const currentPromos = accountPromoStatus[account.id] || []
+                    const onEveryPromo = isOnEveryPromo(account)
                     
                     return (
                       <div
                         key={account.id}
-                        onClick={() => !hasPromo && handleSelectAccount(account)}
+                        onClick={() => !onEveryPromo && handleSelectAccount(account)}
                         className={`p-4 rounded-lg border transition-all ${
-                          hasPromo 
+                          onEveryPromo 
                             ? 'bg-gray-800/30 border-gray-700/30 opacity-60 cursor-not-allowed'
                             : 'bg-gray-800/50 border-gray-700/50 hover:bg-gray-800 hover:border-blue-500/50 cursor-pointer'
                         }`}
@@ -395,13 +369,18 @@ const AddAccountToPromo = ({ onClose, onSuccess, onAddNew }) => {
                               <p className="text-gray-400 text-sm">📍 {account.territory || 'No territory'}</p>
                             </div>
                           </div>
-                          {hasPromo ? (
-                            <span className="text-xs bg-green-500/20 text-green-400 px-2 py-1 rounded">
-                              ✓ {status.promoName}
-                            </span>
-                          ) : (
-                            <span className="text-blue-400 text-sm">Select →</span>
-                          )}
+                          <div className="flex flex-wrap items-center justify-end gap-2">
+                            {currentPromos.map(p => (
+                              <span key={p.promoId} className="text-xs bg-green-500/20 text-green-400 px-2 py-1 rounded">
+                                ✓ {p.promoName}
+                              </span>
+                            ))}
+                            {!onEveryPromo && (
+                              <span className="text-blue-400 text-sm">
+                                {currentPromos.length > 0 ? 'Add promo →' : 'Select →'}
+                              </span>
+                            )}
+                          </div>
                         </div>
                       </div>
                     )
@@ -426,7 +405,7 @@ const AddAccountToPromo = ({ onClose, onSuccess, onAddNew }) => {
               )}
 
               <p className="text-center text-gray-500 text-xs mt-4">
-                Showing {filteredAccounts.length} accounts • Accounts already on promos are disabled
+                Showing {filteredAccounts.length} accounts • Accounts already on every active promo are disabled
               </p>
             </>
           )}
@@ -463,7 +442,7 @@ const AddAccountToPromo = ({ onClose, onSuccess, onAddNew }) => {
                   required
                 >
                   <option value="">Choose a promo...</option>
-                  {promos.map((promo) => (
+                  {promosAvailableFor(selectedAccount).map((promo) => (
                     <option key={promo.id} value={promo.id}>
                       {promo.promo_name} {promo.discount ? `- ${promo.discount}% off` : ''}
                     </option>
@@ -480,11 +459,12 @@ const AddAccountToPromo = ({ onClose, onSuccess, onAddNew }) => {
                   type="number"
                   value={targetUnits}
                   onChange={(e) => setTargetUnits(e.target.value)}
-                  min="1"
+                  min={minTarget}
                   className="w-full px-4 py-3 bg-gray-800 border border-gray-700 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
                   placeholder="Enter target units"
                   required
                 />
+                {targetHint}
               </div>
 
               {/* Payment Terms */}
@@ -498,9 +478,9 @@ const AddAccountToPromo = ({ onClose, onSuccess, onAddNew }) => {
                   className="w-full px-4 py-3 bg-gray-800 border border-gray-700 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
                 >
                   <option value="">No terms</option>
-                  <option value="30/60/90">30/60/90</option>
-                  <option value="30/60/90/120">30/60/90/120</option>
-                  <option value="30/60/90/120/150">30/60/90/120/150</option>
+                  {termsOptions.map(t => (
+                    <option key={t} value={t}>{termsLabel(t)}</option>
+                  ))}
                 </select>
               </div>
 
@@ -595,6 +575,23 @@ const AddAccountToPromo = ({ onClose, onSuccess, onAddNew }) => {
                 />
               </div>
 
+              {/* Account Size */}
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-2">
+                  Account Size <span className="text-gray-500">(optional)</span>
+                </label>
+                <select
+                  value={newAccountSize}
+                  onChange={(e) => setNewAccountSize(e.target.value)}
+                  className="w-full px-4 py-3 bg-gray-800 border border-gray-700 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="">Not set</option>
+                  {Object.entries(ACCOUNT_SIZES).map(([size, label]) => (
+                    <option key={size} value={size}>{label}</option>
+                  ))}
+                </select>
+              </div>
+
               {/* Territory Multi-Select */}
               <div>
                 <label className="block text-sm font-medium text-gray-300 mb-2">
@@ -616,9 +613,9 @@ const AddAccountToPromo = ({ onClose, onSuccess, onAddNew }) => {
                   
                   {showTerritoryDropdown && (
                     <div className="absolute z-10 w-full mt-1 bg-gray-800 border border-gray-700 rounded-lg shadow-xl max-h-48 overflow-y-auto">
-                      {territories.map(t => (
+                      {territories.map(({ id, name: t }) => (
                         <label
-                          key={t}
+                          key={id}
                           className="flex items-center px-4 py-2 hover:bg-gray-700 cursor-pointer"
                         >
                           <input
@@ -697,11 +694,12 @@ const AddAccountToPromo = ({ onClose, onSuccess, onAddNew }) => {
                   type="number"
                   value={targetUnits}
                   onChange={(e) => setTargetUnits(e.target.value)}
-                  min="1"
+                  min={minTarget}
                   className="w-full px-4 py-3 bg-gray-800 border border-gray-700 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
                   placeholder="Enter target units"
                   required
                 />
+                {targetHint}
               </div>
 
               {/* Payment Terms */}
@@ -715,9 +713,9 @@ const AddAccountToPromo = ({ onClose, onSuccess, onAddNew }) => {
                   className="w-full px-4 py-3 bg-gray-800 border border-gray-700 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
                 >
                   <option value="">No terms</option>
-                  <option value="30/60/90">30/60/90</option>
-                  <option value="30/60/90/120">30/60/90/120</option>
-                  <option value="30/60/90/120/150">30/60/90/120/150</option>
+                  {termsOptions.map(t => (
+                    <option key={t} value={t}>{termsLabel(t)}</option>
+                  ))}
                 </select>
               </div>
 
@@ -1,16 +1,44 @@
-import React from 'react'
+import React, { useState } from 'react'
 import { AuthProvider, useAuth } from './AuthContext'
 import Login from './Login'
 import Dashboard from './Dashboard'
+import ResetPassword from './ResetPassword'
+import TwoFactorSettings from './TwoFactorSettings'
+import UpdatePrompt from './UpdatePrompt'
 import './App.css'
 
 // Main app component that shows Login or Dashboard based on auth state
 function AppContent() {
-  const { user } = useAuth()
+  const { user, twoFactorSetupRequired } = useAuth()
+  const [resetToken, setResetToken] = useState(
+    () => new URLSearchParams(window.location.search).get('reset')
+  )
+
+  // Links from password reset emails open /?reset=<token>
+  if (resetToken) {
+    return (
+      <ResetPassword
+        token={resetToken}
+        onDone={() => {
+          window.history.replaceState({}, '', window.location.pathname)
+          setResetToken(null)
+        }}
+      />
+    )
+  }
+
+  // Admins must enroll in 2FA before they can use the app (if required)
+  if (user && twoFactorSetupRequired) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-gray-900 via-blue-900 to-gray-900">
+        <TwoFactorSettings required />
+      </div>
+    )
+  }
 
   // If no user is logged in, show Login
-  // If user is logged in, show Dashboard
-  return user ? <Dashboard /> : <Login />
+  // If user is logged in, show Dashboard (keyed so "view as" starts fresh)
+  return user ? <Dashboard key={user.id} /> : <Login />
 }
 
 // Wrapper that provides auth context to entire app
@@ -18,6 +46,7 @@ function App() {
   return (
     <AuthProvider>
       <AppContent />
+      <UpdatePrompt />
     </AuthProvider>
   )
 }
@@ -1,18 +1,23 @@
 import React, { useState, useEffect } from 'react'
 import { supabase } from './supabaseClient'
 import { useAuth } from './AuthContext'
+import { apiFetch } from './api'
+import { ACCOUNT_SIZES, isAssignable, suggestedTarget } from './promos'
+import { DEFAULT_TERMS, allowedTermsFor, termsLabel } from './paymentTerms'
+import { fetchTerritories, setAccountTerritories } from './territories'
 
 /**
  * AssignPromo Modal
  * 
  * Modal for assigning or changing an account's promo.
  * Now with:
- * - Territory editing (multi-select)
+ * - Territory and account size editing
  * - Duplicate prevention
+ * - Target suggested from the promo's overrides and defaults
  */
 
-const AssignPromo = ({ account, currentPromo, onClose, onSuccess }) => {
-  const { user } = useAuth()
+const AssignPromo = ({ account, currentPromo, timeZone, onClose, onSuccess }) => {
+  const { can } = useAuth()
   const [promos, setPromos] = useState([])
   const [selectedPromo, setSelectedPromo] = useState('')
   const [targetUnits, setTargetUnits] = useState('')
@@ -22,49 +27,31 @@ const AssignPromo = ({ account, currentPromo, onClose, onSuccess }) => {
   const [submitting, setSubmitting] = useState(false)
   const [error, setError] = useState('')
   
-  // Territory editing
+  // Territory editing (territories: [{ id, name }], selected by name)
   const [territories, setTerritories] = useState([])
   const [selectedTerritories, setSelectedTerritories] = useState([])
   const [showTerritoryDropdown, setShowTerritoryDropdown] = useState(false)
+  const [accountSize, setAccountSize] = useState('')
 
   useEffect(() => {
     fetchPromos()
-    fetchTerritories()
+    loadTerritories()
     
     // Pre-fill if editing existing promo (passed from parent)
     if (currentPromo) {
       setSelectedPromo(currentPromo.promo_id || currentPromo.promos?.id)
       setTargetUnits(currentPromo.target_units)
-      setTerms(currentPromo.terms || '30/60/90/120')
+      setTerms(currentPromo.terms || DEFAULT_TERMS)
     }
     
-    // Pre-fill territories from account
-    if (account?.territory) {
-      const existingTerritories = account.territory.split(',').map(t => t.trim()).filter(Boolean)
-      setSelectedTerritories(existingTerritories)
-    }
+    // Pre-fill territories and size from account
+    setSelectedTerritories(account?.territory_names || [])
+    setAccountSize(account?.account_size || '')
   }, [currentPromo, account])
 
-  const fetchTerritories = async () => {
+  const loadTerritories = async () => {
     try {
-      const { data } = await supabase
-        .from('accounts')
-        .select('territory')
-        .not('territory', 'is', null)
-      
-      // Get unique territories (splitting any comma-separated ones)
-      const allTerritories = []
-      data?.forEach(a => {
-        if (a.territory) {
-          a.territory.split(',').forEach(t => {
-            const trimmed = t.trim()
-            if (trimmed && !allTerritories.includes(trimmed)) {
-              allTerritories.push(trimmed)
-            }
-          })
-        }
-      })
-      setTerritories(allTerritories.sort())
+      setTerritories(await fetchTerritories())
     } catch (err) {
       console.error('Error fetching territories:', err)
     }
@@ -74,8 +61,7 @@ const AssignPromo = ({ account, currentPromo, onClose, onSuccess }) => {
     try {
       const { data, error } = await supabase
         .from('promos')
-        .select('*')
-        .eq('is_active', true)
+        .select('*, promo_target_overrides ( territory_id, account_size, target_units, territories ( name ) )')
         .order('promo_name', { ascending: true })
 
       if (error) throw error
@@ -101,164 +87,131 @@ const AssignPromo = ({ account, currentPromo, onClose, onSuccess }) => {
       return
     }
 
+    if (parseInt(targetUnits) < minTarget) {
+      setError(`The target for ${promoData.promo_name} must be at least ${minTarget} units`)
+      return
+    }
+
+    if (!can('manage_assignments')) {
+      setError('Only managers and admins can assign promos.')
+      return
+    }
+
     setSubmitting(true)
     setError('')
 
     try {
-      // Update account territory if changed
-      const newTerritory = selectedTerritories.length > 0 ? selectedTerritories.join(', ') : null
-      if (newTerritory !== account.territory) {
-        const { error: territoryError } = await supabase
+      // Update account territories if changed
+      const currentNames = [...(account.territory_names || [])].sort().join()
+      if ([...selectedTerritories].sort().join() !== currentNames) {
+        await setAccountTerritories(
+          account.id,
+          territories.filter(t => selectedTerritories.includes(t.name)).map(t => t.id)
+        )
+      }
+
+      if ((account.account_size || '') !== accountSize) {
+        const { error: sizeError } = await supabase
           .from('accounts')
-          .update({ territory: newTerritory })
+          .update({ account_size: accountSize || null })
           .eq('id', account.id)
-        
-        if (territoryError) throw territoryError
+
+        if (sizeError) throw sizeError
       }
 
       if (currentPromo) {
         // Update existing assignment - handle different ID property names
-        const promoAssignmentId = currentPromo.id || currentPromo.account_promo_id || currentPromo.assignment_id
-        
-        if (!promoAssignmentId) {
-          // If no ID, find the assignment by account_id
-          const { data: existingPromo } = await supabase
+        let assignmentId = currentPromo.id || currentPromo.account_promo_id || currentPromo.assignment_id
+
+        if (!assignmentId) {
+          // If no ID, find the assignment by account and promo (an account
+          // can be on several promos)
+          const { data: existingPromo, error: findError } = await supabase
             .from('account_promos')
             .select('id')
             .eq('account_id', account.id)
-            .single()
-          
-          if (existingPromo) {
-            const { error: updateError } = await supabase
-              .from('account_promos')
-              .update({
-                promo_id: selectedPromo,
-                target_units: parseInt(targetUnits),
-                terms: terms,
-                assigned_date: new Date().toISOString()
-              })
-              .eq('id', existingPromo.id)
-
-            if (updateError) throw updateError
-          }
-        } else {
-          const { error: updateError } = await supabase
-            .from('account_promos')
-            .update({
-              promo_id: selectedPromo,
-              target_units: parseInt(targetUnits),
-              terms: terms,
-              assigned_date: new Date().toISOString()
-            })
-            .eq('id', promoAssignmentId)
-
-          if (updateError) throw updateError
-        }
-      } else {
-        // Create new assignment
-        const { error: insertError } = await supabase
-          .from('account_promos')
-          .insert({
-            account_id: account.id,
-            promo_id: selectedPromo,
-            target_units: parseInt(targetUnits),
-            terms: terms,
-            assigned_date: new Date().toISOString()
-          })
-
-        if (insertError) throw insertError
-      }
+            .eq('promo_id', currentPromo.promo_id)
+            .maybeSingle()
 
-      // Log activity
-      try {
-        await supabase
-          .from('activity_log')
-          .insert({
-            action_type: currentPromo ? 'promo_changed' : 'promo_assigned',
-            account_id: account.id,
-            rep_id: user?.id,
-            details: { 
-              promo_name: promos.find(p => p.id === selectedPromo)?.promo_name,
-              target_units: parseInt(targetUnits)
-            }
-          })
-      } catch (e) {
-        // Activity logging is optional
-      }
+          if (findError) throw findError
+          assignmentId = existingPromo?.id
+        }
 
-      // Send email notification (only for NEW assignments)
-      if (!currentPromo) {
-        try {
-          await fetch('/api/notify-promo-assigned', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-              accountId: account.id,
-              accountName: account.account_name,
-              territory: newTerritory,
-              promoName: promos.find(p => p.id === selectedPromo)?.promo_name,
+        // A new promo takes the units already logged with it, and the
+        // activity entry is written in the same transaction
+        if (assignmentId) {
+          await apiFetch('/api/assignments', {
+            method: 'PATCH',
+            body: {
+              assignmentId,
+              promoId: selectedPromo,
               targetUnits: parseInt(targetUnits),
-              terms: terms || null,
-              assignedBy: user?.name || user?.email || 'Unknown'
-            })
+              terms: terms
+            }
           })
-        } catch (e) {
-          console.log('Email notification skipped:', e)
-        }
-      }
-
-      // Create initial units transaction if provided (only for new assignments)
-      if (!currentPromo && initialUnits && parseInt(initialUnits) > 0) {
-        try {
-          await supabase
-            .from('transactions')
-            .insert({
-              account_id: account.id,
-              units_sold: parseInt(initialUnits),
-              logged_by: user?.id,
-              notes: 'Initial units on promo assignment'
-            })
-
-          await supabase
-            .from('activity_log')
-            .insert({
-              action_type: 'units_logged',
-              account_id: account.id,
-              rep_id: user?.id,
-              details: { 
-                units: parseInt(initialUnits),
-                note: 'Initial units on promo assignment'
-              }
-            })
-        } catch (e) {
-          console.log('Initial units logging skipped:', e)
         }
+      } else {
+        // New assignment: the assignment, initial units and their activity
+        // are saved together by /api/assignments, which also sends the
+        // territory alerts
+        await apiFetch('/api/assignments', {
+          method: 'POST',
+          body: {
+            accountId: account.id,
+            promoId: selectedPromo,
+            targetUnits: parseInt(targetUnits),
+            terms: terms,
+            initialUnits: parseInt(initialUnits) || 0
+          }
+        })
       }
 
       onSuccess()
       onClose()
     } catch (err) {
       console.error('Error assigning promo:', err)
-      setError('Failed to save changes. Please try again.')
+      // /api/assignments answers with a message for the user
+      setError(err.status
+        ? err.message
+        : err.code === '23505'
+          ? 'This account is already on that promo.'
+          : err.code === '23514'
+            ? err.message
+            : 'Failed to save changes. Please try again.')
     } finally {
       setSubmitting(false)
     }
   }
 
+  // Scheduled, ended and inactive promos can't take new accounts, but an
+  // assignment being edited keeps its own promo on the list
+  const promoOptions = promos.filter(p => isAssignable(p, new Date(), timeZone) || p.id === currentPromo?.promo_id)
+
   const handlePromoChange = (e) => {
     const promoId = e.target.value
     setSelectedPromo(promoId)
     
     const selectedPromoData = promos.find(p => String(p.id) === String(promoId))
     if (selectedPromoData) {
-      const match = selectedPromoData.promo_name.match(/\d+/)
-      if (match && !targetUnits) {
-        setTargetUnits(match[0])
-      }
+      const { target } = suggestedTarget(selectedPromoData, targetContext())
+      if (target) setTargetUnits(String(target))
       setTerms(selectedPromoData.terms || '')
     }
   }
 
+  // Territories and size as currently picked in the form
+  const targetContext = () => ({
+    territoryIds: territories.filter(t => selectedTerritories.includes(t.name)).map(t => t.id),
+    accountSize: accountSize || null
+  })
+
+  const promoData = promos.find(p => String(p.id) === String(selectedPromo))
+  const minTarget = promoData?.min_target_units || 1
+  // The promo's allowed terms, plus whatever the form holds (e.g. terms
+  // entered before they were structured)
+  const termsOptions = [...new Set([...allowedTermsFor(promoData), ...(terms ? [terms] : [])])]
+  const suggestion = suggestedTarget(promoData, targetContext())
+
   return (
     <div className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4">
       <div className="bg-gray-900 rounded-xl max-w-md w-full shadow-2xl border border-gray-700/50 max-h-[90vh] overflow-hidden flex flex-col">
@@ -323,9 +276,9 @@ const AssignPromo = ({ account, currentPromo, onClose, onSuccess }) => {
                   
                   {showTerritoryDropdown && (
                     <div className="absolute z-10 w-full mt-1 bg-gray-800 border border-gray-700 rounded-lg shadow-xl max-h-48 overflow-y-auto">
-                      {territories.map(t => (
+                      {territories.map(({ id, name: t }) => (
                         <label
-                          key={t}
+                          key={id}
                           className="flex items-center px-4 py-2 hover:bg-gray-700 cursor-pointer"
                         >
                           <input
@@ -370,6 +323,23 @@ const AssignPromo = ({ account, currentPromo, onClose, onSuccess }) => {
                 )}
               </div>
 
+              {/* Account Size */}
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-2">
+                  Account Size
+                </label>
+                <select
+                  value={accountSize}
+                  onChange={(e) => setAccountSize(e.target.value)}
+                  className="w-full px-4 py-3 bg-gray-800 border border-gray-700 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                >
+                  <option value="">Not set</option>
+                  {Object.entries(ACCOUNT_SIZES).map(([size, label]) => (
+                    <option key={size} value={size}>{label}</option>
+                  ))}
+                </select>
+              </div>
+
               {/* Promo Dropdown */}
               <div>
                 <label className="block text-sm font-medium text-gray-300 mb-2">
@@ -382,7 +352,7 @@ const AssignPromo = ({ account, currentPromo, onClose, onSuccess }) => {
                   required
                 >
                   <option value="">Choose a promo...</option>
-                  {promos.map((promo) => (
+                  {promoOptions.map((promo) => (
                     <option key={promo.id} value={promo.id}>
                       {promo.promo_name} {promo.discount ? `- ${promo.discount}% off` : ''}
                     </option>
@@ -399,11 +369,26 @@ const AssignPromo = ({ account, currentPromo, onClose, onSuccess }) => {
                   type="number"
                   value={targetUnits}
                   onChange={(e) => setTargetUnits(e.target.value)}
-                  min="1"
+                  min={minTarget}
                   className="w-full px-4 py-3 bg-gray-800 border border-gray-700 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                   placeholder="Enter target units"
                   required
                 />
+                {suggestion.target && (
+                  <p className="mt-2 text-sm text-gray-400">
+                    Suggested: {suggestion.target} ({suggestion.reason})
+                    {promoData.min_target_units ? ` • minimum ${promoData.min_target_units}` : ''}
+                    {String(suggestion.target) !== String(targetUnits) && (
+                      <button
+                        type="button"
+                        onClick={() => setTargetUnits(String(suggestion.target))}
+                        className="ml-2 text-blue-400 hover:text-blue-300"
+                      >
+                        Use
+                      </button>
+                    )}
+                  </p>
+                )}
               </div>
 
               {/* Payment Terms */}
@@ -417,9 +402,9 @@ const AssignPromo = ({ account, currentPromo, onClose, onSuccess }) => {
                   className="w-full px-4 py-3 bg-gray-800 border border-gray-700 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                 >
                   <option value="">No terms</option>
-                  <option value="30/60/90">30/60/90</option>
-                  <option value="30/60/90/120">30/60/90/120</option>
-                  <option value="30/60/90/120/150">30/60/90/120/150</option>
+                  {termsOptions.map(t => (
+                    <option key={t} value={t}>{termsLabel(t)}</option>
+                  ))}
                 </select>
               </div>
 
@@ -1,8 +1,15 @@
 import React, { createContext, useState, useContext, useEffect } from 'react'
+import { getSessionToken, setSessionToken } from './supabaseClient'
+import { apiFetch } from './api'
+import { can, getRole } from './permissions'
+import { clearSnapshots } from './serviceWorkerRegistration'
 
 // Create context for auth state
 const AuthContext = createContext()
 
+// While an admin views as a rep, their own session token waits here
+const ADMIN_TOKEN_KEY = 'impersonator_session_token'
+
 // Custom hook to use auth context
 export const useAuth = () => {
   const context = useContext(AuthContext)
@@ -16,44 +23,147 @@ export const useAuth = () => {
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null)
   const [loading, setLoading] = useState(true)
+  // Admins who must enroll in 2FA see only the enrollment screen
+  const [twoFactorSetupRequired, setTwoFactorSetupRequired] = useState(false)
+  // The admin behind a read-only "view as" session, otherwise null
+  const [impersonator, setImpersonator] = useState(null)
 
   useEffect(() => {
     // Check if user is already logged in on mount
     checkUser()
   }, [])
 
-  const checkUser = () => {
-    try {
-      // Check localStorage for existing user
-      const savedUser = localStorage.getItem('user')
-      if (savedUser) {
-        setUser(JSON.parse(savedUser))
+  const checkUser = async () => {
+    // Older builds kept an unverified user object here
+    localStorage.removeItem('user')
+
+    while (getSessionToken()) {
+      try {
+        // Ask the server to verify the stored session token
+        const session = await apiFetch('/api/auth/session')
+        setUser(session.user)
+        setImpersonator(session.impersonator || null)
+        setTwoFactorSetupRequired(Boolean(session.twoFactorSetupRequired))
+        break
+      } catch (error) {
+        if (error.status !== 401) {
+          console.error('Error checking user:', error)
+          break
+        }
+
+        // An expired "view as" session falls back to the admin's own
+        // session; otherwise there is nothing left to try
+        setSessionToken(localStorage.getItem(ADMIN_TOKEN_KEY))
+        localStorage.removeItem(ADMIN_TOKEN_KEY)
+        setUser(null)
+        setImpersonator(null)
       }
-    } catch (error) {
-      console.error('Error checking user:', error)
-    } finally {
-      setLoading(false)
     }
+
+    setLoading(false)
+  }
+
+  const startSession = ({ token, user: signedInUser, twoFactorSetupRequired: setupRequired }) => {
+    setSessionToken(token)
+    setUser(signedInUser)
+    setTwoFactorSetupRequired(Boolean(setupRequired))
+  }
+
+  const signIn = async (email, password) => {
+    // Throws with the server's message (e.g. "Invalid email or password")
+    const result = await apiFetch('/api/auth/login', {
+      method: 'POST',
+      body: { email: email.trim().toLowerCase(), password }
+    })
+
+    // Reps with 2FA finish signing in with verifyTwoFactor()
+    if (result.twoFactorRequired) {
+      return { twoFactorRequired: true, challengeToken: result.challengeToken }
+    }
+
+    startSession(result)
+    return { success: true }
   }
 
-  const signIn = (userData) => {
-    // Accept user data object directly (already validated from Login)
-    setUser(userData)
-    localStorage.setItem('user', JSON.stringify(userData))
+  // Second login step: { code } from the authenticator app or { recoveryCode }
+  const verifyTwoFactor = async (challengeToken, { code, recoveryCode }) => {
+    const result = await apiFetch('/api/auth/verify-2fa', {
+      method: 'POST',
+      body: { challengeToken, code, recoveryCode }
+    })
+
+    startSession(result)
     return { success: true }
   }
 
-  const signOut = () => {
+  const logout = async () => {
+    try {
+      await apiFetch('/api/auth/logout', { method: 'POST' })
+    } catch (error) {
+      console.error('Error signing out:', error)
+    }
+  }
+
+  const signOut = async () => {
+    await logout()
+
+    // Signing out mid "view as" signs the admin out too
+    const adminToken = localStorage.getItem(ADMIN_TOKEN_KEY)
+    if (adminToken) {
+      localStorage.removeItem(ADMIN_TOKEN_KEY)
+      setSessionToken(adminToken)
+      await logout()
+    }
+
+    setSessionToken(null)
+    await clearSnapshots()
     setUser(null)
-    localStorage.removeItem('user')
+    setImpersonator(null)
+    setTwoFactorSetupRequired(false)
+  }
+
+  // Admin only: switch to a read-only session for another rep
+  const startImpersonation = async (repId) => {
+    const result = await apiFetch('/api/admin/impersonate', {
+      method: 'POST',
+      body: { repId }
+    })
+
+    localStorage.setItem(ADMIN_TOKEN_KEY, getSessionToken())
+    setSessionToken(result.token)
+    setUser(result.user)
+    setImpersonator(result.impersonator)
+    setTwoFactorSetupRequired(false)
   }
 
+  // End the "view as" session (logged server-side) and restore the admin
+  const stopImpersonation = async () => {
+    await logout()
+
+    setSessionToken(localStorage.getItem(ADMIN_TOKEN_KEY))
+    localStorage.removeItem(ADMIN_TOKEN_KEY)
+    setImpersonator(null)
+    await checkUser()
+  }
+
+  const role = getRole(user)
+
   const value = {
     user,
     loading,
     signIn,
+    verifyTwoFactor,
     signOut,
-    isAdmin: user?.is_admin || false
+    // Re-read the signed-in rep, e.g. after turning 2FA on or off
+    refreshUser: checkUser,
+    twoFactorSetupRequired,
+    impersonator,
+    startImpersonation,
+    stopImpersonation,
+    role,
+    // "View as" sessions are read-only
+    can: (permission) => !impersonator && can(user, permission),
+    isAdmin: role === 'admin'
   }
 
   return (
@@ -1,5 +1,5 @@
 import { useState } from 'react'
-import { supabase } from './supabaseClient'
+import { apiFetch } from './api'
 
 function ChangePassword({ user, onClose, onSuccess }) {
   const [currentPassword, setCurrentPassword] = useState('')
@@ -25,42 +25,25 @@ function ChangePassword({ user, onClose, onSuccess }) {
       return
     }
 
-    if (newPassword.length < 4) {
-      setError('New password must be at least 4 characters')
+    if (newPassword.length < 8) {
+      setError('New password must be at least 8 characters')
       setLoading(false)
       return
     }
 
     try {
-      // Verify current password
-      const { data: userData, error: fetchError } = await supabase
-        .from('reps')
-        .select('password_hash')
-        .eq('id', user.id)
-        .single()
-
-      if (fetchError) throw fetchError
-
-      if (currentPassword !== userData.password_hash) {
-        setError('Current password is incorrect')
-        setLoading(false)
-        return
-      }
-
-      // Update password
-      const { error: updateError } = await supabase
-        .from('reps')
-        .update({ password_hash: newPassword })
-        .eq('id', user.id)
-
-      if (updateError) throw updateError
+      // Server verifies the current password and stores a hash of the new one
+      await apiFetch('/api/auth/change-password', {
+        method: 'POST',
+        body: { currentPassword, newPassword }
+      })
 
       if (onSuccess) onSuccess()
       onClose()
 
     } catch (err) {
       console.error('Password change error:', err)
-      setError('Failed to change password. Please try again.')
+      setError(err.status === 400 ? err.message : 'Failed to change password. Please try again.')
     } finally {
       setLoading(false)
     }
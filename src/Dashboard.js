@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useRef } from 'react'
 import { useAuth } from './AuthContext'
 import { supabase } from './supabaseClient'
 import StatsHeader from './StatsHeader'
@@ -15,15 +15,48 @@ import Toast from './Toast'
 import ChangePassword from './ChangePassword'
 import RepBreakdown from './RepBreakdown'
 import QuarterReset from './QuarterReset'
+import RepManagement from './RepManagement'
+import TwoFactorSettings from './TwoFactorSettings'
+import ActiveSessions from './ActiveSessions'
+import ImpersonationBanner from './ImpersonationBanner'
+import PendingSync from './PendingSync'
+import TerritoryManagement from './TerritoryManagement'
+import PromoCatalog from './PromoCatalog'
+import Receivables from './Receivables'
+import { fetchTerritories } from './territories'
+import { ROLE_LABELS } from './permissions'
+import { PACE_STATUS, assignmentMetrics, paceStatus, quarterTiming, summarizeMetrics, tierLabel } from './metrics'
+import { apiFetch } from './api'
+import { termsLabel } from './paymentTerms'
+
+// account_progress row (from /api/dashboard or realtime) -> list row
+const toDashboardAccount = (row, timing, userId) => ({
+  ...row,
+  metrics: assignmentMetrics(row, row.units_sold, timing),
+  my_units: row.rep_units.find(r => r.rep_id === userId)?.units || 0,
+  // Same shape as an account_promos row with its promo embedded
+  promoData: {
+    id: row.account_promo_id,
+    account_id: row.id,
+    target_units: row.target_units,
+    terms: row.terms,
+    assigned_date: row.assigned_date,
+    promo_id: row.promo_id,
+    promos: {
+      id: row.promo_id,
+      promo_name: row.promo_name,
+      promo_code: row.promo_code,
+      discount: row.discount
+    }
+  }
+})
 
 const Dashboard = () => {
-  const { user, signOut, isAdmin } = useAuth()
+  const { user, signOut, role, can, impersonator } = useAuth()
   
   // Data
   const [accounts, setAccounts] = useState([])
   const [accountsWithPromos, setAccountsWithPromos] = useState([])
-  const [accountProgress, setAccountProgress] = useState({})
-  const [accountNotes, setAccountNotes] = useState({})
   const [loading, setLoading] = useState(true)
   
   // Search and filters
@@ -40,21 +73,37 @@ const Dashboard = () => {
   const [showAccountNotes, setShowAccountNotes] = useState(false)
   const [showNotificationSettings, setShowNotificationSettings] = useState(false)
   const [showChangePassword, setShowChangePassword] = useState(false)
+  const [showTwoFactor, setShowTwoFactor] = useState(false)
+  const [showActiveSessions, setShowActiveSessions] = useState(false)
   const [newAccountName, setNewAccountName] = useState('')
   const [selectedAccount, setSelectedAccount] = useState(null)
   const [selectedAccountPromo, setSelectedAccountPromo] = useState(null)
   const [showRepBreakdown, setShowRepBreakdown] = useState(false)
   const [myOpportunitiesOnly, setMyOpportunitiesOnly] = useState(false)
   const [showQuarterReset, setShowQuarterReset] = useState(false)
+  const [showRepManagement, setShowRepManagement] = useState(false)
+  const [showTerritoryManagement, setShowTerritoryManagement] = useState(false)
+  const [showPromoCatalog, setShowPromoCatalog] = useState(false)
+  const [showReceivables, setShowReceivables] = useState(false)
+  const [territoryList, setTerritoryList] = useState([])
   
   // Quarter data
   const [activeQuarter, setActiveQuarter] = useState(null)
-  const [quarterProgress, setQuarterProgress] = useState(50)
+  const [dashboardInfo, setDashboardInfo] = useState(null)
+  // Read by the realtime handler, which outlives any one render
+  const timingRef = useRef(null)
+  // Accounts changed before the first /api/dashboard answer (rows can't be
+  // built without timing); refreshed once it arrives
+  const queuedRefreshes = useRef(new Set())
+  const refreshAccountRef = useRef(null)
   const [activityRefreshKey, setActivityRefreshKey] = useState(0)
+  const [snapshotAt, setSnapshotAt] = useState(null)
   
   // Toast notifications
   const [toasts, setToasts] = useState([])
 
+  const canLogUnits = can('log_units')
+
   // Keyboard shortcuts
   useEffect(() => {
     const handleKeyPress = (e) => {
@@ -65,7 +114,7 @@ const Dashboard = () => {
         document.querySelector('input[type="text"]')?.focus()
       }
       
-      if (e.key === 'n' || e.key === 'N') {
+      if ((e.key === 'n' || e.key === 'N') && canLogUnits) {
         e.preventDefault()
         setSelectedAccount(null)
         setSelectedAccountPromo(null)
@@ -86,76 +135,31 @@ const Dashboard = () => {
 
     window.addEventListener('keydown', handleKeyPress)
     return () => window.removeEventListener('keydown', handleKeyPress)
-  }, [])
+  }, [canLogUnits])
 
+  // Refetch on reconnect to swap the offline snapshot for live data
   useEffect(() => {
     fetchAccounts()
-    fetchActiveQuarter()
+    loadTerritories()
+    window.addEventListener('online', fetchAccounts)
+    return () => window.removeEventListener('online', fetchAccounts)
   }, [])
 
+  // One request for the accounts list, progress, notes and quarter
   const fetchAccounts = async () => {
     try {
-      const { data: accountPromos, error: promoError } = await supabase
-        .from('account_promos')
-        .select(`
-          account_id,
-          target_units,
-          terms,
-          assigned_date,
-          promo_id,
-          promos (
-            id,
-            promo_name,
-            promo_code,
-            discount
-          )
-        `)
-        .order('assigned_date', { ascending: false })
-
-      if (promoError) throw promoError
-
-      const latestPromosByAccount = {}
-      accountPromos.forEach(ap => {
-        if (!latestPromosByAccount[ap.account_id]) {
-          latestPromosByAccount[ap.account_id] = ap
-        }
-      })
-
-      const accountIdsWithPromos = Object.keys(latestPromosByAccount)
-
-      if (accountIdsWithPromos.length === 0) {
-        setAccountsWithPromos([])
-        setAccountProgress({})
-        setAccountNotes({})
-        setLoading(false)
-        return
-      }
-
-      const { data: accountsData, error: accountsError } = await supabase
-        .from('accounts')
-        .select('*')
-        .in('id', accountIdsWithPromos)
-        .order('account_name')
-
-      if (accountsError) throw accountsError
-
-      const enrichedAccounts = accountsData.map(account => {
-        const accountPromo = latestPromosByAccount[account.id]
-        return {
-          ...account,
-          promo_name: accountPromo?.promos?.promo_name,
-          discount: accountPromo?.promos?.discount,
-          terms: accountPromo?.terms,
-          target_units: accountPromo?.target_units,
-          promo_id: accountPromo?.promos?.id || accountPromo?.promo_id,
-          promoData: accountPromo
-        }
-      })
-
-      setAccountsWithPromos(enrichedAccounts)
-      await calculateAllProgress(enrichedAccounts)
-      await fetchAllAccountNotes(accountIdsWithPromos)
-
+      const data = await apiFetch('/api/dashboard')
+
+      timingRef.current = data.timing
+      setAccountsWithPromos(data.accounts.map(row => toDashboardAccount(row, data.timing, user?.id)))
+      setActiveQuarter(data.quarter)
+      setDashboardInfo({ totalAccounts: data.totalAccounts, quarter: data.quarter, timing: data.timing })
+      // Set when the service worker answered from its offline snapshot
+      setSnapshotAt(data.snapshotAt || null)
+
+      const queued = [...queuedRefreshes.current]
+      queuedRefreshes.current.clear()
+      queued.forEach(accountId => refreshAccountRef.current?.(accountId))
     } catch (error) {
       console.error('Error fetching accounts:', error)
       showToast('Failed to load accounts', 'error')
@@ -164,98 +168,64 @@ const Dashboard = () => {
     }
   }
 
-  const fetchAllAccountNotes = async (accountIds) => {
+  const loadTerritories = async () => {
     try {
-      const { data: notes, error } = await supabase
-        .from('account_notes')
-        .select(`
-          id,
-          account_id,
-          note,
-          created_at,
-          reps (name)
-        `)
-        .in('account_id', accountIds)
-        .order('created_at', { ascending: false })
-
-      if (error) throw error
-
-      // Group by account_id and take only the most recent
-      const notesMap = {}
-      notes?.forEach(note => {
-        if (!notesMap[note.account_id]) {
-          notesMap[note.account_id] = note
-        }
-      })
-
-      setAccountNotes(notesMap)
+      setTerritoryList(await fetchTerritories())
     } catch (error) {
-      console.error('Error fetching notes:', error)
+      console.error('Error fetching territories:', error)
     }
   }
 
-  const calculateAllProgress = async (accountsList) => {
-    const progressMap = {}
-    const updatedAccounts = [...accountsList]
-    
-    for (let i = 0; i < updatedAccounts.length; i++) {
-      const account = updatedAccounts[i]
+  // Live updates: when a teammate logs units, changes a promo or adds a note,
+  // re-read just that account and swap it in place so filters, sorting and
+  // scroll position stay put
+  useEffect(() => {
+    const refreshAccount = async (accountId) => {
       try {
-        if (!account.promo_id) {
-          progressMap[account.id] = { progress: 0, units_sold: 0 }
-          continue
-        }
-
-        const { data: transactions } = await supabase
-          .from('transactions')
-          .select('units_sold')
-          .eq('account_id', account.id)
-          .eq('promo_id', account.promo_id)
-
-        const totalUnits = transactions?.reduce((sum, t) => sum + t.units_sold, 0) || 0
-        const progress = account.target_units ? Math.round((totalUnits / account.target_units) * 100) : 0
-        
-        progressMap[account.id] = { progress, units_sold: totalUnits }
-        updatedAccounts[i] = { ...account, units_sold: totalUnits }
+        // One row per promo the account is on
+        const { data: rows, error } = await supabase
+          .from('account_progress')
+          .select('*')
+          .eq('id', accountId)
+          .order('assigned_date')
+
+        if (error) throw error
+
+        setAccountsWithPromos(prev => {
+          const updated = rows.map(row => toDashboardAccount(row, timingRef.current, user?.id))
+          const index = prev.findIndex(a => a.id === accountId)
+          const others = prev.filter(a => a.id !== accountId)
+
+          return index === -1
+            ? [...others, ...updated].sort((a, b) => a.account_name.localeCompare(b.account_name))
+            : [...others.slice(0, index), ...updated, ...others.slice(index)]
+        })
       } catch (error) {
-        progressMap[account.id] = { progress: 0, units_sold: 0 }
+        console.error('Error refreshing account:', error)
       }
     }
-    
-    setAccountProgress(progressMap)
-    setAccountsWithPromos(updatedAccounts)
-  }
 
-  const fetchActiveQuarter = async () => {
-    try {
-      const { data, error } = await supabase
-        .from('quarters')
-        .select('*')
-        .eq('is_active', true)
-        .single()
-
-      if (error && error.code !== 'PGRST116') {
-        console.log('Quarters table not found, using defaults')
-        return
-      }
+    refreshAccountRef.current = refreshAccount
 
-      if (data) {
-        setActiveQuarter(data)
-        
-        const start = new Date(data.start_date)
-        const end = new Date(data.end_date)
-        const now = new Date()
-        
-        const totalDays = (end - start) / (1000 * 60 * 60 * 24)
-        const daysPassed = (now - start) / (1000 * 60 * 60 * 24)
-        
-        const progress = Math.min(100, Math.max(0, Math.round((daysPassed / totalDays) * 100)))
-        setQuarterProgress(progress)
-      }
-    } catch (error) {
-      console.error('Error fetching quarter:', error)
+    const handleChange = (payload) => {
+      const accountId = payload.new?.account_id || payload.old?.account_id
+      if (!accountId) return
+      if (timingRef.current) refreshAccount(accountId)
+      else queuedRefreshes.current.add(accountId)
     }
-  }
+
+    const subscription = supabase
+      .channel('dashboard_changes')
+      .on('postgres_changes', { event: '*', schema: 'public', table: 'transactions' }, handleChange)
+      .on('postgres_changes', { event: '*', schema: 'public', table: 'account_promos' }, handleChange)
+      .on('postgres_changes', { event: '*', schema: 'public', table: 'account_notes' }, handleChange)
+      .on('postgres_changes', { event: '*', schema: 'public', table: 'account_territories' }, handleChange)
+      .subscribe()
+
+    return () => {
+      subscription.unsubscribe()
+    }
+  }, [user?.id])
 
   const showToast = (message, type = 'success') => {
     const id = Date.now()
@@ -266,34 +236,62 @@ const Dashboard = () => {
     setToasts(prev => prev.filter(t => t.id !== id))
   }
 
-  const territories = ['all', 'Vancouver', 'Richmond', 'Kelowna']
+  const territories = ['all', ...territoryList.map(t => t.name)]
+
+  // Expected progress honours working days, holidays and the pace curve
+  const timing = dashboardInfo?.timing || quarterTiming(null)
+  const quarterProgress = timing.progress
+
+  // The offline snapshot is read-only; logging units still works (it queues)
+  const canManage = (permission) => !snapshotAt && can(permission)
+
+  // Derived from the rows so live updates flow through to the list and totals.
+  // Progress is per assignment (an account can be on several promos); notes
+  // are per account.
+  const accountProgress = {}
+  const accountNotes = {}
+  accountsWithPromos.forEach(account => {
+    accountProgress[account.account_promo_id] = {
+      progress: account.metrics.attainment,
+      units_sold: account.units_sold,
+      my_units: account.my_units
+    }
+    if (account.latest_note) {
+      accountNotes[account.id] = {
+        ...account.latest_note,
+        account_id: account.id,
+        reps: { name: account.latest_note.rep_name }
+      }
+    }
+  })
+
+  const dashboardSummary = dashboardInfo && {
+    ...dashboardInfo,
+    ...summarizeMetrics(accountsWithPromos.map(a => a.metrics), timing),
+    accountsOnPromo: new Set(accountsWithPromos.map(a => a.id)).size
+  }
 
   const filteredAccounts = accountsWithPromos.filter(account => {
     const matchesSearch = 
       account.account_name.toLowerCase().includes(searchTerm.toLowerCase()) ||
       account.territory?.toLowerCase().includes(searchTerm.toLowerCase())
     
-    const matchesTerritory = territoryFilter === 'all' || account.territory?.includes(territoryFilter)
+    const matchesTerritory = territoryFilter === 'all' || account.territory_names?.includes(territoryFilter)
     
     let matchesStatus = true
     if (statusFilter !== 'all') {
-      const progress = accountProgress[account.id]?.progress || 0
-      if (statusFilter === 'behind_pace') {
-        matchesStatus = progress < 100 && progress < (quarterProgress - 10)
-      } else if (statusFilter === 'on_pace') {
-        matchesStatus = progress < 100 && progress >= (quarterProgress - 10)
-      } else if (statusFilter === 'met') {
-        matchesStatus = progress >= 100
-      }
+      const progress = accountProgress[account.account_promo_id]?.progress || 0
+      const status = paceStatus(progress, quarterProgress, account.target_units > 0)
+      matchesStatus = status === (statusFilter === 'behind_pace' ? 'behind' : statusFilter)
     }
     
-    const myUnits = accountProgress[account.id]?.my_units || 0
+    const myUnits = accountProgress[account.account_promo_id]?.my_units || 0
     const matchesMyOpportunities = !myOpportunitiesOnly || myUnits === 0
     
     return matchesSearch && matchesTerritory && matchesStatus && matchesMyOpportunities
   }).sort((a, b) => {
-    const progressA = accountProgress[a.id]?.progress || 0
-    const progressB = accountProgress[b.id]?.progress || 0
+    const progressA = accountProgress[a.account_promo_id]?.progress || 0
+    const progressB = accountProgress[b.account_promo_id]?.progress || 0
     
     const behindA = progressA - quarterProgress
     const behindB = progressB - quarterProgress
@@ -305,23 +303,27 @@ const Dashboard = () => {
     try {
       const accountsToExport = territory === 'all' 
         ? accountsWithPromos 
-        : accountsWithPromos.filter(a => a.territory === territory)
+        : accountsWithPromos.filter(a => a.territory_names?.includes(territory))
 
       const exportData = accountsToExport.map(account => {
-        const progressData = accountProgress[account.id] || { progress: 0, units_sold: 0 }
-        const progress = progressData.progress || 0
-        const unitsSold = progressData.units_sold || account.units_sold || 0
+        const { metrics } = account
         
         return {
           'Account Name': account.account_name,
           'Territory': account.territory,
           'Promo': account.promo_name || 'Not Assigned',
           'Discount': account.discount ? `${account.discount}%` : 'N/A',
-          'Terms': account.terms || 'N/A',
+          'Terms': account.terms ? termsLabel(account.terms) : 'N/A',
           'Target': account.target_units || 0,
-          'Units Sold': unitsSold,
-          'Progress': `${progress}%`,
-          'Status': progress >= 100 ? 'Met' : progress >= 75 ? 'On Track' : 'Behind'
+          // Units Sold is net of returns
+          'Units Returned': account.units_returned || 0,
+          'Units Sold': metrics.unitsSold,
+          'Progress': `${metrics.attainment}%`,
+          'Status': PACE_STATUS[metrics.paceStatus].label,
+          'Working Days Left': metrics.workDaysLeft,
+          'Needed / Week': metrics.requiredRunRate ?? (timing.ended ? 'Quarter ended' : 'N/A'),
+          'Tier Reached': tierLabel(metrics.tier.current),
+          'Units to Next Tier': metrics.tier.next ? metrics.tier.unitsToNext : 'N/A'
         }
       })
 
@@ -393,6 +395,7 @@ const Dashboard = () => {
 
       {/* Header */}
       <header className="bg-gray-800/80 backdrop-blur-sm border-b border-gray-700/50 sticky top-0 z-20 shadow-xl">
+        <ImpersonationBanner />
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4">
           <div className="flex justify-between items-center">
             <div>
@@ -415,7 +418,14 @@ const Dashboard = () => {
               <span className="hidden lg:block text-xs text-gray-500 bg-gray-700/50 px-2 py-1 rounded">
                 Press <kbd className="px-1.5 py-0.5 bg-gray-600 rounded text-gray-300 font-mono text-xs">/</kbd> to search
               </span>
-              {isAdmin && (
+              <button
+                onClick={() => setShowReceivables(true)}
+                className="hidden sm:flex items-center space-x-1 px-3 py-1.5 bg-gray-700/80 hover:bg-gray-600 text-white text-sm rounded-lg transition"
+              >
+                <span>💵</span>
+                <span>Receivables</span>
+              </button>
+              {canManage('manage_quarters') && (
                 <>
                   <button
                     onClick={() => setShowQuarterManagement(true)}
@@ -431,11 +441,40 @@ const Dashboard = () => {
                     <span>🔄</span>
                     <span>End Quarter</span>
                   </button>
-                  <span className="px-3 py-1 bg-blue-600/90 text-white text-sm rounded-full font-medium">
-                    Admin
-                  </span>
                 </>
               )}
+              {canManage('manage_promos') && (
+                <button
+                  onClick={() => setShowPromoCatalog(true)}
+                  className="hidden sm:flex items-center space-x-1 px-3 py-1.5 bg-gray-700/80 hover:bg-gray-600 text-white text-sm rounded-lg transition"
+                >
+                  <span>🏷️</span>
+                  <span>Promos</span>
+                </button>
+              )}
+              {canManage('manage_settings') && (
+                <button
+                  onClick={() => setShowTerritoryManagement(true)}
+                  className="hidden sm:flex items-center space-x-1 px-3 py-1.5 bg-gray-700/80 hover:bg-gray-600 text-white text-sm rounded-lg transition"
+                >
+                  <span>🗺️</span>
+                  <span>Territories</span>
+                </button>
+              )}
+              {canManage('manage_reps') && (
+                <button
+                  onClick={() => setShowRepManagement(true)}
+                  className="hidden sm:flex items-center space-x-1 px-3 py-1.5 bg-gray-700/80 hover:bg-gray-600 text-white text-sm rounded-lg transition"
+                >
+                  <span>👥</span>
+                  <span>Reps</span>
+                </button>
+              )}
+              {role !== 'rep' && (
+                <span className="px-3 py-1 bg-blue-600/90 text-white text-sm rounded-full font-medium">
+                  {ROLE_LABELS[role]}
+                </span>
+              )}
               
               {/* Notification Settings */}
               <button
@@ -445,19 +484,38 @@ const Dashboard = () => {
               >
                 🔔
               </button>
-              <button
-                onClick={() => setShowChangePassword(true)}
-                className="p-2 bg-gray-700/80 hover:bg-gray-600 text-white rounded-lg transition"
-                title="Change Password"
-              >
-                🔐
-              </button>
-              <button
-                onClick={signOut}
-                className="px-4 py-2 bg-gray-700/80 hover:bg-gray-600 text-white rounded-lg transition font-medium text-sm"
-              >
-                Sign Out
-              </button>
+              {/* Account actions don't apply while viewing as another rep */}
+              {!impersonator && (
+                <>
+                  <button
+                    onClick={() => setShowChangePassword(true)}
+                    className="p-2 bg-gray-700/80 hover:bg-gray-600 text-white rounded-lg transition"
+                    title="Change Password"
+                  >
+                    🔐
+                  </button>
+                  <button
+                    onClick={() => setShowTwoFactor(true)}
+                    className="p-2 bg-gray-700/80 hover:bg-gray-600 text-white rounded-lg transition"
+                    title="Two-Factor Authentication"
+                  >
+                    🛡️
+                  </button>
+                  <button
+                    onClick={() => setShowActiveSessions(true)}
+                    className="p-2 bg-gray-700/80 hover:bg-gray-600 text-white rounded-lg transition"
+                    title="Signed-in Devices"
+                  >
+                    💻
+                  </button>
+                  <button
+                    onClick={signOut}
+                    className="px-4 py-2 bg-gray-700/80 hover:bg-gray-600 text-white rounded-lg transition font-medium text-sm"
+                  >
+                    Sign Out
+                  </button>
+                </>
+              )}
             </div>
           </div>
         </div>
@@ -467,32 +525,54 @@ const Dashboard = () => {
       <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
         
         {/* Stats Dashboard */}
-        <StatsHeader onFilterBehindPace={() => setStatusFilter('behind_pace')} />
+        <StatsHeader
+          summary={dashboardSummary}
+          onRefresh={fetchAccounts}
+          onFilterBehindPace={() => setStatusFilter('behind_pace')}
+        />
+
+        {snapshotAt && (
+          <div className="mb-6 bg-gray-700/50 border border-gray-600 rounded-lg p-4 text-sm text-gray-300">
+            📴 You're offline — showing the dashboard as of {new Date(snapshotAt).toLocaleString()}. It will refresh when you reconnect.
+          </div>
+        )}
+
+        {/* Units logged offline, waiting to sync */}
+        <PendingSync
+          onSynced={(count) => {
+            fetchAccounts()
+            showToast(`Synced ${count} offline ${count === 1 ? 'entry' : 'entries'}`, 'success')
+          }}
+        />
 
         {/* Quick Actions Bar - Mobile Responsive */}
         <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-6 px-2 sm:px-4">
           <div className="flex flex-col sm:flex-row gap-3 w-full sm:w-auto">
             {/* Add to Promo Button - SECONDARY (Outlined) - Touch Friendly */}
-            <button
-              onClick={() => setShowAddToPromo(true)}
-              className="bg-transparent hover:bg-gray-700/50 border-2 border-gray-600 hover:border-gray-500 text-gray-200 hover:text-white font-medium py-3 px-6 rounded-lg transition-all duration-150 flex items-center justify-center space-x-2 min-h-[44px]"
-            >
-              <span className="text-lg">➕</span>
-              <span>Add to Promo</span>
-            </button>
+            {canManage('manage_assignments') && (
+              <button
+                onClick={() => setShowAddToPromo(true)}
+                className="bg-transparent hover:bg-gray-700/50 border-2 border-gray-600 hover:border-gray-500 text-gray-200 hover:text-white font-medium py-3 px-6 rounded-lg transition-all duration-150 flex items-center justify-center space-x-2 min-h-[44px]"
+              >
+                <span className="text-lg">➕</span>
+                <span>Add to Promo</span>
+              </button>
+            )}
 
             {/* Quick Log Units Button - PRIMARY (Hero) - Touch Friendly */}
-            <button
-              onClick={() => {
-                setSelectedAccount(null)
-                setSelectedAccountPromo(null)
-                setShowQuickEntry(true)
-              }}
-              className="bg-blue-600 hover:bg-blue-700 active:bg-blue-800 text-white font-bold py-3 px-6 rounded-lg transition-all duration-150 flex items-center justify-center space-x-2 shadow-lg shadow-blue-600/30 hover:shadow-xl hover:shadow-blue-600/40 ring-2 ring-blue-600/20 min-h-[44px]"
-            >
-              <span>Quick Log Units</span>
-              <kbd className="hidden lg:inline ml-2 px-1.5 py-0.5 bg-blue-700 rounded text-xs font-mono">N</kbd>
-            </button>
+            {can('log_units') && (
+              <button
+                onClick={() => {
+                  setSelectedAccount(null)
+                  setSelectedAccountPromo(null)
+                  setShowQuickEntry(true)
+                }}
+                className="bg-blue-600 hover:bg-blue-700 active:bg-blue-800 text-white font-bold py-3 px-6 rounded-lg transition-all duration-150 flex items-center justify-center space-x-2 shadow-lg shadow-blue-600/30 hover:shadow-xl hover:shadow-blue-600/40 ring-2 ring-blue-600/20 min-h-[44px]"
+              >
+                <span>Quick Log Units</span>
+                <kbd className="hidden lg:inline ml-2 px-1.5 py-0.5 bg-blue-700 rounded text-xs font-mono">N</kbd>
+              </button>
+            )}
           </div>
           
           <div className="flex gap-3 w-full sm:w-auto">
@@ -514,7 +594,7 @@ const Dashboard = () => {
                 <span className="text-xs">▼</span>
               </button>
               
-              <div className="absolute right-0 mt-2 w-52 bg-gray-800 border border-gray-700 rounded-lg shadow-2xl opacity-0 invisible group-hover:opacity-100 group-hover:visible transition-all duration-200 z-30 overflow-hidden">
+              <div className="absolute right-0 mt-2 w-52 bg-gray-800 border border-gray-700 rounded-lg shadow-2xl opacity-0 invisible group-hover:opacity-100 group-hover:visible transition-all duration-200 z-30 max-h-80 overflow-y-auto">
                 <button
                   onClick={() => exportToCSV('all')}
                   className="w-full text-left px-4 py-3 text-white hover:bg-gray-700 transition-colors flex items-center space-x-2 min-h-[44px]"
@@ -523,27 +603,16 @@ const Dashboard = () => {
                   <span>All Territories</span>
                 </button>
                 <div className="border-t border-gray-700"></div>
-                <button
-                  onClick={() => exportToCSV('Kelowna')}
-                  className="w-full text-left px-4 py-3 text-white hover:bg-gray-700 transition-colors flex items-center space-x-2 min-h-[44px]"
-                >
-                  <span>📍</span>
-                  <span>Kelowna Only</span>
-                </button>
-                <button
-                  onClick={() => exportToCSV('Richmond')}
-                  className="w-full text-left px-4 py-3 text-white hover:bg-gray-700 transition-colors flex items-center space-x-2 min-h-[44px]"
-                >
-                  <span>📍</span>
-                  <span>Richmond Only</span>
-                </button>
-                <button
-                  onClick={() => exportToCSV('Vancouver')}
-                  className="w-full text-left px-4 py-3 text-white hover:bg-gray-700 transition-colors flex items-center space-x-2 min-h-[44px]"
-                >
-                  <span>📍</span>
-                  <span>Vancouver Only</span>
-                </button>
+                {territoryList.map(territory => (
+                  <button
+                    key={territory.id}
+                    onClick={() => exportToCSV(territory.name)}
+                    className="w-full text-left px-4 py-3 text-white hover:bg-gray-700 transition-colors flex items-center space-x-2 min-h-[44px]"
+                  >
+                    <span>📍</span>
+                    <span>{territory.name} Only</span>
+                  </button>
+                ))}
               </div>
             </div>
           </div>
@@ -654,7 +723,7 @@ const Dashboard = () => {
           {/* Results count */}
           <div className="flex items-center justify-between text-sm">
             <span className="text-gray-400">
-              Showing <span className="font-semibold text-white">{filteredAccounts.length}</span> accounts on promos
+              Showing <span className="font-semibold text-white">{filteredAccounts.length}</span> promo assignment{filteredAccounts.length === 1 ? '' : 's'}
             </span>
             {(searchTerm || territoryFilter !== 'all' || statusFilter !== 'all') && (
               <button
@@ -686,17 +755,19 @@ const Dashboard = () => {
                 ? 'No accounts match your filters' 
                 : 'No accounts on promos yet'}
             </p>
-            <p className="text-gray-500 text-sm mb-4">
-              Click "Add to Promo" to get started
-            </p>
+            {canManage('manage_assignments') && (
+              <p className="text-gray-500 text-sm mb-4">
+                Click "Add to Promo" to get started
+              </p>
+            )}
           </div>
         ) : (
           <AccountListView
             accounts={filteredAccounts}
             accountProgress={accountProgress}
             accountNotes={accountNotes}
-            onAssignPromo={handleAssignPromo}
-            onQuickLog={handleQuickLog}
+            onAssignPromo={canManage('manage_assignments') ? handleAssignPromo : null}
+            onQuickLog={can('log_units') ? handleQuickLog : null}
             onViewNotes={(account) => {
               setSelectedAccount(account)
               setShowAccountNotes(true)
@@ -728,6 +799,7 @@ const Dashboard = () => {
               </div>
               <QuickEntry
                 preSelectedAccount={selectedAccount}
+                preSelectedPromoId={selectedAccountPromo?.promo_id}
                 onSuccess={() => {
                   handleRefresh()
                   setShowQuickEntry(false)
@@ -743,6 +815,7 @@ const Dashboard = () => {
         <AssignPromo
           account={selectedAccount}
           currentPromo={selectedAccountPromo}
+          timeZone={timing.timeZone}
           onClose={() => {
             setShowAssignPromo(false)
             setSelectedAccount(null)
@@ -758,6 +831,7 @@ const Dashboard = () => {
       {/* Add Account to Promo Modal */}
       {showAddToPromo && (
         <AddAccountToPromo
+          timeZone={timing.timeZone}
           onClose={() => setShowAddToPromo(false)}
           onSuccess={() => {
             setShowAddToPromo(false)
@@ -793,7 +867,7 @@ const Dashboard = () => {
         <QuarterManagement
           onClose={() => {
             setShowQuarterManagement(false)
-            fetchActiveQuarter()
+            fetchAccounts()
           }}
         />
       )}
@@ -827,6 +901,14 @@ const Dashboard = () => {
         />
       )}
 
+      {showTwoFactor && (
+        <TwoFactorSettings onClose={() => setShowTwoFactor(false)} />
+      )}
+
+      {showActiveSessions && (
+        <ActiveSessions onClose={() => setShowActiveSessions(false)} />
+      )}
+
       {showRepBreakdown && selectedAccount && (
         <RepBreakdown
           account={selectedAccount}
@@ -849,6 +931,45 @@ const Dashboard = () => {
           }}
         />
       )}
+
+      {showReceivables && (
+        <Receivables onClose={() => setShowReceivables(false)} />
+      )}
+
+      {/* Promo Catalog Modal (Admin Only) */}
+      {showPromoCatalog && (
+        <PromoCatalog
+          timeZone={timing.timeZone}
+          onClose={() => {
+            setShowPromoCatalog(false)
+            // Names, discounts and terms show on the account rows
+            fetchAccounts()
+          }}
+        />
+      )}
+
+      {/* Territory Management Modal (Admin Only) */}
+      {showTerritoryManagement && (
+        <TerritoryManagement
+          onClose={() => {
+            setShowTerritoryManagement(false)
+            // A renamed or merged territory may no longer exist
+            setTerritoryFilter('all')
+            loadTerritories()
+            fetchAccounts()
+          }}
+        />
+      )}
+
+      {/* Rep Management Modal (Admin Only) */}
+      {showRepManagement && (
+        <RepManagement
+          onClose={() => {
+            setShowRepManagement(false)
+            setActivityRefreshKey(prev => prev + 1)
+          }}
+        />
+      )}
     </div>
   )
 }
@@ -0,0 +1,102 @@
+import React, { useState } from 'react'
+import { apiFetch } from './api'
+
+/**
+ * ForgotPassword Component
+ *
+ * Shown from the Login screen. Requests an emailed reset link; the response
+ * is the same whether or not the email exists.
+ */
+
+const ForgotPassword = ({ initialEmail = '', onBack }) => {
+  const [email, setEmail] = useState(initialEmail)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+  const [sent, setSent] = useState(false)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setError('')
+    setLoading(true)
+
+    try {
+      await apiFetch('/api/auth/forgot-password', {
+        method: 'POST',
+        body: { email: email.trim().toLowerCase() }
+      })
+      setSent(true)
+    } catch (err) {
+      console.error('Forgot password error:', err)
+      setError('An error occurred. Please try again.')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  if (sent) {
+    return (
+      <div className="space-y-6 text-center">
+        <div className="text-5xl">📬</div>
+        <p className="text-gray-300">
+          If <span className="font-semibold text-white">{email}</span> belongs to a PromoSync account,
+          you'll get an email with a reset link shortly. The link expires in 1 hour.
+        </p>
+        <button
+          onClick={onBack}
+          className="w-full bg-gray-700 hover:bg-gray-600 text-white font-bold py-3 px-6 rounded-lg transition-all duration-200"
+        >
+          Back to Sign In
+        </button>
+      </div>
+    )
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-6">
+      <div>
+        <h2 className="text-xl font-semibold text-white mb-1">Forgot password?</h2>
+        <p className="text-gray-400 text-sm">Enter your email and we'll send you a link to choose a new one.</p>
+      </div>
+
+      {error && (
+        <div className="bg-red-500/10 border border-red-500/50 text-red-400 px-4 py-3 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      <div>
+        <label className="block text-sm font-semibold text-gray-300 mb-2">
+          Email Address
+        </label>
+        <input
+          type="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          className="w-full px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          placeholder="you@example.com"
+          required
+          autoComplete="email"
+          autoFocus
+        />
+      </div>
+
+      <button
+        type="submit"
+        disabled={loading}
+        className="w-full bg-blue-600 hover:bg-blue-700 disabled:bg-blue-800 text-white font-bold py-3 px-6 rounded-lg transition-all duration-200"
+      >
+        {loading ? 'Sending...' : 'Send Reset Link'}
+      </button>
+
+      <button
+        type="button"
+        onClick={onBack}
+        className="w-full text-sm text-gray-400 hover:text-white transition"
+      >
+        ← Back to Sign In
+      </button>
+    </form>
+  )
+}
+
+export default ForgotPassword
@@ -0,0 +1,41 @@
+import React, { useState } from 'react'
+import { useAuth } from './AuthContext'
+
+/**
+ * ImpersonationBanner Component
+ *
+ * Shown at the top of the Dashboard header (which stays pinned while
+ * scrolling) whenever an admin is viewing as a rep, so it is always clear
+ * whose dashboard is showing and that it is read-only.
+ */
+
+const ImpersonationBanner = () => {
+  const { user, impersonator, stopImpersonation } = useAuth()
+  const [exiting, setExiting] = useState(false)
+
+  if (!impersonator) return null
+
+  const handleExit = async () => {
+    setExiting(true)
+    await stopImpersonation()
+  }
+
+  return (
+    <div className="bg-yellow-500 text-gray-900">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-2 flex items-center justify-between gap-3">
+        <p className="text-sm font-medium">
+          👁️ Viewing as <strong>{user?.name}</strong> — read-only. Signed in as {impersonator.name}.
+        </p>
+        <button
+          onClick={handleExit}
+          disabled={exiting}
+          className="px-3 py-1.5 bg-gray-900 hover:bg-gray-800 text-white text-sm font-medium rounded-lg transition whitespace-nowrap disabled:opacity-50"
+        >
+          {exiting ? 'Exiting...' : 'Exit View'}
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default ImpersonationBanner
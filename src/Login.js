@@ -1,14 +1,19 @@
 import React, { useState } from 'react'
-import { supabase } from './supabaseClient'
 import { useAuth } from './AuthContext'
+import ForgotPassword from './ForgotPassword'
 
 const Login = () => {
   const [email, setEmail] = useState('')
   const [password, setPassword] = useState('')
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState('')
+  const [showForgotPassword, setShowForgotPassword] = useState(false)
+  // Set once the password checks out for a rep with 2FA
+  const [challengeToken, setChallengeToken] = useState(null)
+  const [code, setCode] = useState('')
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false)
 
-  const { signIn } = useAuth()
+  const { signIn, verifyTwoFactor } = useAuth()
 
   const handleSubmit = async (e) => {
     e.preventDefault()
@@ -16,27 +21,56 @@ const Login = () => {
     setLoading(true)
 
     try {
-      const { data, error } = await supabase
-        .from('reps')
-        .select('*')
-        .eq('email', email.trim().toLowerCase())
-        .eq('password_hash', password)
-        .single()
-
-      if (error || !data) {
-        setError('Invalid email or password')
+      const result = await signIn(email, password)
+      if (result.twoFactorRequired) {
+        setChallengeToken(result.challengeToken)
+        setPassword('')
         setLoading(false)
-        return
       }
+    } catch (err) {
+      if (err.status === 401) {
+        setError('Invalid email or password')
+      } else if (err.status === 403 || err.status === 429) {
+        // Deactivated or temporarily locked out; the server explains which
+        setError(err.message)
+      } else {
+        console.error('Login error:', err)
+        setError('An error occurred. Please try again.')
+      }
+      setLoading(false)
+    }
+  }
 
-      signIn(data)
+  const handleVerifyCode = async (e) => {
+    e.preventDefault()
+    setError('')
+    setLoading(true)
+
+    try {
+      await verifyTwoFactor(challengeToken, useRecoveryCode ? { recoveryCode: code } : { code })
     } catch (err) {
-      console.error('Login error:', err)
-      setError('An error occurred. Please try again.')
+      if (err.status === 401 && /expired/i.test(err.message)) {
+        // Challenge timed out; start over from the password step
+        setChallengeToken(null)
+        setCode('')
+        setError(err.message)
+      } else if (err.status === 401 || err.status === 429) {
+        setError(err.message)
+      } else {
+        console.error('Two-factor error:', err)
+        setError('An error occurred. Please try again.')
+      }
       setLoading(false)
     }
   }
 
+  const resetTwoFactorStep = () => {
+    setChallengeToken(null)
+    setCode('')
+    setUseRecoveryCode(false)
+    setError('')
+  }
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-gray-900 via-blue-900 to-gray-900 flex items-center justify-center p-4">
       <div className="w-full max-w-md">
@@ -49,51 +83,128 @@ const Login = () => {
         </div>
 
         <div className="bg-gray-800 rounded-2xl shadow-2xl p-8">
-          <form onSubmit={handleSubmit} className="space-y-6">
-            {error && (
-              <div className="bg-red-500/10 border border-red-500/50 text-red-400 px-4 py-3 rounded-lg">
-                {error}
+          {showForgotPassword ? (
+            <ForgotPassword
+              initialEmail={email}
+              onBack={() => setShowForgotPassword(false)}
+            />
+          ) : challengeToken ? (
+            <form onSubmit={handleVerifyCode} className="space-y-6">
+              <div className="text-center">
+                <div className="text-4xl mb-2">🛡️</div>
+                <h2 className="text-xl font-semibold text-white">Two-Factor Authentication</h2>
+                <p className="text-gray-400 text-sm mt-1">
+                  {useRecoveryCode
+                    ? 'Enter one of the recovery codes you saved when you set up two-factor.'
+                    : 'Enter the 6-digit code from your authenticator app.'}
+                </p>
               </div>
-            )}
 
-            <div>
-              <label className="block text-sm font-semibold text-gray-300 mb-2">
-                Email Address
-              </label>
-              <input
-                type="email"
-                value={email}
-                onChange={(e) => setEmail(e.target.value)}
-                className="w-full px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500"
-                placeholder="you@example.com"
-                required
-                autoComplete="email"
-              />
-            </div>
+              {error && (
+                <div className="bg-red-500/10 border border-red-500/50 text-red-400 px-4 py-3 rounded-lg">
+                  {error}
+                </div>
+              )}
 
-            <div>
-              <label className="block text-sm font-semibold text-gray-300 mb-2">
-                Password
-              </label>
               <input
-                type="password"
-                value={password}
-                onChange={(e) => setPassword(e.target.value)}
-                className="w-full px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500"
-                placeholder="••••••••"
+                type="text"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                className="w-full px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg text-white text-center text-2xl tracking-widest font-mono placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                autoComplete="one-time-code"
+                autoFocus
                 required
-                autoComplete="current-password"
               />
-            </div>
-
-            <button
-              type="submit"
-              disabled={loading}
-              className="w-full bg-blue-600 hover:bg-blue-700 disabled:bg-blue-800 text-white font-bold py-3 px-6 rounded-lg transition-all duration-200"
-            >
-              {loading ? 'Signing in...' : 'Sign In'}
-            </button>
-          </form>
+
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full bg-blue-600 hover:bg-blue-700 disabled:bg-blue-800 text-white font-bold py-3 px-6 rounded-lg transition-all duration-200"
+              >
+                {loading ? 'Verifying...' : 'Verify'}
+              </button>
+
+              <div className="flex justify-between text-sm">
+                <button
+                  type="button"
+                  onClick={resetTwoFactorStep}
+                  className="text-gray-400 hover:text-white transition"
+                >
+                  ← Back
+                </button>
+                <button
+                  type="button"
+                  onClick={() => {
+                    setUseRecoveryCode(!useRecoveryCode)
+                    setCode('')
+                    setError('')
+                  }}
+                  className="text-gray-400 hover:text-white transition"
+                >
+                  {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+                </button>
+              </div>
+            </form>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-6">
+              {error && (
+                <div className="bg-red-500/10 border border-red-500/50 text-red-400 px-4 py-3 rounded-lg">
+                  {error}
+                </div>
+              )}
+
+              <div>
+                <label className="block text-sm font-semibold text-gray-300 mb-2">
+                  Email Address
+                </label>
+                <input
+                  type="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  className="w-full px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="you@example.com"
+                  required
+                  autoComplete="email"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-semibold text-gray-300 mb-2">
+                  Password
+                </label>
+                <input
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  className="w-full px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="••••••••"
+                  required
+                  autoComplete="current-password"
+                />
+              </div>
+
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full bg-blue-600 hover:bg-blue-700 disabled:bg-blue-800 text-white font-bold py-3 px-6 rounded-lg transition-all duration-200"
+              >
+                {loading ? 'Signing in...' : 'Sign In'}
+              </button>
+
+              <button
+                type="button"
+                onClick={() => {
+                  setError('')
+                  setShowForgotPassword(true)
+                }}
+                className="w-full text-sm text-gray-400 hover:text-white transition"
+              >
+                Forgot password?
+              </button>
+            </form>
+          )}
         </div>
       </div>
     </div>
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react'
 import { supabase } from './supabaseClient'
 import { useAuth } from './AuthContext'
+import { fetchTerritories } from './territories'
 
 /**
  * NotificationSettings Component
@@ -11,7 +12,7 @@ import { useAuth } from './AuthContext'
  */
 
 const NotificationSettings = ({ onClose }) => {
-  const { user } = useAuth()
+  const { user, impersonator } = useAuth()
   const [loading, setLoading] = useState(true)
   const [saving, setSaving] = useState(false)
   const [settings, setSettings] = useState({
@@ -25,7 +26,7 @@ const NotificationSettings = ({ onClose }) => {
 
   useEffect(() => {
     fetchSettings()
-    fetchTerritories()
+    loadTerritories()
   }, [])
 
   const fetchSettings = async () => {
@@ -51,24 +52,20 @@ const NotificationSettings = ({ onClose }) => {
     }
   }
 
-  const fetchTerritories = async () => {
+  // Reps subscribe to territories by name
+  const loadTerritories = async () => {
     try {
-      const { data, error } = await supabase
-        .from('accounts')
-        .select('territory')
-        .not('territory', 'is', null)
-
-      if (error) throw error
-
-      // Get unique territories
-      const unique = [...new Set(data.map(a => a.territory).filter(Boolean))]
-      setAllTerritories(unique.sort())
+      const territories = await fetchTerritories()
+      setAllTerritories(territories.map(t => t.name))
     } catch (error) {
       console.error('Error fetching territories:', error)
     }
   }
 
   const handleSave = async () => {
+    // "View as" sessions are read-only
+    if (impersonator) return
+
     // Validate email if notifications are enabled
     if ((settings.notify_weekly_summary || settings.notify_territory_promos) && !settings.email) {
       setMessage({ type: 'error', text: 'Please enter your email address to receive notifications' })
@@ -256,7 +253,7 @@ const NotificationSettings = ({ onClose }) => {
             </button>
             <button
               onClick={handleSave}
-              disabled={saving}
+              disabled={saving || Boolean(impersonator)}
               className="flex-1 px-4 py-3 bg-blue-600 hover:bg-blue-700 disabled:bg-blue-800 text-white font-semibold rounded-lg transition shadow-lg shadow-blue-600/30"
             >
               {saving ? 'Saving...' : 'Save Settings'}
@@ -0,0 +1,230 @@
+import React, { useState, useEffect } from 'react'
+import { apiFetch } from './api'
+import { DEFAULT_TIME_ZONE, PACE_CURVES } from './metrics'
+
+/**
+ * PaceCalendar Component (Admin Only)
+ *
+ * Working days, holidays, the pace curve and the team's time zone used to
+ * work out how far through the quarter we "should" be. Shown inside Quarter
+ * Management; reports the current calendar to the parent through onChange so
+ * its numbers match.
+ */
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+// Every zone the browser knows, or just the default on older ones
+const TIME_ZONES = Intl.supportedValuesOf ? Intl.supportedValuesOf('timeZone') : [DEFAULT_TIME_ZONE]
+
+const PaceCalendar = ({ onChange }) => {
+  const [settings, setSettings] = useState(null)
+  const [holidays, setHolidays] = useState([])
+  const [newHoliday, setNewHoliday] = useState({ date: '', name: '' })
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const [{ settings: settingsData }, { holidays: holidayData }] = await Promise.all([
+          apiFetch('/api/admin/settings'),
+          apiFetch('/api/admin/holidays')
+        ])
+        setSettings(settingsData)
+        setHolidays(holidayData)
+      } catch (err) {
+        console.error('Error loading pace calendar:', err)
+        setError(err.message)
+      }
+    }
+    load()
+  }, [])
+
+  useEffect(() => {
+    if (!settings) return
+    onChange({
+      workingDays: settings.working_days,
+      holidays: holidays.map(h => h.holiday_date),
+      paceCurve: settings.pace_curve,
+      timeZone: settings.timezone
+    })
+  }, [settings, holidays, onChange])
+
+  const saveSettings = async (updates) => {
+    setSaving(true)
+    setError('')
+    try {
+      const { settings: data } = await apiFetch('/api/admin/settings', { method: 'PUT', body: updates })
+      setSettings(data)
+    } catch (err) {
+      console.error('Error saving pace settings:', err)
+      setError(err.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const toggleWorkingDay = (day) => {
+    const current = settings.working_days
+    const workingDays = current.includes(day)
+      ? current.filter(d => d !== day)
+      : [...current, day].sort()
+
+    if (workingDays.length === 0) {
+      setError('At least one working day is required')
+      return
+    }
+    saveSettings({ working_days: workingDays })
+  }
+
+  const updateHolidays = async (options) => {
+    setSaving(true)
+    setError('')
+    try {
+      const { holidays: data } = await apiFetch('/api/admin/holidays', options)
+      setHolidays(data)
+      return true
+    } catch (err) {
+      console.error('Error updating holidays:', err)
+      setError(err.message)
+      return false
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const addHoliday = async (e) => {
+    e.preventDefault()
+    const added = await updateHolidays({ method: 'POST', body: newHoliday })
+    if (added) setNewHoliday({ date: '', name: '' })
+  }
+
+  if (!settings) {
+    return error ? <p className="text-red-400 text-sm">{error}</p> : null
+  }
+
+  return (
+    <div className="space-y-4">
+      <h4 className="text-sm font-medium text-gray-400 uppercase tracking-wider">Pacing Calendar</h4>
+
+      {error && (
+        <div className="p-3 rounded-lg bg-red-500/10 border border-red-500/50 text-red-400 text-sm">
+          {error}
+        </div>
+      )}
+
+      {/* Working Days */}
+      <div>
+        <p className="text-gray-300 text-sm mb-2">Working days</p>
+        <div className="flex flex-wrap gap-2">
+          {WEEKDAYS.map((label, day) => (
+            <button
+              key={label}
+              onClick={() => toggleWorkingDay(day)}
+              disabled={saving}
+              className={`px-3 py-1.5 rounded-lg text-sm font-medium transition disabled:opacity-50 ${
+                settings.working_days.includes(day)
+                  ? 'bg-blue-600 text-white'
+                  : 'bg-gray-800 text-gray-400 hover:bg-gray-700'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Pace Curve */}
+      <div>
+        <label className="block text-gray-300 text-sm mb-2">Pace curve</label>
+        <select
+          value={settings.pace_curve}
+          onChange={(e) => saveSettings({ pace_curve: e.target.value })}
+          disabled={saving}
+          className="w-full px-4 py-2 bg-gray-800 border border-gray-700 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          {Object.entries(PACE_CURVES).map(([key, curve]) => (
+            <option key={key} value={key}>{curve.label}</option>
+          ))}
+        </select>
+        <p className="text-gray-500 text-xs mt-1">
+          Share of the target expected in each third of the quarter's working days.
+        </p>
+      </div>
+
+      {/* Time Zone */}
+      <div>
+        <label className="block text-gray-300 text-sm mb-2">Time zone</label>
+        <select
+          value={settings.timezone}
+          onChange={(e) => saveSettings({ timezone: e.target.value })}
+          disabled={saving}
+          className="w-full px-4 py-2 bg-gray-800 border border-gray-700 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          {[...new Set([settings.timezone, ...TIME_ZONES])].map(zone => (
+            <option key={zone} value={zone}>{zone.replace(/_/g, ' ')}</option>
+          ))}
+        </select>
+        <p className="text-gray-500 text-xs mt-1">
+          A working day counts as done at midnight here.
+        </p>
+      </div>
+
+      {/* Holidays */}
+      <div>
+        <p className="text-gray-300 text-sm mb-2">Holidays</p>
+        <form onSubmit={addHoliday} className="flex gap-2 mb-3">
+          <input
+            type="date"
+            value={newHoliday.date}
+            onChange={(e) => setNewHoliday({ ...newHoliday, date: e.target.value })}
+            required
+            className="px-3 py-2 bg-gray-800 border border-gray-700 rounded-lg text-white text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <input
+            type="text"
+            value={newHoliday.name}
+            onChange={(e) => setNewHoliday({ ...newHoliday, name: e.target.value })}
+            placeholder="e.g. Thanksgiving"
+            required
+            className="flex-1 min-w-0 px-3 py-2 bg-gray-800 border border-gray-700 rounded-lg text-white text-sm placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <button
+            type="submit"
+            disabled={saving}
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium rounded-lg transition disabled:opacity-50"
+          >
+            Add
+          </button>
+        </form>
+
+        {holidays.length === 0 ? (
+          <p className="text-gray-500 text-sm">No holidays yet</p>
+        ) : (
+          <div className="space-y-1 max-h-48 overflow-y-auto">
+            {holidays.map(holiday => (
+              <div key={holiday.id} className="flex items-center justify-between px-3 py-2 bg-gray-800/50 rounded-lg text-sm">
+                <span className="text-white">
+                  {new Date(`${holiday.holiday_date}T00:00:00`).toLocaleDateString(undefined, {
+                    weekday: 'short', month: 'short', day: 'numeric', year: 'numeric'
+                  })}
+                  <span className="text-gray-400"> • {holiday.name}</span>
+                </span>
+                <button
+                  onClick={() => updateHolidays({ method: 'DELETE', body: { id: holiday.id } })}
+                  disabled={saving}
+                  className="text-gray-500 hover:text-red-400 transition disabled:opacity-50"
+                  title="Remove holiday"
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default PaceCalendar
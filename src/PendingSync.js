@@ -0,0 +1,115 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react'
+import { useAuth } from './AuthContext'
+import { dismissEntry, subscribeToQueue, syncQueue } from './offlineQueue'
+import { unitsLabel } from './transactions'
+
+/**
+ * PendingSync Component
+ *
+ * Units logged while offline, waiting in the local queue. Replays them when
+ * the browser comes back online (and on load), and lists any entries the
+ * server refused so the rep can re-enter or dismiss them.
+ */
+
+const PendingSync = ({ onSynced }) => {
+  const { user, impersonator } = useAuth()
+  const [entries, setEntries] = useState([])
+  const [online, setOnline] = useState(navigator.onLine)
+  const [syncing, setSyncing] = useState(false)
+  // Latest callback without re-registering the listeners every render
+  const onSyncedRef = useRef(onSynced)
+  onSyncedRef.current = onSynced
+
+  useEffect(() => {
+    return subscribeToQueue(all => setEntries(all.filter(e => e.rep_id === user?.id)))
+  }, [user?.id])
+
+  const sync = useCallback(async () => {
+    setOnline(navigator.onLine)
+    setSyncing(true)
+    const synced = await syncQueue(user.id)
+    setSyncing(false)
+    if (synced > 0 && onSyncedRef.current) onSyncedRef.current(synced)
+  }, [user?.id])
+
+  useEffect(() => {
+    // A read-only view-as session can't write the rep's entries
+    if (!user?.id || impersonator) return
+
+    const handleOffline = () => setOnline(false)
+
+    sync()
+    window.addEventListener('online', sync)
+    window.addEventListener('offline', handleOffline)
+    return () => {
+      window.removeEventListener('online', sync)
+      window.removeEventListener('offline', handleOffline)
+    }
+  }, [user?.id, impersonator, sync])
+
+  const pending = entries.filter(e => e.status === 'pending')
+  const conflicts = entries.filter(e => e.status === 'conflict')
+
+  if (entries.length === 0) return null
+
+  return (
+    <div className="mb-6 space-y-3">
+      {pending.length > 0 && (
+        <div className="bg-yellow-500/10 border border-yellow-500/50 rounded-lg p-4">
+          <div className="flex items-center justify-between gap-3">
+            <p className="text-yellow-400 font-medium">
+              ⏳ {pending.length} {pending.length === 1 ? 'entry' : 'entries'} pending sync
+              <span className="text-yellow-400/70 text-sm font-normal">
+                {' '}• {syncing ? 'Syncing...' : online ? 'Sync paused' : "Will sync when you're back online"}
+              </span>
+            </p>
+            {online && !syncing && !impersonator && (
+              <button
+                onClick={sync}
+                className="px-3 py-1 bg-yellow-600 hover:bg-yellow-700 text-white text-xs rounded-lg transition whitespace-nowrap"
+              >
+                Retry
+              </button>
+            )}
+          </div>
+          <ul className="mt-2 space-y-1 text-sm text-gray-300">
+            {pending.map(entry => (
+              <li key={entry.client_id}>
+                {unitsLabel(entry)} • {entry.account_label}
+                <span className="text-gray-500"> • logged {new Date(entry.queued_at).toLocaleString()}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {conflicts.length > 0 && (
+        <div className="bg-red-500/10 border border-red-500/50 rounded-lg p-4">
+          <p className="text-red-400 font-medium">
+            ⚠️ {conflicts.length} offline {conflicts.length === 1 ? 'entry' : 'entries'} couldn't be synced
+          </p>
+          <ul className="mt-2 space-y-2 text-sm">
+            {conflicts.map(entry => (
+              <li key={entry.client_id} className="flex items-start justify-between gap-3">
+                <div>
+                  <p className="text-gray-300">
+                    {unitsLabel(entry)} • {entry.account_label} • {entry.promo_label}
+                  </p>
+                  <p className="text-red-400/80 text-xs">{entry.conflict}</p>
+                </div>
+                <button
+                  onClick={() => dismissEntry(entry.seq)}
+                  className="px-3 py-1 bg-gray-700 hover:bg-gray-600 text-white text-xs rounded-lg transition whitespace-nowrap"
+                >
+                  Dismiss
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default PendingSync
@@ -1,4 +1,6 @@
 import { useState } from 'react'
+import { tierLabel, tierProgress } from './metrics'
+import { termsLabel } from './paymentTerms'
 
 function ProgressCard({ account, promo, onAssignPromo, onQuickLog, onViewNotes, onViewRepBreakdown }) {
   const [expanded, setExpanded] = useState(false)
@@ -8,6 +10,7 @@ function ProgressCard({ account, promo, onAssignPromo, onQuickLog, onViewNotes,
   const isNoTarget = promo?.no_target || false
   const progress = targetUnits > 0 ? Math.round((unitsSold / targetUnits) * 100) : 0
   const hasNotes = account.notes && account.notes.trim().length > 0
+  const tier = tierProgress(promo?.promo_tiers || account.promo_tiers, unitsSold)
 
   const getProgressColor = () => {
     if (isNoTarget) return 'bg-purple-500'
@@ -56,7 +59,7 @@ function ProgressCard({ account, promo, onAssignPromo, onQuickLog, onViewNotes,
             )}
           </div>
           {promo.terms && (
-            <span className="text-gray-500 text-xs">{promo.terms}</span>
+            <span className="text-gray-500 text-xs">{termsLabel(promo.terms)}</span>
           )}
         </div>
       ) : (
@@ -84,6 +87,24 @@ function ProgressCard({ account, promo, onAssignPromo, onQuickLog, onViewNotes,
               />
             </div>
           )}
+          {(tier.current || tier.next) && (
+            <div className="mt-2">
+              <div className="flex justify-between text-xs">
+                <span className="text-purple-300">🏆 {tier.current ? tierLabel(tier.current) : 'No tier yet'}</span>
+                <span className="text-gray-400">
+                  {tier.next ? `${tier.unitsToNext} units to ${tierLabel(tier.next)}` : 'Top tier reached'}
+                </span>
+              </div>
+              {tier.next && (
+                <div className="w-full bg-gray-700 rounded-full h-1 mt-1">
+                  <div
+                    className="h-full bg-purple-500 rounded-full transition-all duration-300"
+                    style={{ width: `${Math.min(tier.nextProgress, 100)}%` }}
+                  />
+                </div>
+              )}
+            </div>
+          )}
         </div>
       )}
 
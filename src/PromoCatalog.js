@@ -0,0 +1,607 @@
+import React, { useState, useEffect } from 'react'
+import { apiFetch } from './api'
+import { fetchTerritories } from './territories'
+import { ACCOUNT_SIZES, PROMO_SCHEDULE, promoSchedule, validatePromo, validateTargetOverrides, validateTiers } from './promos'
+import { TERMS_OPTIONS, termsLabel, validateTerms } from './paymentTerms'
+
+/**
+ * PromoCatalog Component (Admin Only)
+ *
+ * The promos AssignPromo and AddAccountToPromo offer:
+ * - Create a promo, or clone one as a starting point
+ * - Edit codes, discounts, default/minimum target and default terms
+ * - Limit which payment terms its assignments may use
+ * - Override the suggested target per territory or account size
+ * - Tiers: bigger discounts at higher volumes
+ * - Schedule it with start/end dates
+ * - Deactivate it (it stays on existing assignments)
+ */
+
+const EMPTY_FORM = {
+  promo_name: '',
+  promo_code: '',
+  discount: '',
+  default_target_units: '',
+  min_target_units: '',
+  terms: '',
+  allowed_terms: [],
+  start_date: '',
+  end_date: ''
+}
+
+// promos row -> form fields (inputs want strings, not nulls)
+const toForm = (promo) =>
+  Object.fromEntries(Object.keys(EMPTY_FORM).map(key => [key, promo[key] ?? EMPTY_FORM[key]]))
+
+// Override rows are keyed "territory:<id>" or "size:<size>" in the form
+const overrideKey = (o) => (o.territory_id ? `territory:${o.territory_id}` : o.account_size ? `size:${o.account_size}` : '')
+
+const fromOverrideKey = (key) => {
+  const [kind, value] = key.split(':')
+  return { territory_id: kind === 'territory' ? value : null, account_size: kind === 'size' ? value : null }
+}
+
+// promos row -> editing state. `original` is the promo as loaded, so edits
+// send (and validate) only the fields that changed.
+const toEditing = (promo, id = promo.id) => ({
+  id,
+  original: promo,
+  fields: toForm(promo),
+  overrides: (promo.promo_target_overrides || []).map(o => ({ ...o })),
+  tiers: [...(promo.promo_tiers || [])].sort((a, b) => a.min_units - b.min_units).map(t => ({ ...t }))
+})
+
+// Form fields that differ from how they were loaded
+const changedFields = (fields, loaded) =>
+  Object.fromEntries(Object.entries(fields).filter(([key, value]) => JSON.stringify(value) !== JSON.stringify(loaded[key])))
+
+const formatDate = (date) =>
+  new Date(`${date}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
+
+const PromoCatalog = ({ timeZone, onClose }) => {
+  const [promos, setPromos] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [message, setMessage] = useState({ type: '', text: '' })
+  const [editing, setEditing] = useState(null) // { id, fields, overrides, tiers } - id is null for new promos and clones
+  const [showInactive, setShowInactive] = useState(false)
+  const [territories, setTerritories] = useState([])
+  const [customTerms, setCustomTerms] = useState('')
+
+  useEffect(() => {
+    fetchTerritories()
+      .then(setTerritories)
+      .catch(err => console.error('Error fetching territories:', err))
+
+    const load = async () => {
+      try {
+        const { promos: data } = await apiFetch('/api/admin/promos')
+        setPromos(data)
+      } catch (error) {
+        console.error('Error fetching promos:', error)
+        setMessage({ type: 'error', text: error.message })
+      } finally {
+        setLoading(false)
+      }
+    }
+    load()
+  }, [])
+
+  const updatePromos = async (options, successText) => {
+    setSaving(true)
+    setMessage({ type: '', text: '' })
+    try {
+      const { promos: data } = await apiFetch('/api/admin/promos', options)
+      setPromos(data)
+      setMessage({ type: 'success', text: successText })
+      return true
+    } catch (error) {
+      console.error('Error updating promos:', error)
+      setMessage({ type: 'error', text: error.message })
+      return false
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+
+    const fields = editing.id ? changedFields(editing.fields, toForm(editing.original)) : editing.fields
+
+    // Same rules the API applies; checked here for instant feedback
+    const { error } = validatePromo(fields, editing.id ? editing.original : null)
+    const { error: overridesError } = validateTargetOverrides(editing.overrides, editing.fields.min_target_units)
+    const { error: tiersError } = validateTiers(editing.tiers)
+    if (error || overridesError || tiersError) {
+      setMessage({ type: 'error', text: error || overridesError || tiersError })
+      return
+    }
+
+    const body = { ...fields, target_overrides: editing.overrides, tiers: editing.tiers }
+    const saved = await updatePromos(
+      editing.id
+        ? { method: 'PATCH', body: { id: editing.id, ...body } }
+        : { method: 'POST', body },
+      editing.id ? `Saved ${editing.fields.promo_name.trim()}` : `Created ${editing.fields.promo_name.trim()}`
+    )
+    if (saved) setEditing(null)
+  }
+
+  const handleClone = (promo) => {
+    setMessage({ type: '', text: '' })
+    const copy = toEditing(promo, null)
+    setEditing({
+      ...copy,
+      fields: {
+        ...copy.fields,
+        promo_name: `${promo.promo_name} (copy)`,
+        promo_code: '',
+        start_date: '',
+        end_date: ''
+      }
+    })
+  }
+
+  const handleToggleActive = async (promo) => {
+    if (promo.is_active && promo.account_count > 0 && !window.confirm(
+      `Deactivate ${promo.promo_name}? Its ${promo.account_count} account(s) keep their assignments and ` +
+      'logged units, but it will no longer be offered for new assignments.'
+    )) return
+
+    await updatePromos(
+      { method: 'PATCH', body: { id: promo.id, is_active: !promo.is_active } },
+      `${promo.promo_name} ${promo.is_active ? 'deactivated' : 'reactivated'}`
+    )
+  }
+
+  const setField = (key, value) => setEditing({ ...editing, fields: { ...editing.fields, [key]: value } })
+
+  const setOverride = (index, changes) => setEditing({
+    ...editing,
+    overrides: editing.overrides.map((o, i) => (i === index ? { ...o, ...changes } : o))
+  })
+
+  const setTier = (index, changes) => setEditing({
+    ...editing,
+    tiers: editing.tiers.map((t, i) => (i === index ? { ...t, ...changes } : t))
+  })
+
+  // Unticking the default terms clears the default too
+  const toggleAllowedTerms = (terms) => {
+    const allowed = editing.fields.allowed_terms
+    const removing = allowed.includes(terms)
+    setEditing({
+      ...editing,
+      fields: {
+        ...editing.fields,
+        allowed_terms: removing ? allowed.filter(t => t !== terms) : [...allowed, terms],
+        terms: removing && editing.fields.terms === terms ? '' : editing.fields.terms
+      }
+    })
+  }
+
+  const addCustomTerms = () => {
+    const { error, value } = validateTerms(customTerms)
+    if (error) {
+      setMessage({ type: 'error', text: error })
+      return
+    }
+    if (value && !editing.fields.allowed_terms.includes(value)) toggleAllowedTerms(value)
+    setCustomTerms('')
+  }
+
+  const territoryName = (id) => territories.find(t => t.id === id)?.name || 'Unknown territory'
+
+  const visiblePromos = showInactive ? promos : promos.filter(p => p.is_active)
+  const inactiveCount = promos.length - promos.filter(p => p.is_active).length
+
+  const inputClass = 'w-full px-3 py-2 bg-gray-800 border border-gray-700 rounded-lg text-white text-sm placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500'
+
+  return (
+    <div className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4 overflow-y-auto">
+      <div className="bg-gray-900 rounded-xl max-w-3xl w-full shadow-2xl border border-gray-700/50 max-h-[90vh] overflow-hidden flex flex-col">
+        <div className="p-6 flex-1 overflow-y-auto">
+          {/* Header */}
+          <div className="flex justify-between items-center mb-6">
+            <h2 className="text-2xl font-semibold text-white flex items-center space-x-2">
+              <span>🏷️</span>
+              <span>Promo Catalog</span>
+            </h2>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-white transition text-2xl w-10 h-10 flex items-center justify-center rounded-lg hover:bg-gray-800"
+            >
+              ✕
+            </button>
+          </div>
+
+          {/* Message */}
+          {message.text && (
+            <div className={`mb-4 p-4 rounded-lg ${
+              message.type === 'success'
+                ? 'bg-green-500/10 border border-green-500/50 text-green-400'
+                : 'bg-red-500/10 border border-red-500/50 text-red-400'
+            }`}>
+              {message.text}
+            </div>
+          )}
+
+          {/* Create / Edit Form */}
+          {editing ? (
+            <form onSubmit={handleSave} className="mb-6 p-4 bg-gray-800/50 border border-gray-700/50 rounded-lg space-y-3">
+              <h3 className="text-white font-medium">{editing.id ? 'Edit Promo' : 'New Promo'}</h3>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-xs text-gray-400 mb-1">Name *</label>
+                  <input
+                    type="text"
+                    value={editing.fields.promo_name}
+                    onChange={(e) => setField('promo_name', e.target.value)}
+                    placeholder="e.g. Summer Yeast 125"
+                    required
+                    className={inputClass}
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs text-gray-400 mb-1">Code *</label>
+                  <input
+                    type="text"
+                    value={editing.fields.promo_code}
+                    onChange={(e) => setField('promo_code', e.target.value.toUpperCase())}
+                    placeholder="e.g. SY125"
+                    required
+                    className={`${inputClass} font-mono`}
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs text-gray-400 mb-1">Discount (%)</label>
+                  <input
+                    type="number"
+                    value={editing.fields.discount}
+                    onChange={(e) => setField('discount', e.target.value)}
+                    min="0.01"
+                    max="100"
+                    step="0.01"
+                    placeholder="e.g. 15"
+                    className={inputClass}
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs text-gray-400 mb-1">Default Target (units)</label>
+                  <input
+                    type="number"
+                    value={editing.fields.default_target_units}
+                    onChange={(e) => setField('default_target_units', e.target.value)}
+                    min={editing.fields.min_target_units || 1}
+                    placeholder="e.g. 125"
+                    className={inputClass}
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs text-gray-400 mb-1">Minimum Target (units)</label>
+                  <input
+                    type="number"
+                    value={editing.fields.min_target_units}
+                    onChange={(e) => setField('min_target_units', e.target.value)}
+                    min="1"
+                    placeholder="No minimum"
+                    className={inputClass}
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs text-gray-400 mb-1">Starts</label>
+                  <input
+                    type="date"
+                    value={editing.fields.start_date}
+                    onChange={(e) => setField('start_date', e.target.value)}
+                    className={inputClass}
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs text-gray-400 mb-1">Ends</label>
+                  <input
+                    type="date"
+                    value={editing.fields.end_date}
+                    min={editing.fields.start_date || undefined}
+                    onChange={(e) => setField('end_date', e.target.value)}
+                    className={inputClass}
+                  />
+                </div>
+              </div>
+              {/* Payment Terms */}
+              <div>
+                <label className="block text-xs text-gray-400 mb-1">
+                  Allowed Terms
+                  <span className="text-gray-500 ml-1">(none ticked = any of the standard terms)</span>
+                </label>
+                <div className="flex flex-wrap gap-2">
+                  {[...new Set([...TERMS_OPTIONS, ...editing.fields.allowed_terms])].map(terms => (
+                    <label
+                      key={terms}
+                      className="flex items-center space-x-2 px-3 py-1.5 bg-gray-800 border border-gray-700 rounded-lg text-sm text-gray-300 cursor-pointer"
+                    >
+                      <input
+                        type="checkbox"
+                        checked={editing.fields.allowed_terms.includes(terms)}
+                        onChange={() => toggleAllowedTerms(terms)}
+                        className="rounded border-gray-600 bg-gray-700 text-blue-500 focus:ring-blue-500"
+                      />
+                      <span>{termsLabel(terms)}</span>
+                    </label>
+                  ))}
+                </div>
+                <div className="flex gap-2 mt-2">
+                  <input
+                    type="text"
+                    value={customTerms}
+                    onChange={(e) => setCustomTerms(e.target.value)}
+                    placeholder="Other schedule, e.g. 45/90"
+                    className={`${inputClass} flex-1 min-w-0`}
+                  />
+                  <button
+                    type="button"
+                    onClick={addCustomTerms}
+                    disabled={!customTerms.trim()}
+                    className="px-3 py-2 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 text-white text-sm rounded-lg transition"
+                  >
+                    Add
+                  </button>
+                </div>
+              </div>
+              <div>
+                <label className="block text-xs text-gray-400 mb-1">Default Terms</label>
+                <select
+                  value={editing.fields.terms}
+                  onChange={(e) => setField('terms', e.target.value)}
+                  className={inputClass}
+                >
+                  <option value="">No default</option>
+                  {[...new Set([
+                    ...(editing.fields.allowed_terms.length > 0 ? editing.fields.allowed_terms : TERMS_OPTIONS),
+                    ...(editing.fields.terms ? [editing.fields.terms] : [])
+                  ])].map(terms => (
+                    <option key={terms} value={terms}>{termsLabel(terms)}</option>
+                  ))}
+                </select>
+              </div>
+              {/* Target Overrides */}
+              <div>
+                <label className="block text-xs text-gray-400 mb-1">
+                  Target Overrides
+                  <span className="text-gray-500 ml-1">(territory beats size, which beats the default)</span>
+                </label>
+                <div className="space-y-2">
+                  {editing.overrides.map((override, index) => (
+                    <div key={index} className="flex gap-2">
+                      <select
+                        value={overrideKey(override)}
+                        onChange={(e) => setOverride(index, fromOverrideKey(e.target.value))}
+                        className={`${inputClass} flex-1 min-w-0`}
+                      >
+                        <option value="">Territory or size...</option>
+                        <optgroup label="Territories">
+                          {territories.map(t => (
+                            <option key={t.id} value={`territory:${t.id}`}>{t.name}</option>
+                          ))}
+                        </optgroup>
+                        <optgroup label="Account size">
+                          {Object.entries(ACCOUNT_SIZES).map(([size, label]) => (
+                            <option key={size} value={`size:${size}`}>{label} accounts</option>
+                          ))}
+                        </optgroup>
+                      </select>
+                      <input
+                        type="number"
+                        value={override.target_units}
+                        onChange={(e) => setOverride(index, { target_units: e.target.value })}
+                        min={editing.fields.min_target_units || 1}
+                        placeholder="Target"
+                        required
+                        className={`${inputClass} w-28`}
+                      />
+                      <button
+                        type="button"
+                        onClick={() => setEditing({ ...editing, overrides: editing.overrides.filter((_, i) => i !== index) })}
+                        className="px-3 py-2 bg-gray-700 hover:bg-gray-600 text-gray-300 text-sm rounded-lg transition"
+                      >
+                        ✕
+                      </button>
+                    </div>
+                  ))}
+                  <button
+                    type="button"
+                    onClick={() => setEditing({
+                      ...editing,
+                      overrides: [...editing.overrides, { territory_id: null, account_size: null, target_units: '' }]
+                    })}
+                    className="text-sm text-blue-400 hover:text-blue-300"
+                  >
+                    + Add override
+                  </button>
+                </div>
+              </div>
+
+              {/* Discount Tiers */}
+              <div>
+                <label className="block text-xs text-gray-400 mb-1">
+                  Discount Tiers
+                  <span className="text-gray-500 ml-1">(e.g. 50 units → 10%, 100 → 15%, 150 → 20%)</span>
+                </label>
+                <div className="space-y-2">
+                  {editing.tiers.map((tier, index) => (
+                    <div key={index} className="flex items-center gap-2">
+                      <span className="text-gray-500 text-sm w-14 shrink-0">Tier {index + 1}</span>
+                      <input
+                        type="number"
+                        value={tier.min_units}
+                        onChange={(e) => setTier(index, { min_units: e.target.value })}
+                        min="1"
+                        placeholder="Units"
+                        required
+                        className={`${inputClass} flex-1 min-w-0`}
+                      />
+                      <span className="text-gray-500 text-sm">units →</span>
+                      <input
+                        type="number"
+                        value={tier.discount}
+                        onChange={(e) => setTier(index, { discount: e.target.value })}
+                        min="0.01"
+                        max="100"
+                        step="0.01"
+                        placeholder="%"
+                        required
+                        className={`${inputClass} w-24`}
+                      />
+                      <span className="text-gray-500 text-sm">%</span>
+                      <button
+                        type="button"
+                        onClick={() => setEditing({ ...editing, tiers: editing.tiers.filter((_, i) => i !== index) })}
+                        className="px-3 py-2 bg-gray-700 hover:bg-gray-600 text-gray-300 text-sm rounded-lg transition"
+                      >
+                        ✕
+                      </button>
+                    </div>
+                  ))}
+                  <button
+                    type="button"
+                    onClick={() => setEditing({ ...editing, tiers: [...editing.tiers, { min_units: '', discount: '' }] })}
+                    className="text-sm text-blue-400 hover:text-blue-300"
+                  >
+                    + Add tier
+                  </button>
+                </div>
+              </div>
+
+              <div className="flex justify-end gap-2 pt-1">
+                <button
+                  type="button"
+                  onClick={() => setEditing(null)}
+                  className="px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white text-sm rounded-lg transition"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium rounded-lg transition disabled:opacity-50"
+                >
+                  {saving ? 'Saving...' : editing.id ? 'Save Changes' : 'Create Promo'}
+                </button>
+              </div>
+            </form>
+          ) : (
+            <div className="flex items-center justify-between mb-4">
+              <button
+                onClick={() => {
+                  setMessage({ type: '', text: '' })
+                  setEditing({ id: null, fields: EMPTY_FORM, overrides: [], tiers: [] })
+                }}
+                className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white font-medium rounded-lg transition"
+              >
+                + New Promo
+              </button>
+              {inactiveCount > 0 && (
+                <label className="flex items-center space-x-2 text-sm text-gray-400 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={showInactive}
+                    onChange={(e) => setShowInactive(e.target.checked)}
+                    className="rounded"
+                  />
+                  <span>Show {inactiveCount} inactive</span>
+                </label>
+              )}
+            </div>
+          )}
+
+          {/* Promo List */}
+          {loading ? (
+            <div className="text-center py-8">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500 mx-auto"></div>
+            </div>
+          ) : visiblePromos.length === 0 ? (
+            <p className="text-gray-500 text-center py-8">No promos yet</p>
+          ) : (
+            <div className="space-y-2">
+              {visiblePromos.map(promo => {
+                const schedule = PROMO_SCHEDULE[promoSchedule(promo, new Date(), timeZone)]
+
+                return (
+                  <div key={promo.id} className="p-4 bg-gray-800/50 border border-gray-700/50 rounded-lg">
+                    <div className="flex flex-col sm:flex-row sm:items-start justify-between gap-3">
+                      <div className="min-w-0">
+                        <div className="flex flex-wrap items-center gap-2">
+                          <p className="text-white font-medium">{promo.promo_name}</p>
+                          <span className="text-xs font-mono bg-gray-700 text-gray-300 px-2 py-0.5 rounded">{promo.promo_code}</span>
+                          <span className={`text-xs px-2 py-0.5 rounded ${schedule.className}`}>{schedule.label}</span>
+                        </div>
+                        <p className="text-gray-400 text-sm mt-1">
+                          {promo.discount ? `${promo.discount}% off` : 'No discount'}
+                          {promo.default_target_units ? ` • Target ${promo.default_target_units}` : ''}
+                          {promo.min_target_units ? ` • Min ${promo.min_target_units}` : ''}
+                          {promo.terms ? ` • ${termsLabel(promo.terms)}` : ''}
+                          {promo.allowed_terms?.length > 0 ? ` • Terms: ${promo.allowed_terms.join(', ')}` : ''}
+                        </p>
+                        {promo.promo_tiers?.length > 0 && (
+                          <p className="text-purple-300 text-xs mt-1">
+                            🏆 {[...promo.promo_tiers]
+                              .sort((a, b) => a.min_units - b.min_units)
+                              .map(t => `${t.min_units}+ → ${t.discount}%`)
+                              .join(' • ')}
+                          </p>
+                        )}
+                        {promo.promo_target_overrides?.length > 0 && (
+                          <p className="text-gray-400 text-xs mt-1">
+                            {promo.promo_target_overrides.map(o =>
+                              `${o.territory_id ? territoryName(o.territory_id) : `${ACCOUNT_SIZES[o.account_size]} accounts`}: ${o.target_units}`
+                            ).join(' • ')}
+                          </p>
+                        )}
+                        <p className="text-gray-500 text-xs mt-1">
+                          {promo.start_date ? formatDate(promo.start_date) : 'No start date'}
+                          {' → '}
+                          {promo.end_date ? formatDate(promo.end_date) : 'open-ended'}
+                          {' • '}
+                          {promo.account_count} account{promo.account_count === 1 ? '' : 's'}
+                        </p>
+                      </div>
+                      <div className="flex gap-2 shrink-0">
+                        <button
+                          onClick={() => {
+                            setMessage({ type: '', text: '' })
+                            setEditing(toEditing(promo))
+                          }}
+                          className="px-3 py-1.5 bg-gray-700 hover:bg-gray-600 text-white text-sm rounded-lg transition"
+                        >
+                          Edit
+                        </button>
+                        <button
+                          onClick={() => handleClone(promo)}
+                          className="px-3 py-1.5 bg-gray-700 hover:bg-gray-600 text-white text-sm rounded-lg transition"
+                        >
+                          Clone
+                        </button>
+                        <button
+                          onClick={() => handleToggleActive(promo)}
+                          disabled={saving}
+                          className={`px-3 py-1.5 text-white text-sm rounded-lg transition disabled:opacity-50 ${
+                            promo.is_active ? 'bg-red-700/80 hover:bg-red-600' : 'bg-green-700/80 hover:bg-green-600'
+                          }`}
+                        >
+                          {promo.is_active ? 'Deactivate' : 'Reactivate'}
+                        </button>
+                      </div>
+                    </div>
+                  </div>
+                )
+              })}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default PromoCatalog
@@ -1,5 +1,8 @@
 import React, { useState, useEffect } from 'react'
 import { supabase } from './supabaseClient'
+import { useAuth } from './AuthContext'
+import { assignmentMetrics, quarterTiming, summarizeMetrics, unitsForAssignment } from './metrics'
+import PaceCalendar from './PaceCalendar'
 
 /**
  * QuarterManagement Component (Admin Only)
@@ -9,6 +12,7 @@ import { supabase } from './supabaseClient'
  * - Set active quarter
  * - End quarter (archive results)
  * - View quarter stats
+ * - Working days, holidays and pace curve (PaceCalendar)
  */
 
 const QuarterManagement = ({ onClose }) => {
@@ -18,6 +22,8 @@ const QuarterManagement = ({ onClose }) => {
   const [showEndQuarterConfirm, setShowEndQuarterConfirm] = useState(false)
   const [quarterStats, setQuarterStats] = useState(null)
   const [processing, setProcessing] = useState(false)
+  const [calendar, setCalendar] = useState({})
+  const { can } = useAuth()
 
   useEffect(() => {
     fetchQuarters()
@@ -36,7 +42,7 @@ const QuarterManagement = ({ onClose }) => {
       setActiveQuarter(data?.find(q => q.is_active) || null)
       
       if (data?.find(q => q.is_active)) {
-        await fetchQuarterStats(data.find(q => q.is_active).id)
+        await fetchQuarterStats(data.find(q => q.is_active))
       }
     } catch (error) {
       console.error('Error fetching quarters:', error)
@@ -45,7 +51,7 @@ const QuarterManagement = ({ onClose }) => {
     }
   }
 
-  const fetchQuarterStats = async (quarterId) => {
+  const fetchQuarterStats = async (quarter) => {
     try {
       // Get accounts on promos for this quarter
       const { data: accountPromos, error: promoError } = await supabase
@@ -54,57 +60,37 @@ const QuarterManagement = ({ onClose }) => {
           id,
           target_units,
           account_id,
+          promo_id,
           accounts (account_name, territory)
         `)
-        .eq('quarter_id', quarterId)
+        .eq('quarter_id', quarter.id)
 
       if (promoError && promoError.code !== 'PGRST116') throw promoError
 
       // Get all transactions for these accounts
       const accountIds = accountPromos?.map(ap => ap.account_id) || []
-      
-      let totalTarget = 0
-      let totalSold = 0
-      let accountsMet = 0
-      let accountsBehind = 0
+      let transactions = []
 
       if (accountIds.length > 0) {
-        const { data: transactions } = await supabase
+        const { data } = await supabase
           .from('transactions')
-          .select('account_id, units_sold')
+          .select('account_id, promo_id, units_sold')
           .in('account_id', accountIds)
-
-        // Calculate stats per account
-        const soldByAccount = {}
-        transactions?.forEach(t => {
-          soldByAccount[t.account_id] = (soldByAccount[t.account_id] || 0) + t.units_sold
-        })
-
-        accountPromos?.forEach(ap => {
-          totalTarget += ap.target_units || 0
-          const sold = soldByAccount[ap.account_id] || 0
-          totalSold += sold
-          
-          const progress = ap.target_units ? (sold / ap.target_units) * 100 : 0
-          if (progress >= 100) accountsMet++
-          else if (progress < 75) accountsBehind++
-        })
+          .is('voided_at', null)
+        transactions = data || []
       }
 
-      setQuarterStats({
-        totalAccounts: accountPromos?.length || 0,
-        totalTarget,
-        totalSold,
-        accountsMet,
-        accountsBehind,
-        overallProgress: totalTarget > 0 ? Math.round((totalSold / totalTarget) * 100) : 0
-      })
+      // Pace depends on the calendar below, so metrics are worked out at render
+      setQuarterStats(
+        (accountPromos || []).map(ap => ({ assignment: ap, unitsSold: unitsForAssignment(transactions, ap) }))
+      )
     } catch (error) {
       console.error('Error fetching quarter stats:', error)
     }
   }
 
   const setActiveQuarterHandler = async (quarterId) => {
+    if (!can('manage_quarters')) return
     setProcessing(true)
     try {
       // Deactivate all quarters
@@ -128,7 +114,7 @@ const QuarterManagement = ({ onClose }) => {
   }
 
   const endQuarter = async () => {
-    if (!activeQuarter) return
+    if (!activeQuarter || !can('manage_quarters')) return
     
     setProcessing(true)
     try {
@@ -162,23 +148,11 @@ const QuarterManagement = ({ onClose }) => {
     }
   }
 
-  const getDaysRemaining = (endDate) => {
-    const end = new Date(endDate)
-    const now = new Date()
-    const diff = Math.ceil((end - now) / (1000 * 60 * 60 * 24))
-    return Math.max(0, diff)
-  }
-
-  const getQuarterProgress = (quarter) => {
-    const start = new Date(quarter.start_date)
-    const end = new Date(quarter.end_date)
-    const now = new Date()
-    
-    const totalDays = (end - start) / (1000 * 60 * 60 * 24)
-    const daysPassed = (now - start) / (1000 * 60 * 60 * 24)
-    
-    return Math.min(100, Math.max(0, Math.round((daysPassed / totalDays) * 100)))
-  }
+  const timing = quarterTiming(activeQuarter, new Date(), calendar)
+  const summary = quarterStats && summarizeMetrics(
+    quarterStats.map(({ assignment, unitsSold }) => assignmentMetrics(assignment, unitsSold, timing)),
+    timing
+  )
 
   if (loading) {
     return (
@@ -210,7 +184,7 @@ const QuarterManagement = ({ onClose }) => {
           </div>
 
           {/* Active Quarter Stats */}
-          {activeQuarter && quarterStats && (
+          {activeQuarter && summary && (
             <div className="mb-6 p-5 bg-blue-500/10 border border-blue-500/30 rounded-xl">
               <div className="flex items-center justify-between mb-4">
                 <div>
@@ -220,21 +194,21 @@ const QuarterManagement = ({ onClose }) => {
                   </p>
                 </div>
                 <div className="text-right">
-                  <p className="text-3xl font-bold text-blue-400">{getDaysRemaining(activeQuarter.end_date)}</p>
-                  <p className="text-blue-300/70 text-sm">days left</p>
+                  <p className="text-3xl font-bold text-blue-400">{timing.workDaysLeft}</p>
+                  <p className="text-blue-300/70 text-sm">working days left</p>
                 </div>
               </div>
 
               {/* Quarter Time Progress */}
               <div className="mb-4">
                 <div className="flex justify-between text-sm text-gray-400 mb-1">
-                  <span>Quarter Progress</span>
-                  <span>{getQuarterProgress(activeQuarter)}% complete</span>
+                  <span>Expected Progress</span>
+                  <span>{timing.progress}%</span>
                 </div>
                 <div className="w-full bg-gray-700 rounded-full h-2">
                   <div
                     className="h-full bg-blue-500 rounded-full transition-all"
-                    style={{ width: `${getQuarterProgress(activeQuarter)}%` }}
+                    style={{ width: `${timing.progress}%` }}
                   />
                 </div>
               </div>
@@ -242,19 +216,19 @@ const QuarterManagement = ({ onClose }) => {
               {/* Stats Grid */}
               <div className="grid grid-cols-4 gap-4 mt-4">
                 <div className="text-center p-3 bg-gray-800/50 rounded-lg">
-                  <p className="text-2xl font-bold text-white">{quarterStats.totalAccounts}</p>
+                  <p className="text-2xl font-bold text-white">{summary.assignments}</p>
                   <p className="text-gray-400 text-xs">Accounts</p>
                 </div>
                 <div className="text-center p-3 bg-gray-800/50 rounded-lg">
-                  <p className="text-2xl font-bold text-green-400">{quarterStats.accountsMet}</p>
+                  <p className="text-2xl font-bold text-green-400">{summary.metTarget}</p>
                   <p className="text-gray-400 text-xs">Met Target</p>
                 </div>
                 <div className="text-center p-3 bg-gray-800/50 rounded-lg">
-                  <p className="text-2xl font-bold text-red-400">{quarterStats.accountsBehind}</p>
+                  <p className="text-2xl font-bold text-red-400">{summary.behindPace}</p>
                   <p className="text-gray-400 text-xs">Behind</p>
                 </div>
                 <div className="text-center p-3 bg-gray-800/50 rounded-lg">
-                  <p className="text-2xl font-bold text-blue-400">{quarterStats.overallProgress}%</p>
+                  <p className="text-2xl font-bold text-blue-400">{summary.attainment}%</p>
                   <p className="text-gray-400 text-xs">Overall</p>
                 </div>
               </div>
@@ -304,6 +278,13 @@ const QuarterManagement = ({ onClose }) => {
             ))}
           </div>
 
+          {/* Working days, holidays and pace curve */}
+          {can('manage_settings') && (
+            <div className="mb-6 p-4 bg-gray-800/30 border border-gray-700/50 rounded-xl">
+              <PaceCalendar onChange={setCalendar} />
+            </div>
+          )}
+
           {/* End Quarter Button */}
           {activeQuarter && (
             <>
@@ -1,11 +1,13 @@
 import { useState } from 'react'
 import { supabase } from './supabaseClient'
+import { useAuth } from './AuthContext'
 
 function QuarterReset({ activeQuarter, onClose, onSuccess }) {
   const [step, setStep] = useState(1)
   const [loading, setLoading] = useState(false)
   const [stats, setStats] = useState(null)
   const [error, setError] = useState('')
+  const { can } = useAuth()
 
   // Step 1: Get current stats
   const fetchStats = async () => {
@@ -13,7 +15,7 @@ function QuarterReset({ activeQuarter, onClose, onSuccess }) {
     try {
       const [accountPromos, transactions, accounts] = await Promise.all([
         supabase.from('account_promos').select('id', { count: 'exact' }),
-        supabase.from('transactions').select('id', { count: 'exact' }),
+        supabase.from('transactions').select('id', { count: 'exact' }).is('voided_at', null),
         supabase.from('accounts').select('id', { count: 'exact' })
       ])
 
@@ -32,18 +34,26 @@ function QuarterReset({ activeQuarter, onClose, onSuccess }) {
 
   // Step 2: Archive and reset
   const executeReset = async () => {
+    if (!can('manage_quarters')) {
+      setError('Only admins can end a quarter.')
+      return
+    }
+
     setLoading(true)
     setError('')
 
     try {
       const quarterName = activeQuarter?.name || 'Unknown Quarter'
 
-      // Archive account_promos
-      const { data: accountPromosData } = await supabase
+      // Archive account_promos. Nothing is deleted unless every archive
+      // insert succeeded.
+      const { data: accountPromosData, error: accountPromosError } = await supabase
         .from('account_promos')
         .select('*')
 
-      if (accountPromosData && accountPromosData.length > 0) {
+      if (accountPromosError) throw accountPromosError
+
+      if (accountPromosData.length > 0) {
         const archivedPromos = accountPromosData.map(ap => ({
           original_id: ap.id,
           account_id: ap.account_id,
@@ -52,15 +62,19 @@ function QuarterReset({ activeQuarter, onClose, onSuccess }) {
           quarter_name: quarterName
         }))
 
-        await supabase.from('archived_account_promos').insert(archivedPromos)
+        const { error: archivePromosError } = await supabase.from('archived_account_promos').insert(archivedPromos)
+        if (archivePromosError) throw archivePromosError
       }
 
-      // Archive transactions
-      const { data: transactionsData } = await supabase
+      // Archive transactions, voided ones included so their corrections
+      // (transaction_revisions, kept by original_id) still have a row
+      const { data: transactionsData, error: transactionsError } = await supabase
         .from('transactions')
         .select('*')
 
-      if (transactionsData && transactionsData.length > 0) {
+      if (transactionsError) throw transactionsError
+
+      if (transactionsData.length > 0) {
         const archivedTransactions = transactionsData.map(t => ({
           original_id: t.id,
           rep_id: t.rep_id,
@@ -69,15 +83,30 @@ function QuarterReset({ activeQuarter, onClose, onSuccess }) {
           units_sold: t.units_sold,
           transaction_date: t.transaction_date,
           notes: t.notes,
+          terms: t.terms,
+          transaction_type: t.transaction_type,
+          return_reason: t.return_reason,
+          original_transaction_id: t.original_transaction_id,
+          voided_at: t.voided_at,
           quarter_name: quarterName
         }))
 
-        await supabase.from('archived_transactions').insert(archivedTransactions)
+        const { error: archiveTransactionsError } = await supabase.from('archived_transactions').insert(archivedTransactions)
+        if (archiveTransactionsError) throw archiveTransactionsError
       }
 
       // Clear current data
-      await supabase.from('transactions').delete().neq('id', '00000000-0000-0000-0000-000000000000')
-      await supabase.from('account_promos').delete().neq('id', '00000000-0000-0000-0000-000000000000')
+      const { error: deleteTransactionsError } = await supabase
+        .from('transactions')
+        .delete()
+        .neq('id', '00000000-0000-0000-0000-000000000000')
+      if (deleteTransactionsError) throw deleteTransactionsError
+
+      const { error: deletePromosError } = await supabase
+        .from('account_promos')
+        .delete()
+        .neq('id', '00000000-0000-0000-0000-000000000000')
+      if (deletePromosError) throw deletePromosError
 
       // Move to next quarter if available
       if (activeQuarter) {
@@ -3,6 +3,9 @@ import Select from 'react-select'
 import { useAuth } from './AuthContext'
 import { supabase } from './supabaseClient'
 import AddAccountModal from './AddAccountModal'
+import { newClientId, queueEntry, submitEntry } from './offlineQueue'
+import { tierLabel, tierProgress } from './metrics'
+import { RETURN_REASONS, returnedUnits, validateReturn } from './transactions'
 
 /**
  * QuickEntry v4 Component - Fixed
@@ -11,15 +14,67 @@ import AddAccountModal from './AddAccountModal'
  * - Only shows accounts that are on active promos
  * - Clear messaging about filtered accounts
  * - Better error handling
+ * - Entries logged offline are queued and synced later (see offlineQueue.js)
+ * - Accounts on several promos: the rep picks which one the units count toward
+ * - Tiered promos: after logging, says how many units to the next tier
+ * - Returns/adjustments take units back off, with a reason and optionally
+ *   the sale they reverse
  */
 
-const QuickEntry = ({ onSuccess, preSelectedAccount = null }) => {
-  const { user } = useAuth()
+// " • 12 units to Tier 2 (15%)" for a tiered promo, '' otherwise
+async function nextTierText(accountPromoId) {
+  const { data, error } = await supabase
+    .from('account_progress')
+    .select('units_sold, promo_tiers')
+    .eq('account_promo_id', accountPromoId)
+    .maybeSingle()
+
+  if (error) throw error
+  if (!data?.promo_tiers?.length) return ''
+
+  const { next, unitsToNext } = tierProgress(data.promo_tiers, data.units_sold || 0)
+  return next
+    ? ` • ${unitsToNext} units to ${tierLabel(next)}`
+    : ' • 🏆 Top tier reached'
+}
+
+// Recent sales a return can point back to, with how much of each has
+// already been returned
+async function fetchReturnableSales(accountId, promoId) {
+  const { data, error } = await supabase
+    .from('transactions')
+    .select('id, units_sold, transaction_date, returns:transactions!original_transaction_id ( id, units_sold, voided_at )')
+    .eq('account_id', accountId)
+    .eq('promo_id', promoId)
+    .eq('transaction_type', 'sale')
+    .is('voided_at', null)
+    .order('transaction_date', { ascending: false })
+    .limit(20)
+
+  if (error) throw error
+  return (data || [])
+    .map(sale => ({
+      ...sale,
+      returned_units: returnedUnits(sale.returns)
+    }))
+    .filter(sale => sale.returned_units < sale.units_sold)
+}
+
+// account_promos row with its promo embedded -> react-select option
+const toPromoOption = (assignment) => ({
+  value: assignment.promos.id,
+  label: `${assignment.promos.promo_name} (${assignment.promos.discount}%)`,
+  promo: assignment.promos,
+  assignment
+})
+
+const QuickEntry = ({ onSuccess, preSelectedAccount = null, preSelectedPromoId = null }) => {
+  const { user, can } = useAuth()
   
   // Data from database
   const [accounts, setAccounts] = useState([])
   const [accountsOnPromos, setAccountsOnPromos] = useState([]) // NEW: filtered list
-  const [promos, setPromos] = useState([])
+  const [accountAssignments, setAccountAssignments] = useState([]) // selected account's promos
   const [loading, setLoading] = useState(true)
   
   // Form fields
@@ -28,6 +83,10 @@ const QuickEntry = ({ onSuccess, preSelectedAccount = null }) => {
   const [accountPromoInfo, setAccountPromoInfo] = useState(null)
   const [units, setUnits] = useState('')
   const [notes, setNotes] = useState('')
+  const [entryType, setEntryType] = useState('sale') // 'sale' | 'return'
+  const [returnReason, setReturnReason] = useState('')
+  const [originalId, setOriginalId] = useState('')
+  const [returnableSales, setReturnableSales] = useState([])
   const [searchTerm, setSearchTerm] = useState('')
   
   // UI states
@@ -35,11 +94,26 @@ const QuickEntry = ({ onSuccess, preSelectedAccount = null }) => {
   const [message, setMessage] = useState({ type: '', text: '' })
   const [showAddAccount, setShowAddAccount] = useState(false)
 
-  // Fetch accounts and promos when component loads
+  // Fetch accounts when component loads
   useEffect(() => {
     fetchData()
   }, [])
 
+  // Returns can be linked to one of the selected account/promo's sales
+  useEffect(() => {
+    setOriginalId('')
+    if (entryType !== 'return' || !selectedAccount || !selectedPromo) {
+      setReturnableSales([])
+      return
+    }
+    fetchReturnableSales(selectedAccount.value, selectedPromo.value)
+      .then(setReturnableSales)
+      .catch(error => {
+        console.error('Error fetching sales to return:', error)
+        setReturnableSales([])
+      })
+  }, [entryType, selectedAccount, selectedPromo])
+
   // Pre-select account if provided
   useEffect(() => {
     if (preSelectedAccount && accountsOnPromos.length > 0) {
@@ -49,10 +123,10 @@ const QuickEntry = ({ onSuccess, preSelectedAccount = null }) => {
           value: account.id, 
           label: `${account.account_name} - ${account.territory}`,
           account: account
-        })
+        }, preSelectedPromoId)
       }
     }
-  }, [preSelectedAccount, accountsOnPromos])
+  }, [preSelectedAccount, preSelectedPromoId, accountsOnPromos])
 
   const fetchData = async () => {
     try {
@@ -64,24 +138,14 @@ const QuickEntry = ({ onSuccess, preSelectedAccount = null }) => {
 
       if (accountsError) throw accountsError
 
-      // Fetch only active promos
-      const { data: promosData, error: promosError } = await supabase
-        .from('promos')
-        .select('*')
-        .eq('is_active', true)
-        .order('start_date', { ascending: false })
-
-      if (promosError) throw promosError
-
       setAccounts(accountsData || [])
-      setPromos(promosData || [])
 
       // NEW: Filter accounts to only those on promos
       await filterAccountsOnPromos(accountsData || [])
 
     } catch (error) {
       console.error('Error fetching data:', error)
-      setMessage({ type: 'error', text: 'Failed to load accounts and promos' })
+      setMessage({ type: 'error', text: 'Failed to load accounts' })
     } finally {
       setLoading(false)
     }
@@ -111,20 +175,19 @@ const QuickEntry = ({ onSuccess, preSelectedAccount = null }) => {
     }
   }
 
-  // When account is selected, auto-fill promo
-  const handleAccountChange = async (selectedOption) => {
+  // When account is selected, auto-fill its promo - or, if it is on several,
+  // ask which one the units count toward
+  const handleAccountChange = async (selectedOption, promoId = null) => {
     setSelectedAccount(selectedOption)
+    setSelectedPromo(null)
+    setAccountPromoInfo(null)
+    setAccountAssignments([])
     setMessage({ type: '', text: '' })
 
-    if (!selectedOption) {
-      setSelectedPromo(null)
-      setAccountPromoInfo(null)
-      return
-    }
+    if (!selectedOption) return
 
     try {
-      // Check if account is assigned to a promo
-      const { data: accountPromo, error } = await supabase
+      const { data: assignments, error } = await supabase
         .from('account_promos')
         .select(`
           *,
@@ -137,27 +200,31 @@ const QuickEntry = ({ onSuccess, preSelectedAccount = null }) => {
         `)
         .eq('account_id', selectedOption.value)
         .order('assigned_date', { ascending: false })
-        .limit(1)
-        .single()
-
-      if (error && error.code !== 'PGRST116') throw error
-
-      if (accountPromo && accountPromo.promos) {
-        // Account is on a promo - auto-fill it
-        setAccountPromoInfo(accountPromo)
-        setSelectedPromo({
-          value: accountPromo.promos.id,
-          label: `${accountPromo.promos.promo_name} (${accountPromo.promos.discount}%)`,
-          promo: accountPromo.promos
+
+      if (error) throw error
+
+      const withPromos = (assignments || []).filter(a => a.promos)
+      setAccountAssignments(withPromos)
+
+      const preferred = withPromos.find(a => a.promo_id === promoId) ||
+        (withPromos.length === 1 ? withPromos[0] : null)
+
+      if (preferred) {
+        setAccountPromoInfo(preferred)
+        setSelectedPromo(toPromoOption(preferred))
+        setMessage({ 
+          type: 'info', 
+          text: withPromos.length === 1
+            ? `✓ Auto-filled: This account is on ${preferred.promos.promo_name}`
+            : `✓ Logging toward ${preferred.promos.promo_name} (this account is on ${withPromos.length} promos)`
         })
+      } else if (withPromos.length > 1) {
         setMessage({ 
           type: 'info', 
-          text: `✓ Auto-filled: This account is on ${accountPromo.promos.promo_name}` 
+          text: `This account is on ${withPromos.length} promos. Pick the one these units count toward.` 
         })
       } else {
         // This shouldn't happen since we filtered, but just in case
-        setAccountPromoInfo(null)
-        setSelectedPromo(null)
         setMessage({ 
           type: 'error', 
           text: '⚠️ This account is not assigned to a promo. Please assign it first.' 
@@ -168,6 +235,11 @@ const QuickEntry = ({ onSuccess, preSelectedAccount = null }) => {
     }
   }
 
+  const handlePromoChange = (selectedOption) => {
+    setSelectedPromo(selectedOption)
+    setAccountPromoInfo(selectedOption?.assignment || null)
+  }
+
   const handleSubmit = async (e) => {
     e.preventDefault()
     
@@ -182,54 +254,78 @@ const QuickEntry = ({ onSuccess, preSelectedAccount = null }) => {
       return
     }
 
+    if (!can('log_units')) {
+      setMessage({ type: 'error', text: 'Your role does not allow logging units.' })
+      return
+    }
+
+    // Returns are stored as negative units with a reason code
+    let kind = { transaction_type: 'sale', units_sold: parseInt(units) }
+    if (entryType === 'return') {
+      const { error, values } = validateReturn({
+        units,
+        return_reason: returnReason,
+        original: returnableSales.find(sale => sale.id === originalId) || null
+      })
+      if (error) {
+        setMessage({ type: 'error', text: error })
+        return
+      }
+      kind = values
+    }
+
     setSubmitting(true)
     setMessage({ type: '', text: '' })
 
+    const entry = {
+      client_id: newClientId(),
+      rep_id: user.id,
+      account_id: selectedAccount.value,
+      promo_id: selectedPromo.value,
+      ...kind,
+      transaction_date: new Date().toISOString().split('T')[0],
+      notes: notes || null,
+      account_label: selectedAccount.label,
+      promo_label: selectedPromo.label
+    }
+
     try {
-      // Insert transaction into database
-      const { error } = await supabase
-        .from('transactions')
-        .insert({
-          rep_id: user.id,
-          account_id: selectedAccount.value,
-          promo_id: selectedPromo.value,
-          units_sold: parseInt(units),
-          transaction_date: new Date().toISOString().split('T')[0],
-          notes: notes || null
-        })
+      // Offline entries wait in the local queue and sync when we reconnect
+      const result = navigator.onLine ? await submitEntry(entry) : { status: 'offline' }
 
-      if (error) throw error
+      if (result.status === 'conflict') {
+        setMessage({ type: 'error', text: `Failed to log units: ${result.message}` })
+        return
+      }
 
-      // Log activity
-      try {
-        await supabase
-          .from('activity_log')
-          .insert({
-            action_type: 'units_logged',
-            account_id: selectedAccount.value,
-            rep_id: user.id,
-            details: { 
-              units: parseInt(units),
-              promo_name: selectedPromo.label,
-              account_name: selectedAccount.label
-            }
-          })
-      } catch (e) {
-        // Activity logging is optional, don't block on failure
+      if (result.status === 'offline') {
+        await queueEntry(entry)
+        setMessage({
+          type: 'warning',
+          text: `⏳ You're offline. ${entryType === 'return' ? 'Return of ' : ''}${units} units for ${selectedAccount.label} saved and will sync when you reconnect.`
+        })
+      } else {
+        // The log already succeeded, so a failed tier lookup just leaves it out
+        const tierText = accountPromoInfo
+          ? await nextTierText(accountPromoInfo.id).catch(() => '')
+          : ''
+        setMessage({
+          type: 'success',
+          text: entryType === 'return'
+            ? `✓ Recorded a return of ${units} units for ${selectedAccount.label}.${tierText}`
+            : `✓ Successfully logged ${units} units for ${selectedAccount.label}!${tierText}`
+        })
       }
 
-      // Success!
-      setMessage({ 
-        type: 'success', 
-        text: `✓ Successfully logged ${units} units for ${selectedAccount.label}!` 
-      })
-      
       // Reset form
       setSelectedAccount(null)
       setSelectedPromo(null)
       setAccountPromoInfo(null)
+      setAccountAssignments([])
       setUnits('')
       setNotes('')
+      setEntryType('sale')
+      setReturnReason('')
 
       // Call parent callback if provided
       if (onSuccess) {
@@ -256,12 +352,8 @@ const QuickEntry = ({ onSuccess, preSelectedAccount = null }) => {
     account: account
   }))
 
-  // Format promos for react-select dropdown
-  const promoOptions = promos.map(promo => ({
-    value: promo.id,
-    label: `${promo.promo_name} (${promo.promo_code})`,
-    promo: promo
-  }))
+  // Only the promos the selected account is on
+  const promoOptions = accountAssignments.map(toPromoOption)
 
   // Custom styles for react-select (dark theme)
   const selectStyles = {
@@ -361,7 +453,7 @@ const QuickEntry = ({ onSuccess, preSelectedAccount = null }) => {
           )}
         </div>
 
-        {/* Promo Selection (Auto-filled, but can be changed) */}
+        {/* Promo Selection (auto-filled when the account is on one promo) */}
         <div>
           <label className="block text-sm font-medium text-gray-300 mb-2">
             Promo <span className="text-red-500">*</span>
@@ -369,7 +461,7 @@ const QuickEntry = ({ onSuccess, preSelectedAccount = null }) => {
           <Select
             options={promoOptions}
             value={selectedPromo}
-            onChange={setSelectedPromo}
+            onChange={handlePromoChange}
             styles={selectStyles}
             placeholder="Select promo..."
             isClearable
@@ -377,14 +469,76 @@ const QuickEntry = ({ onSuccess, preSelectedAccount = null }) => {
             isDisabled={!selectedAccount}
           />
           <p className="mt-2 text-sm text-gray-400">
-            {selectedAccount ? 'Auto-filled based on account assignment' : 'Select an account first'}
+            {!selectedAccount
+              ? 'Select an account first'
+              : promoOptions.length > 1
+                ? `This account is on ${promoOptions.length} promos`
+                : 'Auto-filled based on account assignment'}
           </p>
         </div>
 
+        {/* Sale or Return */}
+        <div className="grid grid-cols-2 gap-2">
+          {[['sale', '📦 Sale'], ['return', '↩️ Return / Adjustment']].map(([type, label]) => (
+            <button
+              key={type}
+              type="button"
+              onClick={() => setEntryType(type)}
+              className={`py-2 px-3 rounded-lg text-sm font-medium transition ${
+                entryType === type
+                  ? type === 'return' ? 'bg-orange-600 text-white' : 'bg-blue-600 text-white'
+                  : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {entryType === 'return' && (
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-2">
+                Reason <span className="text-red-500">*</span>
+              </label>
+              <select
+                value={returnReason}
+                onChange={(e) => setReturnReason(e.target.value)}
+                className="w-full px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-orange-500"
+                required
+              >
+                <option value="">Select a reason...</option>
+                {Object.entries(RETURN_REASONS).map(([code, label]) => (
+                  <option key={code} value={code}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-2">
+                Original Sale <span className="text-gray-500">(Optional)</span>
+              </label>
+              <select
+                value={originalId}
+                onChange={(e) => setOriginalId(e.target.value)}
+                disabled={returnableSales.length === 0}
+                className="w-full px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-orange-500 disabled:opacity-50"
+              >
+                <option value="">{returnableSales.length === 0 ? 'No sales to link' : 'Not linked'}</option>
+                {returnableSales.map(sale => (
+                  <option key={sale.id} value={sale.id}>
+                    {sale.transaction_date}: {sale.units_sold} units
+                    {sale.returned_units > 0 ? ` (${sale.returned_units} already returned)` : ''}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+        )}
+
         {/* Units Input */}
         <div>
           <label className="block text-sm font-medium text-gray-300 mb-2">
-            Units Sold <span className="text-red-500">*</span>
+            {entryType === 'return' ? 'Units Returned' : 'Units Sold'} <span className="text-red-500">*</span>
           </label>
           <input
             type="number"
@@ -417,7 +571,7 @@ const QuickEntry = ({ onSuccess, preSelectedAccount = null }) => {
           disabled={submitting || !selectedAccount || !selectedPromo || !units}
           className="w-full bg-blue-600 hover:bg-blue-700 disabled:bg-blue-800 disabled:cursor-not-allowed text-white font-semibold py-3 px-4 rounded-lg transition duration-200 shadow-lg"
         >
-          {submitting ? 'Logging...' : 'Log Units'}
+          {submitting ? 'Logging...' : entryType === 'return' ? 'Record Return' : 'Log Units'}
         </button>
       </form>
 
@@ -0,0 +1,190 @@
+import React, { useState, useEffect } from 'react'
+import { supabase } from './supabaseClient'
+import { useAuth } from './AuthContext'
+import { toDateKey } from './metrics'
+import { termsLabel } from './paymentTerms'
+
+/**
+ * Receivables Component
+ *
+ * Upcoming installment due dates per account, so reps know when to follow
+ * up. Each logged transaction is an invoice paid on its terms (see
+ * paymentTerms.js); the dates come from the transaction_installments view.
+ */
+
+const WINDOWS = [
+  { days: 30, label: 'Next 30 days' },
+  { days: 60, label: 'Next 60 days' },
+  { days: 90, label: 'Next 90 days' },
+  { days: null, label: 'All upcoming' }
+]
+
+const addDays = (date, days) => {
+  const result = new Date(date)
+  result.setDate(result.getDate() + days)
+  return result
+}
+
+const formatDate = (date) =>
+  new Date(`${date}T00:00:00`).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })
+
+const Receivables = ({ onClose }) => {
+  const { user } = useAuth()
+  const [installments, setInstallments] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [windowDays, setWindowDays] = useState(30)
+  const [mineOnly, setMineOnly] = useState(false)
+  const [search, setSearch] = useState('')
+
+  useEffect(() => {
+    const load = async () => {
+      setLoading(true)
+      setError('')
+      try {
+        let query = supabase
+          .from('transaction_installments')
+          .select('*')
+          .gte('due_date', toDateKey(new Date()))
+          .order('due_date')
+          .order('account_name')
+
+        if (windowDays) query = query.lte('due_date', toDateKey(addDays(new Date(), windowDays)))
+
+        const { data, error: loadError } = await query
+        if (loadError) throw loadError
+        setInstallments(data || [])
+      } catch (err) {
+        console.error('Error fetching receivables:', err)
+        setError('Failed to load receivables')
+      } finally {
+        setLoading(false)
+      }
+    }
+    load()
+  }, [windowDays])
+
+  const weekAhead = toDateKey(addDays(new Date(), 7))
+  const searchTerm = search.trim().toLowerCase()
+
+  const visible = installments.filter(i =>
+    (!mineOnly || i.rep_id === user?.id) &&
+    (!searchTerm || i.account_name?.toLowerCase().includes(searchTerm))
+  )
+
+  // Group by account, soonest due first
+  const byAccount = []
+  visible.forEach(installment => {
+    let group = byAccount.find(g => g.accountId === installment.account_id)
+    if (!group) {
+      group = { accountId: installment.account_id, accountName: installment.account_name, installments: [] }
+      byAccount.push(group)
+    }
+    group.installments.push(installment)
+  })
+
+  const dueThisWeek = visible.filter(i => i.due_date <= weekAhead).length
+
+  return (
+    <div className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4 overflow-y-auto">
+      <div className="bg-gray-900 rounded-xl max-w-3xl w-full shadow-2xl border border-gray-700/50 max-h-[90vh] overflow-hidden flex flex-col">
+        <div className="p-6 flex-1 overflow-y-auto">
+          {/* Header */}
+          <div className="flex justify-between items-center mb-6">
+            <div>
+              <h2 className="text-2xl font-semibold text-white flex items-center space-x-2">
+                <span>💵</span>
+                <span>Receivables</span>
+              </h2>
+              <p className="text-sm text-gray-400 mt-1">
+                {visible.length} installment(s) across {byAccount.length} account(s)
+                {dueThisWeek > 0 && <span className="text-yellow-400"> • {dueThisWeek} due this week</span>}
+              </p>
+            </div>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-white transition text-2xl w-10 h-10 flex items-center justify-center rounded-lg hover:bg-gray-800"
+            >
+              ✕
+            </button>
+          </div>
+
+          {/* Filters */}
+          <div className="flex flex-col sm:flex-row gap-3 mb-4">
+            <input
+              type="text"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search accounts..."
+              className="flex-1 px-3 py-2 bg-gray-800 border border-gray-700 rounded-lg text-white text-sm placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <select
+              value={windowDays ?? ''}
+              onChange={(e) => setWindowDays(e.target.value ? Number(e.target.value) : null)}
+              className="px-3 py-2 bg-gray-800 border border-gray-700 rounded-lg text-white text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {WINDOWS.map(w => (
+                <option key={w.label} value={w.days ?? ''}>{w.label}</option>
+              ))}
+            </select>
+            <label className="flex items-center space-x-2 text-sm text-gray-300 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={mineOnly}
+                onChange={(e) => setMineOnly(e.target.checked)}
+                className="rounded border-gray-600 bg-gray-700 text-blue-500 focus:ring-blue-500"
+              />
+              <span>My sales only</span>
+            </label>
+          </div>
+
+          {error && (
+            <div className="mb-4 p-4 rounded-lg bg-red-500/10 border border-red-500/50 text-red-400">
+              {error}
+            </div>
+          )}
+
+          {loading ? (
+            <div className="text-center py-8">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500 mx-auto"></div>
+            </div>
+          ) : byAccount.length === 0 ? (
+            <p className="text-gray-500 text-center py-8">No installments due in this window</p>
+          ) : (
+            <div className="space-y-3">
+              {byAccount.map(group => (
+                <div key={group.accountId} className="p-4 bg-gray-800/50 border border-gray-700/50 rounded-lg">
+                  <p className="text-white font-medium mb-2">{group.accountName}</p>
+                  <div className="space-y-1">
+                    {group.installments.map(i => (
+                      <div
+                        key={`${i.transaction_id}-${i.installment_number}`}
+                        className="flex flex-col sm:flex-row sm:items-center justify-between text-sm gap-1"
+                      >
+                        <div className="flex items-center space-x-2">
+                          <span className={`font-medium ${i.due_date <= weekAhead ? 'text-yellow-400' : 'text-gray-200'}`}>
+                            {formatDate(i.due_date)}
+                          </span>
+                          <span className="text-gray-400">
+                            Payment {i.installment_number} of {i.installment_count}
+                          </span>
+                        </div>
+                        <span className="text-gray-500 text-xs">
+                          {i.units_sold} units of {i.promo_name || 'Unknown promo'} on {formatDate(toDateKey(i.transaction_date))}
+                          {' • '}{termsLabel(i.terms)}
+                          {i.rep_name ? ` • ${i.rep_name}` : ''}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default Receivables
@@ -1,12 +1,16 @@
 import { useState, useEffect } from 'react'
 import { supabase } from './supabaseClient'
+import TransactionHistory from './TransactionHistory'
+import { RETURN_REASONS, TRANSACTION_TYPES, isReturn, quantityOf } from './transactions'
 
 function RepBreakdown({ account, promo, onClose }) {
   const [repTotals, setRepTotals] = useState([])
   const [loading, setLoading] = useState(true)
   const [totalUnits, setTotalUnits] = useState(0)
+  const [returns, setReturns] = useState([])
   const [notes, setNotes] = useState([])
   const [notesLoading, setNotesLoading] = useState(true)
+  const [showTransactions, setShowTransactions] = useState(false)
 
   useEffect(() => {
     fetchRepBreakdown()
@@ -19,24 +23,31 @@ function RepBreakdown({ account, promo, onClose }) {
       let query = supabase
         .from('transactions')
         .select(`
+          id,
           units_sold,
+          transaction_type,
+          return_reason,
+          transaction_date,
           rep_id,
           reps (
             id,
-            name
+            name,
+            is_active
           )
         `)
         .eq('account_id', account.id)
+        .is('voided_at', null)
 
-      if (promo?.id) {
-        query = query.eq('promo_id', promo.id)
+      // promo is the account_promos row; an account can be on several promos
+      if (promo?.promo_id) {
+        query = query.eq('promo_id', promo.promo_id)
       }
 
       const { data: transactions, error } = await query
 
       if (error) throw error
 
-      // Aggregate by rep
+      // Aggregate by rep; returns are negative, so units are net
       const repMap = {}
       let total = 0
 
@@ -45,12 +56,19 @@ function RepBreakdown({ account, promo, onClose }) {
         const repName = t.reps?.name || 'Unknown'
         
         if (!repMap[repId]) {
-          repMap[repId] = { id: repId, name: repName, units: 0 }
+          repMap[repId] = { id: repId, name: repName, isActive: t.reps?.is_active !== false, units: 0, returned: 0 }
         }
         repMap[repId].units += t.units_sold
+        if (isReturn(t)) repMap[repId].returned += quantityOf(t)
         total += t.units_sold
       })
 
+      setReturns(
+        (transactions || [])
+          .filter(isReturn)
+          .sort((a, b) => String(b.transaction_date).localeCompare(String(a.transaction_date)))
+      )
+
       // Convert to array and sort by units descending
       const sortedReps = Object.values(repMap).sort((a, b) => b.units - a.units)
       
@@ -115,7 +133,7 @@ function RepBreakdown({ account, promo, onClose }) {
               <p className="text-gray-400 text-sm">{account.territory}</p>
             )}
             {promo && (
-              <p className="text-blue-400 text-sm mt-1">{promo.promo_name}</p>
+              <p className="text-blue-400 text-sm mt-1">{promo.promos?.promo_name}</p>
             )}
           </div>
           <button
@@ -170,6 +188,9 @@ function RepBreakdown({ account, promo, onClose }) {
                           {index === 0 ? '🏆' : `#${index + 1}`}
                         </span>
                         <span className="text-white">{rep.name}</span>
+                        {!rep.isActive && (
+                          <span className="text-gray-500 text-xs">(inactive)</span>
+                        )}
                       </div>
                       <div className="text-right">
                         <span className="text-white font-bold">{rep.units}</span>
@@ -177,6 +198,9 @@ function RepBreakdown({ account, promo, onClose }) {
                         {target > 0 && (
                           <span className="text-gray-500 text-sm ml-2">({repPercent}%)</span>
                         )}
+                        {rep.returned > 0 && (
+                          <p className="text-orange-400 text-xs">net of {rep.returned} returned</p>
+                        )}
                       </div>
                     </div>
                   )
@@ -185,6 +209,28 @@ function RepBreakdown({ account, promo, onClose }) {
             )}
           </div>
 
+          {/* Returns / Adjustments */}
+          {returns.length > 0 && (
+            <div className="p-4 border-t border-gray-700">
+              <h3 className="text-gray-400 text-sm font-medium mb-3">↩️ Returns & Adjustments</h3>
+              <div className="space-y-2">
+                {returns.map(t => (
+                  <div key={t.id} className="flex items-center justify-between p-3 bg-orange-500/10 border border-orange-500/30 rounded-lg">
+                    <div>
+                      <span className={`text-xs px-2 py-0.5 rounded ${TRANSACTION_TYPES.return.className}`}>
+                        {RETURN_REASONS[t.return_reason] || TRANSACTION_TYPES.return.label}
+                      </span>
+                      <p className="text-gray-500 text-xs mt-1">
+                        {t.reps?.name || 'Unknown'} • {t.transaction_date}
+                      </p>
+                    </div>
+                    <span className="text-orange-400 font-bold">−{quantityOf(t)}</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
           {/* Notes Section */}
           <div className="p-4 border-t border-gray-700">
             <h3 className="text-gray-400 text-sm font-medium mb-3">📝 Notes</h3>
@@ -211,15 +257,31 @@ function RepBreakdown({ account, promo, onClose }) {
         </div>
 
         {/* Footer */}
-        <div className="p-4 border-t border-gray-700">
+        <div className="p-4 border-t border-gray-700 flex gap-2">
+          <button
+            onClick={() => setShowTransactions(true)}
+            className="flex-1 px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded transition"
+          >
+            🧾 Transactions
+          </button>
           <button
             onClick={onClose}
-            className="w-full px-4 py-2 bg-gray-600 hover:bg-gray-500 text-white rounded transition"
+            className="flex-1 px-4 py-2 bg-gray-600 hover:bg-gray-500 text-white rounded transition"
           >
             Close
           </button>
         </div>
       </div>
+
+      {/* Corrections change the totals above */}
+      {showTransactions && (
+        <TransactionHistory
+          account={account}
+          promo={promo}
+          onClose={() => setShowTransactions(false)}
+          onChanged={fetchRepBreakdown}
+        />
+      )}
     </div>
   )
 }
@@ -0,0 +1,761 @@
+import React, { useState, useEffect } from 'react'
+import { useAuth } from './AuthContext'
+import { fetchTerritories } from './territories'
+import { apiFetch } from './api'
+import { ROLES, ROLE_LABELS } from './permissions'
+import { describeUserAgent } from './userAgent'
+
+/**
+ * RepManagement Component (Admin Only)
+ *
+ * Features:
+ * - List all reps, including deactivated ones
+ * - Invite a rep by email or create them with a temporary password
+ * - Change role, manager and territories
+ * - Deactivate / reactivate (deactivated reps can't sign in but keep their history)
+ * - Force a password reset
+ * - Recent sign-in attempts, and unlocking reps locked out by failed attempts
+ * - Require two-factor authentication for admins
+ * - Sign a rep out of every device
+ * - View the dashboard as a rep (read-only)
+ */
+
+const EMPTY_REP = {
+  name: '',
+  email: '',
+  role: 'rep',
+  manager_id: '',
+  territories: [],
+  password: ''
+}
+
+const RepManagement = ({ onClose }) => {
+  const [reps, setReps] = useState([])
+  const [allTerritories, setAllTerritories] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [processingId, setProcessingId] = useState(null)
+  const [expandedId, setExpandedId] = useState(null)
+  const [loginHistory, setLoginHistory] = useState({})
+  const [showAddForm, setShowAddForm] = useState(false)
+  const [newRep, setNewRep] = useState(EMPTY_REP)
+  const [inviteByEmail, setInviteByEmail] = useState(true)
+  const [message, setMessage] = useState({ type: '', text: '' })
+  const [settings, setSettings] = useState(null)
+  const { user, can, startImpersonation } = useAuth()
+
+  useEffect(() => {
+    fetchReps()
+    loadTerritories()
+    fetchSettings()
+  }, [])
+
+  const fetchSettings = async () => {
+    try {
+      const { settings: data } = await apiFetch('/api/admin/settings')
+      setSettings(data)
+    } catch (error) {
+      console.error('Error fetching settings:', error)
+    }
+  }
+
+  const toggleRequireAdmin2fa = async () => {
+    if (!can('manage_settings')) return
+
+    setProcessingId('settings')
+    setMessage({ type: '', text: '' })
+    try {
+      const { settings: data } = await apiFetch('/api/admin/settings', {
+        method: 'PUT',
+        body: { require_admin_2fa: !settings.require_admin_2fa }
+      })
+      setSettings(data)
+      setMessage({
+        type: 'success',
+        text: data.require_admin_2fa
+          ? 'Admins without two-factor will be asked to set it up before they can continue'
+          : 'Two-factor is now optional for admins'
+      })
+    } catch (error) {
+      console.error('Error saving settings:', error)
+      setMessage({ type: 'error', text: error.message })
+    } finally {
+      setProcessingId(null)
+    }
+  }
+
+  const fetchReps = async () => {
+    try {
+      const { reps: data } = await apiFetch('/api/admin/reps')
+      setReps(data || [])
+    } catch (error) {
+      console.error('Error fetching reps:', error)
+      setMessage({ type: 'error', text: error.message })
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // Reps subscribe to territories by name
+  const loadTerritories = async () => {
+    try {
+      const territories = await fetchTerritories()
+      setAllTerritories(territories.map(t => t.name))
+    } catch (error) {
+      console.error('Error fetching territories:', error)
+    }
+  }
+
+  const updateRep = async (id, fields, successText) => {
+    if (!can('manage_reps')) return
+
+    setProcessingId(id)
+    setMessage({ type: '', text: '' })
+    try {
+      const { rep } = await apiFetch('/api/admin/reps', {
+        method: 'PATCH',
+        body: { id, ...fields }
+      })
+      setReps(prev => prev.map(r => {
+        if (r.id !== id) return r
+        // Deactivating also signs the rep out everywhere
+        return { ...r, ...rep, active_sessions: rep.is_active ? r.active_sessions : 0 }
+      }))
+      if (successText) setMessage({ type: 'success', text: successText })
+    } catch (error) {
+      console.error('Error updating rep:', error)
+      setMessage({ type: 'error', text: error.message })
+    } finally {
+      setProcessingId(null)
+    }
+  }
+
+  const fetchLoginHistory = async (repId) => {
+    setLoginHistory(prev => ({ ...prev, [repId]: { loading: true, events: [] } }))
+    try {
+      const data = await apiFetch(`/api/admin/login-events?repId=${encodeURIComponent(repId)}&limit=10`)
+      setLoginHistory(prev => ({ ...prev, [repId]: { loading: false, events: data.events || [] } }))
+      setReps(prev => prev.map(r => (r.id === repId ? { ...r, locked_until: data.lockedUntil } : r)))
+    } catch (error) {
+      console.error('Error fetching sign-in history:', error)
+      setLoginHistory(prev => ({ ...prev, [repId]: { loading: false, events: [], error: error.message } }))
+    }
+  }
+
+  const toggleExpanded = (rep) => {
+    if (expandedId === rep.id) {
+      setExpandedId(null)
+      return
+    }
+    setExpandedId(rep.id)
+    fetchLoginHistory(rep.id)
+  }
+
+  const unlockRep = async (rep) => {
+    if (!can('manage_reps')) return
+
+    setProcessingId(rep.id)
+    setMessage({ type: '', text: '' })
+    try {
+      await apiFetch('/api/admin/unlock', { method: 'POST', body: { repId: rep.id } })
+      setMessage({ type: 'success', text: `${rep.name} can sign in again` })
+      await fetchLoginHistory(rep.id)
+    } catch (error) {
+      console.error('Error unlocking rep:', error)
+      setMessage({ type: 'error', text: error.message })
+    } finally {
+      setProcessingId(null)
+    }
+  }
+
+  const signOutEverywhere = async (rep) => {
+    if (!can('manage_reps')) return
+    if (!window.confirm(`Sign ${rep.name} out of all ${rep.active_sessions} device(s)?`)) return
+
+    setProcessingId(rep.id)
+    setMessage({ type: '', text: '' })
+    try {
+      await apiFetch('/api/admin/revoke-sessions', { method: 'POST', body: { repId: rep.id } })
+      setReps(prev => prev.map(r => (r.id === rep.id ? { ...r, active_sessions: 0 } : r)))
+      setMessage({ type: 'success', text: `${rep.name} has been signed out everywhere` })
+    } catch (error) {
+      console.error('Error revoking sessions:', error)
+      setMessage({ type: 'error', text: error.message })
+    } finally {
+      setProcessingId(null)
+    }
+  }
+
+  const sendTestEmail = async (rep) => {
+    if (!can('manage_reps')) return
+
+    setProcessingId(rep.id)
+    setMessage({ type: '', text: '' })
+    try {
+      await apiFetch('/api/send-email', { method: 'POST', body: { template: 'test', repId: rep.id } })
+      setMessage({ type: 'success', text: `Test email sent to ${rep.email}` })
+    } catch (error) {
+      console.error('Error sending test email:', error)
+      setMessage({ type: 'error', text: error.message })
+    } finally {
+      setProcessingId(null)
+    }
+  }
+
+  const viewAsRep = async (rep) => {
+    if (!can('manage_reps')) return
+
+    setProcessingId(rep.id)
+    setMessage({ type: '', text: '' })
+    try {
+      await startImpersonation(rep.id)
+      // The dashboard remounts as the rep, which closes this screen
+    } catch (error) {
+      console.error('Error starting view as rep:', error)
+      setMessage({ type: 'error', text: error.message })
+      setProcessingId(null)
+    }
+  }
+
+  const isLocked = (rep) => Boolean(rep.locked_until) && new Date(rep.locked_until) > new Date()
+
+  const formatEvent = (event) => {
+    switch (event.event) {
+      case 'success': return {
+        icon: '✓',
+        color: 'text-green-400',
+        text: event.reason === 'recovery_code' ? 'Signed in with a recovery code' : 'Signed in'
+      }
+      case 'locked': return { icon: '🔒', color: 'text-red-400', text: 'Blocked while locked' }
+      case 'unlocked': return { icon: '🔓', color: 'text-blue-400', text: event.reason === 'password_reset' ? 'Unlocked by password reset' : event.reason || 'Unlocked' }
+      case 'reset_requested': return {
+        icon: '🔐',
+        color: 'text-gray-400',
+        text: {
+          throttled: 'Password reset requested (too many, not sent)',
+          deactivated: 'Password reset requested (account deactivated, not sent)',
+          unknown_email: 'Password reset requested (no account with this email)'
+        }[event.reason] || 'Password reset email sent'
+      }
+      default: return {
+        icon: '✗',
+        color: 'text-red-400',
+        text: {
+          deactivated: 'Failed: account deactivated',
+          unknown_email: 'Failed: no account with this email',
+          bad_2fa_code: 'Failed: wrong two-factor code'
+        }[event.reason] || 'Failed: wrong password'
+      }
+    }
+  }
+
+  const toggleActive = (rep) => {
+    if (rep.is_active && !window.confirm(`Deactivate ${rep.name}? They will be signed out and unable to sign in.`)) {
+      return
+    }
+    updateRep(
+      rep.id,
+      { is_active: !rep.is_active },
+      rep.is_active ? `${rep.name} has been deactivated` : `${rep.name} has been reactivated`
+    )
+  }
+
+  const toggleTerritory = (rep, territory) => {
+    const current = rep.territories || []
+    const territories = current.includes(territory)
+      ? current.filter(t => t !== territory)
+      : [...current, territory]
+    updateRep(rep.id, { territories })
+  }
+
+  const forceReset = async (rep) => {
+    if (!can('manage_reps')) return
+    if (!window.confirm(`Reset ${rep.name}'s password? They will be signed out and emailed a link to choose a new one.`)) {
+      return
+    }
+
+    setProcessingId(rep.id)
+    setMessage({ type: '', text: '' })
+    try {
+      const { emailed } = await apiFetch('/api/admin/force-reset', {
+        method: 'POST',
+        body: { repId: rep.id }
+      })
+      setMessage(emailed
+        ? { type: 'success', text: `Reset link sent to ${rep.email}` }
+        : { type: 'error', text: `Password cleared, but the email to ${rep.email} failed. Ask them to use "Forgot password?".` })
+    } catch (error) {
+      console.error('Error forcing password reset:', error)
+      setMessage({ type: 'error', text: error.message })
+    } finally {
+      setProcessingId(null)
+    }
+  }
+
+  const handleAddRep = async (e) => {
+    e.preventDefault()
+    if (!can('manage_reps')) return
+
+    if (!newRep.name.trim() || !newRep.email.trim()) {
+      setMessage({ type: 'error', text: 'Name and email are required' })
+      return
+    }
+
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(newRep.email)) {
+      setMessage({ type: 'error', text: 'Please enter a valid email address' })
+      return
+    }
+
+    if (!inviteByEmail && newRep.password.length < 8) {
+      setMessage({ type: 'error', text: 'Temporary password must be at least 8 characters' })
+      return
+    }
+
+    setProcessingId('new')
+    setMessage({ type: '', text: '' })
+    try {
+      const { rep, invited } = await apiFetch('/api/admin/reps', {
+        method: 'POST',
+        body: {
+          ...newRep,
+          manager_id: newRep.manager_id || null,
+          password: inviteByEmail ? undefined : newRep.password
+        }
+      })
+
+      setReps(prev => [...prev, rep].sort((a, b) => a.name.localeCompare(b.name)))
+      setNewRep(EMPTY_REP)
+      setShowAddForm(false)
+
+      if (!inviteByEmail) {
+        setMessage({ type: 'success', text: `${rep.name} added. Share the temporary password with them directly.` })
+      } else if (invited) {
+        setMessage({ type: 'success', text: `Invite sent to ${rep.email}` })
+      } else {
+        setMessage({ type: 'error', text: `${rep.name} added, but the invite email failed. Use "Reset Password" to resend.` })
+      }
+    } catch (error) {
+      console.error('Error adding rep:', error)
+      setMessage({ type: 'error', text: error.message })
+    } finally {
+      setProcessingId(null)
+    }
+  }
+
+  const toggleNewRepTerritory = (territory) => {
+    setNewRep(prev => ({
+      ...prev,
+      territories: prev.territories.includes(territory)
+        ? prev.territories.filter(t => t !== territory)
+        : [...prev.territories, territory]
+    }))
+  }
+
+  // Anyone who can manage other reps can be picked as a manager
+  const managers = reps.filter(r => r.is_active && (r.role === 'manager' || r.role === 'admin'))
+
+  if (loading) {
+    return (
+      <div className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+        <div className="bg-gray-900 rounded-xl p-8 text-center">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500 mx-auto"></div>
+          <p className="text-gray-400 mt-4">Loading reps...</p>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4 overflow-y-auto">
+      <div className="bg-gray-900 rounded-xl max-w-3xl w-full shadow-2xl border border-gray-700/50">
+        <div className="p-6">
+          {/* Header */}
+          <div className="flex justify-between items-center mb-6">
+            <h2 className="text-2xl font-semibold text-white flex items-center space-x-2">
+              <span>👥</span>
+              <span>Rep Management</span>
+            </h2>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-white transition text-2xl w-10 h-10 flex items-center justify-center rounded-lg hover:bg-gray-800"
+            >
+              ✕
+            </button>
+          </div>
+
+          {/* Message */}
+          {message.text && (
+            <div className={`mb-4 p-4 rounded-lg ${
+              message.type === 'success'
+                ? 'bg-green-500/10 border border-green-500/50 text-green-400'
+                : 'bg-red-500/10 border border-red-500/50 text-red-400'
+            }`}>
+              {message.text}
+            </div>
+          )}
+
+          {/* Security Settings */}
+          {settings && can('manage_settings') && (
+            <label className="flex items-start space-x-3 mb-6 p-4 bg-gray-800/50 rounded-lg border border-gray-700/50 cursor-pointer hover:bg-gray-800 transition">
+              <input
+                type="checkbox"
+                checked={settings.require_admin_2fa}
+                onChange={toggleRequireAdmin2fa}
+                disabled={processingId === 'settings'}
+                className="mt-1 w-5 h-5 rounded border-gray-600 bg-gray-700 text-blue-500 focus:ring-blue-500 focus:ring-offset-0"
+              />
+              <div>
+                <p className="font-medium text-white">Require two-factor for admins</p>
+                <p className="text-sm text-gray-400 mt-1">
+                  Admins without two-factor authentication must set it up before they can use PromoSync.
+                  Turn it on for your own account first (🛡️ in the header).
+                </p>
+              </div>
+            </label>
+          )}
+
+          {/* Add Rep */}
+          {!showAddForm ? (
+            <button
+              onClick={() => setShowAddForm(true)}
+              className="w-full mb-6 py-3 bg-blue-600 hover:bg-blue-700 text-white font-semibold rounded-lg transition shadow-lg shadow-blue-600/30"
+            >
+              + Add Rep
+            </button>
+          ) : (
+            <form onSubmit={handleAddRep} className="mb-6 p-5 bg-gray-800/50 border border-gray-700/50 rounded-xl space-y-4">
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">Name</label>
+                  <input
+                    type="text"
+                    value={newRep.name}
+                    onChange={(e) => setNewRep({ ...newRep, name: e.target.value })}
+                    className="w-full px-4 py-3 bg-gray-800 border border-gray-700 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">Email</label>
+                  <input
+                    type="email"
+                    value={newRep.email}
+                    onChange={(e) => setNewRep({ ...newRep, email: e.target.value })}
+                    placeholder="rep@example.com"
+                    className="w-full px-4 py-3 bg-gray-800 border border-gray-700 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">Role</label>
+                  <select
+                    value={newRep.role}
+                    onChange={(e) => setNewRep({ ...newRep, role: e.target.value })}
+                    className="w-full px-4 py-3 bg-gray-800 border border-gray-700 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    {ROLES.map(r => (
+                      <option key={r} value={r}>{ROLE_LABELS[r]}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">Manager</label>
+                  <select
+                    value={newRep.manager_id}
+                    onChange={(e) => setNewRep({ ...newRep, manager_id: e.target.value })}
+                    className="w-full px-4 py-3 bg-gray-800 border border-gray-700 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    <option value="">No manager</option>
+                    {managers.map(m => (
+                      <option key={m.id} value={m.id}>{m.name}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              {allTerritories.length > 0 && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">Territories</label>
+                  <div className="flex flex-wrap gap-2">
+                    {allTerritories.map(territory => (
+                      <button
+                        key={territory}
+                        type="button"
+                        onClick={() => toggleNewRepTerritory(territory)}
+                        className={`px-3 py-1.5 rounded-lg text-sm font-medium transition ${
+                          newRep.territories.includes(territory)
+                            ? 'bg-blue-600 text-white'
+                            : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+                        }`}
+                      >
+                        {territory}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              <div className="space-y-2">
+                <label className="flex items-center space-x-3 text-sm text-gray-300 cursor-pointer">
+                  <input
+                    type="radio"
+                    checked={inviteByEmail}
+                    onChange={() => setInviteByEmail(true)}
+                    className="w-4 h-4 text-blue-500 bg-gray-700 border-gray-600"
+                  />
+                  <span>Email an invite so they choose their own password</span>
+                </label>
+                <label className="flex items-center space-x-3 text-sm text-gray-300 cursor-pointer">
+                  <input
+                    type="radio"
+                    checked={!inviteByEmail}
+                    onChange={() => setInviteByEmail(false)}
+                    className="w-4 h-4 text-blue-500 bg-gray-700 border-gray-600"
+                  />
+                  <span>Set a temporary password</span>
+                </label>
+                {!inviteByEmail && (
+                  <input
+                    type="text"
+                    value={newRep.password}
+                    onChange={(e) => setNewRep({ ...newRep, password: e.target.value })}
+                    placeholder="At least 8 characters"
+                    className="w-full px-4 py-3 bg-gray-800 border border-gray-700 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                )}
+              </div>
+
+              <div className="flex space-x-3">
+                <button
+                  type="button"
+                  onClick={() => {
+                    setShowAddForm(false)
+                    setNewRep(EMPTY_REP)
+                  }}
+                  className="flex-1 px-4 py-3 bg-gray-700 hover:bg-gray-600 text-white font-medium rounded-lg transition"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={processingId === 'new'}
+                  className="flex-1 px-4 py-3 bg-blue-600 hover:bg-blue-700 disabled:bg-blue-800 text-white font-semibold rounded-lg transition shadow-lg shadow-blue-600/30"
+                >
+                  {processingId === 'new' ? 'Adding...' : inviteByEmail ? 'Add & Send Invite' : 'Add Rep'}
+                </button>
+              </div>
+            </form>
+          )}
+
+          {/* Rep List */}
+          <div className="space-y-3">
+            <h4 className="text-sm font-medium text-gray-400 uppercase tracking-wider">All Reps</h4>
+            {reps.map((rep) => {
+              const isSelf = rep.id === user?.id
+              const busy = processingId === rep.id
+
+              return (
+                <div
+                  key={rep.id}
+                  className={`p-4 rounded-lg border transition-all ${
+                    rep.is_active
+                      ? 'bg-gray-800/50 border-gray-700/50'
+                      : 'bg-gray-800/20 border-gray-700/30 opacity-60'
+                  }`}
+                >
+                  <div className="flex flex-wrap items-center justify-between gap-3">
+                    <div className="min-w-0">
+                      <p className="font-medium text-white flex items-center space-x-2">
+                        <span>{rep.name}</span>
+                        {isSelf && <span className="text-xs text-gray-500">(you)</span>}
+                        {!rep.is_active && (
+                          <span className="px-2 py-0.5 bg-red-500/20 text-red-400 text-xs rounded-full font-medium">
+                            Inactive
+                          </span>
+                        )}
+                        {rep.totp_enabled_at && (
+                          <span className="px-2 py-0.5 bg-green-500/20 text-green-400 text-xs rounded-full font-medium" title="Two-factor authentication is on">
+                            🛡️ 2FA
+                          </span>
+                        )}
+                        {rep.is_active && isLocked(rep) && (
+                          <span className="px-2 py-0.5 bg-yellow-500/20 text-yellow-400 text-xs rounded-full font-medium">
+                            🔒 Locked
+                          </span>
+                        )}
+                      </p>
+                      <p className="text-sm text-gray-400 truncate">{rep.email || 'No email'}</p>
+                      {rep.is_active && (
+                        <p className="text-xs text-gray-500">
+                          {rep.active_sessions > 0
+                            ? `${rep.active_sessions} device${rep.active_sessions === 1 ? '' : 's'} • last seen ${new Date(rep.last_seen_at).toLocaleString()}`
+                            : 'Not signed in'}
+                        </p>
+                      )}
+                    </div>
+
+                    <div className="flex flex-wrap items-center gap-2">
+                      <select
+                        value={rep.role || 'rep'}
+                        onChange={(e) => updateRep(rep.id, { role: e.target.value }, `${rep.name} is now ${ROLE_LABELS[e.target.value]}`)}
+                        disabled={busy || isSelf || !rep.is_active}
+                        className="px-3 py-2 bg-gray-800 border border-gray-700 rounded-lg text-white text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+                      >
+                        {ROLES.map(r => (
+                          <option key={r} value={r}>{ROLE_LABELS[r]}</option>
+                        ))}
+                      </select>
+                      {!isSelf && rep.is_active && rep.role !== 'admin' && (
+                        <button
+                          onClick={() => viewAsRep(rep)}
+                          disabled={busy}
+                          className="px-3 py-2 bg-gray-700 hover:bg-gray-600 text-white text-sm rounded-lg transition disabled:opacity-50"
+                          title="See PromoSync exactly as this rep does (read-only)"
+                        >
+                          👁️ View as
+                        </button>
+                      )}
+                      <button
+                        onClick={() => toggleExpanded(rep)}
+                        className="px-3 py-2 bg-gray-700 hover:bg-gray-600 text-white text-sm rounded-lg transition"
+                      >
+                        {expandedId === rep.id ? 'Done' : 'Edit'}
+                      </button>
+                    </div>
+                  </div>
+
+                  {expandedId === rep.id && (
+                    <div className="mt-4 pt-4 border-t border-gray-700/50 space-y-4">
+                      <div>
+                        <label className="block text-sm font-medium text-gray-300 mb-2">Manager</label>
+                        <select
+                          value={rep.manager_id || ''}
+                          onChange={(e) => updateRep(rep.id, { manager_id: e.target.value || null })}
+                          disabled={busy}
+                          className="w-full sm:w-64 px-3 py-2 bg-gray-800 border border-gray-700 rounded-lg text-white text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        >
+                          <option value="">No manager</option>
+                          {managers.filter(m => m.id !== rep.id).map(m => (
+                            <option key={m.id} value={m.id}>{m.name}</option>
+                          ))}
+                        </select>
+                      </div>
+
+                      <div>
+                        <label className="block text-sm font-medium text-gray-300 mb-2">Territories</label>
+                        <div className="flex flex-wrap gap-2">
+                          {allTerritories.map(territory => (
+                            <button
+                              key={territory}
+                              onClick={() => toggleTerritory(rep, territory)}
+                              disabled={busy}
+                              className={`px-3 py-1.5 rounded-lg text-sm font-medium transition ${
+                                (rep.territories || []).includes(territory)
+                                  ? 'bg-blue-600 text-white'
+                                  : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+                              }`}
+                            >
+                              {territory}
+                            </button>
+                          ))}
+                        </div>
+                      </div>
+
+                      <div>
+                        <label className="block text-sm font-medium text-gray-300 mb-2">Recent Sign-ins</label>
+                        {loginHistory[rep.id]?.loading ? (
+                          <p className="text-sm text-gray-500">Loading...</p>
+                        ) : loginHistory[rep.id]?.error ? (
+                          <p className="text-sm text-red-400">{loginHistory[rep.id].error}</p>
+                        ) : (loginHistory[rep.id]?.events || []).length === 0 ? (
+                          <p className="text-sm text-gray-500">No sign-in attempts recorded</p>
+                        ) : (
+                          <div className="space-y-1 max-h-48 overflow-y-auto">
+                            {loginHistory[rep.id].events.map(event => {
+                              const { icon, color, text } = formatEvent(event)
+                              return (
+                                <div key={event.id} className="flex items-start justify-between gap-3 text-sm px-3 py-2 bg-gray-900/50 rounded-lg">
+                                  <div className="min-w-0">
+                                    <span className={`${color} mr-2`}>{icon}</span>
+                                    <span className="text-gray-200">{text}</span>
+                                    {event.user_agent && (
+                                      <p className="text-xs text-gray-500 truncate" title={event.user_agent}>
+                                        {describeUserAgent(event.user_agent)}
+                                      </p>
+                                    )}
+                                  </div>
+                                  <div className="text-right text-xs text-gray-500 whitespace-nowrap">
+                                    <p>{new Date(event.created_at).toLocaleString()}</p>
+                                    {event.ip_address && <p>{event.ip_address}</p>}
+                                  </div>
+                                </div>
+                              )
+                            })}
+                          </div>
+                        )}
+                      </div>
+
+                      <div className="flex flex-wrap gap-3">
+                        {isLocked(rep) && (
+                          <button
+                            onClick={() => unlockRep(rep)}
+                            disabled={busy}
+                            className="px-4 py-2 bg-blue-600/20 hover:bg-blue-600/30 border border-blue-600/50 text-blue-400 text-sm font-medium rounded-lg transition disabled:opacity-50"
+                          >
+                            🔓 Unlock
+                          </button>
+                        )}
+                        <button
+                          onClick={() => forceReset(rep)}
+                          disabled={busy || !rep.is_active || !rep.email}
+                          className="px-4 py-2 bg-yellow-600/20 hover:bg-yellow-600/30 border border-yellow-600/50 text-yellow-400 text-sm font-medium rounded-lg transition disabled:opacity-50"
+                        >
+                          🔐 Reset Password
+                        </button>
+                        <button
+                          onClick={() => sendTestEmail(rep)}
+                          disabled={busy || !rep.is_active || !rep.email}
+                          className="px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white text-sm font-medium rounded-lg transition disabled:opacity-50"
+                        >
+                          ✉️ Send Test Email
+                        </button>
+                        {!isSelf && rep.active_sessions > 0 && (
+                          <button
+                            onClick={() => signOutEverywhere(rep)}
+                            disabled={busy}
+                            className="px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white text-sm font-medium rounded-lg transition disabled:opacity-50"
+                          >
+                            💻 Sign Out Everywhere
+                          </button>
+                        )}
+                        {!isSelf && (
+                          <button
+                            onClick={() => toggleActive(rep)}
+                            disabled={busy}
+                            className={`px-4 py-2 text-sm font-medium rounded-lg transition disabled:opacity-50 ${
+                              rep.is_active
+                                ? 'bg-red-600/20 hover:bg-red-600/30 border border-red-600/50 text-red-400'
+                                : 'bg-green-600/20 hover:bg-green-600/30 border border-green-600/50 text-green-400'
+                            }`}
+                          >
+                            {rep.is_active ? 'Deactivate' : 'Reactivate'}
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  )}
+                </div>
+              )
+            })}
+          </div>
+
+          {/* Info */}
+          <div className="mt-6 pt-4 border-t border-gray-700/50">
+            <p className="text-gray-500 text-xs text-center">
+              💡 Deactivated reps can't sign in, but their units, notes and activity stay on record.
+            </p>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default RepManagement
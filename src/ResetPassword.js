@@ -0,0 +1,132 @@
+import React, { useState } from 'react'
+import { apiFetch } from './api'
+
+/**
+ * ResetPassword Component
+ *
+ * Landing page for the emailed reset link (/?reset=<token>).
+ * The token is single-use; the server rejects expired or reused links.
+ */
+
+const ResetPassword = ({ token, onDone }) => {
+  const [password, setPassword] = useState('')
+  const [confirmPassword, setConfirmPassword] = useState('')
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+  const [done, setDone] = useState(false)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setError('')
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match')
+      return
+    }
+
+    if (password.length < 8) {
+      setError('Password must be at least 8 characters')
+      return
+    }
+
+    setLoading(true)
+
+    try {
+      await apiFetch('/api/auth/reset-password', {
+        method: 'POST',
+        body: { token, password }
+      })
+      setDone(true)
+    } catch (err) {
+      console.error('Reset password error:', err)
+      setError(err.status === 400 ? err.message : 'An error occurred. Please try again.')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-900 via-blue-900 to-gray-900 flex items-center justify-center p-4">
+      <div className="w-full max-w-md">
+        <div className="text-center mb-8">
+          <h1 className="text-5xl font-bold text-white mb-3">PromoSync</h1>
+          <p className="text-blue-300 text-xl font-semibold mb-2">Choose a New Password</p>
+        </div>
+
+        <div className="bg-gray-800 rounded-2xl shadow-2xl p-8">
+          {done ? (
+            <div className="space-y-6 text-center">
+              <div className="text-5xl">✅</div>
+              <p className="text-gray-300">
+                Your password has been changed. Any devices that were signed in have been signed out.
+              </p>
+              <button
+                onClick={onDone}
+                className="w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 px-6 rounded-lg transition-all duration-200"
+              >
+                Go to Sign In
+              </button>
+            </div>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-6">
+              {error && (
+                <div className="bg-red-500/10 border border-red-500/50 text-red-400 px-4 py-3 rounded-lg">
+                  {error}
+                </div>
+              )}
+
+              <div>
+                <label className="block text-sm font-semibold text-gray-300 mb-2">
+                  New Password
+                </label>
+                <input
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  className="w-full px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="At least 8 characters"
+                  required
+                  autoComplete="new-password"
+                  autoFocus
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-semibold text-gray-300 mb-2">
+                  Confirm New Password
+                </label>
+                <input
+                  type="password"
+                  value={confirmPassword}
+                  onChange={(e) => setConfirmPassword(e.target.value)}
+                  className="w-full px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="••••••••"
+                  required
+                  autoComplete="new-password"
+                />
+              </div>
+
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full bg-blue-600 hover:bg-blue-700 disabled:bg-blue-800 text-white font-bold py-3 px-6 rounded-lg transition-all duration-200"
+              >
+                {loading ? 'Saving...' : 'Set New Password'}
+              </button>
+
+              <button
+                type="button"
+                onClick={onDone}
+                className="w-full text-sm text-gray-400 hover:text-white transition"
+              >
+                ← Back to Sign In
+              </button>
+            </form>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ResetPassword
@@ -1,5 +1,5 @@
-import React, { useState, useEffect } from 'react'
-import { supabase } from './supabaseClient'
+import React from 'react'
+import { runRateLabel } from './metrics'
 
 /**
  * StatsHeader Component - v2.8
@@ -12,155 +12,39 @@ import { supabase } from './supabaseClient'
  * - Quarter pace indicator (Ahead/On Pace/Behind)
  */
 
-const StatsHeader = ({ onFilterBehindPace }) => {
-  const [stats, setStats] = useState({
-    totalUnits: 0,
-    accountsOnPromo: 0,
-    totalAccounts: 0,
-    teamGoal: 0,
-    targetUnits: 0,
-    behindPace: 0,
-    metTarget: 0
-  })
-  const [quarterInfo, setQuarterInfo] = useState({
-    name: 'Q4 2025',
-    progress: 0, // % through quarter
-    daysLeft: 0
-  })
-  const [loading, setLoading] = useState(true)
-
-  useEffect(() => {
-    fetchStats()
-    fetchQuarterInfo()
-  }, [])
-
-  const fetchQuarterInfo = async () => {
-    try {
-      const { data, error } = await supabase
-        .from('quarters')
-        .select('*')
-        .eq('is_active', true)
-        .single()
-
-      if (error && error.code !== 'PGRST116') throw error
-
-      if (data) {
-        const start = new Date(data.start_date)
-        const end = new Date(data.end_date)
-        const now = new Date()
-        
-        const totalDays = (end - start) / (1000 * 60 * 60 * 24)
-        const daysPassed = (now - start) / (1000 * 60 * 60 * 24)
-        const daysLeft = Math.max(0, Math.ceil((end - now) / (1000 * 60 * 60 * 24)))
-        
-        const progress = Math.min(100, Math.max(0, Math.round((daysPassed / totalDays) * 100)))
-        
-        setQuarterInfo({
-          name: data.name,
-          progress,
-          daysLeft
-        })
-      }
-    } catch (error) {
-      console.error('Error fetching quarter:', error)
-    }
+const StatsHeader = ({ summary, onRefresh, onFilterBehindPace }) => {
+  // summary comes from /api/dashboard via Dashboard; null until it loads
+  const loading = !summary
+
+  const stats = {
+    totalUnits: summary?.totalUnits || 0,
+    accountsOnPromo: summary?.accountsOnPromo || 0,
+    assignments: summary?.assignments || 0,
+    totalAccounts: summary?.totalAccounts || 0,
+    teamGoal: summary?.attainment || 0,
+    targetUnits: summary?.totalTarget || 0,
+    behindPace: summary?.behindPace || 0,
+    metTarget: summary?.metTarget || 0,
+    paceStatus: summary?.paceStatus || 'on_pace',
+    // null once no working days are left
+    requiredRunRate: summary ? summary.requiredRunRate : 0
   }
 
-  const fetchStats = async () => {
-    try {
-      // Get all accounts
-      const { data: accounts } = await supabase
-        .from('accounts')
-        .select('id')
-
-      const totalAccounts = accounts?.length || 0
-
-      // Get accounts on promo
-      const { data: accountPromos } = await supabase
-        .from('account_promos')
-        .select('account_id, target_units')
-
-      const accountsOnPromo = accountPromos?.length || 0
-
-      // Calculate total target
-      const targetUnits = accountPromos?.reduce((sum, ap) => sum + ap.target_units, 0) || 0
-
-      // Get all transactions for active promos
-      const { data: transactions } = await supabase
-        .from('transactions')
-        .select('units_sold, account_id, promo_id')
-
-      // Calculate total units
-      const totalUnits = transactions?.reduce((sum, t) => sum + t.units_sold, 0) || 0
-
-      // Calculate team goal
-      const teamGoal = targetUnits > 0 ? Math.round((totalUnits / targetUnits) * 100) : 0
-
-      // Calculate per-account progress and count behind pace
-      let behindPace = 0
-      let metTarget = 0
-      
-      if (accountPromos && transactions) {
-        // Get current quarter progress for comparison
-        const { data: quarterData } = await supabase
-          .from('quarters')
-          .select('start_date, end_date')
-          .eq('is_active', true)
-          .single()
-        
-        let qProgress = 50 // default
-        if (quarterData) {
-          const start = new Date(quarterData.start_date)
-          const end = new Date(quarterData.end_date)
-          const now = new Date()
-          const totalDays = (end - start) / (1000 * 60 * 60 * 24)
-          const daysPassed = (now - start) / (1000 * 60 * 60 * 24)
-          qProgress = Math.round((daysPassed / totalDays) * 100)
-        }
-        
-        accountPromos.forEach(ap => {
-          const accountTransactions = transactions.filter(
-            t => t.account_id === ap.account_id
-          )
-          const accountTotal = accountTransactions.reduce((sum, t) => sum + t.units_sold, 0)
-          const progress = ap.target_units > 0 ? (accountTotal / ap.target_units) * 100 : 0
-          
-          if (progress >= 100) {
-            metTarget++
-          } else if (progress < qProgress - 10) {
-            behindPace++
-          }
-        })
-      }
-
-      setStats({
-        totalUnits,
-        accountsOnPromo,
-        totalAccounts,
-        teamGoal,
-        targetUnits,
-        behindPace,
-        metTarget
-      })
-    } catch (error) {
-      console.error('Error fetching stats:', error)
-    } finally {
-      setLoading(false)
-    }
+  const quarterInfo = {
+    name: summary?.quarter?.name || 'No active quarter',
+    progress: summary?.timing?.progress || 0,
+    workDaysLeft: summary?.timing?.workDaysLeft || 0
   }
 
   // Calculate pace status
   const getPaceStatus = () => {
-    const { teamGoal } = stats
-    const { progress: quarterProg } = quarterInfo
-    const diff = teamGoal - quarterProg
-
-    if (teamGoal >= 100) {
-      return { status: 'Target Met! 🎉', color: 'text-green-400', bgColor: 'bg-green-500/20', icon: '✅' }
-    } else if (diff >= -10) {
-      return { status: 'On Pace', color: 'text-blue-400', bgColor: 'bg-blue-500/20', icon: '📊' }
-    } else {
-      return { status: 'Behind Pace', color: 'text-red-400', bgColor: 'bg-red-500/20', icon: '⚠️' }
+    switch (stats.paceStatus) {
+      case 'met':
+        return { status: 'Target Met! 🎉', color: 'text-green-400', bgColor: 'bg-green-500/20', icon: '✅' }
+      case 'behind':
+        return { status: 'Behind Pace', color: 'text-red-400', bgColor: 'bg-red-500/20', icon: '⚠️' }
+      default:
+        return { status: 'On Pace', color: 'text-blue-400', bgColor: 'bg-blue-500/20', icon: '📊' }
     }
   }
 
@@ -192,7 +76,7 @@ const StatsHeader = ({ onFilterBehindPace }) => {
       icon: '🎯',
       label: 'Team Goal',
       value: `${stats.teamGoal}%`,
-      subtitle: stats.teamGoal >= 100 ? '🎉 Target Met!' : 'Keep going!',
+      subtitle: stats.teamGoal >= 100 ? '🎉 Target Met!' : runRateLabel(stats.requiredRunRate, summary?.timing || {}),
       color: stats.teamGoal >= 100 ? 'from-green-500 to-green-600' : 
              stats.teamGoal >= 75 ? 'from-yellow-500 to-yellow-600' : 
              'from-red-500 to-red-600',
@@ -202,7 +86,9 @@ const StatsHeader = ({ onFilterBehindPace }) => {
       icon: '🏢',
       label: 'On Promos',
       value: stats.accountsOnPromo,
-      subtitle: stats.metTarget > 0 ? `${stats.metTarget} met target` : 'accounts',
+      subtitle: stats.metTarget > 0
+        ? `${stats.metTarget} met target`
+        : stats.assignments > stats.accountsOnPromo ? `${stats.assignments} assignments` : 'accounts',
       color: 'from-indigo-500 to-indigo-600',
       clickable: false
     },
@@ -236,11 +122,11 @@ const StatsHeader = ({ onFilterBehindPace }) => {
             <span className="text-gray-500">•</span>
             <span className="text-blue-400 text-sm">{quarterInfo.progress}% complete</span>
             <span className="text-gray-500">•</span>
-            <span className="text-gray-400 text-sm">{quarterInfo.daysLeft}d left</span>
+            <span className="text-gray-400 text-sm">{quarterInfo.workDaysLeft} working days left</span>
           </div>
           
           <button
-            onClick={() => { fetchStats(); fetchQuarterInfo(); }}
+            onClick={onRefresh}
             className="text-gray-400 hover:text-white transition p-2 hover:bg-gray-700 rounded-lg"
             title="Refresh"
           >
@@ -0,0 +1,237 @@
+import React, { useState, useEffect } from 'react'
+import { apiFetch } from './api'
+
+/**
+ * TerritoryManagement Component (Admin Only)
+ *
+ * The territory list used by every filter, export, alert and summary:
+ * - Add a territory
+ * - Rename one (accounts and reps' alert subscriptions follow)
+ * - Merge one into another, e.g. to clean up duplicates
+ */
+
+const TerritoryManagement = ({ onClose }) => {
+  const [territories, setTerritories] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [message, setMessage] = useState({ type: '', text: '' })
+  const [newName, setNewName] = useState('')
+  const [editing, setEditing] = useState(null) // { id, name }
+  const [merging, setMerging] = useState(null) // { id, mergeInto }
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const { territories: data } = await apiFetch('/api/admin/territories')
+        setTerritories(data)
+      } catch (error) {
+        console.error('Error fetching territories:', error)
+        setMessage({ type: 'error', text: error.message })
+      } finally {
+        setLoading(false)
+      }
+    }
+    load()
+  }, [])
+
+  const updateTerritories = async (options, successText) => {
+    setSaving(true)
+    setMessage({ type: '', text: '' })
+    try {
+      const { territories: data } = await apiFetch('/api/admin/territories', options)
+      setTerritories(data)
+      setMessage({ type: 'success', text: successText })
+      return true
+    } catch (error) {
+      console.error('Error updating territories:', error)
+      setMessage({ type: 'error', text: error.message })
+      return false
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleAdd = async (e) => {
+    e.preventDefault()
+    const added = await updateTerritories(
+      { method: 'POST', body: { name: newName } },
+      `Added ${newName.trim()}`
+    )
+    if (added) setNewName('')
+  }
+
+  const handleRename = async (e) => {
+    e.preventDefault()
+    const renamed = await updateTerritories(
+      { method: 'PATCH', body: editing },
+      `Renamed to ${editing.name.trim()}`
+    )
+    if (renamed) setEditing(null)
+  }
+
+  const handleMerge = async (territory) => {
+    const target = territories.find(t => t.id === merging.mergeInto)
+    if (!target) return
+
+    if (!window.confirm(
+      `Merge ${territory.name} into ${target.name}? Its ${territory.account_count} account(s) and ` +
+      `${territory.rep_count} rep subscription(s) move to ${target.name}, and ${territory.name} is removed.`
+    )) return
+
+    const merged = await updateTerritories(
+      { method: 'DELETE', body: merging },
+      `Merged ${territory.name} into ${target.name}`
+    )
+    if (merged) setMerging(null)
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4 overflow-y-auto">
+      <div className="bg-gray-900 rounded-xl max-w-2xl w-full shadow-2xl border border-gray-700/50">
+        <div className="p-6">
+          {/* Header */}
+          <div className="flex justify-between items-center mb-6">
+            <h2 className="text-2xl font-semibold text-white flex items-center space-x-2">
+              <span>🗺️</span>
+              <span>Territories</span>
+            </h2>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-white transition text-2xl w-10 h-10 flex items-center justify-center rounded-lg hover:bg-gray-800"
+            >
+              ✕
+            </button>
+          </div>
+
+          {/* Message */}
+          {message.text && (
+            <div className={`mb-4 p-4 rounded-lg ${
+              message.type === 'success'
+                ? 'bg-green-500/10 border border-green-500/50 text-green-400'
+                : 'bg-red-500/10 border border-red-500/50 text-red-400'
+            }`}>
+              {message.text}
+            </div>
+          )}
+
+          {/* Add Territory */}
+          <form onSubmit={handleAdd} className="flex gap-2 mb-6">
+            <input
+              type="text"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              placeholder="New territory, e.g. Victoria"
+              required
+              className="flex-1 min-w-0 px-4 py-2 bg-gray-800 border border-gray-700 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white font-medium rounded-lg transition disabled:opacity-50"
+            >
+              + Add
+            </button>
+          </form>
+
+          {/* Territory List */}
+          {loading ? (
+            <div className="text-center py-8">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500 mx-auto"></div>
+            </div>
+          ) : territories.length === 0 ? (
+            <p className="text-gray-500 text-center py-8">No territories yet</p>
+          ) : (
+            <div className="space-y-2">
+              {territories.map(territory => (
+                <div key={territory.id} className="p-4 bg-gray-800/50 border border-gray-700/50 rounded-lg">
+                  {editing?.id === territory.id ? (
+                    <form onSubmit={handleRename} className="flex gap-2">
+                      <input
+                        type="text"
+                        value={editing.name}
+                        onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                        autoFocus
+                        required
+                        className="flex-1 min-w-0 px-3 py-2 bg-gray-800 border border-gray-700 rounded-lg text-white text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                      <button
+                        type="submit"
+                        disabled={saving}
+                        className="px-3 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm rounded-lg transition disabled:opacity-50"
+                      >
+                        Save
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => setEditing(null)}
+                        className="px-3 py-2 bg-gray-700 hover:bg-gray-600 text-white text-sm rounded-lg transition"
+                      >
+                        Cancel
+                      </button>
+                    </form>
+                  ) : (
+                    <div className="flex items-center justify-between gap-3">
+                      <div>
+                        <p className="text-white font-medium">📍 {territory.name}</p>
+                        <p className="text-gray-400 text-sm">
+                          {territory.account_count} account{territory.account_count === 1 ? '' : 's'} •{' '}
+                          {territory.rep_count} rep{territory.rep_count === 1 ? '' : 's'} subscribed
+                        </p>
+                      </div>
+                      <div className="flex gap-2">
+                        <button
+                          onClick={() => {
+                            setMerging(null)
+                            setEditing({ id: territory.id, name: territory.name })
+                          }}
+                          className="px-3 py-1.5 bg-gray-700 hover:bg-gray-600 text-white text-sm rounded-lg transition"
+                        >
+                          Rename
+                        </button>
+                        {territories.length > 1 && (
+                          <button
+                            onClick={() => {
+                              setEditing(null)
+                              setMerging(merging?.id === territory.id ? null : { id: territory.id, mergeInto: '' })
+                            }}
+                            className="px-3 py-1.5 bg-gray-700 hover:bg-gray-600 text-white text-sm rounded-lg transition"
+                          >
+                            Merge…
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  )}
+
+                  {merging?.id === territory.id && (
+                    <div className="flex gap-2 mt-3">
+                      <select
+                        value={merging.mergeInto}
+                        onChange={(e) => setMerging({ ...merging, mergeInto: e.target.value })}
+                        className="flex-1 min-w-0 px-3 py-2 bg-gray-800 border border-gray-700 rounded-lg text-white text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        <option value="">Merge into...</option>
+                        {territories.filter(t => t.id !== territory.id).map(t => (
+                          <option key={t.id} value={t.id}>{t.name}</option>
+                        ))}
+                      </select>
+                      <button
+                        onClick={() => handleMerge(territory)}
+                        disabled={saving || !merging.mergeInto}
+                        className="px-3 py-2 bg-red-700/80 hover:bg-red-600 text-white text-sm rounded-lg transition disabled:opacity-50"
+                      >
+                        Merge
+                      </button>
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default TerritoryManagement
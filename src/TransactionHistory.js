@@ -0,0 +1,642 @@
+import React, { useState, useEffect } from 'react'
+import { supabase } from './supabaseClient'
+import { useAuth } from './AuthContext'
+import { apiFetch } from './api'
+import { toDateKey } from './metrics'
+import { canCorrectTransaction } from './permissions'
+import {
+  LEDGER_SORTS,
+  LINKED_RETURNS_SELECT,
+  RETURN_REASONS,
+  REVISION_LABELS,
+  TRANSACTION_TYPES,
+  isReturn,
+  ledgerCsv,
+  quantityOf,
+  unitsLabel,
+  validateCorrection,
+  validateVoid,
+  withRunningTotals
+} from './transactions'
+
+/**
+ * TransactionHistory Component
+ *
+ * The ledger of every transaction logged for an account, returns and
+ * adjustments included, with:
+ * - Filters for date range, rep and promo (starting on the promo it was
+ *   opened from), a choice of sort order, and pages of PAGE_SIZE entries.
+ *   Filtering, sorting and paging happen in the query, so busy accounts
+ *   aren't cut off by PostgREST's row cap.
+ * - Totals for the filters, and net units so far on each entry when sorted
+ *   by date (from transaction_ledger_totals)
+ * - CSV export of everything the filters match, oldest first, fetched in
+ *   batches
+ * - Edit units, date or notes, or void the entry - the rep who logged it or
+ *   an admin, with a required reason (via /api/transactions)
+ * - The revision history of each entry, with the values it replaced
+ */
+
+const PAGE_SIZE = 20
+const EXPORT_BATCH_SIZE = 500 // under PostgREST's max-rows cap
+
+const NO_FILTERS = { from: '', to: '', repId: 'all', promoId: 'all' }
+
+const LEDGER_SELECT = `
+  *,
+  reps ( name ),
+  promos ( promo_name ),
+  transaction_revisions ( id, action, reason, previous, changes, created_at, reps ( name ) ),
+  ${LINKED_RETURNS_SELECT}
+`
+
+const EXPORT_SELECT = `
+  id, transaction_date, created_at, units_sold, transaction_type, return_reason, notes, voided_at,
+  reps ( name ), promos ( promo_name ), transaction_revisions ( id )
+`
+
+const formatDate = (date) =>
+  new Date(`${toDateKey(date)}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
+
+const formatDateTime = (date) =>
+  new Date(date).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })
+
+// "120 → 12 units, Oct 3 → Oct 2" for an edit revision. Returns are
+// stored negative but described by their quantity.
+const describeRevision = (revision) => {
+  const { previous, changes } = revision
+  if (revision.action === 'voided') {
+    return previous.units_sold < 0
+      ? `Return of ${-previous.units_sold} units cancelled`
+      : `${previous.units_sold} units removed`
+  }
+  const parts = []
+  if (previous.units_sold !== changes.units_sold) {
+    parts.push(`${Math.abs(previous.units_sold)} → ${Math.abs(changes.units_sold)} units`)
+  }
+  if (previous.transaction_date !== changes.transaction_date) {
+    parts.push(`${formatDate(previous.transaction_date)} → ${formatDate(changes.transaction_date)}`)
+  }
+  if ((previous.notes || null) !== (changes.notes || null)) parts.push('notes changed')
+  return parts.join(', ')
+}
+
+const byName = (a, b) => a.name.localeCompare(b.name)
+
+// Every promo and rep in the account's ledger, voided entries included, for
+// the filters
+async function fetchFilterOptions(accountId) {
+  const { data, error } = await supabase.rpc('transaction_ledger_filters', { p_account_id: accountId })
+
+  if (error) throw error
+
+  const optionsOf = (kind) => data
+    .filter(row => row.kind === kind)
+    .map(({ id, name }) => ({ id, name: name || 'Unknown' }))
+    .sort(byName)
+  return { promos: optionsOf('promo'), reps: optionsOf('rep') }
+}
+
+// The account's transactions matching the filters
+const ledgerQuery = (accountId, filters, columns, options) => {
+  let query = supabase
+    .from('transactions')
+    .select(columns, options)
+    .eq('account_id', accountId)
+
+  if (filters.from) query = query.gte('transaction_date', filters.from)
+  if (filters.to) query = query.lte('transaction_date', filters.to)
+  if (filters.repId !== 'all') query = query.eq('rep_id', filters.repId)
+  if (filters.promoId !== 'all') query = query.eq('promo_id', filters.promoId)
+  return query
+}
+
+// { sold, returned, net } for the filters; only entries before `cursor`
+// (an entry) if given
+async function fetchLedgerTotals(accountId, filters, cursor = null) {
+  const { data, error } = await supabase.rpc('transaction_ledger_totals', {
+    p_account_id: accountId,
+    p_promo_id: filters.promoId === 'all' ? null : filters.promoId,
+    p_rep_id: filters.repId === 'all' ? null : filters.repId,
+    p_from: filters.from || null,
+    p_to: filters.to || null,
+    p_before_date: cursor?.transaction_date ?? null,
+    p_before_created_at: cursor?.created_at ?? null,
+    p_before_id: cursor?.id ?? null
+  })
+
+  if (error) throw error
+  return data[0]
+}
+
+// One page in the chosen order, with running totals when that's by date
+async function fetchLedgerPage(accountId, filters, sort, page) {
+  const { order, chronological } = LEDGER_SORTS[sort]
+  let query = ledgerQuery(accountId, filters, LEDGER_SELECT, { count: 'exact' })
+  order.forEach(([column, ascending]) => { query = query.order(column, { ascending }) })
+
+  const { data, count, error } = await query.range(page * PAGE_SIZE, (page + 1) * PAGE_SIZE - 1)
+  if (error) throw error
+
+  const rows = data || []
+  if (!chronological || rows.length === 0) return { rows, count: count || 0 }
+
+  const oldestFirst = chronological === 'asc' ? rows : [...rows].reverse()
+  const opening = await fetchLedgerTotals(accountId, filters, oldestFirst[0])
+  const withTotals = withRunningTotals(oldestFirst, opening.net)
+  return { rows: chronological === 'asc' ? withTotals : withTotals.reverse(), count: count || 0 }
+}
+
+// Everything the filters match, oldest first with running totals
+async function fetchLedgerForExport(accountId, filters) {
+  const rows = []
+  for (let offset = 0; ; offset += EXPORT_BATCH_SIZE) {
+    let query = ledgerQuery(accountId, filters, EXPORT_SELECT)
+    LEDGER_SORTS.oldest.order.forEach(([column, ascending]) => { query = query.order(column, { ascending }) })
+
+    const { data, error } = await query.range(offset, offset + EXPORT_BATCH_SIZE - 1)
+    if (error) throw error
+
+    rows.push(...data)
+    if (data.length < EXPORT_BATCH_SIZE) return withRunningTotals(rows)
+  }
+}
+
+const downloadCsv = (csv, filename) => {
+  const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' })
+  const link = document.createElement('a')
+  const url = URL.createObjectURL(blob)
+  link.setAttribute('href', url)
+  link.setAttribute('download', filename)
+  link.style.visibility = 'hidden'
+  document.body.appendChild(link)
+  link.click()
+  document.body.removeChild(link)
+  URL.revokeObjectURL(url)
+}
+
+const TransactionHistory = ({ account, promo, onClose, onChanged }) => {
+  const { user, impersonator } = useAuth()
+  const [transactions, setTransactions] = useState([]) // the current page
+  const [count, setCount] = useState(0)
+  const [totals, setTotals] = useState({ sold: 0, returned: 0, net: 0 })
+  const [options, setOptions] = useState({ promos: [], reps: [] })
+  const [loading, setLoading] = useState(true)
+  const [exporting, setExporting] = useState(false)
+  const [saving, setSaving] = useState(false)
+  const [message, setMessage] = useState({ type: '', text: '' })
+  const [expanded, setExpanded] = useState(null) // transaction id showing its revisions
+  // { id, mode: 'edit' | 'void', units_sold, transaction_date, notes, reason }
+  const [correcting, setCorrecting] = useState(null)
+  const [reloadKey, setReloadKey] = useState(0) // bumped after each correction
+  const [filters, setFilters] = useState({ ...NO_FILTERS, promoId: promo?.promo_id || 'all' })
+  const [sort, setSort] = useState('newest')
+  const [page, setPage] = useState(0)
+
+  useEffect(() => {
+    fetchFilterOptions(account.id)
+      .then(setOptions)
+      .catch(error => console.error('Error fetching ledger filters:', error))
+  }, [account.id, reloadKey])
+
+  useEffect(() => {
+    const load = async () => {
+      setLoading(true)
+      try {
+        const [ledgerPage, filterTotals] = await Promise.all([
+          fetchLedgerPage(account.id, filters, sort, page),
+          fetchLedgerTotals(account.id, filters)
+        ])
+        setTransactions(ledgerPage.rows)
+        setCount(ledgerPage.count)
+        setTotals(filterTotals)
+      } catch (error) {
+        console.error('Error fetching transactions:', error)
+        setMessage({ type: 'error', text: 'Failed to load transactions' })
+      } finally {
+        setLoading(false)
+      }
+    }
+    load()
+  }, [account.id, filters, sort, page, reloadKey])
+
+  // "View as" sessions are read-only
+  const canCorrect = (transaction) =>
+    !impersonator && !transaction.voided_at && canCorrectTransaction(user, transaction)
+
+  const startCorrection = (transaction, mode) => {
+    setMessage({ type: '', text: '' })
+    setCorrecting({
+      id: transaction.id,
+      mode,
+      units_sold: String(quantityOf(transaction)),
+      transaction_date: toDateKey(transaction.transaction_date),
+      notes: transaction.notes || '',
+      reason: ''
+    })
+  }
+
+  const setField = (key, value) => setCorrecting({ ...correcting, [key]: value })
+
+  const handleSave = async (e, transaction) => {
+    e.preventDefault()
+    const voiding = correcting.mode === 'void'
+
+    // Same rules the API applies; checked here for instant feedback
+    const { error } = voiding
+      ? validateVoid(transaction, correcting.reason)
+      : validateCorrection(transaction, { ...correcting, units_sold: parseInt(correcting.units_sold) })
+    if (error) {
+      setMessage({ type: 'error', text: error })
+      return
+    }
+
+    setSaving(true)
+    try {
+      await apiFetch('/api/transactions', voiding
+        ? { method: 'DELETE', body: { id: transaction.id, reason: correcting.reason } }
+        : {
+            method: 'PATCH',
+            body: {
+              id: transaction.id,
+              units_sold: parseInt(correcting.units_sold),
+              transaction_date: correcting.transaction_date,
+              notes: correcting.notes,
+              reason: correcting.reason
+            }
+          })
+
+      setMessage({ type: 'success', text: voiding ? 'Entry voided' : 'Entry updated' })
+      setCorrecting(null)
+      setExpanded(transaction.id)
+      setReloadKey(key => key + 1)
+      onChanged && onChanged()
+    } catch (err) {
+      console.error('Error correcting transaction:', err)
+      setMessage({ type: 'error', text: err.message })
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const setFilter = (key, value) => {
+    setFilters({ ...filters, [key]: value })
+    setPage(0)
+  }
+
+  const pageCount = Math.max(1, Math.ceil(count / PAGE_SIZE))
+  const filtered = Object.keys(NO_FILTERS).some(key => filters[key] !== NO_FILTERS[key])
+
+  const handleExport = async () => {
+    setExporting(true)
+    try {
+      const rows = await fetchLedgerForExport(account.id, filters)
+      const name = account.account_name.replace(/[^a-z0-9]+/gi, '-')
+      downloadCsv(ledgerCsv(rows), `PromoSync-${name}-transactions.csv`)
+    } catch (error) {
+      console.error('Error exporting transactions:', error)
+      setMessage({ type: 'error', text: 'Export failed. Please try again.' })
+    } finally {
+      setExporting(false)
+    }
+  }
+
+  const inputClass = 'w-full px-3 py-2 bg-gray-800 border border-gray-700 rounded-lg text-white text-sm placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500'
+
+  return (
+    <div className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4 overflow-y-auto">
+      <div className="bg-gray-900 rounded-xl max-w-3xl w-full shadow-2xl border border-gray-700/50 max-h-[90vh] overflow-hidden flex flex-col">
+        <div className="p-6 flex-1 overflow-y-auto">
+          {/* Header */}
+          <div className="flex justify-between items-start mb-6">
+            <div>
+              <h2 className="text-2xl font-semibold text-white flex items-center space-x-2">
+                <span>🧾</span>
+                <span>Transactions</span>
+              </h2>
+              <p className="text-sm text-gray-400 mt-1">
+                {account.account_name}
+              </p>
+            </div>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-white transition text-2xl w-10 h-10 flex items-center justify-center rounded-lg hover:bg-gray-800"
+            >
+              ✕
+            </button>
+          </div>
+
+          {/* Message */}
+          {message.text && (
+            <div className={`mb-4 p-4 rounded-lg ${
+              message.type === 'success'
+                ? 'bg-green-500/10 border border-green-500/50 text-green-400'
+                : 'bg-red-500/10 border border-red-500/50 text-red-400'
+            }`}>
+              {message.text}
+            </div>
+          )}
+
+          {/* Filters */}
+          {(filtered || count > 0) && (
+            <div className="mb-4 space-y-3">
+              <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+                <div>
+                  <label className="block text-xs text-gray-400 mb-1">From</label>
+                  <input
+                    type="date"
+                    value={filters.from}
+                    max={filters.to || undefined}
+                    onChange={(e) => setFilter('from', e.target.value)}
+                    className={inputClass}
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs text-gray-400 mb-1">To</label>
+                  <input
+                    type="date"
+                    value={filters.to}
+                    min={filters.from || undefined}
+                    onChange={(e) => setFilter('to', e.target.value)}
+                    className={inputClass}
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs text-gray-400 mb-1">Rep</label>
+                  <select value={filters.repId} onChange={(e) => setFilter('repId', e.target.value)} className={inputClass}>
+                    <option value="all">All reps</option>
+                    {options.reps.map(rep => (
+                      <option key={rep.id} value={rep.id}>{rep.name}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-xs text-gray-400 mb-1">Promo</label>
+                  <select value={filters.promoId} onChange={(e) => setFilter('promoId', e.target.value)} className={inputClass}>
+                    <option value="all">All promos</option>
+                    {options.promos.map(p => (
+                      <option key={p.id} value={p.id}>{p.name}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2">
+                <p className="text-sm text-gray-400">
+                  {count} {count === 1 ? 'entry' : 'entries'}
+                  {' • '}<span className="text-green-400">{totals.sold} sold</span>
+                  {totals.returned > 0 && <span className="text-orange-400"> • {totals.returned} returned</span>}
+                  {' • '}<span className="text-white font-medium">{totals.net} net units</span>
+                </p>
+                <div className="flex gap-2">
+                  {filtered && (
+                    <button
+                      onClick={() => {
+                        setFilters(NO_FILTERS)
+                        setPage(0)
+                      }}
+                      className="px-3 py-1.5 text-xs text-gray-300 hover:text-white bg-gray-700/60 hover:bg-gray-700 rounded-lg transition"
+                    >
+                      Clear Filters
+                    </button>
+                  )}
+                  <select
+                    value={sort}
+                    onChange={(e) => {
+                      setSort(e.target.value)
+                      setPage(0)
+                    }}
+                    className="px-3 py-1.5 bg-gray-800 border border-gray-700 rounded-lg text-white text-xs focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    {Object.entries(LEDGER_SORTS).map(([key, { label }]) => (
+                      <option key={key} value={key}>{label}</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={handleExport}
+                    disabled={count === 0 || exporting}
+                    className="px-3 py-1.5 text-xs text-white bg-green-600 hover:bg-green-700 rounded-lg transition disabled:opacity-50"
+                  >
+                    {exporting ? 'Exporting...' : '📥 Export CSV'}
+                  </button>
+                </div>
+              </div>
+            </div>
+          )}
+
+          {loading ? (
+            <div className="text-center py-8">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500 mx-auto"></div>
+            </div>
+          ) : count === 0 ? (
+            <p className="text-gray-500 text-center py-8">
+              {filtered ? 'No transactions match these filters' : 'No units logged yet'}
+            </p>
+          ) : (
+            <div className="space-y-2">
+              {transactions.map(transaction => {
+                const voided = Boolean(transaction.voided_at)
+                const revisions = [...(transaction.transaction_revisions || [])]
+                  .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+                const isCorrecting = correcting?.id === transaction.id
+                const { original } = transaction
+
+                return (
+                  <div
+                    key={transaction.id}
+                    className={`p-4 border rounded-lg ${voided ? 'bg-gray-800/20 border-gray-800' : 'bg-gray-800/50 border-gray-700/50'}`}
+                  >
+                    <div className="flex flex-col sm:flex-row sm:items-start justify-between gap-2">
+                      <div className="min-w-0">
+                        <div className="flex flex-wrap items-center gap-2">
+                          <span className={`font-bold ${
+                            voided ? 'text-gray-500 line-through' : isReturn(transaction) ? 'text-orange-400' : 'text-white'
+                          }`}>
+                            {unitsLabel(transaction)}
+                          </span>
+                          <span className="text-gray-400 text-sm">{formatDate(transaction.transaction_date)}</span>
+                          {isReturn(transaction) && (
+                            <span className={`text-xs px-2 py-0.5 rounded ${TRANSACTION_TYPES.return.className}`}>
+                              {TRANSACTION_TYPES.return.label}: {RETURN_REASONS[transaction.return_reason] || 'Other'}
+                            </span>
+                          )}
+                          {voided && (
+                            <span className="text-xs px-2 py-0.5 rounded bg-red-500/20 text-red-400">Voided</span>
+                          )}
+                          {!voided && revisions.length > 0 && (
+                            <span className="text-xs px-2 py-0.5 rounded bg-yellow-500/20 text-yellow-400">Edited</span>
+                          )}
+                        </div>
+                        <p className="text-gray-500 text-xs mt-1">
+                          {transaction.reps?.name || 'Unknown rep'}
+                          {filters.promoId === 'all' && transaction.promos?.promo_name ? ` • ${transaction.promos.promo_name}` : ''}
+                          {original ? ` • reverses the ${formatDate(original.transaction_date)} sale of ${original.units_sold} units` : ''}
+                        </p>
+                        {transaction.notes && (
+                          <p className="text-gray-300 text-sm mt-1">{transaction.notes}</p>
+                        )}
+                      </div>
+                      <div className="flex items-center gap-2 flex-shrink-0">
+                        {transaction.running_total !== undefined && (
+                          <span className="text-xs text-gray-500 mr-1" title="Net units up to this entry">
+                            Σ {transaction.running_total}
+                          </span>
+                        )}
+                        {revisions.length > 0 && (
+                          <button
+                            onClick={() => setExpanded(expanded === transaction.id ? null : transaction.id)}
+                            className="px-3 py-1.5 text-xs text-gray-300 hover:text-white bg-gray-700/60 hover:bg-gray-700 rounded-lg transition"
+                          >
+                            History ({revisions.length})
+                          </button>
+                        )}
+                        {canCorrect(transaction) && !isCorrecting && (
+                          <>
+                            <button
+                              onClick={() => startCorrection(transaction, 'edit')}
+                              className="px-3 py-1.5 text-xs text-blue-300 hover:text-white bg-blue-600/20 hover:bg-blue-600 rounded-lg transition"
+                            >
+                              Edit
+                            </button>
+                            <button
+                              onClick={() => startCorrection(transaction, 'void')}
+                              className="px-3 py-1.5 text-xs text-red-300 hover:text-white bg-red-600/20 hover:bg-red-600 rounded-lg transition"
+                            >
+                              Void
+                            </button>
+                          </>
+                        )}
+                      </div>
+                    </div>
+
+                    {/* Edit / Void Form */}
+                    {isCorrecting && (
+                      <form onSubmit={(e) => handleSave(e, transaction)} className="mt-3 pt-3 border-t border-gray-700/50 space-y-3">
+                        {correcting.mode === 'edit' ? (
+                          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                            <div>
+                              <label className="block text-xs text-gray-400 mb-1">
+                                {isReturn(transaction) ? 'Units Returned' : 'Units'}
+                              </label>
+                              <input
+                                type="number"
+                                value={correcting.units_sold}
+                                onChange={(e) => setField('units_sold', e.target.value)}
+                                min="1"
+                                required
+                                className={inputClass}
+                              />
+                            </div>
+                            <div>
+                              <label className="block text-xs text-gray-400 mb-1">Date</label>
+                              <input
+                                type="date"
+                                value={correcting.transaction_date}
+                                max={toDateKey(new Date())}
+                                onChange={(e) => setField('transaction_date', e.target.value)}
+                                required
+                                className={inputClass}
+                              />
+                            </div>
+                            <div className="sm:col-span-2">
+                              <label className="block text-xs text-gray-400 mb-1">Notes</label>
+                              <input
+                                type="text"
+                                value={correcting.notes}
+                                onChange={(e) => setField('notes', e.target.value)}
+                                className={inputClass}
+                              />
+                            </div>
+                          </div>
+                        ) : (
+                          <p className="text-sm text-red-300">
+                            {isReturn(transaction)
+                              ? `Voiding puts these ${quantityOf(transaction)} returned units back on the account's progress.`
+                              : `Voiding removes these ${transaction.units_sold} units from the account's progress.`}
+                            {' '}The entry stays in this history.
+                          </p>
+                        )}
+                        <div>
+                          <label className="block text-xs text-gray-400 mb-1">Reason *</label>
+                          <input
+                            type="text"
+                            value={correcting.reason}
+                            onChange={(e) => setField('reason', e.target.value)}
+                            placeholder={correcting.mode === 'edit' ? 'e.g. Typo: 120 should be 12' : 'e.g. Logged on the wrong account'}
+                            required
+                            className={inputClass}
+                          />
+                        </div>
+                        <div className="flex gap-2">
+                          <button
+                            type="submit"
+                            disabled={saving || !correcting.reason.trim()}
+                            className={`px-4 py-2 text-white text-sm rounded-lg transition disabled:opacity-50 ${
+                              correcting.mode === 'edit' ? 'bg-blue-600 hover:bg-blue-700' : 'bg-red-600 hover:bg-red-700'
+                            }`}
+                          >
+                            {saving ? 'Saving...' : correcting.mode === 'edit' ? 'Save Correction' : 'Void Entry'}
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => setCorrecting(null)}
+                            className="px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white text-sm rounded-lg transition"
+                          >
+                            Cancel
+                          </button>
+                        </div>
+                      </form>
+                    )}
+
+                    {/* Revision History */}
+                    {expanded === transaction.id && revisions.length > 0 && (
+                      <div className="mt-3 pt-3 border-t border-gray-700/50 space-y-2">
+                        {revisions.map(revision => (
+                          <div key={revision.id} className="text-xs">
+                            <p className="text-gray-300">
+                              <span className={revision.action === 'voided' ? 'text-red-400' : 'text-yellow-400'}>
+                                {REVISION_LABELS[revision.action]}
+                              </span>
+                              {' by '}{revision.reps?.name || 'Unknown'} • {formatDateTime(revision.created_at)}
+                            </p>
+                            <p className="text-gray-400">{describeRevision(revision)}</p>
+                            <p className="text-gray-500 italic">“{revision.reason}”</p>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                )
+              })}
+
+              {/* Pagination */}
+              {pageCount > 1 && (
+                <div className="flex items-center justify-between pt-2">
+                  <button
+                    onClick={() => setPage(page - 1)}
+                    disabled={page === 0 || loading}
+                    className="px-3 py-1.5 text-xs text-gray-300 hover:text-white bg-gray-700/60 hover:bg-gray-700 rounded-lg transition disabled:opacity-50"
+                  >
+                    ← Previous
+                  </button>
+                  <span className="text-xs text-gray-400">
+                    {page * PAGE_SIZE + 1}-{Math.min((page + 1) * PAGE_SIZE, count)} of {count}
+                  </span>
+                  <button
+                    onClick={() => setPage(page + 1)}
+                    disabled={page >= pageCount - 1 || loading}
+                    className="px-3 py-1.5 text-xs text-gray-300 hover:text-white bg-gray-700/60 hover:bg-gray-700 rounded-lg transition disabled:opacity-50"
+                  >
+                    Next →
+                  </button>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default TransactionHistory
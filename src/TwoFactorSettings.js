@@ -0,0 +1,270 @@
+import React, { useState } from 'react'
+import { useAuth } from './AuthContext'
+import { apiFetch } from './api'
+
+/**
+ * TwoFactorSettings Component
+ *
+ * Enroll in TOTP two-factor authentication (QR code + confirmation code),
+ * shows recovery codes once, and turns 2FA off again with the password.
+ *
+ * With `required` set (admins when the admin 2FA setting is on) it can't be
+ * dismissed; the only way out is enrolling or signing out.
+ */
+
+const TwoFactorSettings = ({ onClose, required = false }) => {
+  const { user, signOut, refreshUser } = useAuth()
+  const [setup, setSetup] = useState(null)
+  const [code, setCode] = useState('')
+  const [password, setPassword] = useState('')
+  const [recoveryCodes, setRecoveryCodes] = useState(null)
+  const [processing, setProcessing] = useState(false)
+  const [error, setError] = useState('')
+
+  const enabled = Boolean(user?.totp_enabled_at)
+
+  const startSetup = async () => {
+    setProcessing(true)
+    setError('')
+    try {
+      setSetup(await apiFetch('/api/auth/two-factor/setup', { method: 'POST' }))
+    } catch (err) {
+      console.error('Error starting two-factor setup:', err)
+      setError(err.message)
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  const confirmSetup = async (e) => {
+    e.preventDefault()
+    setProcessing(true)
+    setError('')
+    try {
+      const { recoveryCodes: codes } = await apiFetch('/api/auth/two-factor/enable', {
+        method: 'POST',
+        body: { code }
+      })
+      setRecoveryCodes(codes)
+      setSetup(null)
+      setCode('')
+    } catch (err) {
+      console.error('Error enabling two-factor:', err)
+      setError(err.message)
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  const disable = async (e) => {
+    e.preventDefault()
+    setProcessing(true)
+    setError('')
+    try {
+      await apiFetch('/api/auth/two-factor/disable', { method: 'POST', body: { password } })
+      setPassword('')
+      await refreshUser()
+    } catch (err) {
+      console.error('Error disabling two-factor:', err)
+      setError(err.message)
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  const downloadRecoveryCodes = () => {
+    const text = [
+      'PromoSync recovery codes',
+      `Account: ${user?.email || user?.name}`,
+      'Each code can be used once if you lose access to your authenticator app.',
+      '',
+      ...recoveryCodes
+    ].join('\n')
+
+    const blob = new Blob([text], { type: 'text/plain' })
+    const link = document.createElement('a')
+    link.href = URL.createObjectURL(blob)
+    link.download = 'promosync-recovery-codes.txt'
+    link.click()
+    URL.revokeObjectURL(link.href)
+  }
+
+  const finish = async () => {
+    await refreshUser()
+    if (!required) onClose()
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4 overflow-y-auto">
+      <div className="bg-gray-900 rounded-xl max-w-lg w-full shadow-2xl border border-gray-700/50">
+        <div className="p-6">
+          {/* Header */}
+          <div className="flex justify-between items-center mb-6">
+            <h2 className="text-2xl font-semibold text-white flex items-center space-x-2">
+              <span>🛡️</span>
+              <span>Two-Factor Authentication</span>
+            </h2>
+            {!required && (
+              <button
+                onClick={onClose}
+                className="text-gray-400 hover:text-white transition text-2xl w-10 h-10 flex items-center justify-center rounded-lg hover:bg-gray-800"
+              >
+                ✕
+              </button>
+            )}
+          </div>
+
+          {required && !recoveryCodes && (
+            <div className="mb-4 p-4 rounded-lg bg-yellow-500/10 border border-yellow-500/50 text-yellow-300 text-sm">
+              Admins are required to use two-factor authentication. Set it up to continue.
+            </div>
+          )}
+
+          {error && (
+            <div className="mb-4 p-4 rounded-lg bg-red-500/10 border border-red-500/50 text-red-400">
+              {error}
+            </div>
+          )}
+
+          {recoveryCodes ? (
+            /* Step 3: recovery codes, shown once */
+            <div className="space-y-4">
+              <div className="p-4 rounded-lg bg-green-500/10 border border-green-500/50 text-green-400">
+                ✓ Two-factor authentication is on.
+              </div>
+              <p className="text-gray-300 text-sm">
+                Save these recovery codes somewhere safe. Each one signs you in once if you lose
+                your phone. They won't be shown again.
+              </p>
+              <div className="grid grid-cols-2 gap-2 p-4 bg-gray-800 rounded-lg font-mono text-white text-center">
+                {recoveryCodes.map(recoveryCode => (
+                  <span key={recoveryCode}>{recoveryCode}</span>
+                ))}
+              </div>
+              <div className="flex space-x-3">
+                <button
+                  onClick={() => navigator.clipboard?.writeText(recoveryCodes.join('\n'))}
+                  className="flex-1 px-4 py-3 bg-gray-700 hover:bg-gray-600 text-white font-medium rounded-lg transition"
+                >
+                  📋 Copy
+                </button>
+                <button
+                  onClick={downloadRecoveryCodes}
+                  className="flex-1 px-4 py-3 bg-gray-700 hover:bg-gray-600 text-white font-medium rounded-lg transition"
+                >
+                  ⬇️ Download
+                </button>
+              </div>
+              <button
+                onClick={finish}
+                className="w-full px-4 py-3 bg-blue-600 hover:bg-blue-700 text-white font-semibold rounded-lg transition shadow-lg shadow-blue-600/30"
+              >
+                I've Saved My Codes
+              </button>
+            </div>
+          ) : setup ? (
+            /* Step 2: scan and confirm */
+            <form onSubmit={confirmSetup} className="space-y-4">
+              <p className="text-gray-300 text-sm">
+                Scan this QR code with an authenticator app (Google Authenticator, 1Password, Authy...),
+                then enter the 6-digit code it shows.
+              </p>
+              <div className="flex justify-center">
+                <img src={setup.qrCode} alt="Two-factor QR code" className="w-48 h-48 rounded-lg bg-white p-2" />
+              </div>
+              <p className="text-gray-500 text-xs text-center">
+                Can't scan? Enter this key instead:
+                <br />
+                <span className="font-mono text-gray-300 break-all">{setup.secret}</span>
+              </p>
+              <input
+                type="text"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                placeholder="123456"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                required
+                className="w-full px-4 py-3 bg-gray-800 border border-gray-700 rounded-lg text-white text-center text-2xl tracking-widest font-mono placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+              <div className="flex space-x-3">
+                <button
+                  type="button"
+                  onClick={() => {
+                    setSetup(null)
+                    setCode('')
+                    setError('')
+                  }}
+                  className="flex-1 px-4 py-3 bg-gray-700 hover:bg-gray-600 text-white font-medium rounded-lg transition"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={processing}
+                  className="flex-1 px-4 py-3 bg-blue-600 hover:bg-blue-700 disabled:bg-blue-800 text-white font-semibold rounded-lg transition shadow-lg shadow-blue-600/30"
+                >
+                  {processing ? 'Verifying...' : 'Turn On'}
+                </button>
+              </div>
+            </form>
+          ) : enabled ? (
+            /* Already on: allow turning it off */
+            <form onSubmit={disable} className="space-y-4">
+              <div className="p-4 rounded-lg bg-green-500/10 border border-green-500/50 text-green-400">
+                ✓ On since {new Date(user.totp_enabled_at).toLocaleDateString()}
+              </div>
+              <p className="text-gray-400 text-sm">
+                To turn two-factor off, confirm your password.
+              </p>
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder="Current password"
+                autoComplete="current-password"
+                required
+                className="w-full px-4 py-3 bg-gray-800 border border-gray-700 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+              <button
+                type="submit"
+                disabled={processing}
+                className="w-full px-4 py-3 bg-red-600/20 hover:bg-red-600/30 border border-red-600/50 text-red-400 font-medium rounded-lg transition disabled:opacity-50"
+              >
+                {processing ? 'Turning off...' : 'Turn Off Two-Factor'}
+              </button>
+            </form>
+          ) : (
+            /* Step 1: intro */
+            <div className="space-y-4">
+              <p className="text-gray-300 text-sm">
+                Two-factor authentication asks for a code from your phone each time you sign in,
+                so a leaked password alone isn't enough to get into your account.
+              </p>
+              <button
+                onClick={startSetup}
+                disabled={processing}
+                className="w-full px-4 py-3 bg-blue-600 hover:bg-blue-700 disabled:bg-blue-800 text-white font-semibold rounded-lg transition shadow-lg shadow-blue-600/30"
+              >
+                {processing ? 'Starting...' : 'Set Up Two-Factor'}
+              </button>
+            </div>
+          )}
+
+          {required && (
+            <div className="mt-6 pt-4 border-t border-gray-700/50 text-center">
+              <button
+                onClick={signOut}
+                className="text-sm text-gray-400 hover:text-white transition"
+              >
+                Sign out
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default TwoFactorSettings
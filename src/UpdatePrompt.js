@@ -0,0 +1,49 @@
+import React, { useState, useEffect } from 'react'
+import { applyUpdate, onUpdateReady } from './serviceWorkerRegistration'
+
+/**
+ * UpdatePrompt Component
+ *
+ * Pinned to the bottom of the screen once a new deployment has downloaded in
+ * the background. Reloading switches to it; until then the current version
+ * keeps running.
+ */
+
+const UpdatePrompt = () => {
+  const [updateReady, setUpdateReady] = useState(false)
+  const [dismissed, setDismissed] = useState(false)
+  const [reloading, setReloading] = useState(false)
+
+  useEffect(() => onUpdateReady(() => setUpdateReady(true)), [])
+
+  if (!updateReady || dismissed) return null
+
+  const handleReload = () => {
+    setReloading(true)
+    applyUpdate()
+  }
+
+  return (
+    <div className="fixed bottom-4 inset-x-4 sm:left-auto sm:right-4 sm:w-96 z-50 bg-gray-800 border border-blue-500/50 rounded-lg shadow-xl p-4">
+      <p className="text-white font-medium">🚀 New version available</p>
+      <p className="text-gray-400 text-sm mt-1">Reload to get the latest PromoSync.</p>
+      <div className="flex justify-end gap-2 mt-3">
+        <button
+          onClick={() => setDismissed(true)}
+          className="px-3 py-1.5 bg-gray-700 hover:bg-gray-600 text-white text-sm rounded-lg transition"
+        >
+          Later
+        </button>
+        <button
+          onClick={handleReload}
+          disabled={reloading}
+          className="px-3 py-1.5 bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium rounded-lg transition disabled:opacity-50"
+        >
+          {reloading ? 'Reloading...' : 'Reload'}
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default UpdatePrompt
@@ -0,0 +1,30 @@
+import { getSessionToken } from './supabaseClient'
+
+/**
+ * Call one of our /api serverless routes.
+ *
+ * Sends the current session token and JSON body, and throws an Error carrying
+ * the route's `error` message and HTTP `status` when the response is not ok.
+ */
+export const apiFetch = async (path, { method = 'GET', body } = {}) => {
+  const headers = {}
+  const token = getSessionToken()
+  if (token) headers['Authorization'] = `Bearer ${token}`
+  if (body !== undefined) headers['Content-Type'] = 'application/json'
+
+  const response = await fetch(path, {
+    method,
+    headers,
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  })
+
+  const data = await response.json().catch(() => ({}))
+
+  if (!response.ok) {
+    const error = new Error(typeof data.error === 'string' ? data.error : 'Request failed')
+    error.status = response.status
+    throw error
+  }
+
+  return data
+}
@@ -0,0 +1,246 @@
+/**
+ * Promo progress and pace metrics shared by the React app and the /api routes.
+ *
+ * Everything that reports units, attainment or pace (dashboard, stats
+ * header, quarter screen, weekly summary email) goes through here so they
+ * all agree. Plain functions only: no Supabase or React imports.
+ *
+ * An "assignment" is an account_promos row: an account on a promo with a
+ * target. Units only count towards it when the transaction is for that
+ * account AND that promo.
+ */
+
+const DAY_MS = 1000 * 60 * 60 * 24
+
+// How many points an assignment may trail the calendar and still be "on pace"
+export const PACE_TOLERANCE = 10
+
+// Used when there is no active quarter to compare against
+export const DEFAULT_QUARTER_PROGRESS = 50
+
+export const PACE_STATUS = {
+  met: { label: 'Target Met', icon: '✅' },
+  on_pace: { label: 'On Pace', icon: '📊' },
+  behind: { label: 'Behind Pace', icon: '⚠️' },
+  no_target: { label: 'No Target', icon: '🎁' }
+}
+
+// Days of the week stores order on (0 = Sunday ... 6 = Saturday)
+export const DEFAULT_WORKING_DAYS = [1, 2, 3, 4, 5]
+
+// Share of the target expected in each third of the quarter's working days.
+// Back-loaded suits quarters where most orders land in the final month.
+export const PACE_CURVES = {
+  even: { label: 'Even', weights: [1, 1, 1] },
+  back_loaded: { label: 'Back-loaded (25 / 35 / 40%)', weights: [25, 35, 40] },
+  front_loaded: { label: 'Front-loaded (40 / 35 / 25%)', weights: [40, 35, 25] }
+}
+
+// The team's day changes at local midnight, not UTC (admins can change it)
+export const DEFAULT_TIME_ZONE = 'America/Vancouver'
+
+// 'YYYY-MM-DD' for a Date, or the date part of a date/timestamp string
+export const toDateKey = (value) =>
+  (value instanceof Date ? value.toISOString() : String(value)).slice(0, 10)
+
+// 'YYYY-MM-DD' for the day it is at `date` in an IANA time zone
+export function dateKeyInZone(date, timeZone = DEFAULT_TIME_ZONE) {
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+    .formatToParts(date)
+  const part = (type) => parts.find(p => p.type === type).value
+  return `${part('year')}-${part('month')}-${part('day')}`
+}
+
+export function isTimeZone(value) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value })
+    return typeof value === 'string' && value.length > 0
+  } catch (e) {
+    return false
+  }
+}
+
+// Fraction of the target expected once `fraction` of the working days are done
+export function expectedFraction(fraction, curve = 'even') {
+  const { weights } = PACE_CURVES[curve] || PACE_CURVES.even
+  const total = weights.reduce((sum, w) => sum + w, 0)
+  const position = Math.min(1, Math.max(0, fraction)) * weights.length
+
+  return weights.reduce((sum, w, i) => sum + w * Math.min(1, Math.max(0, position - i)), 0) / total
+}
+
+/**
+ * How far through the quarter we are, counted in working days so weekends
+ * and holidays don't make accounts look behind.
+ *
+ * @param {object} quarter   quarters row ({ start_date, end_date }) or null
+ * @param {Date}   now
+ * @param {object} calendar  { workingDays, holidays: ['YYYY-MM-DD'], paceCurve, timeZone }
+ * @returns {{ progress, daysLeft, workDays, workDaysElapsed, workDaysLeft, workDaysPerWeek, ended, timeZone }}
+ *   progress is the % of target expected by now (0-100); daysLeft is
+ *   calendar days, the workDays* counts skip non-working days and holidays.
+ *   "Today" is the date in timeZone, so it isn't over until local midnight.
+ *   timeZone is passed on for other date checks, e.g. promoSchedule().
+ */
+export function quarterTiming(quarter, now = new Date(), calendar = {}) {
+  const { workingDays = DEFAULT_WORKING_DAYS, holidays = [], paceCurve = 'even', timeZone = DEFAULT_TIME_ZONE } = calendar
+  const workDaysPerWeek = workingDays.length || DEFAULT_WORKING_DAYS.length
+
+  if (!quarter) {
+    return {
+      progress: DEFAULT_QUARTER_PROGRESS,
+      daysLeft: 0,
+      workDays: 0,
+      workDaysElapsed: 0,
+      workDaysLeft: 0,
+      workDaysPerWeek,
+      ended: false,
+      timeZone
+    }
+  }
+
+  const holidaySet = new Set(holidays.map(toDateKey))
+  const today = dateKeyInZone(now, timeZone)
+  const endKey = toDateKey(quarter.end_date)
+  let workDays = 0
+  let workDaysElapsed = 0
+
+  // Today only counts as elapsed once it's over
+  for (let day = new Date(`${toDateKey(quarter.start_date)}T00:00:00Z`); toDateKey(day) <= endKey; day.setUTCDate(day.getUTCDate() + 1)) {
+    const key = toDateKey(day)
+    if (!workingDays.includes(day.getUTCDay()) || holidaySet.has(key)) continue
+    workDays++
+    if (key < today) workDaysElapsed++
+  }
+
+  const progress = workDays > 0
+    ? Math.round(expectedFraction(workDaysElapsed / workDays, paceCurve) * 100)
+    : 100
+  // Both keys parse as UTC midnight, so this is a whole number of days
+  const daysLeft = Math.max(0, Math.round((Date.parse(endKey) - Date.parse(today)) / DAY_MS))
+
+  return {
+    progress,
+    daysLeft,
+    workDays,
+    workDaysElapsed,
+    workDaysLeft: workDays - workDaysElapsed,
+    workDaysPerWeek,
+    ended: today > endKey,
+    timeZone
+  }
+}
+
+// Units logged against one account-promo assignment
+export const unitsForAssignment = (transactions, { account_id, promo_id }) =>
+  (transactions || [])
+    .filter(t => t.account_id === account_id && t.promo_id === promo_id)
+    .reduce((sum, t) => sum + (t.units_sold || 0), 0)
+
+// Whole-number percent of target, 0 when there is no target
+export const attainment = (unitsSold, targetUnits) =>
+  targetUnits > 0 ? Math.round((unitsSold / targetUnits) * 100) : 0
+
+export function paceStatus(attainmentPercent, quarterProgress, hasTarget = true) {
+  if (!hasTarget) return 'no_target'
+  if (attainmentPercent >= 100) return 'met'
+  if (attainmentPercent >= quarterProgress - PACE_TOLERANCE) return 'on_pace'
+  return 'behind'
+}
+
+// Units per week still needed to hit target in the working days left, or
+// null when there are none (the quarter is over, or there's no quarter):
+// no rate can make up the shortfall then
+export function requiredRunRate(remainingUnits, timing) {
+  if (remainingUnits <= 0) return 0
+  if (timing.workDaysLeft <= 0) return null
+  return Math.ceil((remainingUnits / timing.workDaysLeft) * timing.workDaysPerWeek)
+}
+
+// "40 units/wk needed", "Quarter ended" etc. for a requiredRunRate() result
+export function runRateLabel(runRate, timing) {
+  if (runRate === null) return timing.ended ? 'Quarter ended' : 'No working days left'
+  return `${runRate.toLocaleString()} units/wk needed`
+}
+
+/**
+ * Where an assignment stands on its promo's discount tiers.
+ *
+ * @param {Array}  tiers      [{ min_units, discount }], any order
+ * @param {number} unitsSold
+ * @returns {object} { current, next, unitsToNext, nextProgress }: current and
+ *   next are tiers with a 1-based `level` (or null); nextProgress is the
+ *   percent of the way from the current tier to the next
+ */
+export function tierProgress(tiers, unitsSold) {
+  const levels = [...(tiers || [])]
+    .sort((a, b) => a.min_units - b.min_units)
+    .map((tier, i) => ({ ...tier, level: i + 1 }))
+
+  const current = levels.filter(t => unitsSold >= t.min_units).pop() || null
+  const next = levels.find(t => unitsSold < t.min_units) || null
+  const floor = current ? current.min_units : 0
+
+  return {
+    current,
+    next,
+    unitsToNext: next ? next.min_units - unitsSold : 0,
+    // Returns can take net units below zero; that's still 0% of the way
+    nextProgress: next
+      ? Math.max(0, Math.round(((unitsSold - floor) / (next.min_units - floor)) * 100))
+      : current ? 100 : 0
+  }
+}
+
+// "Tier 2 (15%)"
+export const tierLabel = (tier) => (tier ? `Tier ${tier.level} (${tier.discount}%)` : 'None')
+
+/**
+ * Metrics for one assignment.
+ *
+ * @param {object} assignment  account_promos row ({ target_units, ... }),
+ *                             with promo_tiers when the promo is tiered
+ * @param {number} unitsSold   from unitsForAssignment()
+ * @param {object} timing      from quarterTiming()
+ */
+export function assignmentMetrics(assignment, unitsSold, timing) {
+  const targetUnits = assignment?.target_units || 0
+  const percent = attainment(unitsSold, targetUnits)
+  const remainingUnits = Math.max(0, targetUnits - unitsSold)
+
+  return {
+    unitsSold,
+    targetUnits,
+    attainment: percent,
+    remainingUnits,
+    paceStatus: paceStatus(percent, timing.progress, targetUnits > 0),
+    // Negative when behind the calendar; used to sort the neediest first
+    paceGap: percent - timing.progress,
+    daysLeft: timing.daysLeft,
+    workDaysLeft: timing.workDaysLeft,
+    requiredRunRate: requiredRunRate(remainingUnits, timing),
+    tier: tierProgress(assignment?.promo_tiers, unitsSold)
+  }
+}
+
+// Roll a list of assignmentMetrics() results up into team/territory totals
+export function summarizeMetrics(metricsList, timing) {
+  const totalUnits = metricsList.reduce((sum, m) => sum + m.unitsSold, 0)
+  const totalTarget = metricsList.reduce((sum, m) => sum + m.targetUnits, 0)
+  const percent = attainment(totalUnits, totalTarget)
+  const count = (status) => metricsList.filter(m => m.paceStatus === status).length
+
+  return {
+    assignments: metricsList.length,
+    totalUnits,
+    totalTarget,
+    attainment: percent,
+    paceStatus: paceStatus(percent, timing.progress, totalTarget > 0),
+    metTarget: count('met'),
+    onPace: count('on_pace'),
+    behindPace: count('behind'),
+    daysLeft: timing.daysLeft,
+    workDaysLeft: timing.workDaysLeft,
+    requiredRunRate: requiredRunRate(Math.max(0, totalTarget - totalUnits), timing)
+  }
+}
@@ -0,0 +1,196 @@
+import {
+  DEFAULT_QUARTER_PROGRESS,
+  assignmentMetrics,
+  attainment,
+  dateKeyInZone,
+  expectedFraction,
+  paceStatus,
+  quarterTiming,
+  requiredRunRate,
+  runRateLabel,
+  summarizeMetrics,
+  tierProgress,
+  unitsForAssignment
+} from './metrics'
+
+// Q4 2026: Thu Oct 1 - Thu Dec 31, 66 weekdays
+const QUARTER = { start_date: '2026-10-01', end_date: '2026-12-31' }
+const TIERS = [{ min_units: 50, discount: 15 }, { min_units: 10, discount: 5 }]
+
+// Noon in Vancouver (UTC-7 in October, UTC-8 from November)
+const vancouverNoon = (date) => new Date(`${date}T12:00:00-08:00`)
+
+describe('quarterTiming', () => {
+  it('counts weekdays only', () => {
+    const timing = quarterTiming(QUARTER, vancouverNoon('2026-10-05'))
+    expect(timing.workDays).toBe(66)
+    // Oct 1, 2 done; Monday the 5th isn't over yet
+    expect(timing.workDaysElapsed).toBe(2)
+    expect(timing.workDaysLeft).toBe(64)
+    expect(timing.ended).toBe(false)
+  })
+
+  it('starts at 0% on the first day and reaches 100% after the last', () => {
+    expect(quarterTiming(QUARTER, vancouverNoon('2026-10-01')).progress).toBe(0)
+
+    const after = quarterTiming(QUARTER, vancouverNoon('2027-01-04'))
+    expect(after.progress).toBe(100)
+    expect(after.workDaysLeft).toBe(0)
+    expect(after.daysLeft).toBe(0)
+    expect(after.ended).toBe(true)
+  })
+
+  it('still has the last day left until it is over', () => {
+    const timing = quarterTiming(QUARTER, vancouverNoon('2026-12-31'))
+    expect(timing.workDaysLeft).toBe(1)
+    expect(timing.daysLeft).toBe(0)
+    expect(timing.ended).toBe(false)
+  })
+
+  it('skips holidays', () => {
+    const holidays = ['2026-10-12', '2026-11-11', '2026-12-25', '2026-12-26']
+    const timing = quarterTiming(QUARTER, vancouverNoon('2026-10-14'), { holidays })
+    // The 26th is a Saturday, so only three weekdays go
+    expect(timing.workDays).toBe(63)
+    // Oct 1, 2, 5-9 and 13; not the 12th
+    expect(timing.workDaysElapsed).toBe(8)
+  })
+
+  it('uses the configured working days', () => {
+    const timing = quarterTiming(QUARTER, vancouverNoon('2026-10-05'), { workingDays: [1, 2, 3, 4, 5, 6] })
+    expect(timing.workDays).toBe(79)
+    expect(timing.workDaysPerWeek).toBe(6)
+    // Oct 1, 2 and 3 (Saturday)
+    expect(timing.workDaysElapsed).toBe(3)
+  })
+
+  it("ends the day at midnight in the team's time zone, not UTC", () => {
+    // 5pm Monday in Vancouver is already Tuesday in UTC
+    const evening = new Date('2026-10-05T17:00:00-07:00')
+    expect(quarterTiming(QUARTER, evening).workDaysElapsed).toBe(2)
+    expect(quarterTiming(QUARTER, evening, { timeZone: 'UTC' }).workDaysElapsed).toBe(3)
+  })
+
+  it('falls back to the default progress without a quarter', () => {
+    const timing = quarterTiming(null)
+    expect(timing.progress).toBe(DEFAULT_QUARTER_PROGRESS)
+    expect(timing.workDaysLeft).toBe(0)
+    expect(timing.ended).toBe(false)
+  })
+})
+
+describe('dateKeyInZone', () => {
+  it('gives the local date', () => {
+    const date = new Date('2026-10-20T02:00:00Z')
+    expect(dateKeyInZone(date, 'America/Vancouver')).toBe('2026-10-19')
+    expect(dateKeyInZone(date, 'UTC')).toBe('2026-10-20')
+  })
+})
+
+describe('expectedFraction', () => {
+  it('follows the pace curve', () => {
+    expect(expectedFraction(0.5)).toBeCloseTo(0.5)
+    expect(expectedFraction(1 / 3, 'back_loaded')).toBeCloseTo(0.25)
+    expect(expectedFraction(1 / 3, 'front_loaded')).toBeCloseTo(0.4)
+    expect(expectedFraction(2)).toBe(1)
+  })
+})
+
+describe('requiredRunRate', () => {
+  const timing = { workDaysLeft: 10, workDaysPerWeek: 5, ended: false }
+
+  it('spreads the remaining units over the working days left', () => {
+    expect(requiredRunRate(80, timing)).toBe(40)
+    expect(requiredRunRate(0, timing)).toBe(0)
+    expect(requiredRunRate(-5, timing)).toBe(0)
+  })
+
+  it('has no rate once the quarter has ended', () => {
+    const ended = quarterTiming(QUARTER, vancouverNoon('2027-01-04'))
+    expect(requiredRunRate(80, ended)).toBeNull()
+    expect(runRateLabel(null, ended)).toBe('Quarter ended')
+    expect(requiredRunRate(0, ended)).toBe(0)
+  })
+
+  it('labels the rate', () => {
+    expect(runRateLabel(1200, timing)).toBe('1,200 units/wk needed')
+    expect(runRateLabel(null, quarterTiming(null))).toBe('No working days left')
+  })
+})
+
+describe('tierProgress', () => {
+  it('finds the current and next tier', () => {
+    const tier = tierProgress(TIERS, 30)
+    expect(tier.current).toMatchObject({ level: 1, discount: 5 })
+    expect(tier.next).toMatchObject({ level: 2, discount: 15 })
+    expect(tier.unitsToNext).toBe(20)
+    expect(tier.nextProgress).toBe(50)
+  })
+
+  it('reports the top tier as complete', () => {
+    const tier = tierProgress(TIERS, 60)
+    expect(tier.current.level).toBe(2)
+    expect(tier.next).toBeNull()
+    expect(tier.nextProgress).toBe(100)
+  })
+
+  it('never goes below 0% when returns make net units negative', () => {
+    const tier = tierProgress(TIERS, -4)
+    expect(tier.current).toBeNull()
+    expect(tier.unitsToNext).toBe(14)
+    expect(tier.nextProgress).toBe(0)
+  })
+
+  it('handles promos without tiers', () => {
+    expect(tierProgress(null, 10)).toEqual({ current: null, next: null, unitsToNext: 0, nextProgress: 0 })
+  })
+})
+
+describe('assignment metrics', () => {
+  const transactions = [
+    { account_id: 'a', promo_id: 'p', units_sold: 30 },
+    { account_id: 'a', promo_id: 'p', units_sold: -5 },
+    { account_id: 'a', promo_id: 'q', units_sold: 100 },
+    { account_id: 'b', promo_id: 'p', units_sold: 100 }
+  ]
+
+  it('only counts units for that account and promo, net of returns', () => {
+    expect(unitsForAssignment(transactions, { account_id: 'a', promo_id: 'p' })).toBe(25)
+  })
+
+  it('works out attainment and pace', () => {
+    expect(attainment(25, 100)).toBe(25)
+    expect(attainment(25, 0)).toBe(0)
+    expect(paceStatus(25, 40)).toBe('behind')
+    expect(paceStatus(35, 40)).toBe('on_pace')
+    expect(paceStatus(100, 40)).toBe('met')
+    expect(paceStatus(0, 40, false)).toBe('no_target')
+  })
+
+  it('rolls assignments up into totals', () => {
+    const timing = { progress: 50, workDaysLeft: 10, workDaysPerWeek: 5, daysLeft: 14 }
+    const metrics = [
+      assignmentMetrics({ target_units: 100 }, 60, timing),
+      assignmentMetrics({ target_units: 100 }, 20, timing)
+    ]
+    expect(metrics[0]).toMatchObject({ paceStatus: 'on_pace', remainingUnits: 40, requiredRunRate: 20 })
+    expect(metrics[1].paceStatus).toBe('behind')
+
+    expect(summarizeMetrics(metrics, timing)).toMatchObject({
+      totalUnits: 80,
+      totalTarget: 200,
+      attainment: 40,
+      onPace: 1,
+      behindPace: 1,
+      requiredRunRate: 60
+    })
+  })
+
+  it('keeps a shortfall after the quarter ends without a weekly rate', () => {
+    const ended = quarterTiming(QUARTER, vancouverNoon('2027-01-04'))
+    const metrics = assignmentMetrics({ target_units: 100 }, 20, ended)
+    expect(metrics.remainingUnits).toBe(80)
+    expect(metrics.requiredRunRate).toBeNull()
+    expect(metrics.paceStatus).toBe('behind')
+  })
+})
@@ -0,0 +1,185 @@
+import { supabase } from './supabaseClient'
+import { isReturn, quantityOf } from './transactions'
+
+/**
+ * Offline write queue for QuickEntry.
+ *
+ * Units logged without a connection are stored in IndexedDB and replayed in
+ * the order they were entered once the browser is back online. Every entry
+ * carries a client-generated client_id; transactions.client_id is unique, so
+ * replaying an entry that already reached the server is a no-op.
+ *
+ * Entries that can't be applied any more (e.g. the account was taken off the
+ * promo in the meantime) stay in the queue marked as conflicts until the rep
+ * dismisses them.
+ */
+
+const DB_NAME = 'promosync'
+const STORE = 'pending_transactions'
+
+let dbPromise = null
+let syncing = false
+const listeners = new Set()
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, 1)
+      request.onupgradeneeded = () => {
+        // seq keeps entries in the order they were logged
+        request.result.createObjectStore(STORE, { keyPath: 'seq', autoIncrement: true })
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+  }
+  return dbPromise
+}
+
+const withStore = async (mode, action) => {
+  const db = await openDb()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode)
+    const request = action(tx.objectStore(STORE))
+    tx.oncomplete = () => resolve(request?.result)
+    tx.onerror = () => reject(tx.error)
+  })
+}
+
+const notify = async () => {
+  const entries = await getQueuedEntries()
+  listeners.forEach(listener => listener(entries))
+}
+
+// listener(entries) runs whenever the queue changes; returns an unsubscribe
+export const subscribeToQueue = (listener) => {
+  listeners.add(listener)
+  getQueuedEntries().then(listener).catch(error => console.error('Error reading offline queue:', error))
+  return () => listeners.delete(listener)
+}
+
+export const getQueuedEntries = () => withStore('readonly', store => store.getAll())
+
+export const queueEntry = async (entry) => {
+  await withStore('readwrite', store =>
+    store.add({ ...entry, status: 'pending', queued_at: new Date().toISOString() })
+  )
+  await notify()
+}
+
+export const dismissEntry = async (seq) => {
+  await withStore('readwrite', store => store.delete(seq))
+  await notify()
+}
+
+const markConflict = async (entry, conflict) => {
+  await withStore('readwrite', store => store.put({ ...entry, status: 'conflict', conflict }))
+}
+
+// supabase-js reports a dropped connection as an error without a code
+export const isNetworkError = (error) =>
+  !navigator.onLine || /failed to fetch|networkerror|load failed/i.test(error?.message || '')
+
+export const newClientId = () => crypto.randomUUID()
+
+/**
+ * Write one entry to the server.
+ *
+ * Resolves to { status } where status is 'synced', 'duplicate' (already on
+ * the server), 'offline' (try again later) or 'conflict' (with a message).
+ */
+export async function submitEntry(entry) {
+  try {
+    // The account must still be on the promo the units were logged against
+    const { data: assignment, error: assignmentError } = await supabase
+      .from('account_promos')
+      .select('id')
+      .eq('account_id', entry.account_id)
+      .eq('promo_id', entry.promo_id)
+      .limit(1)
+      .maybeSingle()
+
+    if (assignmentError) throw assignmentError
+    if (!assignment) {
+      return { status: 'conflict', message: `${entry.account_label} is no longer on ${entry.promo_label}` }
+    }
+
+    const { error } = await supabase
+      .from('transactions')
+      .insert({
+        client_id: entry.client_id,
+        rep_id: entry.rep_id,
+        account_id: entry.account_id,
+        promo_id: entry.promo_id,
+        units_sold: entry.units_sold,
+        transaction_date: entry.transaction_date,
+        notes: entry.notes,
+        // Returns/adjustments (src/transactions.js); older queued entries are sales
+        transaction_type: entry.transaction_type || 'sale',
+        return_reason: entry.return_reason || null,
+        original_transaction_id: entry.original_transaction_id || null
+      })
+
+    if (error?.code === '23505') return { status: 'duplicate' }
+    if (error) throw error
+
+    // The units are saved; a missing feed entry shouldn't turn the sync
+    // into a conflict, so log the failure and carry on
+    const { error: logError } = await supabase
+      .from('activity_log')
+      .insert({
+        action_type: isReturn(entry) ? 'units_returned' : 'units_logged',
+        account_id: entry.account_id,
+        rep_id: entry.rep_id,
+        details: {
+          units: quantityOf(entry),
+          ...(isReturn(entry) && { return_reason: entry.return_reason }),
+          promo_name: entry.promo_label,
+          account_name: entry.account_label,
+          ...(entry.queued_at && { logged_offline_at: entry.queued_at })
+        }
+      })
+
+    if (logError) console.error('Error logging synced entry to activity feed:', logError)
+
+    return { status: 'synced' }
+  } catch (error) {
+    if (isNetworkError(error)) return { status: 'offline' }
+    console.error('Error syncing entry:', error)
+    return { status: 'conflict', message: error.message || 'The server rejected this entry' }
+  }
+}
+
+/**
+ * Replay the rep's pending entries in order. Stops at the first network
+ * failure so later entries never land before earlier ones.
+ * Resolves to the number of entries that reached the server.
+ */
+export async function syncQueue(repId) {
+  if (syncing || !navigator.onLine) return 0
+  syncing = true
+
+  let synced = 0
+  try {
+    const entries = await getQueuedEntries()
+    for (const entry of entries) {
+      if (entry.status !== 'pending' || entry.rep_id !== repId) continue
+
+      const result = await submitEntry(entry)
+      if (result.status === 'offline') break
+
+      if (result.status === 'conflict') {
+        await markConflict(entry, result.message)
+      } else {
+        await withStore('readwrite', store => store.delete(entry.seq))
+        synced++
+      }
+      await notify()
+    }
+  } catch (error) {
+    console.error('Error syncing offline queue:', error)
+  } finally {
+    syncing = false
+  }
+  return synced
+}
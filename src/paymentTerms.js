@@ -0,0 +1,72 @@
+/**
+ * Payment terms, shared by the React app and the /api routes.
+ *
+ * Terms are an installment schedule written as days after the invoice
+ * (transaction) date: "30/60/90/120" is four equal payments due 30, 60, 90
+ * and 120 days out, "30" is Net 30. The database stores this canonical
+ * string on promos, account_promos and transactions and expands it into due
+ * dates in the transaction_installments view. Plain functions only: no
+ * Supabase or React imports.
+ */
+
+export const DEFAULT_TERMS = '30/60/90/120'
+
+// Offered when a promo doesn't restrict its terms (promos.allowed_terms)
+export const TERMS_OPTIONS = ['30', '30/60', '30/60/90', '30/60/90/120', '30/60/90/120/150']
+
+const MAX_INSTALLMENTS = 12
+const MAX_DAYS = 365
+
+// "30/60/90" -> [30, 60, 90]; "Net 30" -> [30]. null when it isn't a valid
+// schedule (days must be 1-365 and strictly increasing).
+export function parseTerms(terms) {
+  const text = String(terms ?? '').trim().replace(/^net\s*/i, '')
+  if (!/^\d{1,3}(\s*\/\s*\d{1,3})*$/.test(text)) return null
+
+  const days = text.split('/').map(Number)
+  if (days.length > MAX_INSTALLMENTS) return null
+  if (days.some((d, i) => d < 1 || d > MAX_DAYS || (i > 0 && d <= days[i - 1]))) return null
+  return days
+}
+
+// Form value -> the string to save. Blank means no terms.
+// Returns { error } or { value }.
+export function validateTerms(terms) {
+  if (terms === undefined || terms === null || String(terms).trim() === '') return { value: null }
+
+  const days = parseTerms(terms)
+  if (!days) {
+    return {
+      error: `Terms are up to ${MAX_INSTALLMENTS} increasing day counts (1-${MAX_DAYS}) separated by slashes, e.g. 30/60/90`
+    }
+  }
+  return { value: days.join('/') }
+}
+
+// promos.allowed_terms from the form. Empty means any terms are allowed.
+// Returns { error } or { values } (null when unrestricted).
+export function validateAllowedTerms(list = []) {
+  if (list === null) return { values: null }
+  if (!Array.isArray(list)) return { error: 'Allowed terms must be a list' }
+
+  const values = []
+  for (const terms of list) {
+    const { error, value } = validateTerms(terms)
+    if (error) return { error }
+    if (value && !values.includes(value)) values.push(value)
+  }
+  return { values: values.length > 0 ? values : null }
+}
+
+// The terms a promo's assignments may use
+export const allowedTermsFor = (promo) =>
+  promo?.allowed_terms?.length > 0 ? promo.allowed_terms : TERMS_OPTIONS
+
+// "Net 30", "30/60/90 (3 payments)"; terms saved before they were
+// structured are shown as entered
+export function termsLabel(terms) {
+  if (!terms) return 'No terms'
+  const days = parseTerms(terms)
+  if (!days) return terms
+  return days.length === 1 ? `Net ${days[0]}` : `${days.join('/')} (${days.length} payments)`
+}
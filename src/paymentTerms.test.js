@@ -0,0 +1,86 @@
+import {
+  TERMS_OPTIONS,
+  allowedTermsFor,
+  parseTerms,
+  termsLabel,
+  validateAllowedTerms,
+  validateTerms
+} from './paymentTerms'
+
+describe('parseTerms', () => {
+  it('reads installment schedules', () => {
+    expect(parseTerms('30/60/90/120')).toEqual([30, 60, 90, 120])
+    expect(parseTerms(' 30 / 60 ')).toEqual([30, 60])
+    expect(parseTerms('30')).toEqual([30])
+  })
+
+  it('accepts "Net" terms', () => {
+    expect(parseTerms('Net 30')).toEqual([30])
+    expect(parseTerms('net45')).toEqual([45])
+  })
+
+  it.each([
+    ['', 'blank'],
+    ['30 days', 'words'],
+    ['60/30', 'decreasing days'],
+    ['30/30', 'repeated days'],
+    ['0', 'day 0'],
+    ['366', 'more than a year'],
+    ['-30', 'negative days'],
+    [Array.from({ length: 13 }, (_, i) => (i + 1) * 10).join('/'), 'more than 12 installments']
+  ])('rejects %p (%s)', (terms) => {
+    expect(parseTerms(terms)).toBeNull()
+  })
+
+  it('allows the limits', () => {
+    expect(parseTerms('1/365')).toEqual([1, 365])
+    expect(parseTerms(Array.from({ length: 12 }, (_, i) => (i + 1) * 10).join('/'))).toHaveLength(12)
+  })
+})
+
+describe('validateTerms', () => {
+  it('saves the canonical form, or nothing for blanks', () => {
+    expect(validateTerms('Net 30')).toEqual({ value: '30' })
+    expect(validateTerms(' 30 / 60 ')).toEqual({ value: '30/60' })
+    expect(validateTerms('')).toEqual({ value: null })
+    expect(validateTerms(null)).toEqual({ value: null })
+  })
+
+  it('explains what is wrong', () => {
+    expect(validateTerms('60/30').error).toMatch(/increasing day counts/)
+  })
+})
+
+describe('validateAllowedTerms', () => {
+  it('drops blanks and duplicates', () => {
+    expect(validateAllowedTerms(['30', 'Net 30', '', '30/60'])).toEqual({ values: ['30', '30/60'] })
+  })
+
+  it('treats an empty list as no restriction', () => {
+    expect(validateAllowedTerms([])).toEqual({ values: null })
+    expect(validateAllowedTerms(null)).toEqual({ values: null })
+  })
+
+  it('rejects bad entries', () => {
+    expect(validateAllowedTerms('30').error).toBe('Allowed terms must be a list')
+    expect(validateAllowedTerms(['30', 'soon']).error).toMatch(/increasing day counts/)
+  })
+})
+
+describe('allowedTermsFor', () => {
+  it("uses the promo's list, or every option when it has none", () => {
+    expect(allowedTermsFor({ allowed_terms: ['30'] })).toEqual(['30'])
+    expect(allowedTermsFor({ allowed_terms: [] })).toBe(TERMS_OPTIONS)
+    expect(allowedTermsFor({ allowed_terms: null })).toBe(TERMS_OPTIONS)
+    expect(allowedTermsFor(undefined)).toBe(TERMS_OPTIONS)
+  })
+})
+
+describe('termsLabel', () => {
+  it('describes the schedule', () => {
+    expect(termsLabel('30')).toBe('Net 30')
+    expect(termsLabel('30/60/90')).toBe('30/60/90 (3 payments)')
+    expect(termsLabel(null)).toBe('No terms')
+    expect(termsLabel('COD')).toBe('COD')
+  })
+})
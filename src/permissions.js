@@ -0,0 +1,60 @@
+/**
+ * Role model shared by the React app and the /api routes.
+ *
+ * - admin:   everything, including quarters, quarter reset, managing reps,
+ *            the promo catalog and app settings
+ * - manager: assigns promos and edits accounts for the team, moderates notes
+ *            left by the reps they manage
+ * - rep:     logs units (and corrects the ones they logged) and adds notes
+ * - viewer:  read-only (e.g. brand partners)
+ *
+ * The UI uses these checks to hide actions; the same rules are enforced in
+ * the database by the row level security policies in supabase/migrations.
+ */
+
+export const ROLES = ['admin', 'manager', 'rep', 'viewer']
+
+export const ROLE_LABELS = {
+  admin: 'Admin',
+  manager: 'Manager',
+  rep: 'Rep',
+  viewer: 'Viewer'
+}
+
+const PERMISSIONS = {
+  log_units: ['admin', 'manager', 'rep'],
+  add_notes: ['admin', 'manager', 'rep'],
+  manage_accounts: ['admin', 'manager'],
+  manage_assignments: ['admin', 'manager'],
+  manage_promos: ['admin'],
+  manage_quarters: ['admin'],
+  manage_reps: ['admin'],
+  manage_settings: ['admin']
+}
+
+// Reps created before roles existed only have is_admin
+export const getRole = (user) => {
+  if (!user) return null
+  if (ROLES.includes(user.role)) return user.role
+  return user.is_admin ? 'admin' : 'rep'
+}
+
+export const can = (user, permission) =>
+  (PERMISSIONS[permission] || []).includes(getRole(user))
+
+// Authors can delete their own notes, managers the notes of their reps
+export const canDeleteNote = (user, note) => {
+  const role = getRole(user)
+  if (role === 'admin') return true
+  if (role === 'viewer' || !note) return false
+  if (note.created_by === user.id) return true
+  return role === 'manager' && note.reps?.manager_id === user.id
+}
+
+// Reps correct or void the transactions they logged, admins any of them
+export const canCorrectTransaction = (user, transaction) => {
+  const role = getRole(user)
+  if (role === 'admin') return true
+  if (!can(user, 'log_units') || !transaction) return false
+  return transaction.rep_id === user.id
+}
@@ -0,0 +1,215 @@
+/**
+ * Promo catalog rules shared by the React app and /api/admin/promos.
+ *
+ * A promo is offered for assignment while it is active and today falls in
+ * its start_date..end_date window (either end may be open). The target
+ * suggested for an account comes from the promo's overrides and defaults
+ * (suggestedTarget). Tiered promos step the discount up with volume
+ * (validateTiers; progress is tierProgress in metrics.js). Payment terms
+ * rules are in paymentTerms.js. Plain functions
+ * only: no Supabase or React imports.
+ */
+
+import { DEFAULT_TIME_ZONE, dateKeyInZone, toDateKey } from './metrics.js'
+import { validateAllowedTerms, validateTerms } from './paymentTerms.js'
+
+export const PROMO_SCHEDULE = {
+  live: { label: 'Live', className: 'bg-green-500/20 text-green-400' },
+  scheduled: { label: 'Scheduled', className: 'bg-blue-500/20 text-blue-400' },
+  ended: { label: 'Ended', className: 'bg-gray-600/40 text-gray-300' },
+  inactive: { label: 'Inactive', className: 'bg-red-500/20 text-red-400' }
+}
+
+// accounts.account_size values, used for size-based target overrides
+export const ACCOUNT_SIZES = {
+  small: 'Small',
+  medium: 'Medium',
+  large: 'Large'
+}
+
+export const PROMO_CODE_PATTERN = /^[A-Z0-9][A-Z0-9-]{1,19}$/
+
+// One of the PROMO_SCHEDULE keys. Promos start and end at midnight in the
+// team's time zone (timing.timeZone from /api/dashboard).
+export function promoSchedule(promo, now = new Date(), timeZone = DEFAULT_TIME_ZONE) {
+  if (!promo.is_active) return 'inactive'
+  const today = dateKeyInZone(now, timeZone)
+  if (promo.start_date && toDateKey(promo.start_date) > today) return 'scheduled'
+  if (promo.end_date && toDateKey(promo.end_date) < today) return 'ended'
+  return 'live'
+}
+
+// Promos AssignPromo, AddAccountToPromo etc. may offer
+export const isAssignable = (promo, now = new Date(), timeZone = DEFAULT_TIME_ZONE) =>
+  promoSchedule(promo, now, timeZone) === 'live'
+
+const isDate = (value) =>
+  typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value))
+
+const isWholeNumber = (value, min) => Number.isInteger(Number(value)) && Number(value) >= min
+
+const blankToNull = (value) =>
+  value === undefined || value === null || String(value).trim() === '' ? null : value
+
+// Form fields -> promos columns. Returns { error } or { values }.
+//
+// For edits, pass the promo as it is now: only the fields in `input` are
+// checked and returned, with `current` filling in the rest for rules that
+// span two fields, so promos from before a rule existed can still be edited.
+export function validatePromo(input = {}, current = null) {
+  const changed = (...fields) => !current || fields.some(field => Object.hasOwn(input, field))
+  const promo = current ? { ...current, ...input } : input
+
+  const name = String(promo.promo_name ?? '').trim()
+  const code = String(promo.promo_code ?? '').trim().toUpperCase()
+  const discount = blankToNull(promo.discount)
+  const defaultTarget = blankToNull(promo.default_target_units)
+  const minTarget = blankToNull(promo.min_target_units)
+  const startDate = blankToNull(promo.start_date)
+  const endDate = blankToNull(promo.end_date)
+  const terms = validateTerms(promo.terms)
+  const allowedTerms = validateAllowedTerms(promo.allowed_terms ?? null)
+
+  if (changed('promo_name')) {
+    if (!name) return { error: 'Promo name is required' }
+    if (name.length > 80) return { error: 'Promo names must be 80 characters or fewer' }
+  }
+  if (changed('promo_code') && !PROMO_CODE_PATTERN.test(code)) {
+    return { error: 'Promo codes are 2-20 letters, digits or dashes, e.g. SY125' }
+  }
+  if (changed('discount') && discount !== null && !(Number(discount) > 0 && Number(discount) <= 100)) {
+    return { error: 'Discount must be more than 0% and at most 100%' }
+  }
+  if (changed('default_target_units') && defaultTarget !== null && !isWholeNumber(defaultTarget, 1)) {
+    return { error: 'Default target must be a whole number of at least 1' }
+  }
+  if (changed('min_target_units') && minTarget !== null && !isWholeNumber(minTarget, 1)) {
+    return { error: 'Minimum target must be a whole number of at least 1' }
+  }
+  if (changed('default_target_units', 'min_target_units') &&
+    defaultTarget !== null && minTarget !== null && Number(defaultTarget) < Number(minTarget)) {
+    return { error: 'The default target cannot be below the minimum target' }
+  }
+  if ((changed('start_date') && startDate !== null && !isDate(startDate)) ||
+    (changed('end_date') && endDate !== null && !isDate(endDate))) {
+    return { error: 'Dates must be YYYY-MM-DD' }
+  }
+  if (changed('start_date', 'end_date') && startDate && endDate && endDate < startDate) {
+    return { error: 'The end date must be on or after the start date' }
+  }
+  if (changed('terms') && terms.error) return { error: `Default terms: ${terms.error}` }
+  if (changed('allowed_terms') && allowedTerms.error) return { error: `Allowed terms: ${allowedTerms.error}` }
+  if (changed('terms', 'allowed_terms') &&
+    terms.value && allowedTerms.values && !allowedTerms.values.includes(terms.value)) {
+    return { error: 'The default terms must be one of the allowed terms' }
+  }
+
+  const values = {
+    promo_name: name,
+    promo_code: code,
+    discount: discount === null ? null : Number(discount),
+    default_target_units: defaultTarget === null ? null : Number(defaultTarget),
+    min_target_units: minTarget === null ? null : Number(minTarget),
+    terms: terms.value,
+    allowed_terms: allowedTerms.values,
+    start_date: startDate,
+    end_date: endDate,
+    is_active: promo.is_active !== false
+  }
+
+  return {
+    values: current
+      ? Object.fromEntries(Object.entries(values).filter(([field]) => Object.hasOwn(input, field)))
+      : values
+  }
+}
+
+// Override rows ({ territory_id | account_size, target_units }) -> the rows
+// to save. Returns { error } or { values }.
+export function validateTargetOverrides(overrides = [], minTarget = null) {
+  if (!Array.isArray(overrides)) return { error: 'Target overrides must be a list' }
+
+  const seen = new Set()
+  const values = []
+
+  for (const override of overrides) {
+    const territoryId = blankToNull(override.territory_id)
+    const accountSize = blankToNull(override.account_size)
+
+    if ((territoryId === null) === (accountSize === null)) {
+      return { error: 'Each target override is for one territory or one account size' }
+    }
+    if (accountSize !== null && !ACCOUNT_SIZES[accountSize]) {
+      return { error: `Unknown account size: ${accountSize}` }
+    }
+    if (!isWholeNumber(override.target_units, Math.max(1, Number(minTarget) || 1))) {
+      return {
+        error: minTarget
+          ? `Override targets must be whole numbers of at least ${minTarget}`
+          : 'Override targets must be whole numbers of at least 1'
+      }
+    }
+
+    const key = territoryId ? `territory:${territoryId}` : `size:${accountSize}`
+    if (seen.has(key)) return { error: 'Each territory and size can only have one override' }
+    seen.add(key)
+
+    values.push({ territory_id: territoryId, account_size: accountSize, target_units: Number(override.target_units) })
+  }
+
+  return { values }
+}
+
+// The target to suggest when putting an account on a promo, and why:
+// a territory override beats a size override, which beats the promo's
+// default. An account in several overridden territories gets the highest.
+// promo carries its promo_target_overrides (with territories ( name )).
+// Returns { target, reason }; target is null when there is nothing to suggest.
+export function suggestedTarget(promo, { territoryIds = [], accountSize = null } = {}) {
+  if (!promo) return { target: null, reason: null }
+  const overrides = promo.promo_target_overrides || []
+
+  const territoryMatches = overrides.filter(o => o.territory_id && territoryIds.includes(o.territory_id))
+  if (territoryMatches.length > 0) {
+    const best = territoryMatches.reduce((a, b) => (b.target_units > a.target_units ? b : a))
+    return { target: best.target_units, reason: `${best.territories?.name || 'Territory'} target` }
+  }
+
+  const sizeMatch = accountSize && overrides.find(o => o.account_size === accountSize)
+  if (sizeMatch) {
+    return { target: sizeMatch.target_units, reason: `${ACCOUNT_SIZES[accountSize]} account target` }
+  }
+
+  if (promo.default_target_units) return { target: promo.default_target_units, reason: 'promo default' }
+  return { target: null, reason: null }
+}
+
+// Tier rows ({ min_units, discount }) -> the rows to save, lowest first.
+// Each tier needs more units and gives a bigger discount than the one
+// below it. Returns { error } or { values }.
+export function validateTiers(tiers = []) {
+  if (!Array.isArray(tiers)) return { error: 'Tiers must be a list' }
+
+  const values = []
+  for (const tier of tiers) {
+    if (!isWholeNumber(tier.min_units, 1)) {
+      return { error: 'Tier units must be whole numbers of at least 1' }
+    }
+    if (!(Number(tier.discount) > 0 && Number(tier.discount) <= 100)) {
+      return { error: 'Tier discounts must be more than 0% and at most 100%' }
+    }
+    values.push({ min_units: Number(tier.min_units), discount: Number(tier.discount) })
+  }
+
+  values.sort((a, b) => a.min_units - b.min_units)
+  for (let i = 1; i < values.length; i++) {
+    if (values[i].min_units === values[i - 1].min_units) {
+      return { error: 'Each tier needs a different number of units' }
+    }
+    if (values[i].discount <= values[i - 1].discount) {
+      return { error: 'Each tier must give a bigger discount than the one below it' }
+    }
+  }
+
+  return { values }
+}
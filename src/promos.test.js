@@ -0,0 +1,195 @@
+import {
+  isAssignable,
+  promoSchedule,
+  suggestedTarget,
+  validatePromo,
+  validateTargetOverrides,
+  validateTiers
+} from './promos'
+
+// Oct 19 2026, 5pm in Vancouver: already Oct 20 in UTC
+const EVENING = new Date('2026-10-19T17:00:00-07:00')
+
+const PROMO = {
+  promo_name: 'Spring Yield 125',
+  promo_code: 'SY125',
+  discount: 10,
+  default_target_units: 125,
+  min_target_units: 100,
+  terms: '30/60',
+  allowed_terms: ['30', '30/60'],
+  start_date: '2026-10-01',
+  end_date: '2026-12-31',
+  is_active: true
+}
+
+describe('promoSchedule', () => {
+  it('is live between its start and end dates, inclusive', () => {
+    expect(promoSchedule(PROMO, new Date('2026-10-01T12:00:00-07:00'))).toBe('live')
+    expect(promoSchedule(PROMO, new Date('2026-12-31T12:00:00-08:00'))).toBe('live')
+    expect(promoSchedule({ ...PROMO, start_date: null, end_date: null }, EVENING)).toBe('live')
+  })
+
+  it('is scheduled before it starts, ended after it ends and inactive when turned off', () => {
+    expect(promoSchedule({ ...PROMO, start_date: '2026-11-01' }, EVENING)).toBe('scheduled')
+    expect(promoSchedule({ ...PROMO, end_date: '2026-10-18' }, EVENING)).toBe('ended')
+    expect(promoSchedule({ ...PROMO, is_active: false }, EVENING)).toBe('inactive')
+  })
+
+  it("turns over at midnight in the team's time zone, not UTC", () => {
+    const endsToday = { ...PROMO, end_date: '2026-10-19' }
+    const startsTomorrow = { ...PROMO, start_date: '2026-10-20' }
+
+    expect(promoSchedule(endsToday, EVENING)).toBe('live')
+    expect(promoSchedule(startsTomorrow, EVENING)).toBe('scheduled')
+    expect(isAssignable(endsToday, EVENING)).toBe(true)
+
+    expect(promoSchedule(endsToday, EVENING, 'UTC')).toBe('ended')
+    expect(promoSchedule(startsTomorrow, EVENING, 'UTC')).toBe('live')
+    expect(promoSchedule(endsToday, EVENING, 'Asia/Tokyo')).toBe('ended')
+  })
+})
+
+describe('validatePromo', () => {
+  it('cleans up a new promo', () => {
+    const { values } = validatePromo({
+      ...PROMO,
+      promo_name: '  Spring Yield 125 ',
+      promo_code: 'sy125',
+      discount: '10',
+      default_target_units: '125',
+      min_target_units: '',
+      terms: 'Net 30',
+      allowed_terms: [],
+      end_date: ''
+    })
+
+    expect(values).toEqual({
+      promo_name: 'Spring Yield 125',
+      promo_code: 'SY125',
+      discount: 10,
+      default_target_units: 125,
+      min_target_units: null,
+      terms: '30',
+      allowed_terms: null,
+      start_date: '2026-10-01',
+      end_date: null,
+      is_active: true
+    })
+  })
+
+  it.each([
+    [{ promo_name: ' ' }, 'Promo name is required'],
+    [{ promo_code: 'S' }, 'Promo codes are 2-20 letters, digits or dashes, e.g. SY125'],
+    [{ discount: 0 }, 'Discount must be more than 0% and at most 100%'],
+    [{ discount: 101 }, 'Discount must be more than 0% and at most 100%'],
+    [{ default_target_units: 12.5 }, 'Default target must be a whole number of at least 1'],
+    [{ min_target_units: 0 }, 'Minimum target must be a whole number of at least 1'],
+    [{ default_target_units: 50 }, 'The default target cannot be below the minimum target'],
+    [{ start_date: '10/01/2026' }, 'Dates must be YYYY-MM-DD'],
+    [{ end_date: '2026-09-30' }, 'The end date must be on or after the start date'],
+    [{ terms: '90/60' }, 'Default terms: Terms are up to 12 increasing day counts (1-365) separated by slashes, e.g. 30/60/90'],
+    [{ terms: '60' }, 'The default terms must be one of the allowed terms']
+  ])('rejects %o', (changes, error) => {
+    expect(validatePromo({ ...PROMO, ...changes })).toEqual({ error })
+  })
+
+  describe('editing', () => {
+    // Entered by hand before the rules existed
+    const LEGACY = { ...PROMO, promo_code: 'sy 125', terms: 'Net 30 days', default_target_units: 0 }
+
+    it('only checks and returns the fields being changed', () => {
+      expect(validatePromo({ is_active: false }, LEGACY)).toEqual({ values: { is_active: false } })
+      expect(validatePromo({ discount: '15' }, LEGACY)).toEqual({ values: { discount: 15 } })
+    })
+
+    it('still rejects bad values in the fields being changed', () => {
+      expect(validatePromo({ promo_code: 'x' }, LEGACY).error).toMatch(/Promo codes/)
+    })
+
+    it('checks rules that span two fields against the current values', () => {
+      expect(validatePromo({ end_date: '2026-09-30' }, LEGACY)).toEqual({
+        error: 'The end date must be on or after the start date'
+      })
+      expect(validatePromo({ min_target_units: 150 }, PROMO)).toEqual({
+        error: 'The default target cannot be below the minimum target'
+      })
+      expect(validatePromo({ allowed_terms: ['30'] }, PROMO)).toEqual({
+        error: 'The default terms must be one of the allowed terms'
+      })
+    })
+  })
+})
+
+describe('suggestedTarget', () => {
+  const promo = {
+    ...PROMO,
+    promo_target_overrides: [
+      { territory_id: 'north', account_size: null, target_units: 150, territories: { name: 'North' } },
+      { territory_id: 'coast', account_size: null, target_units: 180, territories: { name: 'Coast' } },
+      { territory_id: null, account_size: 'large', target_units: 300 }
+    ]
+  }
+
+  it('prefers a territory override, taking the highest of several', () => {
+    expect(suggestedTarget(promo, { territoryIds: ['north'], accountSize: 'large' }))
+      .toEqual({ target: 150, reason: 'North target' })
+    expect(suggestedTarget(promo, { territoryIds: ['north', 'coast'] }))
+      .toEqual({ target: 180, reason: 'Coast target' })
+  })
+
+  it('then a size override, then the promo default', () => {
+    expect(suggestedTarget(promo, { territoryIds: ['south'], accountSize: 'large' }))
+      .toEqual({ target: 300, reason: 'Large account target' })
+    expect(suggestedTarget(promo, { accountSize: 'small' })).toEqual({ target: 125, reason: 'promo default' })
+  })
+
+  it('has nothing to suggest without a promo or a default', () => {
+    expect(suggestedTarget(null)).toEqual({ target: null, reason: null })
+    expect(suggestedTarget({ ...PROMO, default_target_units: null })).toEqual({ target: null, reason: null })
+  })
+})
+
+describe('validateTargetOverrides', () => {
+  it('keeps one override per territory or size', () => {
+    expect(validateTargetOverrides([
+      { territory_id: 'north', account_size: '', target_units: '150' },
+      { territory_id: '', account_size: 'large', target_units: 300 }
+    ], 100)).toEqual({
+      values: [
+        { territory_id: 'north', account_size: null, target_units: 150 },
+        { territory_id: null, account_size: 'large', target_units: 300 }
+      ]
+    })
+  })
+
+  it.each([
+    [[{ territory_id: 'north', account_size: 'large', target_units: 150 }], 'Each target override is for one territory or one account size'],
+    [[{ account_size: 'huge', target_units: 150 }], 'Unknown account size: huge'],
+    [[{ territory_id: 'north', target_units: 50 }], 'Override targets must be whole numbers of at least 100'],
+    [
+      [{ territory_id: 'north', target_units: 150 }, { territory_id: 'north', target_units: 200 }],
+      'Each territory and size can only have one override'
+    ]
+  ])('rejects %j', (overrides, error) => {
+    expect(validateTargetOverrides(overrides, 100)).toEqual({ error })
+  })
+})
+
+describe('validateTiers', () => {
+  it('sorts tiers lowest first', () => {
+    expect(validateTiers([{ min_units: '150', discount: '20' }, { min_units: 50, discount: 10 }])).toEqual({
+      values: [{ min_units: 50, discount: 10 }, { min_units: 150, discount: 20 }]
+    })
+    expect(validateTiers([])).toEqual({ values: [] })
+  })
+
+  it.each([
+    [[{ min_units: 0, discount: 10 }], 'Tier units must be whole numbers of at least 1'],
+    [[{ min_units: 50, discount: 0 }], 'Tier discounts must be more than 0% and at most 100%'],
+    [[{ min_units: 50, discount: 10 }, { min_units: 50, discount: 15 }], 'Each tier needs a different number of units'],
+    [[{ min_units: 50, discount: 15 }, { min_units: 100, discount: 15 }], 'Each tier must give a bigger discount than the one below it']
+  ])('rejects %j', (tiers, error) => {
+    expect(validateTiers(tiers)).toEqual({ error })
+  })
+})
@@ -0,0 +1,86 @@
+/* eslint-disable no-restricted-globals */
+
+/**
+ * PromoSync service worker
+ *
+ * Built by react-scripts (Workbox InjectManifest) and registered from
+ * serviceWorkerRegistration.js in production builds.
+ *
+ * - Precaches the app shell and built assets so the app opens offline
+ * - Keeps the last /api/dashboard and /api/auth/session responses; offline,
+ *   those are served with a `snapshotAt` field and Dashboard goes read-only
+ * - Keeps the account and promo lists QuickEntry needs to queue units offline
+ * - Waits for the page to ask before taking over, so a new deployment shows
+ *   the "new version available" prompt instead of swapping bundles mid-use
+ */
+
+import { clientsClaim } from 'workbox-core'
+import { ExpirationPlugin } from 'workbox-expiration'
+import { createHandlerBoundToURL, precacheAndRoute } from 'workbox-precaching'
+import { NavigationRoute, registerRoute } from 'workbox-routing'
+import { NetworkFirst, StaleWhileRevalidate } from 'workbox-strategies'
+
+// Also cleared on sign out (see clearSnapshots in serviceWorkerRegistration.js)
+const SNAPSHOT_CACHE = 'api-snapshots'
+const SNAPSHOT_PATHS = ['/api/dashboard', '/api/auth/session']
+
+clientsClaim()
+
+precacheAndRoute(self.__WB_MANIFEST)
+
+// App shell: every page navigation gets index.html, except API routes and
+// direct links to files
+registerRoute(
+  new NavigationRoute(createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`), {
+    denylist: [/^\/api\//, /\/[^/?]+\.[^/]+$/]
+  })
+)
+
+// Icons, manifest and anything else served from public/
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && /\.(png|svg|ico|json)$/.test(url.pathname),
+  new StaleWhileRevalidate({
+    cacheName: 'static-assets',
+    plugins: [new ExpirationPlugin({ maxEntries: 50 })]
+  })
+)
+
+// Tag cached API responses so the app knows it is looking at a snapshot
+const markSnapshot = {
+  cachedResponseWillBeUsed: async ({ cachedResponse }) => {
+    if (!cachedResponse) return null
+
+    const data = await cachedResponse.clone().json().catch(() => null)
+    if (!data) return cachedResponse
+
+    const cachedAt = cachedResponse.headers.get('date')
+    return new Response(
+      JSON.stringify({ ...data, snapshotAt: new Date(cachedAt || Date.now()).toISOString() }),
+      { headers: { 'Content-Type': 'application/json' } }
+    )
+  }
+}
+
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && SNAPSHOT_PATHS.includes(url.pathname),
+  new NetworkFirst({
+    cacheName: SNAPSHOT_CACHE,
+    networkTimeoutSeconds: 10,
+    plugins: [markSnapshot]
+  })
+)
+
+// Supabase reads behind QuickEntry's account and promo pickers
+registerRoute(
+  ({ url }) => /^\/rest\/v1\/(accounts|promos|account_promos)$/.test(url.pathname),
+  new NetworkFirst({
+    cacheName: SNAPSHOT_CACHE,
+    networkTimeoutSeconds: 10
+  })
+)
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') {
+    self.skipWaiting()
+  }
+})
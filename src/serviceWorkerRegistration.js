@@ -0,0 +1,83 @@
+/**
+ * Registers src/service-worker.js (production builds only) and tracks new
+ * deployments.
+ *
+ * When a new service worker has installed and is waiting, listeners added
+ * with onUpdateReady() are told; applyUpdate() activates it and reloads the
+ * page onto the new bundle.
+ */
+
+// Must match SNAPSHOT_CACHE in service-worker.js
+const SNAPSHOT_CACHE = 'api-snapshots'
+
+// Installed apps can stay open for days, so look for new deployments hourly
+const UPDATE_CHECK_INTERVAL = 60 * 60 * 1000
+
+let waitingWorker = null
+let reloadOnControllerChange = false
+const listeners = new Set()
+
+const setWaitingWorker = (worker) => {
+  waitingWorker = worker
+  listeners.forEach(listener => listener(worker))
+}
+
+export function register() {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return
+
+  window.addEventListener('load', async () => {
+    try {
+      const registration = await navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      const checkForUpdate = () => registration.update().catch(() => {})
+
+      // With no controller this is the first install, not an update
+      if (registration.waiting && navigator.serviceWorker.controller) {
+        setWaitingWorker(registration.waiting)
+      }
+
+      registration.addEventListener('updatefound', () => {
+        const installing = registration.installing
+        if (!installing) return
+
+        installing.addEventListener('statechange', () => {
+          if (installing.state === 'installed' && navigator.serviceWorker.controller) {
+            setWaitingWorker(installing)
+          }
+        })
+      })
+
+      setInterval(checkForUpdate, UPDATE_CHECK_INTERVAL)
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') checkForUpdate()
+      })
+    } catch (error) {
+      console.error('Service worker registration failed:', error)
+    }
+  })
+
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (!reloadOnControllerChange) return
+    reloadOnControllerChange = false
+    window.location.reload()
+  })
+}
+
+// listener(worker) runs when an update is waiting; returns an unsubscribe
+export const onUpdateReady = (listener) => {
+  listeners.add(listener)
+  if (waitingWorker) listener(waitingWorker)
+  return () => listeners.delete(listener)
+}
+
+export const applyUpdate = () => {
+  if (!waitingWorker) return
+  reloadOnControllerChange = true
+  waitingWorker.postMessage({ type: 'SKIP_WAITING' })
+}
+
+// The offline snapshot belongs to whoever was signed in
+export const clearSnapshots = () => {
+  if ('caches' in window) {
+    return caches.delete(SNAPSHOT_CACHE).catch(() => {})
+  }
+}
@@ -0,0 +1,29 @@
+import { supabase } from './supabaseClient'
+
+/**
+ * The managed territory list (admins edit it in TerritoryManagement).
+ *
+ * Accounts link to territories through account_territories; accounts.territory
+ * is only a display label kept in sync by the database.
+ */
+
+// Resolves to [{ id, name }] sorted by name
+export async function fetchTerritories() {
+  const { data, error } = await supabase
+    .from('territories')
+    .select('id, name')
+    .order('name')
+
+  if (error) throw error
+  return data || []
+}
+
+// Replace an account's territories in one call
+export async function setAccountTerritories(accountId, territoryIds) {
+  const { error } = await supabase.rpc('set_account_territories', {
+    p_account_id: accountId,
+    p_territory_ids: territoryIds
+  })
+
+  if (error) throw error
+}
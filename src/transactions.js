@@ -0,0 +1,204 @@
+/**
+ * Transaction rules shared by QuickEntry, TransactionHistory and
+ * /api/transactions, plus the TransactionHistory ledger (sort orders, running
+ * totals, CSV). Who may correct which transaction is in permissions.js
+ * (canCorrectTransaction). Plain functions only: no Supabase or React imports.
+ *
+ * A transaction is a sale or a return. Returns are stored with negative
+ * units_sold so every total nets them out; forms always show and take the
+ * quantity as a positive number.
+ */
+
+import { toDateKey } from './metrics.js'
+
+const MAX_REASON_LENGTH = 200
+const MAX_NOTES_LENGTH = 500
+
+export const TRANSACTION_TYPES = {
+  sale: { label: 'Sale', className: 'bg-green-500/20 text-green-400' },
+  return: { label: 'Return', className: 'bg-orange-500/20 text-orange-400' }
+}
+
+// transactions.return_reason codes
+export const RETURN_REASONS = {
+  damaged: 'Damaged',
+  ra: 'Return authorization (RA)',
+  cancelled_order: 'Cancelled order',
+  adjustment: 'Inventory adjustment',
+  other: 'Other'
+}
+
+export const isReturn = (transaction) => transaction?.transaction_type === 'return'
+
+// Quantity as shown in forms and lists (returns are stored negative)
+export const quantityOf = (transaction) => Math.abs(transaction.units_sold)
+
+// "12 units" or "3 units returned"
+export const unitsLabel = (transaction) =>
+  isReturn(transaction) ? `${quantityOf(transaction)} units returned` : `${transaction.units_sold} units`
+
+// PostgREST embeds linking sales and their returns (self-referencing
+// transactions.original_transaction_id), for validateCorrection/validateVoid
+export const LINKED_RETURNS_SELECT = `
+  original:original_transaction_id ( id, units_sold, transaction_date, returns:transactions!original_transaction_id ( id, units_sold, voided_at ) ),
+  returns:transactions!original_transaction_id ( id, units_sold, voided_at )
+`
+
+// Units taken back by the active returns in `returns`, leaving out `exceptId`
+export const returnedUnits = (returns = [], exceptId = null) =>
+  returns
+    .filter(r => !r.voided_at && r.id !== exceptId)
+    .reduce((sum, r) => sum + quantityOf(r), 0)
+
+// A return/adjustment from QuickEntry: { units (positive), return_reason,
+// original (the sale it reverses, if any, with returned_units so far) }.
+// Returns { error } or { values } with the signed units_sold.
+export function validateReturn({ units, return_reason: reason, original = null }) {
+  const quantity = Number(units)
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    return { error: 'Returned units must be a whole number of at least 1' }
+  }
+  if (!RETURN_REASONS[reason]) return { error: 'Choose a reason for the return' }
+  if (original) {
+    const left = original.units_sold - (original.returned_units || 0)
+    if (quantity > left) return { error: `Only ${left} of the ${original.units_sold} units in that sale are left to return` }
+  }
+
+  return {
+    values: {
+      transaction_type: 'return',
+      units_sold: -quantity,
+      return_reason: reason,
+      original_transaction_id: original?.id || null
+    }
+  }
+}
+
+export const REVISION_LABELS = {
+  edited: 'Edited',
+  voided: 'Voided'
+}
+
+// Every correction says why
+export function validateReason(reason) {
+  const text = String(reason ?? '').trim()
+  if (!text) return { error: 'A reason is required' }
+  if (text.length > MAX_REASON_LENGTH) {
+    return { error: `Reasons must be ${MAX_REASON_LENGTH} characters or fewer` }
+  }
+  return { value: text }
+}
+
+// Voiding `current` (a transactions row with LINKED_RETURNS_SELECT): a sale
+// with active returns can't go until they do, or net units would undercount.
+// Returns { error } or { value } (the reason).
+export function validateVoid(current, reason) {
+  const returned = isReturn(current) ? 0 : returnedUnits(current.returns)
+  if (returned > 0) {
+    return { error: `${returned} units of this sale have been returned; void those returns first` }
+  }
+  return validateReason(reason)
+}
+
+// An edit to `current` (a transactions row with LINKED_RETURNS_SELECT):
+// { units_sold (the positive quantity, for returns too), transaction_date,
+// notes, reason }. A return can't exceed what's left of its sale, and a sale
+// can't drop below what's been returned. Returns { error } or { values }
+// with the full set of new values.
+export function validateCorrection(current, input = {}, now = new Date()) {
+  const reason = validateReason(input.reason)
+  if (reason.error) return reason
+
+  const units = Number(input.units_sold ?? quantityOf(current))
+  const date = String(input.transaction_date ?? toDateKey(current.transaction_date))
+  const notes = String(input.notes ?? current.notes ?? '').trim()
+
+  if (!Number.isInteger(units) || units < 1) {
+    return { error: 'Units must be a whole number of at least 1 (void the entry to remove it)' }
+  }
+  if (isReturn(current) && current.original) {
+    const left = current.original.units_sold - returnedUnits(current.original.returns, current.id)
+    if (units > left) {
+      return { error: `Only ${left} of the ${current.original.units_sold} units in that sale are left to return` }
+    }
+  }
+  if (!isReturn(current)) {
+    const returned = returnedUnits(current.returns)
+    if (units < returned) return { error: `${returned} units of this sale have been returned; it can't go below that` }
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(date))) {
+    return { error: 'The date must be YYYY-MM-DD' }
+  }
+  if (date > toDateKey(now)) return { error: 'The date cannot be in the future' }
+  if (notes.length > MAX_NOTES_LENGTH) {
+    return { error: `Notes must be ${MAX_NOTES_LENGTH} characters or fewer` }
+  }
+
+  const values = {
+    units_sold: isReturn(current) ? -units : units,
+    transaction_date: date,
+    notes: notes || null,
+    reason: reason.value
+  }
+  if (
+    values.units_sold === current.units_sold &&
+    date === toDateKey(current.transaction_date) &&
+    values.notes === (current.notes || null)
+  ) {
+    return { error: 'Nothing has changed' }
+  }
+
+  return { values }
+}
+
+// ---------------------------------------------------------------------------
+// Ledger: TransactionHistory's filtered, sorted pages of an account's entries
+// ---------------------------------------------------------------------------
+
+// Sort orders as [column, ascending] pairs, id last so pages are stable.
+// Running totals only make sense in date order (`chronological`).
+export const LEDGER_SORTS = {
+  newest: {
+    label: 'Newest first',
+    chronological: 'desc',
+    order: [['transaction_date', false], ['created_at', false], ['id', false]]
+  },
+  oldest: {
+    label: 'Oldest first',
+    chronological: 'asc',
+    order: [['transaction_date', true], ['created_at', true], ['id', true]]
+  },
+  units_desc: { label: 'Most units', order: [['units_sold', false], ['transaction_date', false], ['id', false]] },
+  units_asc: { label: 'Fewest units', order: [['units_sold', true], ['transaction_date', false], ['id', false]] }
+}
+
+// Entries in date order (oldest first) with running_total: the net units up
+// to and including each, starting from `opening`. Voided entries are kept
+// but don't add to the total.
+export function withRunningTotals(rows, opening = 0) {
+  let total = opening
+  return rows.map(t => {
+    if (!t.voided_at) total += t.units_sold
+    return { ...t, running_total: total }
+  })
+}
+
+const csvCell = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`
+
+// CSV text for ledger rows, in the order given
+export function ledgerCsv(rows) {
+  const headers = ['Date', 'Rep', 'Promo', 'Type', 'Return Reason', 'Units', 'Running Total', 'Status', 'Notes']
+  const lines = rows.map(t => [
+    toDateKey(t.transaction_date),
+    t.reps?.name || '',
+    t.promos?.promo_name || '',
+    (TRANSACTION_TYPES[t.transaction_type] || TRANSACTION_TYPES.sale).label,
+    isReturn(t) ? RETURN_REASONS[t.return_reason] || 'Other' : '',
+    t.units_sold,
+    t.running_total,
+    t.voided_at ? 'Voided' : (t.transaction_revisions?.length ? 'Edited' : ''),
+    t.notes || ''
+  ].map(csvCell).join(','))
+
+  return [headers.map(csvCell).join(','), ...lines].join('\n')
+}
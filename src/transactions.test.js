@@ -0,0 +1,225 @@
+import {
+  LEDGER_SORTS,
+  ledgerCsv,
+  quantityOf,
+  returnedUnits,
+  unitsLabel,
+  validateCorrection,
+  validateReason,
+  validateReturn,
+  validateVoid,
+  withRunningTotals
+} from './transactions'
+
+const NOW = new Date('2026-10-19T12:00:00-07:00')
+
+const SALE = {
+  id: 's1',
+  transaction_type: 'sale',
+  units_sold: 120,
+  transaction_date: '2026-10-12',
+  notes: 'Typo',
+  returns: []
+}
+
+describe('validateReason', () => {
+  it('requires a reason of at most 200 characters', () => {
+    expect(validateReason('  Typo in units ')).toEqual({ value: 'Typo in units' })
+    expect(validateReason(' ')).toEqual({ error: 'A reason is required' })
+    expect(validateReason(undefined)).toEqual({ error: 'A reason is required' })
+    expect(validateReason('x'.repeat(201))).toEqual({ error: 'Reasons must be 200 characters or fewer' })
+  })
+})
+
+describe('validateCorrection', () => {
+  it('returns the full set of new values, keeping what was left out', () => {
+    expect(validateCorrection(SALE, { units_sold: '12', reason: 'Typo' }, NOW)).toEqual({
+      values: { units_sold: 12, transaction_date: '2026-10-12', notes: 'Typo', reason: 'Typo' }
+    })
+    expect(validateCorrection(SALE, { notes: '  ', reason: 'Tidy' }, NOW).values.notes).toBeNull()
+  })
+
+  it('needs a reason first', () => {
+    expect(validateCorrection(SALE, { units_sold: 12 }, NOW)).toEqual({ error: 'A reason is required' })
+  })
+
+  it.each([
+    [{ units_sold: 0 }, 'Units must be a whole number of at least 1 (void the entry to remove it)'],
+    [{ units_sold: 1.5 }, 'Units must be a whole number of at least 1 (void the entry to remove it)'],
+    [{ transaction_date: '10/12/2026' }, 'The date must be YYYY-MM-DD'],
+    [{ transaction_date: '2026-10-20' }, 'The date cannot be in the future'],
+    [{ notes: 'x'.repeat(501) }, 'Notes must be 500 characters or fewer'],
+    [{ units_sold: 120, notes: 'Typo' }, 'Nothing has changed']
+  ])('rejects %o', (changes, error) => {
+    expect(validateCorrection(SALE, { reason: 'Fix', ...changes }, NOW)).toEqual({ error })
+  })
+
+  describe('returns', () => {
+    // 100 sold; r1 (30) and r2 (20) returned, plus a voided return of 40
+    const original = {
+      id: 's2',
+      units_sold: 100,
+      returns: [
+        { id: 'r1', units_sold: -30, voided_at: null },
+        { id: 'r2', units_sold: -20, voided_at: null },
+        { id: 'r3', units_sold: -40, voided_at: '2026-10-13T10:00:00Z' }
+      ]
+    }
+    const RETURN = {
+      id: 'r1',
+      transaction_type: 'return',
+      units_sold: -30,
+      transaction_date: '2026-10-14',
+      notes: null,
+      original
+    }
+
+    it('takes the quantity positive and stores it negative', () => {
+      expect(validateCorrection(RETURN, { units_sold: 25, reason: 'Miscounted' }, NOW).values.units_sold).toBe(-25)
+    })
+
+    it("can't return more than is left of the sale, not counting itself or voided returns", () => {
+      expect(validateCorrection(RETURN, { units_sold: 80, reason: 'Miscounted' }, NOW).values.units_sold).toBe(-80)
+      expect(validateCorrection(RETURN, { units_sold: 81, reason: 'Miscounted' }, NOW)).toEqual({
+        error: 'Only 80 of the 100 units in that sale are left to return'
+      })
+    })
+
+    it("won't let a sale drop below what has been returned", () => {
+      const sale = { ...SALE, units_sold: 100, returns: original.returns }
+      expect(validateCorrection(sale, { units_sold: 50, reason: 'Miscounted' }, NOW).values.units_sold).toBe(50)
+      expect(validateCorrection(sale, { units_sold: 49, reason: 'Miscounted' }, NOW)).toEqual({
+        error: "50 units of this sale have been returned; it can't go below that"
+      })
+    })
+  })
+})
+
+describe('validateReturn', () => {
+  it('stores returns as negative units', () => {
+    expect(validateReturn({ units: '5', return_reason: 'damaged' })).toEqual({
+      values: { transaction_type: 'return', units_sold: -5, return_reason: 'damaged', original_transaction_id: null }
+    })
+  })
+
+  it('links the sale it reverses, up to what is left of it', () => {
+    const original = { id: 's1', units_sold: 10, returned_units: 4 }
+    expect(validateReturn({ units: 6, return_reason: 'ra', original }).values).toMatchObject({
+      units_sold: -6,
+      original_transaction_id: 's1'
+    })
+    expect(validateReturn({ units: 7, return_reason: 'ra', original })).toEqual({
+      error: 'Only 6 of the 10 units in that sale are left to return'
+    })
+  })
+
+  it.each([
+    [{ units: 0, return_reason: 'damaged' }, 'Returned units must be a whole number of at least 1'],
+    [{ units: -5, return_reason: 'damaged' }, 'Returned units must be a whole number of at least 1'],
+    [{ units: 2.5, return_reason: 'damaged' }, 'Returned units must be a whole number of at least 1'],
+    [{ units: 5, return_reason: 'lost' }, 'Choose a reason for the return']
+  ])('rejects %o', (input, error) => {
+    expect(validateReturn(input)).toEqual({ error })
+  })
+})
+
+describe('validateVoid', () => {
+  it('voids a sale only once its active returns are voided', () => {
+    const returns = [{ id: 'r1', units_sold: -3, voided_at: null }]
+    expect(validateVoid({ ...SALE, returns }, 'Duplicate')).toEqual({
+      error: '3 units of this sale have been returned; void those returns first'
+    })
+    expect(validateVoid({ ...SALE, returns: [{ ...returns[0], voided_at: '2026-10-13T10:00:00Z' }] }, 'Duplicate'))
+      .toEqual({ value: 'Duplicate' })
+  })
+
+  it('voids returns and still needs a reason', () => {
+    expect(validateVoid({ transaction_type: 'return', units_sold: -3 }, 'Entered twice')).toEqual({ value: 'Entered twice' })
+    expect(validateVoid(SALE, '')).toEqual({ error: 'A reason is required' })
+  })
+})
+
+describe('units', () => {
+  it('shows returns as a positive quantity', () => {
+    expect(quantityOf({ units_sold: -3 })).toBe(3)
+    expect(unitsLabel({ transaction_type: 'return', units_sold: -3 })).toBe('3 units returned')
+    expect(unitsLabel({ transaction_type: 'sale', units_sold: 12 })).toBe('12 units')
+  })
+
+  it('counts only active returns', () => {
+    const returns = [
+      { id: 'r1', units_sold: -3 },
+      { id: 'r2', units_sold: -4, voided_at: '2026-10-13T10:00:00Z' },
+      { id: 'r3', units_sold: -5 }
+    ]
+    expect(returnedUnits(returns)).toBe(8)
+    expect(returnedUnits(returns, 'r3')).toBe(3)
+    expect(returnedUnits(undefined)).toBe(0)
+  })
+})
+
+describe('withRunningTotals', () => {
+  const rows = [
+    { id: 'a', units_sold: 10 },
+    { id: 'b', units_sold: -4, transaction_type: 'return' },
+    { id: 'c', units_sold: 100, voided_at: '2026-10-13T10:00:00Z' },
+    { id: 'd', units_sold: 6 }
+  ]
+
+  it('nets returns out and skips voided entries', () => {
+    expect(withRunningTotals(rows).map(t => t.running_total)).toEqual([10, 6, 6, 12])
+  })
+
+  it('starts from the balance before the first row', () => {
+    expect(withRunningTotals(rows, 50).map(t => t.running_total)).toEqual([60, 56, 56, 62])
+    expect(withRunningTotals([{ id: 'e', units_sold: -5 }], 3)[0].running_total).toBe(-2)
+  })
+
+  it("doesn't change the rows it was given", () => {
+    withRunningTotals(rows)
+    expect(rows[0]).not.toHaveProperty('running_total')
+  })
+})
+
+describe('LEDGER_SORTS', () => {
+  it('ends every order on id so pages are stable', () => {
+    Object.values(LEDGER_SORTS).forEach(({ order }) => expect(order[order.length - 1][0]).toBe('id'))
+  })
+
+  it('only offers running totals in date order', () => {
+    expect(LEDGER_SORTS.newest.chronological).toBe('desc')
+    expect(LEDGER_SORTS.oldest.chronological).toBe('asc')
+    expect(LEDGER_SORTS.units_desc.chronological).toBeUndefined()
+  })
+})
+
+describe('ledgerCsv', () => {
+  it('writes one quoted line per entry', () => {
+    const csv = ledgerCsv([
+      {
+        transaction_date: '2026-10-12T00:00:00Z',
+        reps: { name: 'Sam "The Closer" Lee' },
+        promos: { promo_name: 'SY125' },
+        transaction_type: 'sale',
+        units_sold: 12,
+        running_total: 12,
+        transaction_revisions: [{ id: 'v1' }],
+        notes: 'First, order'
+      },
+      {
+        transaction_date: '2026-10-13',
+        transaction_type: 'return',
+        return_reason: 'damaged',
+        units_sold: -2,
+        running_total: 10,
+        voided_at: '2026-10-14T10:00:00Z'
+      }
+    ])
+
+    expect(csv.split('\n')).toEqual([
+      '"Date","Rep","Promo","Type","Return Reason","Units","Running Total","Status","Notes"',
+      '"2026-10-12","Sam ""The Closer"" Lee","SY125","Sale","","12","12","Edited","First, order"',
+      '"2026-10-13","","","Return","Damaged","-2","10","Voided",""'
+    ])
+  })
+})
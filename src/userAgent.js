@@ -0,0 +1,43 @@
+/**
+ * Turn a raw user agent string into something a person recognises,
+ * e.g. "Chrome on Windows" or "Safari on iPad".
+ */
+
+const BROWSERS = [
+  [/Edg\//, 'Edge'],
+  [/OPR\/|Opera/, 'Opera'],
+  [/SamsungBrowser/, 'Samsung Internet'],
+  [/Firefox\/|FxiOS/, 'Firefox'],
+  [/Chrome\/|CriOS/, 'Chrome'],
+  [/Safari\//, 'Safari']
+]
+
+const PLATFORMS = [
+  [/iPad/, 'iPad'],
+  [/iPhone/, 'iPhone'],
+  [/Android.*Mobile/, 'Android phone'],
+  [/Android/, 'Android tablet'],
+  [/Windows/, 'Windows'],
+  [/Mac OS X|Macintosh/, 'Mac'],
+  [/CrOS/, 'Chromebook'],
+  [/Linux/, 'Linux']
+]
+
+const match = (userAgent, patterns) =>
+  patterns.find(([pattern]) => pattern.test(userAgent))?.[1]
+
+export const describeUserAgent = (userAgent) => {
+  if (!userAgent) return 'Unknown device'
+
+  const browser = match(userAgent, BROWSERS)
+  const platform = match(userAgent, PLATFORMS)
+
+  if (browser && platform) return `${browser} on ${platform}`
+  return browser || platform || 'Unknown device'
+}
+
+export const deviceIcon = (userAgent) => {
+  if (/iPhone|Android.*Mobile/.test(userAgent || '')) return '📱'
+  if (/iPad|Android/.test(userAgent || '')) return '📲'
+  return '💻'
+}
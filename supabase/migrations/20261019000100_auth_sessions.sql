@@ -0,0 +1,27 @@
+-- Server-side authentication (/api/auth/*)
+--
+-- reps.password_hash now stores scrypt hashes written by the API. Rows that
+-- still hold a plaintext password are upgraded on the rep's next login.
+-- Session tokens are signed with the project's JWT secret and reference a row
+-- in sessions, which is only reachable through the service role.
+
+create table if not exists sessions (
+  id uuid primary key default gen_random_uuid(),
+  rep_id uuid not null references reps(id) on delete cascade,
+  created_at timestamptz not null default now(),
+  expires_at timestamptz not null,
+  revoked_at timestamptz
+);
+
+create index if not exists sessions_rep_id_idx on sessions (rep_id);
+
+alter table sessions enable row level security;
+
+-- The browser must never read or write password hashes
+revoke select, update on reps from anon, authenticated;
+
+grant select (id, name, email, is_admin, territories, notify_weekly_summary, notify_territory_promos)
+  on reps to anon, authenticated;
+
+grant update (email, territories, notify_weekly_summary, notify_territory_promos)
+  on reps to anon, authenticated;
@@ -0,0 +1,17 @@
+-- Self-service password reset (/api/auth/forgot-password, /api/auth/reset-password)
+--
+-- Only a SHA-256 digest of each emailed token is stored. A token is consumed by
+-- setting used_at; requesting a new link consumes any older unused ones.
+
+create table if not exists password_resets (
+  id uuid primary key default gen_random_uuid(),
+  rep_id uuid not null references reps(id) on delete cascade,
+  token_hash text not null unique,
+  created_at timestamptz not null default now(),
+  expires_at timestamptz not null,
+  used_at timestamptz
+);
+
+create index if not exists password_resets_rep_id_idx on password_resets (rep_id);
+
+alter table password_resets enable row level security;
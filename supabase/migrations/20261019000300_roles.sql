@@ -0,0 +1,145 @@
+-- Roles beyond is_admin: admin, manager, rep and read-only viewer
+--
+-- Requests from the app carry the rep's session token (see /api/_lib/session.js),
+-- so auth.uid() is the signed-in rep. current_rep_role() also checks that the
+-- token's session has not been revoked, so signing out a device cuts off
+-- database access too. The role matrix mirrors src/permissions.js.
+
+alter table reps add column if not exists role text not null default 'rep'
+  check (role in ('admin', 'manager', 'rep', 'viewer'));
+alter table reps add column if not exists manager_id uuid references reps(id) on delete set null;
+
+update reps set role = 'admin' where is_admin = true and role = 'rep';
+
+grant select (role, manager_id) on reps to authenticated;
+
+-- Keep is_admin in sync for anything that still reads it
+create or replace function sync_rep_is_admin() returns trigger
+language plpgsql as $$
+begin
+  new.is_admin := (new.role = 'admin');
+  return new;
+end;
+$$;
+
+drop trigger if exists reps_sync_is_admin on reps;
+create trigger reps_sync_is_admin before insert or update of role on reps
+  for each row execute function sync_rep_is_admin();
+
+create or replace function current_rep_role() returns text
+language sql stable security definer set search_path = public as $$
+  select r.role
+  from reps r
+  join sessions s on s.rep_id = r.id
+  where r.id = auth.uid()
+    and s.id = nullif(auth.jwt() ->> 'sid', '')::uuid
+    and s.revoked_at is null
+    and s.expires_at > now()
+$$;
+
+create or replace function current_rep_can(roles text[]) returns boolean
+language sql stable as $$
+  select coalesce(current_rep_role() = any(roles), false)
+$$;
+
+-- ---------------------------------------------------------------------------
+-- Read access: any signed-in rep, including viewers. There are no anon
+-- policies, so signed-out requests see nothing.
+-- ---------------------------------------------------------------------------
+
+do $$
+declare t text;
+begin
+  foreach t in array array[
+    'reps', 'accounts', 'promos', 'account_promos', 'transactions',
+    'account_notes', 'activity_log', 'quarters',
+    'archived_account_promos', 'archived_transactions'
+  ] loop
+    execute format('alter table %I enable row level security', t);
+    execute format('drop policy if exists %I on %I', t || '_select', t);
+    execute format(
+      'create policy %I on %I for select to authenticated using (current_rep_role() is not null)',
+      t || '_select', t
+    );
+  end loop;
+end $$;
+
+-- ---------------------------------------------------------------------------
+-- Write access
+-- ---------------------------------------------------------------------------
+
+-- Reps edit their own notification settings (column grants limit what)
+drop policy if exists reps_update_self on reps;
+create policy reps_update_self on reps for update to authenticated
+  using (id = auth.uid() and current_rep_role() is not null)
+  with check (id = auth.uid());
+
+-- Units: reps, managers and admins log units as themselves
+drop policy if exists transactions_insert on transactions;
+create policy transactions_insert on transactions for insert to authenticated
+  with check (current_rep_can(array['admin', 'manager', 'rep']) and rep_id = auth.uid());
+
+-- Quarter reset archives then clears transactions
+drop policy if exists transactions_delete on transactions;
+create policy transactions_delete on transactions for delete to authenticated
+  using (current_rep_can(array['admin']));
+
+-- Promo assignments: managers and admins
+drop policy if exists account_promos_insert on account_promos;
+create policy account_promos_insert on account_promos for insert to authenticated
+  with check (current_rep_can(array['admin', 'manager']));
+
+drop policy if exists account_promos_update on account_promos;
+create policy account_promos_update on account_promos for update to authenticated
+  using (current_rep_can(array['admin', 'manager']));
+
+drop policy if exists account_promos_delete on account_promos;
+create policy account_promos_delete on account_promos for delete to authenticated
+  using (current_rep_can(array['admin']));
+
+-- Accounts: managers and admins create and edit (territory changes)
+drop policy if exists accounts_insert on accounts;
+create policy accounts_insert on accounts for insert to authenticated
+  with check (current_rep_can(array['admin', 'manager']));
+
+drop policy if exists accounts_update on accounts;
+create policy accounts_update on accounts for update to authenticated
+  using (current_rep_can(array['admin', 'manager']));
+
+-- Notes: any writer adds notes as themselves; authors, their manager and
+-- admins may delete
+drop policy if exists account_notes_insert on account_notes;
+create policy account_notes_insert on account_notes for insert to authenticated
+  with check (current_rep_can(array['admin', 'manager', 'rep']) and created_by = auth.uid());
+
+drop policy if exists account_notes_delete on account_notes;
+create policy account_notes_delete on account_notes for delete to authenticated
+  using (
+    current_rep_can(array['admin'])
+    or (current_rep_can(array['manager', 'rep']) and created_by = auth.uid())
+    or (
+      current_rep_can(array['manager'])
+      and exists (select 1 from reps r where r.id = account_notes.created_by and r.manager_id = auth.uid())
+    )
+  );
+
+-- Activity log entries are written by whoever made the change
+drop policy if exists activity_log_insert on activity_log;
+create policy activity_log_insert on activity_log for insert to authenticated
+  with check (current_rep_can(array['admin', 'manager', 'rep']) and rep_id = auth.uid());
+
+-- Quarters and archives: admins only
+drop policy if exists quarters_write on quarters;
+create policy quarters_write on quarters for all to authenticated
+  using (current_rep_can(array['admin']))
+  with check (current_rep_can(array['admin']));
+
+drop policy if exists archived_account_promos_insert on archived_account_promos;
+create policy archived_account_promos_insert on archived_account_promos for insert to authenticated
+  with check (current_rep_can(array['admin']));
+
+drop policy if exists archived_transactions_insert on archived_transactions;
+create policy archived_transactions_insert on archived_transactions for insert to authenticated
+  with check (current_rep_can(array['admin']));
+
+-- Promos are maintained in the Supabase dashboard (service role) for now
@@ -0,0 +1,22 @@
+-- Rep management: admins deactivate reps instead of deleting them
+--
+-- Deactivated reps keep their row so transactions, notes and activity still
+-- show who did them, but they can't sign in and their sessions stop working.
+
+alter table reps add column if not exists is_active boolean not null default true;
+alter table reps add column if not exists deactivated_at timestamptz;
+
+grant select (is_active) on reps to authenticated;
+
+-- Same as 20261019000300_roles.sql, plus the is_active check
+create or replace function current_rep_role() returns text
+language sql stable security definer set search_path = public as $$
+  select r.role
+  from reps r
+  join sessions s on s.rep_id = r.id
+  where r.id = auth.uid()
+    and r.is_active
+    and s.id = nullif(auth.jwt() ->> 'sid', '')::uuid
+    and s.revoked_at is null
+    and s.expires_at > now()
+$$;
@@ -0,0 +1,24 @@
+-- Login audit trail and brute-force protection
+--
+-- Every sign-in attempt is recorded here by /api/auth/login. The same rows
+-- drive the attempt tracker in /api/_lib/login-throttle.js: consecutive
+-- failures for an email slow down further attempts and then lock it for a
+-- while. An admin unlock is recorded as its own event.
+--
+-- Only the service role reads or writes this table (RLS on, no policies).
+
+create table if not exists login_events (
+  id uuid primary key default gen_random_uuid(),
+  rep_id uuid references reps(id) on delete set null,
+  email text not null,
+  event text not null check (event in ('success', 'failure', 'locked', 'unlocked')),
+  reason text,
+  user_agent text,
+  ip_address text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists login_events_email_created_at_idx on login_events (email, created_at desc);
+create index if not exists login_events_rep_id_created_at_idx on login_events (rep_id, created_at desc);
+
+alter table login_events enable row level security;
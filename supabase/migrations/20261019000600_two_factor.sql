@@ -0,0 +1,60 @@
+-- Two-factor authentication (TOTP) and app-wide settings
+--
+-- Secrets and recovery codes are only reachable through the service role.
+-- When the require_admin_2fa setting is on, an admin without 2FA is treated
+-- as a viewer by current_rep_role() until they enroll, matching the check in
+-- /api/_lib/session.js.
+
+alter table reps add column if not exists totp_secret text;
+alter table reps add column if not exists totp_pending_secret text;
+alter table reps add column if not exists totp_enabled_at timestamptz;
+alter table reps add column if not exists totp_last_used_step bigint;
+
+grant select (totp_enabled_at) on reps to authenticated;
+
+create table if not exists recovery_codes (
+  id uuid primary key default gen_random_uuid(),
+  rep_id uuid not null references reps(id) on delete cascade,
+  code_hash text not null,
+  created_at timestamptz not null default now(),
+  used_at timestamptz
+);
+
+create index if not exists recovery_codes_rep_id_idx on recovery_codes (rep_id);
+
+alter table recovery_codes enable row level security;
+
+-- Key/value settings managed from the admin screens
+create table if not exists app_settings (
+  key text primary key,
+  value jsonb not null,
+  updated_at timestamptz not null default now(),
+  updated_by uuid references reps(id) on delete set null
+);
+
+alter table app_settings enable row level security;
+
+drop policy if exists app_settings_select on app_settings;
+create policy app_settings_select on app_settings for select to authenticated
+  using (current_rep_role() is not null);
+
+insert into app_settings (key, value) values ('require_admin_2fa', 'false')
+  on conflict (key) do nothing;
+
+create or replace function current_rep_role() returns text
+language sql stable security definer set search_path = public as $$
+  select case
+    when r.role = 'admin'
+      and r.totp_enabled_at is null
+      and coalesce((select value = 'true'::jsonb from app_settings where key = 'require_admin_2fa'), false)
+    then 'viewer'
+    else r.role
+  end
+  from reps r
+  join sessions s on s.rep_id = r.id
+  where r.id = auth.uid()
+    and r.is_active
+    and s.id = nullif(auth.jwt() ->> 'sid', '')::uuid
+    and s.revoked_at is null
+    and s.expires_at > now()
+$$;
@@ -0,0 +1,10 @@
+-- Device details for sessions, shown in the "Signed-in devices" list
+--
+-- last_seen_at is refreshed by /api/_lib/session.js when a session is used,
+-- at most every few minutes.
+
+alter table sessions add column if not exists last_seen_at timestamptz not null default now();
+alter table sessions add column if not exists user_agent text;
+alter table sessions add column if not exists ip_address text;
+
+create index if not exists sessions_rep_id_active_idx on sessions (rep_id) where revoked_at is null;
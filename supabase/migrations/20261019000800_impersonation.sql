@@ -0,0 +1,41 @@
+-- Admin "view as rep"
+--
+-- An impersonation session is a normal session for the rep being viewed with
+-- impersonator_id set to the admin. It is read-only: current_rep_role()
+-- reports it as a viewer, and reps can't edit their own settings through it.
+-- Starting and ending one is recorded in activity_log.
+
+alter table sessions add column if not exists impersonator_id uuid references reps(id) on delete cascade;
+
+create or replace function current_session_impersonated() returns boolean
+language sql stable security definer set search_path = public as $$
+  select exists (
+    select 1 from sessions s
+    where s.id = nullif(auth.jwt() ->> 'sid', '')::uuid
+      and s.impersonator_id is not null
+  )
+$$;
+
+create or replace function current_rep_role() returns text
+language sql stable security definer set search_path = public as $$
+  select case
+    when s.impersonator_id is not null then 'viewer'
+    when r.role = 'admin'
+      and r.totp_enabled_at is null
+      and coalesce((select value = 'true'::jsonb from app_settings where key = 'require_admin_2fa'), false)
+    then 'viewer'
+    else r.role
+  end
+  from reps r
+  join sessions s on s.rep_id = r.id
+  where r.id = auth.uid()
+    and r.is_active
+    and s.id = nullif(auth.jwt() ->> 'sid', '')::uuid
+    and s.revoked_at is null
+    and s.expires_at > now()
+$$;
+
+drop policy if exists reps_update_self on reps;
+create policy reps_update_self on reps for update to authenticated
+  using (id = auth.uid() and current_rep_role() is not null and not current_session_impersonated())
+  with check (id = auth.uid());
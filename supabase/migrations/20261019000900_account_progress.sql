@@ -0,0 +1,65 @@
+-- One row per account on a promo with everything the dashboard needs:
+-- the account's latest assignment, units sold against it (total and per
+-- rep) and the latest note. Read by /api/dashboard and the weekly summary
+-- instead of one transactions query per account.
+--
+-- security_invoker makes the view apply the caller's row level security,
+-- so it exposes nothing the underlying tables don't.
+
+create index if not exists transactions_account_promo_idx on transactions (account_id, promo_id);
+create index if not exists account_promos_account_assigned_idx on account_promos (account_id, assigned_date desc);
+create index if not exists account_notes_account_created_idx on account_notes (account_id, created_at desc);
+
+create or replace view account_progress with (security_invoker = true) as
+with latest_assignment as (
+  select distinct on (ap.account_id) ap.*
+  from account_promos ap
+  order by ap.account_id, ap.assigned_date desc
+)
+select
+  a.*,
+  la.id as account_promo_id,
+  la.promo_id,
+  p.promo_name,
+  p.promo_code,
+  p.discount,
+  la.target_units,
+  la.terms,
+  la.assigned_date,
+  la.quarter_id,
+  coalesce(units.units_sold, 0) as units_sold,
+  coalesce(units.rep_units, '[]'::jsonb) as rep_units,
+  note.latest_note
+from latest_assignment la
+join accounts a on a.id = la.account_id
+left join promos p on p.id = la.promo_id
+left join lateral (
+  select
+    sum(per_rep.units)::int as units_sold,
+    jsonb_agg(
+      jsonb_build_object('rep_id', per_rep.rep_id, 'rep_name', r.name, 'units', per_rep.units)
+      order by per_rep.units desc
+    ) as rep_units
+  from (
+    select t.rep_id, sum(t.units_sold)::int as units
+    from transactions t
+    where t.account_id = la.account_id and t.promo_id = la.promo_id
+    group by t.rep_id
+  ) per_rep
+  left join reps r on r.id = per_rep.rep_id
+) units on true
+left join lateral (
+  select jsonb_build_object(
+    'id', n.id,
+    'note', n.note,
+    'created_at', n.created_at,
+    'rep_name', r.name
+  ) as latest_note
+  from account_notes n
+  left join reps r on r.id = n.created_by
+  where n.account_id = la.account_id
+  order by n.created_at desc
+  limit 1
+) note on true;
+
+grant select on account_progress to authenticated;
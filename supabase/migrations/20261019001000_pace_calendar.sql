@@ -0,0 +1,25 @@
+-- Holiday calendar and working-days settings for quarter pacing
+--
+-- Expected progress counts only working days (app_settings.working_days,
+-- 0 = Sunday) that aren't holidays, optionally weighted by
+-- app_settings.pace_curve. See quarterTiming() in src/metrics.js.
+-- Admins maintain holidays through /api/admin/holidays.
+
+create table if not exists holidays (
+  id uuid primary key default gen_random_uuid(),
+  holiday_date date not null unique,
+  name text not null,
+  created_by uuid references reps(id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+alter table holidays enable row level security;
+
+drop policy if exists holidays_select on holidays;
+create policy holidays_select on holidays for select to authenticated
+  using (current_rep_role() is not null);
+
+insert into app_settings (key, value) values
+  ('working_days', '[1, 2, 3, 4, 5]'),
+  ('pace_curve', '"even"')
+on conflict (key) do nothing;
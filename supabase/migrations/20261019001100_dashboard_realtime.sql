@@ -0,0 +1,22 @@
+-- Realtime change events for the dashboard's live updates
+--
+-- Dashboard listens for inserts, updates and deletes on these tables and
+-- re-reads the affected account from account_progress. Full replica identity
+-- puts account_id in delete events too (by default they only carry the id).
+
+alter table transactions replica identity full;
+alter table account_promos replica identity full;
+alter table account_notes replica identity full;
+
+do $$
+declare t text;
+begin
+  foreach t in array array['transactions', 'account_promos', 'account_notes'] loop
+    if not exists (
+      select 1 from pg_publication_tables
+      where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = t
+    ) then
+      execute format('alter publication supabase_realtime add table %I', t);
+    end if;
+  end loop;
+end $$;
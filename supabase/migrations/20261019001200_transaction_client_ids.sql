@@ -0,0 +1,10 @@
+-- Client-generated ids for transactions logged through QuickEntry
+--
+-- Entries made offline wait in an IndexedDB queue (src/offlineQueue.js) and
+-- are replayed later. The browser assigns each entry a uuid up front, so a
+-- replay of an insert that already landed (e.g. the response was lost) hits
+-- this unique index instead of logging the units twice.
+
+alter table transactions add column if not exists client_id uuid;
+
+create unique index if not exists transactions_client_id_key on transactions (client_id);
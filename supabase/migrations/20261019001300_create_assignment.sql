@@ -0,0 +1,69 @@
+-- Put an account on a promo in one transaction
+--
+-- Called by /api/assignments. Optionally creates the account first and logs
+-- initial units; every row (including the activity_log entries) commits
+-- together or not at all. Returns the new account_promos id.
+--
+-- Only the API (service role) may call it.
+
+create or replace function create_assignment(
+  p_rep_id reps.id%type,
+  p_account_id accounts.id%type,
+  p_new_account jsonb,
+  p_promo_id promos.id%type,
+  p_target_units integer,
+  p_terms text,
+  p_initial_units integer
+) returns account_promos.id%type
+language plpgsql set search_path = public as $$
+declare
+  v_account accounts%rowtype;
+  v_promo promos%rowtype;
+  v_assignment_id account_promos.id%type;
+begin
+  select * into v_promo from promos where id = p_promo_id;
+  if not found then
+    raise exception 'Promo not found' using errcode = 'P0002';
+  end if;
+
+  if p_new_account is not null then
+    insert into accounts (account_name, account_number, territory)
+    values (
+      p_new_account ->> 'account_name',
+      nullif(p_new_account ->> 'account_number', ''),
+      nullif(p_new_account ->> 'territory', '')
+    )
+    returning * into v_account;
+
+    insert into activity_log (action_type, account_id, rep_id, details)
+    values ('account_created', v_account.id, p_rep_id,
+            jsonb_build_object('account_name', v_account.account_name));
+  else
+    select * into v_account from accounts where id = p_account_id;
+    if not found then
+      raise exception 'Account not found' using errcode = 'P0002';
+    end if;
+  end if;
+
+  insert into account_promos (account_id, promo_id, target_units, terms, assigned_date)
+  values (v_account.id, p_promo_id, p_target_units, p_terms, now())
+  returning id into v_assignment_id;
+
+  insert into activity_log (action_type, account_id, rep_id, details)
+  values ('promo_assigned', v_account.id, p_rep_id,
+          jsonb_build_object('promo_name', v_promo.promo_name, 'target_units', p_target_units));
+
+  if coalesce(p_initial_units, 0) > 0 then
+    insert into transactions (account_id, promo_id, units_sold, rep_id, notes)
+    values (v_account.id, p_promo_id, p_initial_units, p_rep_id, 'Initial units on promo assignment');
+
+    insert into activity_log (action_type, account_id, rep_id, details)
+    values ('units_logged', v_account.id, p_rep_id,
+            jsonb_build_object('units', p_initial_units, 'note', 'Initial units on promo assignment'));
+  end if;
+
+  return v_assignment_id;
+end $$;
+
+revoke execute on function create_assignment from public, anon, authenticated;
+grant execute on function create_assignment to service_role;
@@ -0,0 +1,341 @@
+-- Territories as their own table
+--
+-- Territories used to be free text: accounts.territory held a comma-joined
+-- string ("Vancouver, Richmond") and the app hardcoded its own, differing
+-- lists. Now:
+--   territories          - the list admins add, rename and merge
+--   account_territories  - which territories each account is in
+--
+-- accounts.territory stays as a display label ("Richmond, Vancouver"),
+-- rebuilt by trigger whenever an account's territories or a territory's name
+-- change. Don't write it directly.
+--
+-- reps.territories (the territories a rep gets alerts and summaries for)
+-- keeps territory names; rename_territory() and merge_territories() update
+-- it along with the territory.
+
+create table if not exists territories (
+  id uuid primary key default gen_random_uuid(),
+  -- Commas would be ambiguous in the accounts.territory label
+  name text not null check (name = btrim(name) and name <> '' and position(',' in name) = 0),
+  created_at timestamptz not null default now()
+);
+
+create unique index if not exists territories_name_key on territories (lower(name));
+
+create table if not exists account_territories (
+  account_id uuid not null references accounts(id) on delete cascade,
+  territory_id uuid not null references territories(id) on delete cascade,
+  primary key (account_id, territory_id)
+);
+
+create index if not exists account_territories_territory_idx on account_territories (territory_id);
+
+-- ---------------------------------------------------------------------------
+-- accounts.territory label
+-- ---------------------------------------------------------------------------
+
+create or replace function refresh_account_territory(p_account_id uuid) returns void
+language sql security definer set search_path = public as $$
+  update accounts a
+  set territory = (
+    select string_agg(t.name, ', ' order by t.name)
+    from account_territories at
+    join territories t on t.id = at.territory_id
+    where at.account_id = p_account_id
+  )
+  where a.id = p_account_id
+$$;
+
+create or replace function account_territories_changed() returns trigger
+language plpgsql security definer set search_path = public as $$
+begin
+  if tg_op in ('INSERT', 'UPDATE') then
+    perform refresh_account_territory(new.account_id);
+  end if;
+  if tg_op in ('DELETE', 'UPDATE') then
+    perform refresh_account_territory(old.account_id);
+  end if;
+  return null;
+end $$;
+
+drop trigger if exists account_territories_label on account_territories;
+create trigger account_territories_label after insert or update or delete on account_territories
+  for each row execute function account_territories_changed();
+
+create or replace function territory_renamed() returns trigger
+language plpgsql security definer set search_path = public as $$
+begin
+  perform refresh_account_territory(at.account_id)
+  from account_territories at
+  where at.territory_id = new.id;
+  return null;
+end $$;
+
+drop trigger if exists territories_rename_label on territories;
+create trigger territories_rename_label after update of name on territories
+  for each row execute function territory_renamed();
+
+-- ---------------------------------------------------------------------------
+-- Backfill from the old free text and the lists the app used to hardcode
+-- ---------------------------------------------------------------------------
+
+insert into territories (name)
+select distinct on (lower(name)) name
+from (
+  select btrim(unnest(string_to_array(territory, ','))) as name from accounts
+  union all
+  select btrim(unnest(territories)) from reps
+  union all
+  select unnest(array['Vancouver', 'Richmond', 'Kelowna', 'Victoria'])
+) names
+where name <> ''
+order by lower(name), name
+on conflict do nothing;
+
+insert into account_territories (account_id, territory_id)
+select distinct a.id, t.id
+from accounts a
+cross join lateral unnest(string_to_array(a.territory, ',')) as part(name)
+join territories t on lower(t.name) = lower(btrim(part.name))
+on conflict do nothing;
+
+-- Match reps' subscriptions to the canonical spelling
+update reps r
+set territories = coalesce((
+  select array_agg(distinct t.name)
+  from unnest(r.territories) as sub(name)
+  join territories t on lower(t.name) = lower(btrim(sub.name))
+), '{}')
+where r.territories is not null and cardinality(r.territories) > 0;
+
+-- ---------------------------------------------------------------------------
+-- Changes
+-- ---------------------------------------------------------------------------
+
+-- Replace an account's territories in one call (AddAccountModal, AssignPromo).
+-- Runs as the caller, so the account_territories policies below apply.
+create or replace function set_account_territories(p_account_id uuid, p_territory_ids uuid[]) returns void
+language sql set search_path = public as $$
+  delete from account_territories
+  where account_id = p_account_id
+    and territory_id <> all(coalesce(p_territory_ids, '{}'));
+
+  insert into account_territories (account_id, territory_id)
+  select p_account_id, unnest(coalesce(p_territory_ids, '{}'))
+  on conflict do nothing;
+$$;
+
+-- Admin renames and merges go through /api/admin/territories (service role)
+create or replace function rename_territory(p_id uuid, p_name text) returns void
+language plpgsql set search_path = public as $$
+declare
+  v_old text;
+begin
+  select name into v_old from territories where id = p_id for update;
+  if not found then
+    raise exception 'Territory not found' using errcode = 'P0002';
+  end if;
+
+  update territories set name = p_name where id = p_id;
+
+  update reps set territories = array_replace(territories, v_old, p_name)
+  where v_old = any(territories);
+end $$;
+
+-- Move every account and rep in p_source to p_target, then drop p_source
+create or replace function merge_territories(p_source uuid, p_target uuid) returns void
+language plpgsql set search_path = public as $$
+declare
+  v_source text;
+  v_target text;
+begin
+  if p_source = p_target then
+    raise exception 'Cannot merge a territory into itself' using errcode = '22023';
+  end if;
+
+  select name into v_source from territories where id = p_source for update;
+  select name into v_target from territories where id = p_target for update;
+  if v_source is null or v_target is null then
+    raise exception 'Territory not found' using errcode = 'P0002';
+  end if;
+
+  insert into account_territories (account_id, territory_id)
+  select account_id, p_target from account_territories where territory_id = p_source
+  on conflict do nothing;
+
+  delete from territories where id = p_source;
+
+  update reps
+  set territories = array(select distinct unnest(array_replace(territories, v_source, v_target)))
+  where v_source = any(territories);
+end $$;
+
+revoke execute on function rename_territory from public, anon, authenticated;
+revoke execute on function merge_territories from public, anon, authenticated;
+revoke execute on function refresh_account_territory from public, anon, authenticated;
+
+-- New accounts from /api/assignments: newAccount.territory_ids replaces the
+-- old comma-joined territory text
+create or replace function create_assignment(
+  p_rep_id reps.id%type,
+  p_account_id accounts.id%type,
+  p_new_account jsonb,
+  p_promo_id promos.id%type,
+  p_target_units integer,
+  p_terms text,
+  p_initial_units integer
+) returns account_promos.id%type
+language plpgsql set search_path = public as $$
+declare
+  v_account accounts%rowtype;
+  v_promo promos%rowtype;
+  v_assignment_id account_promos.id%type;
+begin
+  select * into v_promo from promos where id = p_promo_id;
+  if not found then
+    raise exception 'Promo not found' using errcode = 'P0002';
+  end if;
+
+  if p_new_account is not null then
+    insert into accounts (account_name, account_number)
+    values (
+      p_new_account ->> 'account_name',
+      nullif(p_new_account ->> 'account_number', '')
+    )
+    returning * into v_account;
+
+    insert into account_territories (account_id, territory_id)
+    select v_account.id, t.id
+    from territories t
+    where t.id::text in (select jsonb_array_elements_text(coalesce(p_new_account -> 'territory_ids', '[]')));
+
+    insert into activity_log (action_type, account_id, rep_id, details)
+    values ('account_created', v_account.id, p_rep_id,
+            jsonb_build_object('account_name', v_account.account_name));
+  else
+    select * into v_account from accounts where id = p_account_id;
+    if not found then
+      raise exception 'Account not found' using errcode = 'P0002';
+    end if;
+  end if;
+
+  insert into account_promos (account_id, promo_id, target_units, terms, assigned_date)
+  values (v_account.id, p_promo_id, p_target_units, p_terms, now())
+  returning id into v_assignment_id;
+
+  insert into activity_log (action_type, account_id, rep_id, details)
+  values ('promo_assigned', v_account.id, p_rep_id,
+          jsonb_build_object('promo_name', v_promo.promo_name, 'target_units', p_target_units));
+
+  if coalesce(p_initial_units, 0) > 0 then
+    insert into transactions (account_id, promo_id, units_sold, rep_id, notes)
+    values (v_account.id, p_promo_id, p_initial_units, p_rep_id, 'Initial units on promo assignment');
+
+    insert into activity_log (action_type, account_id, rep_id, details)
+    values ('units_logged', v_account.id, p_rep_id,
+            jsonb_build_object('units', p_initial_units, 'note', 'Initial units on promo assignment'));
+  end if;
+
+  return v_assignment_id;
+end $$;
+
+-- ---------------------------------------------------------------------------
+-- Access
+-- ---------------------------------------------------------------------------
+
+alter table territories enable row level security;
+alter table account_territories enable row level security;
+
+drop policy if exists territories_select on territories;
+create policy territories_select on territories for select to authenticated
+  using (current_rep_role() is not null);
+
+drop policy if exists account_territories_select on account_territories;
+create policy account_territories_select on account_territories for select to authenticated
+  using (current_rep_role() is not null);
+
+-- Same people who can edit accounts
+drop policy if exists account_territories_insert on account_territories;
+create policy account_territories_insert on account_territories for insert to authenticated
+  with check (current_rep_can(array['admin', 'manager']));
+
+drop policy if exists account_territories_delete on account_territories;
+create policy account_territories_delete on account_territories for delete to authenticated
+  using (current_rep_can(array['admin', 'manager']));
+
+-- Dashboard live updates pick up territory changes too
+alter table account_territories replica identity full;
+
+do $$
+begin
+  if not exists (
+    select 1 from pg_publication_tables
+    where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = 'account_territories'
+  ) then
+    alter publication supabase_realtime add table account_territories;
+  end if;
+end $$;
+
+-- ---------------------------------------------------------------------------
+-- account_progress: add the account's territory names for filtering
+-- ---------------------------------------------------------------------------
+
+create or replace view account_progress with (security_invoker = true) as
+with latest_assignment as (
+  select distinct on (ap.account_id) ap.*
+  from account_promos ap
+  order by ap.account_id, ap.assigned_date desc
+)
+select
+  a.*,
+  la.id as account_promo_id,
+  la.promo_id,
+  p.promo_name,
+  p.promo_code,
+  p.discount,
+  la.target_units,
+  la.terms,
+  la.assigned_date,
+  la.quarter_id,
+  coalesce(units.units_sold, 0) as units_sold,
+  coalesce(units.rep_units, '[]'::jsonb) as rep_units,
+  note.latest_note,
+  terr.territory_names
+from latest_assignment la
+join accounts a on a.id = la.account_id
+left join promos p on p.id = la.promo_id
+left join lateral (
+  select
+    sum(per_rep.units)::int as units_sold,
+    jsonb_agg(
+      jsonb_build_object('rep_id', per_rep.rep_id, 'rep_name', r.name, 'units', per_rep.units)
+      order by per_rep.units desc
+    ) as rep_units
+  from (
+    select t.rep_id, sum(t.units_sold)::int as units
+    from transactions t
+    where t.account_id = la.account_id and t.promo_id = la.promo_id
+    group by t.rep_id
+  ) per_rep
+  left join reps r on r.id = per_rep.rep_id
+) units on true
+left join lateral (
+  select jsonb_build_object(
+    'id', n.id,
+    'note', n.note,
+    'created_at', n.created_at,
+    'rep_name', r.name
+  ) as latest_note
+  from account_notes n
+  left join reps r on r.id = n.created_by
+  where n.account_id = la.account_id
+  order by n.created_at desc
+  limit 1
+) note on true
+left join lateral (
+  select coalesce(array_agg(t.name order by t.name), '{}') as territory_names
+  from account_territories at
+  join territories t on t.id = at.territory_id
+  where at.account_id = la.account_id
+) terr on true;
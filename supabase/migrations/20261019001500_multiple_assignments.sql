@@ -0,0 +1,94 @@
+-- Several promos per account at once
+--
+-- An account can run more than one promo at a time, so account_progress
+-- now returns one row per assignment instead of only the account's latest.
+-- Units count toward an assignment by (account_id, promo_id), so the same
+-- promo can only be assigned to an account once.
+
+-- Keep the newest of any duplicate assignments; their units are shared
+-- anyway. Each one removed goes to activity_log ('duplicate_assignment_removed')
+-- with the whole row, so its target and terms aren't lost.
+with ranked as (
+  select
+    ap.id,
+    row_number() over w as position,
+    first_value(ap.id) over w as kept_id,
+    first_value(ap.target_units) over w as kept_target_units
+  from account_promos ap
+  window w as (partition by ap.account_id, ap.promo_id order by ap.assigned_date desc nulls last, ap.id::text desc)
+),
+removed as (
+  delete from account_promos ap
+  using ranked r
+  where r.id = ap.id and r.position > 1
+  returning ap.*, r.kept_id, r.kept_target_units
+)
+insert into activity_log (action_type, account_id, details)
+select
+  'duplicate_assignment_removed',
+  removed.account_id,
+  jsonb_build_object(
+    'promo_name', p.promo_name,
+    'target_units', removed.target_units,
+    'kept_assignment_id', removed.kept_id,
+    'kept_target_units', removed.kept_target_units,
+    'assignment', to_jsonb(removed) - 'kept_id' - 'kept_target_units'
+  )
+from removed
+left join promos p on p.id = removed.promo_id;
+
+create unique index if not exists account_promos_account_promo_key on account_promos (account_id, promo_id);
+
+create or replace view account_progress with (security_invoker = true) as
+select
+  a.*,
+  ap.id as account_promo_id,
+  ap.promo_id,
+  p.promo_name,
+  p.promo_code,
+  p.discount,
+  ap.target_units,
+  ap.terms,
+  ap.assigned_date,
+  ap.quarter_id,
+  coalesce(units.units_sold, 0) as units_sold,
+  coalesce(units.rep_units, '[]'::jsonb) as rep_units,
+  note.latest_note,
+  terr.territory_names
+from account_promos ap
+join accounts a on a.id = ap.account_id
+left join promos p on p.id = ap.promo_id
+left join lateral (
+  select
+    sum(per_rep.units)::int as units_sold,
+    jsonb_agg(
+      jsonb_build_object('rep_id', per_rep.rep_id, 'rep_name', r.name, 'units', per_rep.units)
+      order by per_rep.units desc
+    ) as rep_units
+  from (
+    select t.rep_id, sum(t.units_sold)::int as units
+    from transactions t
+    where t.account_id = ap.account_id and t.promo_id = ap.promo_id
+    group by t.rep_id
+  ) per_rep
+  left join reps r on r.id = per_rep.rep_id
+) units on true
+left join lateral (
+  select jsonb_build_object(
+    'id', n.id,
+    'note', n.note,
+    'created_at', n.created_at,
+    'rep_name', r.name
+  ) as latest_note
+  from account_notes n
+  left join reps r on r.id = n.created_by
+  where n.account_id = ap.account_id
+  order by n.created_at desc
+  limit 1
+) note on true
+left join lateral (
+  select coalesce(array_agg(t.name order by t.name), '{}') as territory_names
+  from account_territories at
+  join territories t on t.id = at.territory_id
+  where at.account_id = ap.account_id
+) terr on true;
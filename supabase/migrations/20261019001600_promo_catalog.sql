@@ -0,0 +1,36 @@
+-- Promo catalog
+--
+-- Admins now create, edit, clone, schedule and deactivate promos in the app
+-- (PromoCatalog.js via /api/admin/promos) instead of the Supabase dashboard.
+-- A promo is offered for assignment while it is active and today falls
+-- within start_date..end_date (either end may be open).
+--
+-- The checks are `not valid` so promos entered by hand before this keep
+-- working; every new insert and update is checked.
+
+alter table promos add column if not exists end_date date;
+alter table promos add column if not exists default_target_units integer;
+alter table promos add column if not exists created_at timestamptz not null default now();
+alter table promos add column if not exists updated_at timestamptz not null default now();
+
+alter table promos drop constraint if exists promos_discount_range;
+alter table promos add constraint promos_discount_range
+  check (discount is null or (discount > 0 and discount <= 100)) not valid;
+
+alter table promos drop constraint if exists promos_date_range;
+alter table promos add constraint promos_date_range
+  check (end_date is null or start_date is null or end_date >= start_date) not valid;
+
+alter table promos drop constraint if exists promos_default_target_positive;
+alter table promos add constraint promos_default_target_positive
+  check (default_target_units is null or default_target_units > 0) not valid;
+
+alter table promos drop constraint if exists promos_code_format;
+alter table promos add constraint promos_code_format
+  check (promo_code ~ '^[A-Z0-9][A-Z0-9-]{1,19}$') not valid;
+
+-- Codes are how reps and customers refer to a promo, so no two may match
+create unique index if not exists promos_code_key on promos (upper(promo_code));
+
+-- Writes go through /api/admin/promos (service role), so there are still no
+-- insert or update policies for signed-in users
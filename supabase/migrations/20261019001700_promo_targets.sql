@@ -0,0 +1,207 @@
+-- Structured promo targets
+--
+-- The suggested target used to be the first number in the promo name
+-- ("SY125" -> 125). Now it comes from:
+--   promo_target_overrides  - per-territory or per-account-size targets
+--   promos.default_target_units - otherwise
+-- and promos.min_target_units is a floor no assignment may go below.
+-- promos.terms is the promo's default terms.
+--
+-- The suggestion rules are in src/promos.js (suggestedTarget).
+
+alter table promos add column if not exists min_target_units integer;
+
+alter table promos drop constraint if exists promos_min_target_positive;
+alter table promos add constraint promos_min_target_positive
+  check (min_target_units is null or min_target_units > 0) not valid;
+
+alter table promos drop constraint if exists promos_default_target_above_min;
+alter table promos add constraint promos_default_target_above_min
+  check (default_target_units is null or min_target_units is null or default_target_units >= min_target_units) not valid;
+
+-- Rough account size, for size-based target overrides
+alter table accounts add column if not exists account_size text
+  check (account_size in ('small', 'medium', 'large'));
+
+create table if not exists promo_target_overrides (
+  id uuid primary key default gen_random_uuid(),
+  promo_id uuid not null references promos(id) on delete cascade,
+  territory_id uuid references territories(id) on delete cascade,
+  account_size text check (account_size in ('small', 'medium', 'large')),
+  target_units integer not null check (target_units > 0),
+  -- Each override is for exactly one territory or one size
+  check (num_nonnulls(territory_id, account_size) = 1)
+);
+
+create unique index if not exists promo_target_overrides_territory_key
+  on promo_target_overrides (promo_id, territory_id) where territory_id is not null;
+create unique index if not exists promo_target_overrides_size_key
+  on promo_target_overrides (promo_id, account_size) where account_size is not null;
+
+alter table promo_target_overrides enable row level security;
+
+drop policy if exists promo_target_overrides_select on promo_target_overrides;
+create policy promo_target_overrides_select on promo_target_overrides for select to authenticated
+  using (current_rep_role() is not null);
+
+-- Replace a promo's overrides in one go. p_overrides is a JSON array of
+-- { territory_id, account_size, target_units }. /api/admin/promos only.
+create or replace function set_promo_target_overrides(p_promo_id promos.id%type, p_overrides jsonb) returns void
+language sql set search_path = public as $$
+  delete from promo_target_overrides where promo_id = p_promo_id;
+
+  insert into promo_target_overrides (promo_id, territory_id, account_size, target_units)
+  select p_promo_id, o.territory_id, o.account_size, o.target_units
+  from jsonb_to_recordset(coalesce(p_overrides, '[]')) as o(territory_id uuid, account_size text, target_units integer);
+$$;
+
+revoke execute on function set_promo_target_overrides(promos.id%type, jsonb) from public, anon, authenticated;
+grant execute on function set_promo_target_overrides(promos.id%type, jsonb) to service_role;
+
+-- No assignment below the promo's minimum, however it is written
+create or replace function account_promos_check_min_target() returns trigger
+language plpgsql set search_path = public as $$
+declare
+  v_promo promos%rowtype;
+begin
+  select * into v_promo from promos where id = new.promo_id;
+
+  if v_promo.min_target_units is not null and new.target_units < v_promo.min_target_units then
+    raise exception 'The target for % must be at least % units', v_promo.promo_name, v_promo.min_target_units
+      using errcode = '23514';
+  end if;
+
+  return new;
+end $$;
+
+drop trigger if exists account_promos_min_target on account_promos;
+create trigger account_promos_min_target before insert or update of promo_id, target_units on account_promos
+  for each row execute function account_promos_check_min_target();
+
+-- New accounts from /api/assignments may come with newAccount.account_size
+create or replace function create_assignment(
+  p_rep_id reps.id%type,
+  p_account_id accounts.id%type,
+  p_new_account jsonb,
+  p_promo_id promos.id%type,
+  p_target_units integer,
+  p_terms text,
+  p_initial_units integer
+) returns account_promos.id%type
+language plpgsql set search_path = public as $$
+declare
+  v_account accounts%rowtype;
+  v_promo promos%rowtype;
+  v_assignment_id account_promos.id%type;
+begin
+  select * into v_promo from promos where id = p_promo_id;
+  if not found then
+    raise exception 'Promo not found' using errcode = 'P0002';
+  end if;
+
+  if p_new_account is not null then
+    insert into accounts (account_name, account_number, account_size)
+    values (
+      p_new_account ->> 'account_name',
+      nullif(p_new_account ->> 'account_number', ''),
+      nullif(p_new_account ->> 'account_size', '')
+    )
+    returning * into v_account;
+
+    insert into account_territories (account_id, territory_id)
+    select v_account.id, t.id
+    from territories t
+    where t.id::text in (select jsonb_array_elements_text(coalesce(p_new_account -> 'territory_ids', '[]')));
+
+    insert into activity_log (action_type, account_id, rep_id, details)
+    values ('account_created', v_account.id, p_rep_id,
+            jsonb_build_object('account_name', v_account.account_name));
+  else
+    select * into v_account from accounts where id = p_account_id;
+    if not found then
+      raise exception 'Account not found' using errcode = 'P0002';
+    end if;
+  end if;
+
+  insert into account_promos (account_id, promo_id, target_units, terms, assigned_date)
+  values (v_account.id, p_promo_id, p_target_units, p_terms, now())
+  returning id into v_assignment_id;
+
+  insert into activity_log (action_type, account_id, rep_id, details)
+  values ('promo_assigned', v_account.id, p_rep_id,
+          jsonb_build_object('promo_name', v_promo.promo_name, 'target_units', p_target_units));
+
+  if coalesce(p_initial_units, 0) > 0 then
+    insert into transactions (account_id, promo_id, units_sold, rep_id, notes)
+    values (v_account.id, p_promo_id, p_initial_units, p_rep_id, 'Initial units on promo assignment');
+
+    insert into activity_log (action_type, account_id, rep_id, details)
+    values ('units_logged', v_account.id, p_rep_id,
+            jsonb_build_object('units', p_initial_units, 'note', 'Initial units on promo assignment'));
+  end if;
+
+  return v_assignment_id;
+end $$;
+
+-- ---------------------------------------------------------------------------
+-- account_progress: pick up accounts.account_size (a.* is expanded when the
+-- view is created, so it has to be rebuilt)
+-- ---------------------------------------------------------------------------
+
+drop view if exists account_progress;
+
+create view account_progress with (security_invoker = true) as
+select
+  a.*,
+  ap.id as account_promo_id,
+  ap.promo_id,
+  p.promo_name,
+  p.promo_code,
+  p.discount,
+  ap.target_units,
+  ap.terms,
+  ap.assigned_date,
+  ap.quarter_id,
+  coalesce(units.units_sold, 0) as units_sold,
+  coalesce(units.rep_units, '[]'::jsonb) as rep_units,
+  note.latest_note,
+  terr.territory_names
+from account_promos ap
+join accounts a on a.id = ap.account_id
+left join promos p on p.id = ap.promo_id
+left join lateral (
+  select
+    sum(per_rep.units)::int as units_sold,
+    jsonb_agg(
+      jsonb_build_object('rep_id', per_rep.rep_id, 'rep_name', r.name, 'units', per_rep.units)
+      order by per_rep.units desc
+    ) as rep_units
+  from (
+    select t.rep_id, sum(t.units_sold)::int as units
+    from transactions t
+    where t.account_id = ap.account_id and t.promo_id = ap.promo_id
+    group by t.rep_id
+  ) per_rep
+  left join reps r on r.id = per_rep.rep_id
+) units on true
+left join lateral (
+  select jsonb_build_object(
+    'id', n.id,
+    'note', n.note,
+    'created_at', n.created_at,
+    'rep_name', r.name
+  ) as latest_note
+  from account_notes n
+  left join reps r on r.id = n.created_by
+  where n.account_id = ap.account_id
+  order by n.created_at desc
+  limit 1
+) note on true
+left join lateral (
+  select coalesce(array_agg(t.name order by t.name), '{}') as territory_names
+  from account_territories at
+  join territories t on t.id = at.territory_id
+  where at.account_id = ap.account_id
+) terr on true;
+
+grant select on account_progress to authenticated;
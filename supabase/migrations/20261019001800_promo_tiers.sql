@@ -0,0 +1,104 @@
+-- Tiered promos
+--
+-- Many vendor programs step the discount up with volume, e.g. 50 units for
+-- 10%, 100 for 15%, 150 for 20%. A promo's tiers live in promo_tiers; an
+-- assignment has reached a tier once its units sold are at least min_units.
+-- promos.discount stays as the headline discount.
+--
+-- Tier math (current tier, units to the next one) is in src/metrics.js
+-- (tierProgress) so the dashboard, CSV export and weekly summary agree.
+
+create table if not exists promo_tiers (
+  id uuid primary key default gen_random_uuid(),
+  promo_id uuid not null references promos(id) on delete cascade,
+  min_units integer not null check (min_units > 0),
+  discount numeric not null check (discount > 0 and discount <= 100),
+  unique (promo_id, min_units)
+);
+
+alter table promo_tiers enable row level security;
+
+drop policy if exists promo_tiers_select on promo_tiers;
+create policy promo_tiers_select on promo_tiers for select to authenticated
+  using (current_rep_role() is not null);
+
+-- Replace a promo's tiers in one go. p_tiers is a JSON array of
+-- { min_units, discount }. /api/admin/promos only.
+create or replace function set_promo_tiers(p_promo_id promos.id%type, p_tiers jsonb) returns void
+language sql set search_path = public as $$
+  delete from promo_tiers where promo_id = p_promo_id;
+
+  insert into promo_tiers (promo_id, min_units, discount)
+  select p_promo_id, t.min_units, t.discount
+  from jsonb_to_recordset(coalesce(p_tiers, '[]')) as t(min_units integer, discount numeric);
+$$;
+
+revoke execute on function set_promo_tiers(promos.id%type, jsonb) from public, anon, authenticated;
+grant execute on function set_promo_tiers(promos.id%type, jsonb) to service_role;
+
+-- ---------------------------------------------------------------------------
+-- account_progress: add the promo's tiers, lowest first
+-- ---------------------------------------------------------------------------
+
+create or replace view account_progress with (security_invoker = true) as
+select
+  a.*,
+  ap.id as account_promo_id,
+  ap.promo_id,
+  p.promo_name,
+  p.promo_code,
+  p.discount,
+  ap.target_units,
+  ap.terms,
+  ap.assigned_date,
+  ap.quarter_id,
+  coalesce(units.units_sold, 0) as units_sold,
+  coalesce(units.rep_units, '[]'::jsonb) as rep_units,
+  note.latest_note,
+  terr.territory_names,
+  tiers.promo_tiers
+from account_promos ap
+join accounts a on a.id = ap.account_id
+left join promos p on p.id = ap.promo_id
+left join lateral (
+  select
+    sum(per_rep.units)::int as units_sold,
+    jsonb_agg(
+      jsonb_build_object('rep_id', per_rep.rep_id, 'rep_name', r.name, 'units', per_rep.units)
+      order by per_rep.units desc
+    ) as rep_units
+  from (
+    select t.rep_id, sum(t.units_sold)::int as units
+    from transactions t
+    where t.account_id = ap.account_id and t.promo_id = ap.promo_id
+    group by t.rep_id
+  ) per_rep
+  left join reps r on r.id = per_rep.rep_id
+) units on true
+left join lateral (
+  select jsonb_build_object(
+    'id', n.id,
+    'note', n.note,
+    'created_at', n.created_at,
+    'rep_name', r.name
+  ) as latest_note
+  from account_notes n
+  left join reps r on r.id = n.created_by
+  where n.account_id = ap.account_id
+  order by n.created_at desc
+  limit 1
+) note on true
+left join lateral (
+  select coalesce(array_agg(t.name order by t.name), '{}') as territory_names
+  from account_territories at
+  join territories t on t.id = at.territory_id
+  where at.account_id = ap.account_id
+) terr on true
+left join lateral (
+  select coalesce(
+    jsonb_agg(jsonb_build_object('min_units', pt.min_units, 'discount', pt.discount) order by pt.min_units),
+    '[]'::jsonb
+  ) as promo_tiers
+  from promo_tiers pt
+  where pt.promo_id = ap.promo_id
+) tiers on true;
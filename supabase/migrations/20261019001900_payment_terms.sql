@@ -0,0 +1,161 @@
+-- Structured payment terms
+--
+-- Terms used to be free text. They are now an installment schedule written
+-- as days after the invoice date, e.g. '30/60/90/120' (four equal payments)
+-- or '30' (Net 30); src/paymentTerms.js has the same rules for the forms.
+--
+--   promos.allowed_terms  - schedules the promo's assignments may use
+--                           (null = any)
+--   transactions.terms    - the assignment's terms when the units were
+--                           logged, so later changes don't move due dates
+--   transaction_installments - one row per installment with its due date,
+--                           behind the Receivables screen
+--
+-- The format checks are `not valid` so terms typed in before this keep
+-- loading; every new insert and update is checked.
+
+-- '30/60/90' -> {30,60,90}; null unless it is 1-12 increasing day counts
+-- between 1 and 365
+create or replace function payment_terms_days(p_terms text) returns integer[]
+language plpgsql immutable set search_path = public as $$
+declare
+  v_days integer[];
+begin
+  if p_terms is null or p_terms !~ '^[0-9]{1,3}(/[0-9]{1,3}){0,11}$' then
+    return null;
+  end if;
+
+  v_days := string_to_array(p_terms, '/')::integer[];
+  for i in 1 .. array_length(v_days, 1) loop
+    if v_days[i] < 1 or v_days[i] > 365 or (i > 1 and v_days[i] <= v_days[i - 1]) then
+      return null;
+    end if;
+  end loop;
+
+  return v_days;
+end $$;
+
+create or replace function payment_terms_all_valid(p_terms text[]) returns boolean
+language sql immutable set search_path = public as $$
+  select coalesce(bool_and(payment_terms_days(t) is not null), true) from unnest(p_terms) as t;
+$$;
+
+-- Tidy what was typed in by hand: blanks become null, 'Net 30' becomes '30',
+-- '30 / 60' becomes '30/60'. Anything else is left as entered.
+create or replace function normalize_payment_terms(p_terms text) returns text
+language sql immutable set search_path = public as $$
+  select case
+    when trim(p_terms) = '' then null
+    when payment_terms_days(cleaned) is not null then cleaned
+    else p_terms
+  end
+  from (select regexp_replace(regexp_replace(p_terms, '^\s*net', '', 'i'), '\s', '', 'g') as cleaned) c;
+$$;
+
+update promos set terms = normalize_payment_terms(terms) where terms is not null;
+update account_promos set terms = normalize_payment_terms(terms) where terms is not null;
+
+alter table promos add column if not exists allowed_terms text[];
+
+alter table promos drop constraint if exists promos_terms_format;
+alter table promos add constraint promos_terms_format
+  check (terms is null or payment_terms_days(terms) is not null) not valid;
+
+alter table promos drop constraint if exists promos_allowed_terms_format;
+alter table promos add constraint promos_allowed_terms_format
+  check (allowed_terms is null or payment_terms_all_valid(allowed_terms));
+
+alter table promos drop constraint if exists promos_terms_allowed;
+alter table promos add constraint promos_terms_allowed
+  check (terms is null or allowed_terms is null or terms = any (allowed_terms)) not valid;
+
+alter table account_promos drop constraint if exists account_promos_terms_format;
+alter table account_promos add constraint account_promos_terms_format
+  check (terms is null or payment_terms_days(terms) is not null) not valid;
+
+-- Assignments only use terms their promo allows, however they are written
+create or replace function account_promos_check_terms() returns trigger
+language plpgsql set search_path = public as $$
+declare
+  v_promo promos%rowtype;
+begin
+  select * into v_promo from promos where id = new.promo_id;
+
+  if new.terms is not null and v_promo.allowed_terms is not null
+     and not (new.terms = any (v_promo.allowed_terms)) then
+    raise exception '% only allows terms %', v_promo.promo_name, array_to_string(v_promo.allowed_terms, ', ')
+      using errcode = '23514';
+  end if;
+
+  return new;
+end $$;
+
+drop trigger if exists account_promos_allowed_terms on account_promos;
+create trigger account_promos_allowed_terms before insert or update of promo_id, terms on account_promos
+  for each row execute function account_promos_check_terms();
+
+-- ---------------------------------------------------------------------------
+-- Transactions keep the terms they were invoiced on
+-- ---------------------------------------------------------------------------
+
+alter table transactions add column if not exists terms text;
+alter table archived_transactions add column if not exists terms text;
+
+create or replace function transactions_set_terms() returns trigger
+language plpgsql set search_path = public as $$
+begin
+  if new.terms is null then
+    select ap.terms into new.terms
+    from account_promos ap
+    where ap.account_id = new.account_id and ap.promo_id = new.promo_id;
+  end if;
+  return new;
+end $$;
+
+drop trigger if exists transactions_terms on transactions;
+create trigger transactions_terms before insert on transactions
+  for each row execute function transactions_set_terms();
+
+update transactions t set terms = ap.terms
+from account_promos ap
+where t.terms is null
+  and ap.account_id = t.account_id and ap.promo_id = t.promo_id
+  and payment_terms_days(ap.terms) is not null;
+
+-- ---------------------------------------------------------------------------
+-- transaction_installments: each invoice's payments and due dates. Archived
+-- transactions are included so a quarter reset doesn't drop what is still
+-- owed.
+-- ---------------------------------------------------------------------------
+
+create or replace view transaction_installments with (security_invoker = true) as
+select
+  t.transaction_id,
+  t.archived,
+  t.account_id,
+  a.account_name,
+  t.promo_id,
+  p.promo_name,
+  t.rep_id,
+  r.name as rep_name,
+  t.transaction_date,
+  t.units_sold,
+  t.terms,
+  i.installment_number::integer as installment_number,
+  cardinality(payment_terms_days(t.terms)) as installment_count,
+  t.transaction_date::date + i.days::integer as due_date
+from (
+  select id as transaction_id, false as archived, account_id, promo_id, rep_id,
+         transaction_date, units_sold, terms
+  from transactions
+  union all
+  select original_id, true, account_id, promo_id, rep_id,
+         transaction_date, units_sold, terms
+  from archived_transactions
+) t
+cross join lateral unnest(payment_terms_days(t.terms)) with ordinality as i(days, installment_number)
+join accounts a on a.id = t.account_id
+left join promos p on p.id = t.promo_id
+left join reps r on r.id = t.rep_id;
+
+grant select on transaction_installments to authenticated;
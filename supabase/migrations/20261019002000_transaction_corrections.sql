@@ -0,0 +1,205 @@
+-- Edit and void logged transactions
+--
+-- A typo in QuickEntry (120 units instead of 12) used to need a direct
+-- database edit. The rep who logged a transaction, or an admin, can now
+-- correct its units, date or notes, or void it, through /api/transactions.
+-- Every correction needs a reason and keeps the values it replaced in
+-- transaction_revisions.
+--
+-- Voided transactions stay in the table (voided_at is set) so their history
+-- survives, but no longer count toward progress or receivables.
+
+alter table transactions add column if not exists voided_at timestamptz;
+
+create table if not exists transaction_revisions (
+  id uuid primary key default gen_random_uuid(),
+  transaction_id uuid not null references transactions(id) on delete cascade,
+  action text not null check (action in ('edited', 'voided')),
+  reason text not null check (length(trim(reason)) > 0),
+  -- { units_sold, transaction_date, notes } before and after the change
+  previous jsonb not null,
+  changes jsonb not null default '{}'::jsonb,
+  revised_by uuid references reps(id),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists transaction_revisions_transaction_idx
+  on transaction_revisions (transaction_id, created_at);
+
+alter table transaction_revisions enable row level security;
+
+drop policy if exists transaction_revisions_select on transaction_revisions;
+create policy transaction_revisions_select on transaction_revisions for select to authenticated
+  using (current_rep_role() is not null);
+
+-- Edit (p_void false) or void one transaction, record the revision and the
+-- activity_log entry, all in one transaction. Null p_units_sold /
+-- p_transaction_date keep the current value; p_notes is always applied.
+-- /api/transactions checks who may do this before calling it.
+create or replace function correct_transaction(
+  p_transaction_id transactions.id%type,
+  p_rep_id reps.id%type,
+  p_void boolean,
+  p_units_sold integer,
+  p_transaction_date date,
+  p_notes text,
+  p_reason text
+) returns void
+language plpgsql set search_path = public as $$
+declare
+  v_old transactions%rowtype;
+  v_new transactions%rowtype;
+  v_promo_name promos.promo_name%type;
+begin
+  select * into v_old from transactions where id = p_transaction_id for update;
+  if not found then
+    raise exception 'Transaction not found' using errcode = 'P0002';
+  end if;
+  if v_old.voided_at is not null then
+    raise exception 'This transaction has already been voided' using errcode = '55000';
+  end if;
+
+  if p_void then
+    update transactions set voided_at = now() where id = p_transaction_id
+      returning * into v_new;
+  else
+    update transactions
+    set units_sold = coalesce(p_units_sold, units_sold),
+        transaction_date = coalesce(p_transaction_date, transaction_date),
+        notes = p_notes
+    where id = p_transaction_id
+    returning * into v_new;
+  end if;
+
+  insert into transaction_revisions (transaction_id, action, reason, previous, changes, revised_by)
+  values (
+    p_transaction_id,
+    case when p_void then 'voided' else 'edited' end,
+    trim(p_reason),
+    jsonb_build_object('units_sold', v_old.units_sold, 'transaction_date', v_old.transaction_date, 'notes', v_old.notes),
+    case when p_void then '{}'::jsonb
+      else jsonb_build_object('units_sold', v_new.units_sold, 'transaction_date', v_new.transaction_date, 'notes', v_new.notes)
+    end,
+    p_rep_id
+  );
+
+  select promo_name into v_promo_name from promos where id = v_old.promo_id;
+
+  insert into activity_log (action_type, account_id, rep_id, details)
+  values (
+    case when p_void then 'units_voided' else 'units_corrected' end,
+    v_old.account_id,
+    p_rep_id,
+    jsonb_build_object(
+      'transaction_id', p_transaction_id,
+      'promo_name', v_promo_name,
+      'previous_units', v_old.units_sold,
+      'units', case when p_void then 0 else v_new.units_sold end,
+      'reason', trim(p_reason)
+    )
+  );
+end $$;
+
+revoke execute on function correct_transaction(transactions.id%type, reps.id%type, boolean, integer, date, text, text)
+  from public, anon, authenticated;
+grant execute on function correct_transaction(transactions.id%type, reps.id%type, boolean, integer, date, text, text)
+  to service_role;
+
+-- ---------------------------------------------------------------------------
+-- Leave voided transactions out of progress and receivables
+-- ---------------------------------------------------------------------------
+
+create or replace view account_progress with (security_invoker = true) as
+select
+  a.*,
+  ap.id as account_promo_id,
+  ap.promo_id,
+  p.promo_name,
+  p.promo_code,
+  p.discount,
+  ap.target_units,
+  ap.terms,
+  ap.assigned_date,
+  ap.quarter_id,
+  coalesce(units.units_sold, 0) as units_sold,
+  coalesce(units.rep_units, '[]'::jsonb) as rep_units,
+  note.latest_note,
+  terr.territory_names,
+  tiers.promo_tiers
+from account_promos ap
+join accounts a on a.id = ap.account_id
+left join promos p on p.id = ap.promo_id
+left join lateral (
+  select
+    sum(per_rep.units)::int as units_sold,
+    jsonb_agg(
+      jsonb_build_object('rep_id', per_rep.rep_id, 'rep_name', r.name, 'units', per_rep.units)
+      order by per_rep.units desc
+    ) as rep_units
+  from (
+    select t.rep_id, sum(t.units_sold)::int as units
+    from transactions t
+    where t.account_id = ap.account_id and t.promo_id = ap.promo_id
+      and t.voided_at is null
+    group by t.rep_id
+  ) per_rep
+  left join reps r on r.id = per_rep.rep_id
+) units on true
+left join lateral (
+  select jsonb_build_object(
+    'id', n.id,
+    'note', n.note,
+    'created_at', n.created_at,
+    'rep_name', r.name
+  ) as latest_note
+  from account_notes n
+  left join reps r on r.id = n.created_by
+  where n.account_id = ap.account_id
+  order by n.created_at desc
+  limit 1
+) note on true
+left join lateral (
+  select coalesce(array_agg(t.name order by t.name), '{}') as territory_names
+  from account_territories at
+  join territories t on t.id = at.territory_id
+  where at.account_id = ap.account_id
+) terr on true
+left join lateral (
+  select coalesce(
+    jsonb_agg(jsonb_build_object('min_units', pt.min_units, 'discount', pt.discount) order by pt.min_units),
+    '[]'::jsonb
+  ) as promo_tiers
+  from promo_tiers pt
+  where pt.promo_id = ap.promo_id
+) tiers on true;
+
+create or replace view transaction_installments with (security_invoker = true) as
+select
+  t.transaction_id,
+  t.archived,
+  t.account_id,
+  a.account_name,
+  t.promo_id,
+  p.promo_name,
+  t.rep_id,
+  r.name as rep_name,
+  t.transaction_date,
+  t.units_sold,
+  t.terms,
+  i.installment_number::integer as installment_number,
+  cardinality(payment_terms_days(t.terms)) as installment_count,
+  t.transaction_date::date + i.days::integer as due_date
+from (
+  select id as transaction_id, false as archived, account_id, promo_id, rep_id,
+         transaction_date, units_sold, terms
+  from transactions
+  where voided_at is null
+  union all
+  select original_id, true, account_id, promo_id, rep_id,
+         transaction_date, units_sold, terms
+  from archived_transactions
+) t
+cross join lateral unnest(payment_terms_days(t.terms)) with ordinality as i(days, installment_number)
+join accounts a on a.id = t.account_id
+left join promos p on p.id = t.promo_id
+left join reps r on r.id = t.rep_id;
@@ -0,0 +1,182 @@
+-- Returns and negative adjustments
+--
+-- QuickEntry only took positive units, so returned frames couldn't be
+-- recorded and attainment overstated real sell-in. A transaction is now a
+-- 'sale' or a 'return'. Returns are stored with negative units_sold, so
+-- every existing sum (account_progress, rep breakdowns, quarter stats,
+-- archives, exports) nets them out without changes.
+--
+-- Returns carry a reason code (src/transactions.js RETURN_REASONS) and may
+-- point at the sale they reverse. They don't create receivables: only sales
+-- pick up the assignment's payment terms.
+
+alter table transactions add column if not exists transaction_type text not null default 'sale';
+alter table transactions add column if not exists return_reason text;
+alter table transactions add column if not exists original_transaction_id uuid references transactions(id) on delete set null;
+
+alter table archived_transactions add column if not exists transaction_type text not null default 'sale';
+alter table archived_transactions add column if not exists return_reason text;
+
+alter table transactions drop constraint if exists transactions_type_check;
+alter table transactions add constraint transactions_type_check
+  check (transaction_type in ('sale', 'return'));
+
+-- Sales add units, returns take them away; `not valid` so any zero-unit
+-- rows from before this keep loading
+alter table transactions drop constraint if exists transactions_units_sign;
+alter table transactions add constraint transactions_units_sign
+  check ((transaction_type = 'sale' and units_sold > 0) or (transaction_type = 'return' and units_sold < 0)) not valid;
+
+alter table transactions drop constraint if exists transactions_return_reason;
+alter table transactions add constraint transactions_return_reason
+  check (
+    (transaction_type = 'sale' and return_reason is null and original_transaction_id is null)
+    or (transaction_type = 'return' and return_reason in ('damaged', 'ra', 'cancelled_order', 'adjustment', 'other'))
+  );
+
+create index if not exists transactions_original_idx on transactions (original_transaction_id)
+  where original_transaction_id is not null;
+
+-- A return linked to a sale must be for the same account and promo, and
+-- can't take back more than the sale's units (less earlier returns). The
+-- other way round, a sale can't be voided while it has active returns, or
+-- edited below what they took back: either would leave net units short.
+-- src/transactions.js (validateCorrection, validateVoid) checks the same.
+create or replace function transactions_check_return() returns trigger
+language plpgsql set search_path = public as $$
+declare
+  v_original transactions%rowtype;
+  v_returned integer;
+begin
+  if tg_op = 'UPDATE' and new.transaction_type = 'sale' then
+    select coalesce(-sum(units_sold), 0) into v_returned
+    from transactions
+    where original_transaction_id = new.id
+      and voided_at is null;
+
+    if v_returned > 0 and new.voided_at is not null and old.voided_at is null then
+      raise exception '% units of this sale have been returned; void those returns first', v_returned
+        using errcode = '23514';
+    end if;
+    if new.units_sold < v_returned then
+      raise exception '% units of this sale have been returned; it can''t go below that', v_returned
+        using errcode = '23514';
+    end if;
+  end if;
+
+  if new.original_transaction_id is null or new.voided_at is not null then
+    return new;
+  end if;
+
+  select * into v_original from transactions where id = new.original_transaction_id;
+
+  if not found or v_original.transaction_type <> 'sale' or v_original.voided_at is not null
+     or v_original.account_id <> new.account_id or v_original.promo_id <> new.promo_id then
+    raise exception 'A return can only be linked to a sale for the same account and promo'
+      using errcode = '23514';
+  end if;
+
+  select coalesce(-sum(units_sold), 0) into v_returned
+  from transactions
+  where original_transaction_id = new.original_transaction_id
+    and voided_at is null
+    and id <> new.id;
+
+  if v_returned - new.units_sold > v_original.units_sold then
+    raise exception 'Only % of the % units in that sale are left to return',
+      greatest(v_original.units_sold - v_returned, 0), v_original.units_sold
+      using errcode = '23514';
+  end if;
+
+  return new;
+end $$;
+
+drop trigger if exists transactions_return on transactions;
+create trigger transactions_return before insert or update of units_sold, original_transaction_id, voided_at on transactions
+  for each row execute function transactions_check_return();
+
+-- Only sales are invoiced on the assignment's terms
+create or replace function transactions_set_terms() returns trigger
+language plpgsql set search_path = public as $$
+begin
+  if new.terms is null and new.transaction_type = 'sale' then
+    select ap.terms into new.terms
+    from account_promos ap
+    where ap.account_id = new.account_id and ap.promo_id = new.promo_id;
+  end if;
+  return new;
+end $$;
+
+-- ---------------------------------------------------------------------------
+-- account_progress: units_sold stays the net figure; units_returned is how
+-- much of it returns took away
+-- ---------------------------------------------------------------------------
+
+create or replace view account_progress with (security_invoker = true) as
+select
+  a.*,
+  ap.id as account_promo_id,
+  ap.promo_id,
+  p.promo_name,
+  p.promo_code,
+  p.discount,
+  ap.target_units,
+  ap.terms,
+  ap.assigned_date,
+  ap.quarter_id,
+  coalesce(units.units_sold, 0) as units_sold,
+  coalesce(units.rep_units, '[]'::jsonb) as rep_units,
+  note.latest_note,
+  terr.territory_names,
+  tiers.promo_tiers,
+  coalesce(units.units_returned, 0) as units_returned
+from account_promos ap
+join accounts a on a.id = ap.account_id
+left join promos p on p.id = ap.promo_id
+left join lateral (
+  select
+    sum(per_rep.units)::int as units_sold,
+    sum(per_rep.returned)::int as units_returned,
+    jsonb_agg(
+      jsonb_build_object('rep_id', per_rep.rep_id, 'rep_name', r.name, 'units', per_rep.units)
+      order by per_rep.units desc
+    ) as rep_units
+  from (
+    select
+      t.rep_id,
+      sum(t.units_sold)::int as units,
+      coalesce(-sum(t.units_sold) filter (where t.transaction_type = 'return'), 0)::int as returned
+    from transactions t
+    where t.account_id = ap.account_id and t.promo_id = ap.promo_id
+      and t.voided_at is null
+    group by t.rep_id
+  ) per_rep
+  left join reps r on r.id = per_rep.rep_id
+) units on true
+left join lateral (
+  select jsonb_build_object(
+    'id', n.id,
+    'note', n.note,
+    'created_at', n.created_at,
+    'rep_name', r.name
+  ) as latest_note
+  from account_notes n
+  left join reps r on r.id = n.created_by
+  where n.account_id = ap.account_id
+  order by n.created_at desc
+  limit 1
+) note on true
+left join lateral (
+  select coalesce(array_agg(t.name order by t.name), '{}') as territory_names
+  from account_territories at
+  join territories t on t.id = at.territory_id
+  where at.account_id = ap.account_id
+) terr on true
+left join lateral (
+  select coalesce(
+    jsonb_agg(jsonb_build_object('min_units', pt.min_units, 'discount', pt.discount) order by pt.min_units),
+    '[]'::jsonb
+  ) as promo_tiers
+  from promo_tiers pt
+  where pt.promo_id = ap.promo_id
+) tiers on true;
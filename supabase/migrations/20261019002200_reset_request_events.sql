@@ -0,0 +1,10 @@
+-- Password reset requests in the login audit trail
+--
+-- /api/auth/forgot-password records every request (known email or not) as a
+-- 'reset_requested' login event. The same rows throttle the form, so it
+-- can't be used to flood a rep's inbox with reset emails. They don't count
+-- toward sign-in lockouts.
+
+alter table login_events drop constraint if exists login_events_event_check;
+alter table login_events add constraint login_events_event_check
+  check (event in ('success', 'failure', 'locked', 'unlocked', 'reset_requested'));
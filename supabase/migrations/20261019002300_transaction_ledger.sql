@@ -0,0 +1,35 @@
+-- Totals for the transaction ledger (TransactionHistory)
+--
+-- The ledger pages and filters on the server, so it can't add up the rows
+-- itself. transaction_ledger_totals sums the entries matching the ledger's
+-- filters: for the header totals, and with a cursor (the oldest entry on
+-- the page) for the net units before the page, which the running totals
+-- start from. Voided entries don't count. Runs as the caller, so row level
+-- security applies as it does to the ledger rows.
+
+create or replace function transaction_ledger_totals(
+  p_account_id transactions.account_id%type,
+  p_promo_id transactions.promo_id%type default null,
+  p_rep_id transactions.rep_id%type default null,
+  p_from date default null,
+  p_to date default null,
+  -- Only entries before this one, in (transaction_date, created_at, id) order
+  p_before_date transactions.transaction_date%type default null,
+  p_before_created_at transactions.created_at%type default null,
+  p_before_id transactions.id%type default null
+) returns table (sold integer, returned integer, net integer)
+language sql stable set search_path = public as $$
+  select
+    coalesce(sum(t.units_sold) filter (where t.transaction_type = 'sale'), 0)::int,
+    coalesce(-sum(t.units_sold) filter (where t.transaction_type = 'return'), 0)::int,
+    coalesce(sum(t.units_sold), 0)::int
+  from transactions t
+  where t.account_id = p_account_id
+    and t.voided_at is null
+    and (p_promo_id is null or t.promo_id = p_promo_id)
+    and (p_rep_id is null or t.rep_id = p_rep_id)
+    and (p_from is null or t.transaction_date::date >= p_from)
+    and (p_to is null or t.transaction_date::date <= p_to)
+    and (p_before_date is null
+      or (t.transaction_date, t.created_at, t.id) < (p_before_date, p_before_created_at, p_before_id))
+$$;
@@ -0,0 +1,135 @@
+-- Save a promo in one transaction
+--
+-- /api/admin/promos used to write the promo row, its target overrides and
+-- its tiers separately, so a failure part way left a half-saved promo.
+-- save_promo() does all three at once.
+--
+-- Edits also only re-check the fields they change. The promo checks were
+-- `not valid` constraints, but Postgres re-checks a constraint on every
+-- update of a row, so promos entered before the rules existed couldn't be
+-- edited at all, not even deactivated. The same rules now live in a trigger
+-- that checks a rule on insert, or on update when one of its columns
+-- changes. promos_allowed_terms_format was always validated, so it stays.
+
+alter table promos drop constraint if exists promos_discount_range;
+alter table promos drop constraint if exists promos_date_range;
+alter table promos drop constraint if exists promos_default_target_positive;
+alter table promos drop constraint if exists promos_code_format;
+alter table promos drop constraint if exists promos_min_target_positive;
+alter table promos drop constraint if exists promos_default_target_above_min;
+alter table promos drop constraint if exists promos_terms_format;
+alter table promos drop constraint if exists promos_terms_allowed;
+
+create or replace function promos_check_changes() returns trigger
+language plpgsql set search_path = public as $$
+declare
+  v_new boolean := tg_op = 'INSERT';
+begin
+  if (v_new or new.promo_code is distinct from old.promo_code)
+    and new.promo_code !~ '^[A-Z0-9][A-Z0-9-]{1,19}$' then
+    raise exception 'Promo codes are 2-20 letters, digits or dashes, e.g. SY125' using errcode = '23514';
+  end if;
+
+  if (v_new or new.discount is distinct from old.discount)
+    and new.discount is not null and not (new.discount > 0 and new.discount <= 100) then
+    raise exception 'Discount must be more than 0%% and at most 100%%' using errcode = '23514';
+  end if;
+
+  if (v_new or new.default_target_units is distinct from old.default_target_units)
+    and new.default_target_units <= 0 then
+    raise exception 'Default target must be at least 1' using errcode = '23514';
+  end if;
+
+  if (v_new or new.min_target_units is distinct from old.min_target_units)
+    and new.min_target_units <= 0 then
+    raise exception 'Minimum target must be at least 1' using errcode = '23514';
+  end if;
+
+  if (v_new or new.default_target_units is distinct from old.default_target_units
+      or new.min_target_units is distinct from old.min_target_units)
+    and new.default_target_units < new.min_target_units then
+    raise exception 'The default target cannot be below the minimum target' using errcode = '23514';
+  end if;
+
+  if (v_new or new.start_date is distinct from old.start_date or new.end_date is distinct from old.end_date)
+    and new.end_date < new.start_date then
+    raise exception 'The end date must be on or after the start date' using errcode = '23514';
+  end if;
+
+  if (v_new or new.terms is distinct from old.terms)
+    and new.terms is not null and payment_terms_days(new.terms) is null then
+    raise exception 'Default terms must be days after the invoice, e.g. 30/60/90' using errcode = '23514';
+  end if;
+
+  if (v_new or new.terms is distinct from old.terms or new.allowed_terms is distinct from old.allowed_terms)
+    and new.terms is not null and new.allowed_terms is not null and not (new.terms = any (new.allowed_terms)) then
+    raise exception 'The default terms must be one of the allowed terms' using errcode = '23514';
+  end if;
+
+  return new;
+end $$;
+
+drop trigger if exists promos_check_changes on promos;
+create trigger promos_check_changes before insert or update on promos
+  for each row execute function promos_check_changes();
+
+-- Create (p_promo_id null) or edit a promo. p_values holds the promos
+-- columns to write; on edits, columns it leaves out keep their value.
+-- p_overrides and p_tiers, when not null, replace the promo's target
+-- overrides and tiers. Returns the promo's id. /api/admin/promos only.
+create or replace function save_promo(
+  p_promo_id promos.id%type,
+  p_values jsonb,
+  p_overrides jsonb,
+  p_tiers jsonb
+) returns promos.id%type
+language plpgsql set search_path = public as $$
+declare
+  v_promo promos%rowtype;
+begin
+  if p_promo_id is null then
+    insert into promos (
+      promo_name, promo_code, discount, default_target_units, min_target_units,
+      terms, allowed_terms, start_date, end_date, is_active
+    )
+    select
+      v.promo_name, v.promo_code, v.discount, v.default_target_units, v.min_target_units,
+      v.terms, v.allowed_terms, v.start_date, v.end_date, coalesce(v.is_active, true)
+    from jsonb_populate_record(null::promos, p_values) v
+    returning * into v_promo;
+  else
+    select * into v_promo from promos where id = p_promo_id for update;
+    if not found then
+      raise exception 'Promo not found' using errcode = 'P0002';
+    end if;
+
+    v_promo := jsonb_populate_record(v_promo, p_values);
+
+    update promos set
+      promo_name = v_promo.promo_name,
+      promo_code = v_promo.promo_code,
+      discount = v_promo.discount,
+      default_target_units = v_promo.default_target_units,
+      min_target_units = v_promo.min_target_units,
+      terms = v_promo.terms,
+      allowed_terms = v_promo.allowed_terms,
+      start_date = v_promo.start_date,
+      end_date = v_promo.end_date,
+      is_active = v_promo.is_active,
+      updated_at = now()
+    where id = p_promo_id;
+  end if;
+
+  if p_overrides is not null then
+    perform set_promo_target_overrides(v_promo.id, p_overrides);
+  end if;
+
+  if p_tiers is not null then
+    perform set_promo_tiers(v_promo.id, p_tiers);
+  end if;
+
+  return v_promo.id;
+end $$;
+
+revoke execute on function save_promo(promos.id%type, jsonb, jsonb, jsonb) from public, anon, authenticated;
+grant execute on function save_promo(promos.id%type, jsonb, jsonb, jsonb) to service_role;
@@ -0,0 +1,63 @@
+-- Impersonation audit
+--
+-- "View as rep" entries in activity_log were only hidden from non-admins by
+-- ActivityFeed, so any signed-in rep could still read them from the API.
+-- The select policy now returns them to admins only.
+--
+-- 'impersonation_ended' used to be written by /api/auth/logout, so a view
+-- that expired or was revoked (password change, "sign out everywhere") never
+-- logged its end. It is now written whenever an impersonation session is
+-- revoked, and end_expired_impersonations() (run by
+-- /api/cron/end-impersonations) revokes the expired ones so they are logged
+-- too, with details.reason 'expired'.
+
+drop policy if exists activity_log_select on activity_log;
+create policy activity_log_select on activity_log for select to authenticated
+  using (
+    current_rep_role() is not null
+    and (
+      action_type not in ('impersonation_started', 'impersonation_ended')
+      or current_rep_can(array['admin'])
+    )
+  );
+
+create or replace function sessions_log_impersonation_end() returns trigger
+language plpgsql set search_path = public as $$
+begin
+  insert into activity_log (action_type, rep_id, details)
+  select 'impersonation_ended', new.impersonator_id, jsonb_build_object(
+    'target_rep_id', new.rep_id,
+    'target_rep_name', r.name,
+    'session_id', new.id,
+    'reason', case when new.revoked_at >= new.expires_at then 'expired' else 'revoked' end
+  )
+  from reps r
+  where r.id = new.rep_id;
+
+  return new;
+end $$;
+
+drop trigger if exists sessions_impersonation_ended on sessions;
+create trigger sessions_impersonation_ended after update of revoked_at on sessions
+  for each row
+  when (new.impersonator_id is not null and old.revoked_at is null and new.revoked_at is not null)
+  execute function sessions_log_impersonation_end();
+
+-- Revoke impersonation sessions that have expired, as of when they expired.
+-- Returns how many there were. /api/cron/end-impersonations only.
+create or replace function end_expired_impersonations() returns integer
+language plpgsql set search_path = public as $$
+declare
+  v_count integer;
+begin
+  update sessions set revoked_at = expires_at
+  where impersonator_id is not null
+    and revoked_at is null
+    and expires_at <= now();
+
+  get diagnostics v_count = row_count;
+  return v_count;
+end $$;
+
+revoke execute on function end_expired_impersonations() from public, anon, authenticated;
+grant execute on function end_expired_impersonations() to service_role;
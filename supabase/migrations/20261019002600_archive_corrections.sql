@@ -0,0 +1,47 @@
+-- Keep corrections across quarter resets
+--
+-- Ending a quarter archived only live transactions, then deleted every
+-- transaction, which cascaded to transaction_revisions. The voided rows and
+-- every correction's history were lost at each reset.
+--
+-- Voided transactions are now archived too (with voided_at), and revisions
+-- are no longer deleted with their transaction: once it is archived,
+-- transaction_revisions.transaction_id matches archived_transactions.original_id.
+
+alter table archived_transactions add column if not exists voided_at timestamptz;
+alter table archived_transactions add column if not exists original_transaction_id uuid;
+
+alter table transaction_revisions drop constraint if exists transaction_revisions_transaction_id_fkey;
+
+-- Same as before, but archived voided rows are left out as well
+create or replace view transaction_installments with (security_invoker = true) as
+select
+  t.transaction_id,
+  t.archived,
+  t.account_id,
+  a.account_name,
+  t.promo_id,
+  p.promo_name,
+  t.rep_id,
+  r.name as rep_name,
+  t.transaction_date,
+  t.units_sold,
+  t.terms,
+  i.installment_number::integer as installment_number,
+  cardinality(payment_terms_days(t.terms)) as installment_count,
+  t.transaction_date::date + i.days::integer as due_date
+from (
+  select id as transaction_id, false as archived, account_id, promo_id, rep_id,
+         transaction_date, units_sold, terms
+  from transactions
+  where voided_at is null
+  union all
+  select original_id, true, account_id, promo_id, rep_id,
+         transaction_date, units_sold, terms
+  from archived_transactions
+  where voided_at is null
+) t
+cross join lateral unnest(payment_terms_days(t.terms)) with ordinality as i(days, installment_number)
+join accounts a on a.id = t.account_id
+left join promos p on p.id = t.promo_id
+left join reps r on r.id = t.rep_id;
@@ -0,0 +1,73 @@
+-- Edit an assignment
+--
+-- AssignPromo used to change an assignment's promo by updating
+-- account_promos.promo_id directly. Progress is keyed by (account, promo),
+-- so every unit logged under the old promo dropped off the assignment and
+-- the new promo started at zero. update_assignment() moves the account's
+-- transactions for the old promo (returns and voided rows included) along
+-- with the assignment, in one transaction.
+
+-- Change an assignment's promo, target and terms. Writes a 'promo_changed'
+-- activity_log entry when the promo changes, otherwise
+-- 'assignment_updated'. The min-target and allowed-terms triggers still
+-- apply (23514), and the account can't end up on the same promo twice
+-- (23505). /api/assignments only.
+create or replace function update_assignment(
+  p_rep_id reps.id%type,
+  p_assignment_id account_promos.id%type,
+  p_promo_id promos.id%type,
+  p_target_units integer,
+  p_terms text
+) returns void
+language plpgsql set search_path = public as $$
+declare
+  v_assignment account_promos%rowtype;
+  v_old_promo promos%rowtype;
+  v_promo promos%rowtype;
+  v_moved integer;
+begin
+  select * into v_assignment from account_promos where id = p_assignment_id for update;
+  if not found then
+    raise exception 'Assignment not found' using errcode = 'P0002';
+  end if;
+
+  select * into v_promo from promos where id = p_promo_id;
+  if not found then
+    raise exception 'Promo not found' using errcode = 'P0002';
+  end if;
+
+  update account_promos
+  set promo_id = p_promo_id,
+      target_units = p_target_units,
+      terms = p_terms,
+      assigned_date = case when promo_id is distinct from p_promo_id then now() else assigned_date end
+  where id = p_assignment_id;
+
+  if v_assignment.promo_id is distinct from p_promo_id then
+    update transactions
+    set promo_id = p_promo_id
+    where account_id = v_assignment.account_id and promo_id = v_assignment.promo_id;
+
+    get diagnostics v_moved = row_count;
+
+    select * into v_old_promo from promos where id = v_assignment.promo_id;
+
+    insert into activity_log (action_type, account_id, rep_id, details)
+    values ('promo_changed', v_assignment.account_id, p_rep_id, jsonb_build_object(
+      'old_promo', v_old_promo.promo_name,
+      'new_promo', v_promo.promo_name,
+      'target_units', p_target_units,
+      'moved_transactions', v_moved
+    ));
+  else
+    insert into activity_log (action_type, account_id, rep_id, details)
+    values ('assignment_updated', v_assignment.account_id, p_rep_id, jsonb_build_object(
+      'promo_name', v_promo.promo_name,
+      'target_units', p_target_units,
+      'terms', p_terms
+    ));
+  end if;
+end $$;
+
+revoke execute on function update_assignment from public, anon, authenticated;
+grant execute on function update_assignment to service_role;
@@ -0,0 +1,22 @@
+-- Filter choices for the transaction ledger (TransactionHistory)
+--
+-- The rep and promo filters were built from account_progress, which only
+-- covers the account's current assignments and non-voided units. Reps whose
+-- entries were all voided, and promos the account has since left, still
+-- show in the ledger but couldn't be filtered on. These come from the
+-- account's transactions themselves, voided ones included. Runs as the
+-- caller, like transaction_ledger_totals.
+
+create or replace function transaction_ledger_filters(p_account_id transactions.account_id%type)
+returns table (kind text, id uuid, name text)
+language sql stable set search_path = public as $$
+  select 'promo', t.promo_id, p.promo_name
+  from transactions t
+  left join promos p on p.id = t.promo_id
+  where t.account_id = p_account_id and t.promo_id is not null
+  union
+  select 'rep', t.rep_id, r.name
+  from transactions t
+  left join reps r on r.id = t.rep_id
+  where t.account_id = p_account_id and t.rep_id is not null
+$$;